@@ -0,0 +1,140 @@
+// Service worker: keeps the app shell so the tracker opens without a connection, keeps trip
+// photos once they've been seen, and sends the offline outbox (see "offline outbox" in
+// src/App.jsx) when Background Sync says the connection is back. Trip data itself is cached
+// by the app, so API requests always go to the network.
+const SHELL_CACHE = "trip-prep-shell-v2";
+const PHOTO_CACHE = "trip-prep-photos-v1";
+const SHELL = ["./", "./manifest.webmanifest", "./icon.svg"];
+const MAX_PHOTOS = 300;
+// the build's scripts and styles, and the icons; anything else on this origin may be the API
+const STATIC_ASSET = /\.(js|css|svg|png|webp|ico|woff2?|webmanifest)$/;
+
+const OUTBOX_DB = "TRIP_PREP_OUTBOX";
+const OUTBOX_STORE = "outbox";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, PHOTO_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => !keep.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  // share pages are rendered by the API, must never stand in for the app, and must show a revoke at once
+  if (url.pathname.startsWith("/share/")) return;
+  if (request.mode === "navigate") return event.respondWith(networkFirst(request));
+  // uploads are stored under new names, so a photo never changes
+  if (url.pathname.startsWith("/uploads/")) return event.respondWith(cacheFirst(request));
+  // API reads (when the API shares this origin) always go to the network
+  if (url.origin === self.location.origin && STATIC_ASSET.test(url.pathname)) return event.respondWith(staleWhileRevalidate(request));
+});
+
+// the page itself: the newest when online, so a new build's assets are picked up
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put("./", res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match("./");
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// scripts, styles and icons; Vite puts a hash in asset names, so stale copies are rare
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const fresh = fetch(request).then((res) => {
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  });
+  if (!cached) return fresh;
+  fresh.catch(() => {});
+  return cached;
+}
+
+// photos come from the API's origin without CORS, so their responses are opaque
+async function cacheFirst(request) {
+  const cache = await caches.open(PHOTO_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === "opaque") {
+    await cache.put(request, res.clone());
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_PHOTOS)).map((key) => cache.delete(key)));
+  }
+  return res;
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === "outbox") event.waitUntil(syncOutbox());
+});
+
+// An open tab sends the outbox itself, since it also has to reload what it shows. With
+// none open, the stored requests are sent from here. A request that can't reach the
+// server throws, so the browser tries the sync again later. A person edit that crossed
+// with someone else's stays queued: the page sends it again and shows its conflict dialog.
+async function syncOutbox() {
+  const tabs = await self.clients.matchAll({ type: "window" });
+  if (tabs.length) return tabs.forEach((tab) => tab.postMessage({ type: "outbox:flush" }));
+  const db = await openOutbox();
+  for (const entry of await outboxRequest(db, "readonly", (store) => store.getAll())) {
+    if (entry.status !== "queued") continue;
+    const res = await fetch(entry.url, { method: entry.method, headers: entry.headers, body: requestBody(entry) });
+    if (res.ok) {
+      await outboxRequest(db, "readwrite", (store) => store.delete(entry.id));
+    } else if (res.status === 409 && entry.key.startsWith("person:")) {
+      continue;
+    } else {
+      const data = await res.json().catch(() => ({}));
+      const error = data?.error?.message || `${entry.method} ${entry.path} failed (${res.status})`;
+      await outboxRequest(db, "readwrite", (store) => store.put({ ...entry, status: "failed", error }));
+    }
+  }
+}
+
+// same body as the page sends: JSON, or a form with the text fields before the file
+function requestBody(entry) {
+  if (!entry.upload) return entry.body === undefined ? undefined : JSON.stringify(entry.body);
+  const form = new FormData();
+  for (const [k, v] of Object.entries(entry.upload.fields || {})) if (v !== undefined && v !== null && v !== "") form.append(k, v);
+  form.append(entry.upload.field, entry.upload.file);
+  return form;
+}
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function outboxRequest(db, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const req = makeRequest(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,22 @@
+// Who may change what inside a trip. Organizers can change anything; members
+// can only change their own travel details, checklist and the things they added.
+
+// person fields a member may change on their own row
+export const MEMBER_FIELDS = ['eta', 'transport', 'notes', 'email', 'tasks'];
+
+export function isOrganizer(me) {
+  return !!me?.organizer;
+}
+
+// true when `me` owns the row (their own task, expense or photo) or is an organizer
+export function canManage(me, ownerId) {
+  return isOrganizer(me) || (ownerId != null && Number(ownerId) === me.id);
+}
+
+// returns the fields of a person update that `me` may not change; empty means allowed
+export function forbiddenFields(me, personId, body) {
+  const fields = Object.keys(body);
+  if (isOrganizer(me)) return [];
+  if (Number(personId) !== me.id) return fields;
+  return fields.filter((f) => !MEMBER_FIELDS.includes(f));
+}
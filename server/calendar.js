@@ -0,0 +1,141 @@
+// iCalendar (RFC 5545) feed for a trip: the trip start, each person's arrival,
+// itinerary events and task due dates. UIDs only depend on row ids, so calendar apps that re-fetch the
+// feed update the events they already have instead of adding copies.
+
+const PRODID = '-//Trip Prep Tracker//Calendar//EN';
+const UID_DOMAIN = 'trip-prep';
+
+// TEXT values escape backslashes, semicolons, commas and line breaks
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// lines longer than 75 octets continue on the next line after a single space;
+// never split inside a multi-byte character
+function fold(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// trip dates and ETAs are wall-clock times without a zone ("2025-08-12T20:00"), so they
+// become floating times. Returns null for anything that isn't a date.
+function dateTime(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(value || '');
+  return m ? `${m[1]}${m[2]}${m[3]}T${m[4]}${m[5]}${m[6] || '00'}` : null;
+}
+
+function date(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+  return m ? `${m[1]}${m[2]}${m[3]}` : null;
+}
+
+function utcStamp(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// a due date is an all-day event ending the next day, as DTEND is exclusive
+function nextDay(yyyymmdd) {
+  const d = new Date(Date.UTC(+yyyymmdd.slice(0, 4), +yyyymmdd.slice(4, 6) - 1, +yyyymmdd.slice(6, 8) + 1));
+  return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function event({ uid, stamp, start, end, duration, summary, description, location }) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    start,
+    end,
+    duration && `DURATION:${duration}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+export function tripCalendar({ trip, people, tasks, itinerary = [], now = new Date() }) {
+  const stamp = utcStamp(now);
+  const events = [];
+  const start = dateTime(trip.trip_date);
+  if (start) {
+    events.push(
+      event({ uid: `trip-${trip.id}`, stamp, start: `DTSTART:${start}`, duration: 'PT1H', summary: trip.title, description: `${people.length} going`, location: trip.location })
+    );
+  }
+  for (const p of people) {
+    const eta = dateTime(p.eta);
+    if (!eta) continue;
+    events.push(
+      event({
+        uid: `trip-${trip.id}-arrival-${p.id}`,
+        stamp,
+        start: `DTSTART:${eta}`,
+        duration: 'PT30M',
+        summary: `${p.name} arrives (${p.transport})`,
+        description: p.notes,
+        location: trip.location,
+      })
+    );
+  }
+  for (const e of itinerary) {
+    const from = dateTime(e.starts_at);
+    if (!from) continue;
+    const to = dateTime(e.ends_at);
+    events.push(
+      event({
+        uid: `trip-${trip.id}-event-${e.id}`,
+        stamp,
+        start: `DTSTART:${from}`,
+        end: to && to > from ? `DTEND:${to}` : null,
+        duration: to && to > from ? null : 'PT1H',
+        summary: e.title,
+        description: e.notes,
+        location: e.place || trip.location,
+      })
+    );
+  }
+  for (const t of tasks) {
+    const due = date(t.due_date);
+    if (!due) continue;
+    const owner = t.person_id && people.find((p) => p.id === t.person_id);
+    events.push(
+      event({
+        uid: `trip-${trip.id}-task-${t.id}`,
+        stamp,
+        start: `DTSTART;VALUE=DATE:${due}`,
+        end: `DTEND;VALUE=DATE:${nextDay(due)}`,
+        summary: owner ? `${t.title} due (${owner.name})` : `${t.title} due`,
+        description: t.description,
+      })
+    );
+  }
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `NAME:${escapeText(trip.title)}`,
+    `X-WR-CALNAME:${escapeText(trip.title)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,48 @@
+// Photo processing for gallery uploads: sniffs the real file type, auto-orients,
+// drops all metadata (GPS included) and renders the smaller sizes the grid uses.
+import crypto from 'crypto';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+
+export const SIZES = { thumb: 320, medium: 1280 };
+
+const SIGNATURES = {
+  jpeg: [0xff, 0xd8, 0xff],
+  png: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+};
+
+// returns 'jpeg', 'png' or null based on the file's first bytes, whatever its name says
+export function sniffImageType(buffer) {
+  for (const [type, bytes] of Object.entries(SIGNATURES)) {
+    if (buffer.length >= bytes.length && bytes.every((b, i) => buffer[i] === b)) return type;
+  }
+  return null;
+}
+
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// EXIF dates carry no zone; keep them as the camera's local wall-clock time
+function takenAt(exif) {
+  if (!exif) return null;
+  try {
+    const data = exifReader(exif);
+    const date = data.Photo?.DateTimeOriginal || data.Image?.DateTime;
+    return date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 19) : null;
+  } catch {
+    return null;
+  }
+}
+
+// sharp leaves metadata out of its output unless asked, so every buffer returned here is stripped
+export async function processImage(buffer, type) {
+  const meta = await sharp(buffer).metadata();
+  const encode = (img) => (type === 'png' ? img.png() : img.jpeg({ quality: 90 }));
+  const { data: original, info } = await encode(sharp(buffer).rotate()).toBuffer({ resolveWithObject: true });
+  const variants = {};
+  for (const [name, size] of Object.entries(SIZES)) {
+    variants[name] = await sharp(original).resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true }).webp({ quality: 80 }).toBuffer();
+  }
+  return { original, variants, width: info.width, height: info.height, takenAt: takenAt(meta.exif) };
+}
@@ -4,113 +4,2444 @@ import multer from 'multer';
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SPLIT_MODES, computeBalances, convertExpense, settle, validateSplit } from './ledger.js';
+import { contentHash, processImage, sniffImageType } from './images.js';
+import { canManage, forbiddenFields, isOrganizer } from './access.js';
+import { tripCalendar } from './calendar.js';
+import { shareSnapshot, sharePage, shareUnavailablePage } from './share.js';
+import { notifiersFromEnv } from './notifiers.js';
+import { REMINDER_RULES, dueReminders, ruleSettings } from './reminders.js';
+import { ROSTER_FIELDS, guessMapping, parseCsv, planRosterImport, rosterCsv } from './roster.js';
+import { migrate } from './migrate.js';
+import { ApiError, bool, checkFields, currency, date, dateTime, email, instant, isIsoDate, isObject, number, oneOf, parseBody, text, withErrors } from './validation.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// where the web app runs; only used to print invite links
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+// how often reminder rules are checked
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES || 15);
 
-app.use(cors());
+// clients read a person's version from the row; the ETag header is for scripts
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// run as `node index.js` it serves; imported (by the self-tests) it only sets up `app`
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
 // ensure uploads directory exists
-const uploadDir = path.join(__dirname, 'uploads');
+const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 fs.mkdirSync(uploadDir, { recursive: true });
-app.use('/uploads', express.static(uploadDir));
 
 // sqlite database setup
-const db = new Database(path.join(__dirname, 'data.db'));
-
-db.prepare(`CREATE TABLE IF NOT EXISTS people (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT,
-  task_status TEXT,
-  transport_type TEXT,
-  eta TEXT,
-  payment_status TEXT
-)`).run();
-
-db.prepare(`CREATE TABLE IF NOT EXISTS gallery (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  filename TEXT,
-  url TEXT,
-  uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP
-)`).run();
-
-// seed sample people on first run
-const { c: peopleCount } = db.prepare('SELECT COUNT(*) as c FROM people').get();
-if (peopleCount === 0) {
-  const seed = db.prepare('INSERT INTO people (name, task_status, transport_type, eta, payment_status) VALUES (?, ?, ?, ?, ?)');
-  seed.run('Alice', 'pending', 'car', '', 'unpaid');
-  seed.run('Bob', 'pending', 'plane', '', 'unpaid');
-}
-
-// file upload config
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, `${unique}${ext}`);
+const db = new Database(process.env.DB_FILE || path.join(__dirname, 'data.db'));
+
+db.pragma('foreign_keys = ON');
+
+// the schema lives in migrations/; bring this database up to date before serving
+await migrate(db, { log: isMain ? console.log : () => {} });
+
+// the change feed keeps 7 days; each trip remembers the last id pruned from it, and clients
+// that missed more than that are told to resync
+const pruneEvents = db.transaction(() => {
+  const { cutoff } = db.prepare("SELECT datetime('now', '-7 days') as cutoff").get();
+  db.prepare(`INSERT INTO event_horizons (trip_id, pruned_to)
+    SELECT trip_id, MAX(id) FROM events WHERE created_at < ? GROUP BY trip_id
+    ON CONFLICT (trip_id) DO UPDATE SET pruned_to = MAX(pruned_to, excluded.pruned_to)`).run(cutoff);
+  db.prepare('DELETE FROM events WHERE created_at < ?').run(cutoff);
+});
+if (isMain) {
+  pruneEvents();
+  setInterval(pruneEvents, 60 * 60 * 1000);
+}
+
+const TRANSPORTS = ['Car', 'Plane', 'Train', 'Bus', 'Ship'];
+const ROLES = ['boy', 'lady'];
+const DEFAULT_TASKS = { packing: 'Packing', id: 'ID/License', toiletries: 'Toiletries' };
+const newToken = () => crypto.randomBytes(18).toString('base64url');
+
+// trip helpers
+// person fields the room planner can keep rooms uniform by ('' for none)
+const ROOM_GROUPINGS = ['', 'role', 'transport'];
+
+function serializeTrip(row) {
+  return { ...row, archived: !!row.archived };
+}
+
+// the invite and calendar tokens are for organizers, the only ones who can replace them.
+// Events go to every member, so they get the trip as `me` null would.
+function tripFor(me, trip) {
+  if (isOrganizer(me)) return trip;
+  const { invite_token: _invite, calendar_token: _calendar, ...rest } = trip;
+  return rest;
+}
+
+function getTrip(id) {
+  const row = db.prepare('SELECT * FROM trips WHERE id = ?').get(id);
+  return row ? serializeTrip(row) : null;
+}
+
+const TRIP_SCHEMA = {
+  title: text({ label: 'Title', blank: false, max: 120 }),
+  location: text({ label: 'Location' }),
+  trip_date: dateTime({ label: 'Trip date' }),
+  budget_per_person: number({ label: 'Budget per person', min: 0, max: 1e6 }),
+  gallery_query: text({ label: 'Gallery theme' }),
+  archived: bool({ label: 'Archived' }),
+  currency: currency(),
+  room_grouping: oneOf(ROOM_GROUPINGS, { label: 'Room grouping' }),
+  notes: text({ label: 'Notes', max: 5000 }),
+};
+
+// validates the editable trip fields and turns them into column values
+function tripColumns(body, options) {
+  return checkFields(body, TRIP_SCHEMA, options);
+}
+
+// new trips start with the classic packing/ID/toiletries checklist unless told otherwise
+function createTrip(body, { defaultTasks = true } = {}) {
+  const { columns } = tripColumns(body);
+  columns.invite_token = newToken();
+  columns.calendar_token = newToken();
+  const keys = Object.keys(columns);
+  const result = db
+    .prepare(`INSERT INTO trips (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+    .run(...keys.map((k) => columns[k]));
+  if (defaultTasks) {
+    for (const title of Object.values(DEFAULT_TASKS)) createTask(result.lastInsertRowid, { title });
+  }
+  return result.lastInsertRowid;
+}
+
+// task helpers
+const TASK_SCHEMA = {
+  title: text({ label: 'Title', blank: false }),
+  description: text({ label: 'Description', max: 2000 }),
+  due_date: date({ label: 'Due date' }),
+};
+
+function getTask(tripId, id) {
+  return db.prepare('SELECT * FROM tasks WHERE id = ? AND trip_id = ?').get(id, tripId) || null;
+}
+
+// validates the editable task fields and turns them into column values
+function taskColumns(body, options) {
+  return checkFields(body, TASK_SCHEMA, options);
+}
+
+function createTask(tripId, body) {
+  const { columns } = taskColumns(body);
+  const { p } = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) as p FROM tasks WHERE trip_id = ?').get(tripId);
+  Object.assign(columns, { trip_id: tripId, person_id: body.person_id ?? null, position: p });
+  const keys = Object.keys(columns);
+  const result = db
+    .prepare(`INSERT INTO tasks (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+    .run(...keys.map((k) => columns[k]));
+  return result.lastInsertRowid;
+}
+
+// people helpers
+const selectPersonTasks = db.prepare(`SELECT t.id, c.task_id IS NOT NULL as done FROM tasks t
+  LEFT JOIN task_completions c ON c.task_id = t.id AND c.person_id = ?
+  WHERE t.trip_id = ? AND (t.person_id IS NULL OR t.person_id = ?)
+  ORDER BY t.position, t.id`);
+const markTaskDone = db.prepare('INSERT OR IGNORE INTO task_completions (task_id, person_id) VALUES (?, ?)');
+const markTaskTodo = db.prepare('DELETE FROM task_completions WHERE task_id = ? AND person_id = ?');
+const selectClaimed = db.prepare('SELECT 1 FROM session_people WHERE person_id = ? LIMIT 1');
+
+// tasks is a { [taskId]: done } map of every trip-wide task plus the person's own;
+// claimed means someone has joined as this person through the invite link
+function serializePerson(row) {
+  const tasks = {};
+  for (const t of selectPersonTasks.all(row.id, row.trip_id, row.id)) tasks[t.id] = !!t.done;
+  return { ...row, paid: !!row.paid, organizer: !!row.organizer, claimed: !!selectClaimed.get(row.id), tasks };
+}
+
+// returns the first id in a { [taskId]: done } map that isn't one of the allowed task ids
+function unknownTaskId(tasks, allowedIds) {
+  const allowed = new Set(allowedIds.map(String));
+  return Object.keys(tasks || {}).find((id) => !allowed.has(id));
+}
+
+function tripWideTaskIds(tripId) {
+  return db.prepare('SELECT id FROM tasks WHERE trip_id = ? AND person_id IS NULL').all(tripId).map((t) => t.id);
+}
+
+// applies a partial { [taskId]: done } map
+function setPersonTasks(personId, tasks) {
+  for (const [taskId, done] of Object.entries(tasks)) {
+    if (done) markTaskDone.run(taskId, personId);
+    else markTaskTodo.run(taskId, personId);
+  }
+}
+
+function getPerson(tripId, id) {
+  const row = db.prepare('SELECT * FROM people WHERE id = ? AND trip_id = ?').get(id, tripId);
+  return row ? serializePerson(row) : null;
+}
+
+// a person's version goes up with every change to the row, so it serves as the ETag
+const personEtag = (person) => `"${person.version}"`;
+
+// If-Match is "*" or a list of ETags, which may be weak (W/"3"); without one any version will do
+function ifMatch(req, etag) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
+
+const PERSON_SCHEMA = {
+  name: text({ label: 'Name', blank: false, max: 80 }),
+  role: oneOf(ROLES, { label: 'Role' }),
+  organizer: bool({ label: 'Organizer' }),
+  paid: bool({ label: 'Paid' }),
+  amount: number({ label: 'Amount', min: 0, max: 1e6 }),
+  currency: currency(),
+  transport: oneOf(TRANSPORTS, { label: 'Transport' }),
+  eta: dateTime({ label: 'ETA' }),
+  notes: text({ label: 'Notes', max: 2000 }),
+  email: email(),
+};
+
+// validates the editable person fields and turns them into column values.
+// `currencies` are the codes the trip has rates for; without it any code passes.
+function personColumns(body, currencies = null, options) {
+  const { columns, error, fields = {} } = checkFields(body, PERSON_SCHEMA, options);
+  // a body that isn't an object has no field errors to add to
+  if (!fields) return { columns, error, fields };
+  if (currencies && columns.currency && !currencies.includes(columns.currency)) {
+    fields.currency = `There is no exchange rate for ${columns.currency} yet`;
+    delete columns.currency;
+  }
+  if (body && 'tasks' in body && (typeof body.tasks !== 'object' || body.tasks === null || Array.isArray(body.tasks))) {
+    fields.tasks = 'Tasks must be an object of task ids to booleans';
+  }
+  return withErrors(columns, fields);
+}
+
+function createPerson(tripId, body) {
+  const { columns } = personColumns(body);
+  columns.trip_id = tripId;
+  columns.currency ??= getTrip(tripId).currency;
+  const keys = Object.keys(columns);
+  const result = db
+    .prepare(`INSERT INTO people (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+    .run(...keys.map((k) => columns[k]));
+  if (body.tasks) setPersonTasks(result.lastInsertRowid, body.tasks);
+  return result.lastInsertRowid;
+}
+
+// logistics helpers
+const DRIVER_SCHEMA = {
+  seats: number({ label: 'Seats', min: 0, max: 50, integer: true }),
+  departs_from: text({ label: 'Departs from' }),
+  departs_at: dateTime({ label: 'Departure time' }),
+};
+const DRIVER_FIELDS = Object.keys(DRIVER_SCHEMA);
+
+function getLogistics(tripId) {
+  return {
+    drivers: db.prepare('SELECT * FROM drivers WHERE trip_id = ? ORDER BY person_id').all(tripId),
+    rides: db.prepare('SELECT rider_id, driver_id FROM rides WHERE trip_id = ? ORDER BY rider_id').all(tripId),
+  };
+}
+
+// validates the editable driver fields and turns them into column values
+function driverColumns(body, options) {
+  return checkFields(body, DRIVER_SCHEMA, options);
+}
+
+// itinerary helpers
+const EVENT_SCHEMA = {
+  title: text({ label: 'Title', blank: false }),
+  starts_at: dateTime({ label: 'Start', blank: false }),
+  ends_at: dateTime({ label: 'End' }),
+  place: text({ label: 'Place' }),
+  notes: text({ label: 'Notes', max: 2000 }),
+  cost: number({ label: 'Cost', min: 0, max: 1e6 }),
+};
+const RSVP_STATUSES = ['going', 'maybe', 'no'];
+const selectRsvps = db.prepare('SELECT person_id, status FROM rsvps WHERE event_id = ?');
+
+// rsvps is a { [personId]: 'going' | 'maybe' | 'no' } map; people who haven't answered are left out
+function serializeEvent(row) {
+  return { ...row, rsvps: Object.fromEntries(selectRsvps.all(row.id).map((r) => [r.person_id, r.status])) };
+}
+
+function getEvent(tripId, id) {
+  const row = db.prepare('SELECT * FROM itinerary WHERE id = ? AND trip_id = ?').get(id, tripId);
+  return row ? serializeEvent(row) : null;
+}
+
+function listItinerary(tripId) {
+  return db.prepare('SELECT * FROM itinerary WHERE trip_id = ? ORDER BY starts_at, id').all(tripId).map(serializeEvent);
+}
+
+// validates the editable event fields against the event they change (if any) and turns
+// them into column values; the end, when set, can't come before the start
+function eventColumns(body, existing = {}, options) {
+  const { columns, error, fields = {} } = checkFields(body, EVENT_SCHEMA, options);
+  if (!fields) return { columns, error, fields };
+  const { starts_at: start, ends_at: end } = { ...existing, ...columns };
+  if (start && end && Date.parse(end) < Date.parse(start)) fields.ends_at ??= 'End must be after the start';
+  return withErrors(columns, fields);
+}
+
+// currency helpers
+const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Za-z]{3}$/.test(code);
+
+function getRates(tripId) {
+  const rows = db.prepare('SELECT currency, rate, updated_at FROM exchange_rates WHERE trip_id = ? ORDER BY currency').all(tripId);
+  return {
+    rates: Object.fromEntries(rows.map((r) => [r.currency, r.rate])),
+    updated_at: rows.reduce((latest, r) => (r.updated_at > latest ? r.updated_at : latest), '') || null,
+  };
+}
+
+// the trip currency plus every currency it has a rate for
+function tripCurrencies(tripId) {
+  return [getTrip(tripId).currency, ...Object.keys(getRates(tripId).rates)];
+}
+
+// people and expenses recorded in a currency, for messages like "EUR is still used by ..."
+function currencyUsers(tripId, currency) {
+  const people = db.prepare('SELECT name FROM people WHERE trip_id = ? AND currency = ? AND amount != 0').all(tripId, currency).map((p) => p.name);
+  const expenses = db.prepare('SELECT description FROM expenses WHERE trip_id = ? AND currency = ?').all(tripId, currency).map((e) => e.description || 'an expense');
+  return [...people.map((name) => `${name}'s payment`), ...expenses];
+}
+
+// shared gear helpers
+const GEAR_SCHEMA = {
+  name: text({ label: 'Name', blank: false }),
+  category: text({ label: 'Category', max: 60 }),
+  quantity: number({ label: 'Quantity', min: 1, max: 99, integer: true }),
+};
+const selectClaims = db.prepare('SELECT person_id, quantity, packed FROM gear_claims WHERE item_id = ? ORDER BY rowid');
+
+function serializeGear(row) {
+  return { ...row, claims: selectClaims.all(row.id).map((c) => ({ ...c, packed: !!c.packed })) };
+}
+
+function getGear(tripId, id) {
+  const row = db.prepare('SELECT * FROM gear WHERE id = ? AND trip_id = ?').get(id, tripId);
+  return row ? serializeGear(row) : null;
+}
+
+function listGear(tripId) {
+  return db.prepare('SELECT * FROM gear WHERE trip_id = ? ORDER BY category, name COLLATE NOCASE, id').all(tripId).map(serializeGear);
+}
+
+// validates the editable item fields and turns them into column values
+function gearColumns(body, options) {
+  return checkFields(body, GEAR_SCHEMA, options);
+}
+
+// a claim: { quantity, packed }, both optional
+const CLAIM_SCHEMA = {
+  quantity: GEAR_SCHEMA.quantity,
+  packed: bool({ label: 'Packed' }),
+};
+
+// room helpers
+const BED_SCHEMA = {
+  label: text({ label: 'Bed label', blank: false, max: 60 }),
+  capacity: number({ label: 'Capacity', min: 1, max: 10, integer: true }),
+};
+const ROOM_SCHEMA = { name: text({ label: 'Name', blank: false, max: 60 }) };
+const ROOM_RULE_KINDS = ['together', 'apart'];
+
+// the whole plan in one payload, like getLogistics: rooms with their beds, who sleeps in
+// which bed and the together/apart rules. Suggestions and warnings are worked out in the app.
+function getRooms(tripId) {
+  const beds = db.prepare('SELECT beds.* FROM beds JOIN rooms ON rooms.id = beds.room_id WHERE rooms.trip_id = ? ORDER BY beds.id').all(tripId);
+  return {
+    rooms: db
+      .prepare('SELECT * FROM rooms WHERE trip_id = ? ORDER BY id')
+      .all(tripId)
+      .map((room) => ({ ...room, beds: beds.filter((b) => b.room_id === room.id) })),
+    sleepers: db.prepare('SELECT person_id, bed_id FROM sleepers WHERE trip_id = ? ORDER BY person_id').all(tripId),
+    rules: db
+      .prepare('SELECT id, kind, person_a, person_b FROM room_rules WHERE trip_id = ? ORDER BY id')
+      .all(tripId)
+      .map(({ person_a, person_b, ...rule }) => ({ ...rule, person_ids: [person_a, person_b] })),
+  };
+}
+
+function getRoom(tripId, id) {
+  return db.prepare('SELECT * FROM rooms WHERE id = ? AND trip_id = ?').get(id, tripId);
+}
+
+function getBed(tripId, id) {
+  return db
+    .prepare('SELECT beds.*, rooms.name AS room_name FROM beds JOIN rooms ON rooms.id = beds.room_id WHERE beds.id = ? AND rooms.trip_id = ?')
+    .get(id, tripId);
+}
+
+// "Loft, bunk top" for the activity log
+const bedName = (bed) => (bed ? `${bed.room_name}, ${bed.label}` : null);
+
+function bedColumns(body, options) {
+  return checkFields(body, BED_SCHEMA, options);
+}
+
+// poll helpers
+const POLL_KINDS = ['single', 'multi', 'date'];
+const POLL_SCHEMA = {
+  question: text({ label: 'Question', blank: false }),
+  closes_at: dateTime({ label: 'Deadline' }),
+  closed: bool({ label: 'Closed' }),
+};
+// only set when the poll is created
+const NEW_POLL_SCHEMA = {
+  ...POLL_SCHEMA,
+  kind: oneOf(POLL_KINDS, { label: 'Kind' }),
+  anonymous: bool({ label: 'Anonymous' }),
+};
+const selectPollOptions = db.prepare('SELECT id, label FROM poll_options WHERE poll_id = ? ORDER BY position, id');
+const selectPollVotes = db.prepare('SELECT option_id, person_id FROM poll_votes WHERE poll_id = ? ORDER BY rowid');
+
+// closed by hand, or its deadline has passed
+function pollClosed(row, now = Date.now()) {
+  const deadline = row.closes_at ? new Date(row.closes_at).getTime() : NaN;
+  return !!row.closed || deadline <= now;
+}
+
+// the same payload goes to everyone, so anonymous polls carry counts but no voter ids.
+// With `viewer`, `mine` lists the option ids that person voted for.
+function serializePoll(row, viewer = null) {
+  const votes = selectPollVotes.all(row.id);
+  const poll = {
+    ...row,
+    anonymous: !!row.anonymous,
+    closed: pollClosed(row),
+    voters: new Set(votes.map((v) => v.person_id)).size,
+    options: selectPollOptions.all(row.id).map((o) => {
+      const ids = votes.filter((v) => v.option_id === o.id).map((v) => v.person_id);
+      return row.anonymous ? { ...o, votes: ids.length } : { ...o, votes: ids.length, voter_ids: ids };
+    }),
+  };
+  if (viewer) poll.mine = votes.filter((v) => v.person_id === viewer.id).map((v) => v.option_id);
+  return poll;
+}
+
+function getPoll(tripId, id) {
+  return db.prepare('SELECT * FROM polls WHERE id = ? AND trip_id = ?').get(id, tripId) || null;
+}
+
+function listPolls(tripId, viewer = null) {
+  return db
+    .prepare('SELECT * FROM polls WHERE trip_id = ? ORDER BY id DESC')
+    .all(tripId)
+    .map((row) => serializePoll(row, viewer));
+}
+
+// validates question, closes_at and closed, plus kind, anonymous and options when creating
+function pollColumns(body, creating) {
+  if (!creating) return checkFields(body, POLL_SCHEMA);
+  const { columns, fields = {} } = checkFields({ kind: 'single', ...body }, NEW_POLL_SCHEMA, { required: ['question'] });
+  const options = Array.isArray(body.options) ? body.options.map((o) => String(o ?? '').trim()).filter(Boolean) : [];
+  if (options.length < 2 || options.length > 20) fields.options = 'A poll needs from 2 to 20 options';
+  else if (options.some((o) => o.length > 200)) fields.options = 'Options can be at most 200 characters';
+  else if (new Set(options.map((o) => o.toLowerCase())).size !== options.length) fields.options = 'Options must be different';
+  else if (columns.kind === 'date' && options.some((o) => !isIsoDate(o))) fields.options = 'Every option of a date poll must be a date like 2025-08-12';
+  return { ...withErrors(columns, fields), options };
+}
+
+// expense helpers
+const selectShares = db.prepare('SELECT person_id, share FROM expense_shares WHERE expense_id = ? ORDER BY rowid');
+
+function serializeExpense(row) {
+  return { ...row, participants: selectShares.all(row.id) };
+}
+
+function getExpense(tripId, id) {
+  const row = db.prepare('SELECT * FROM expenses WHERE id = ? AND trip_id = ?').get(id, tripId);
+  return row ? serializeExpense(row) : null;
+}
+
+function listExpenses(tripId) {
+  return db.prepare('SELECT * FROM expenses WHERE trip_id = ? ORDER BY created_at DESC, id DESC').all(tripId).map(serializeExpense);
+}
+
+const EXPENSE_SCHEMA = {
+  description: text({ label: 'Description' }),
+  amount: number({ label: 'Amount', min: 0.01, max: 1e6 }),
+  currency: currency(),
+  split_mode: oneOf(SPLIT_MODES, { label: 'Split mode' }),
+};
+
+// validates a full expense body against the trip's people; returns the normalized expense or an error
+function expenseInput(tripId, body) {
+  const { columns, fields = {} } = checkFields({ split_mode: 'equal', ...body }, EXPENSE_SCHEMA, { required: ['amount'] });
+  if (!getPerson(tripId, body?.payer_id)) fields.payer_id = 'Payer not found in this trip';
+  const currency = columns.currency || getTrip(tripId).currency;
+  if (!fields.currency && !tripCurrencies(tripId).includes(currency)) fields.currency = `There is no exchange rate for ${currency} yet`;
+  if (!Array.isArray(body?.participants)) fields.participants = 'Participants must be a list of { person_id, share }';
+  if (Object.keys(fields).length) return withErrors(columns, fields);
+  const expense = {
+    payer_id: Number(body.payer_id),
+    description: columns.description ?? '',
+    amount: columns.amount,
+    currency,
+    split_mode: columns.split_mode,
+    participants: body.participants.map((p) => ({
+      person_id: Number(p?.person_id),
+      share: columns.split_mode === 'equal' ? 1 : Number(p?.share),
+    })),
+  };
+  const error = validateSplit(expense);
+  if (error) return withErrors({}, { participants: error });
+  const stranger = expense.participants.find((p) => !getPerson(tripId, p.person_id));
+  if (stranger) return withErrors({}, { participants: `Participant ${stranger.person_id} not found in this trip` });
+  return { expense };
+}
+
+function saveExpenseShares(expenseId, participants) {
+  db.prepare('DELETE FROM expense_shares WHERE expense_id = ?').run(expenseId);
+  const insert = db.prepare('INSERT INTO expense_shares (expense_id, person_id, share) VALUES (?, ?, ?)');
+  for (const p of participants) insert.run(expenseId, p.person_id, p.share);
+}
+
+// balances and transfers are in the trip currency
+function tripBalances(tripId) {
+  const people = db.prepare('SELECT id FROM people WHERE trip_id = ? ORDER BY id').all(tripId);
+  const { currency } = getTrip(tripId);
+  const { rates } = getRates(tripId);
+  const expenses = listExpenses(tripId).map((e) => (e.currency === currency ? e : convertExpense(e, rates[e.currency])));
+  const balances = computeBalances(people, expenses);
+  return { balances, transfers: settle(balances) };
+}
+
+// gallery helpers
+function getPhoto(tripId, id) {
+  return (
+    db
+      .prepare(`SELECT g.*, p.name as uploader FROM gallery g LEFT JOIN people p ON p.id = g.person_id
+        WHERE g.id = ? AND g.trip_id = ?`)
+      .get(id, tripId) || null
+  );
+}
+
+// sessions: the browser sends its token as `Authorization: Bearer <token>`
+// (or ?access_token= where headers can't be set, like EventSource)
+function memberOf(token, tripId) {
+  return (
+    db
+      .prepare(`SELECT p.* FROM people p JOIN session_people s ON s.person_id = p.id
+        WHERE s.token = ? AND p.trip_id = ?`)
+      .get(token, tripId) || null
+  );
+}
+
+function serializeMe(person) {
+  return { id: person.id, name: person.name, organizer: !!person.organizer };
+}
+
+// links a person row to the session, creating the session if needed; returns the token
+function claimPerson(token, person) {
+  const sessionToken = token || newToken();
+  if (!token) db.prepare('INSERT INTO sessions (token) VALUES (?)').run(sessionToken);
+  db.prepare('DELETE FROM session_people WHERE token = ? AND person_id IN (SELECT id FROM people WHERE trip_id = ?)').run(sessionToken, person.trip_id);
+  db.prepare('INSERT INTO session_people (token, person_id) VALUES (?, ?)').run(sessionToken, person.id);
+  return sessionToken;
+}
+
+function organizerCount(tripId) {
+  return db.prepare('SELECT COUNT(*) as c FROM people WHERE trip_id = ? AND organizer = 1').get(tripId).c;
+}
+
+// activity helpers. `changes` is { field: [oldValue, newValue] }; values are stored as JSON
+const insertActivity = db.prepare(`INSERT INTO activity
+  (trip_id, actor_id, actor_name, action, entity, entity_id, entity_label, field, old_value, new_value)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+const toJson = (v) => (v === undefined || v === null ? null : JSON.stringify(v));
+
+function logActivity(req, { action, entity, id = null, label = '', changes = null }) {
+  const actor = req.me;
+  const add = (field, from, to) =>
+    insertActivity.run(req.trip.id, actor?.id ?? null, actor?.name ?? '', action, entity, id, label, field, toJson(from), toJson(to));
+  if (!changes) return add(null, null, null);
+  for (const [field, [from, to]] of Object.entries(changes)) {
+    if (JSON.stringify(from) !== JSON.stringify(to)) add(field, from, to);
   }
+}
+
+// { field: [before[field], after[field]] } for the given fields
+function diff(before, after, fields) {
+  return Object.fromEntries(fields.map((f) => [f, [before[f], after[f]]]));
+}
+
+function serializeActivity(row) {
+  return { ...row, old_value: row.old_value === null ? null : JSON.parse(row.old_value), new_value: row.new_value === null ? null : JSON.parse(row.new_value) };
+}
+
+// live updates: every change is stored in `events` and pushed to open
+// Server-Sent Events streams for the trip. `origin` is the X-Client-Id of the
+// browser that made the change, so it can skip its own echoes.
+const subscribers = new Map(); // tripId -> Set of responses
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function publishTo(tripId, type, data, origin = null) {
+  const result = db.prepare('INSERT INTO events (trip_id, type, data, origin) VALUES (?, ?, ?, ?)').run(tripId, type, JSON.stringify(data), origin);
+  const event = { id: Number(result.lastInsertRowid), type, data, origin };
+  for (const res of subscribers.get(tripId) || []) writeEvent(res, event);
+}
+
+function publish(req, type, data) {
+  publishTo(req.trip.id, type, data, req.get('X-Client-Id') || null);
+}
+
+// notifications: stored first, then handed to every notifier. The trip's event stream only
+// says who got one; their browser fetches its own inbox, so others never see the text.
+const notifiers = notifiersFromEnv(process.env, {
+  appUrl: APP_URL,
+  push: (n) => publishTo(n.trip_id, 'notification.created', { id: n.id, person_id: n.person_id }),
 });
+const selectDeliveries = db.prepare('SELECT channel, status, detail, delivered_at FROM notification_deliveries WHERE notification_id = ?');
+const saveDelivery = db.prepare(`INSERT OR REPLACE INTO notification_deliveries (notification_id, channel, status, detail)
+  VALUES (?, ?, ?, ?)`);
+
+function serializeNotification(row) {
+  return { ...row, deliveries: selectDeliveries.all(row.id) };
+}
+
+// returns the new notification, or null when a rule already fired for this person and key
+function queueNotification(trip, person, { kind, rule = null, key = null, subject, body, sender = null }) {
+  const result = db
+    .prepare(`INSERT OR IGNORE INTO notifications (trip_id, person_id, person_name, sender_name, kind, rule, rule_key, subject, body)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(trip.id, person.id, person.name, sender?.name ?? null, kind, rule, key, subject, body);
+  if (!result.changes) return null;
+  const notification = db.prepare('SELECT * FROM notifications WHERE id = ?').get(result.lastInsertRowid);
+  deliver(notification).catch((err) => console.error(`Notification ${notification.id} failed:`, err));
+  return notification;
+}
 
+// a notification counts as sent when at least one channel delivered it
+async function deliver(notification) {
+  const trip = getTrip(notification.trip_id);
+  const person = db.prepare('SELECT * FROM people WHERE id = ?').get(notification.person_id);
+  if (!trip || !person) {
+    db.prepare("UPDATE notifications SET status = 'failed' WHERE id = ?").run(notification.id);
+    return;
+  }
+  let sent = false;
+  for (const notifier of notifiers) {
+    try {
+      const result = await notifier.send(notification, person, trip);
+      saveDelivery.run(notification.id, notifier.channel, result.skipped ? 'skipped' : 'sent', result.skipped || result.detail || '');
+      sent ||= !result.skipped;
+    } catch (err) {
+      saveDelivery.run(notification.id, notifier.channel, 'failed', err.message);
+    }
+  }
+  db.prepare('UPDATE notifications SET status = ? WHERE id = ?').run(sent ? 'sent' : 'failed', notification.id);
+}
+
+function tripRuleSettings(tripId) {
+  return ruleSettings(db.prepare('SELECT * FROM reminder_rules WHERE trip_id = ?').all(tripId));
+}
+
+// checks every rule for one trip and queues what is due; returns the new notifications
+function runReminders(trip, now = Date.now()) {
+  const people = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(trip.id).map(serializePerson);
+  const tasks = db.prepare('SELECT * FROM tasks WHERE trip_id = ?').all(trip.id);
+  const due = dueReminders({ trip, people, tasks, settings: tripRuleSettings(trip.id), now });
+  return due
+    .map((r) => queueNotification(trip, people.find((p) => p.id === r.person_id), { kind: 'reminder', ...r }))
+    .filter(Boolean);
+}
+
+// file upload config; files stay in memory until they have been checked and processed
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
   fileFilter: (req, file, cb) => {
     const allowed = ['.jpg', '.jpeg', '.png'];
     const ext = path.extname(file.originalname).toLowerCase();
-    if (allowed.includes(ext)) cb(null, true); else cb(new Error('Invalid file type'));
+    if (allowed.includes(ext)) cb(null, true);
+    else cb(new ApiError(400, 'Invalid file type', { fields: { [file.fieldname]: 'Photos must be .jpg, .jpeg or .png files' } }));
   }
 });
 
+// Express 4 doesn't catch rejected promises; hand them to the error middleware
+const asyncRoute = (handler) => (req, res, next) => handler(req, res, next).catch(next);
+
 // routes
-app.get('/people', (req, res) => {
-  const rows = db.prepare('SELECT * FROM people').all();
+app.use((req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.access_token;
+  req.sessionToken = token && db.prepare('SELECT 1 FROM sessions WHERE token = ?').get(token) ? token : null;
+  next();
+});
+
+// only the trips this browser has joined, each with who "me" is there
+app.get('/trips', (req, res) => {
+  if (!req.sessionToken) return res.json([]);
+  const rows = db
+    .prepare(`SELECT t.*, p.id as me_id, p.name as me_name, p.organizer as me_organizer FROM trips t
+      JOIN people p ON p.trip_id = t.id JOIN session_people s ON s.person_id = p.id
+      WHERE s.token = ? ORDER BY t.archived, t.trip_date, t.id`)
+    .all(req.sessionToken);
+  res.json(
+    rows.map(({ me_id, me_name, me_organizer, ...trip }) => ({
+      ...tripFor({ organizer: me_organizer }, serializeTrip(trip)),
+      me: serializeMe({ id: me_id, name: me_name, organizer: me_organizer }),
+    }))
+  );
+});
+
+// whoever creates a trip becomes its first organizer; organizer_name defaults to
+// the name this browser used on its most recent trip
+app.post('/trips', (req, res) => {
+  const { error, fields } = tripColumns(req.body, { required: ['title'] });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const previous = req.sessionToken
+    ? db.prepare('SELECT p.name FROM people p JOIN session_people s ON s.person_id = p.id WHERE s.token = ? ORDER BY s.claimed_at DESC LIMIT 1').get(req.sessionToken)
+    : null;
+  const { organizer_name: name } = parseBody({ organizer_name: req.body.organizer_name || previous?.name || '' }, {
+    organizer_name: text({ label: 'Your name', blank: false, max: 80 }),
+  });
+  const { id, token, personId } = db.transaction(() => {
+    const tripId = createTrip(req.body);
+    const person = getPerson(tripId, createPerson(tripId, { name, organizer: true }));
+    return { id: tripId, token: claimPerson(req.sessionToken, person), personId: person.id };
+  })();
+  res.status(201).json({ ...getTrip(id), me: serializeMe(getPerson(id, personId)), token });
+});
+
+// invite links: anyone holding a trip's invite token can see its roster and claim an
+// unclaimed person. The first person to join a trip without an organizer becomes one.
+function tripByInvite(token) {
+  return db.prepare('SELECT * FROM trips WHERE invite_token = ?').get(token) || null;
+}
+
+app.get('/invites/:token', (req, res) => {
+  const trip = tripByInvite(req.params.token);
+  if (!trip) {
+    throw new ApiError(404, 'Invite not found');
+  }
+  const people = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(trip.id).map(serializePerson);
+  res.json({
+    trip: { id: trip.id, title: trip.title, location: trip.location, trip_date: trip.trip_date },
+    people: people.map((p) => ({ id: p.id, name: p.name, claimed: p.claimed })),
+  });
+});
+
+app.post('/invites/:token/claim', (req, res) => {
+  const trip = tripByInvite(req.params.token);
+  if (!trip) {
+    throw new ApiError(404, 'Invite not found');
+  }
+  const person = getPerson(trip.id, req.body.person_id);
+  if (!person) {
+    throw new ApiError(400, 'Person not found in this trip', { fields: { person_id: 'Pick someone from the roster' } });
+  }
+  if (person.claimed && memberOf(req.sessionToken, trip.id)?.id !== person.id) {
+    throw new ApiError(409, `${person.name} has already joined. Ask an organizer to reset their invite.`);
+  }
+  const token = db.transaction(() => {
+    if (organizerCount(trip.id) === 0) db.prepare('UPDATE people SET organizer = 1, version = version + 1 WHERE id = ?').run(person.id);
+    return claimPerson(req.sessionToken, person);
+  })();
+  const claimed = getPerson(trip.id, person.id);
+  req.trip = trip;
+  req.me = claimed;
+  logActivity(req, { action: 'join', entity: 'person', id: claimed.id, label: claimed.name });
+  publish(req, 'person.updated', { person: claimed, changes: { claimed: true } });
+  res.json({ token, trip_id: trip.id, me: serializeMe(claimed) });
+});
+
+// calendar apps can't send a session, so the feed also opens with the trip's calendar
+// token as ?key=. That token only reads the calendar and can be replaced by an organizer.
+app.get('/trips/:tripId/calendar.ics', (req, res) => {
+  const trip = getTrip(req.params.tripId);
+  if (!trip) {
+    throw new ApiError(404, 'Trip not found');
+  }
+  if (req.query.key !== trip.calendar_token && !memberOf(req.sessionToken, trip.id)) {
+    throw new ApiError(401, 'This calendar link is no longer valid');
+  }
+  const people = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(trip.id);
+  const tasks = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(trip.id);
+  const itinerary = db.prepare('SELECT * FROM itinerary WHERE trip_id = ? ORDER BY starts_at, id').all(trip.id);
+  const filename = `${trip.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip'}.ics`;
+  res.type('text/calendar').set('Content-Disposition', `inline; filename="${filename}"`).send(tripCalendar({ trip, people, tasks, itinerary }));
+});
+
+// share links: anyone holding one sees a read-only snapshot of the trip, as a page or, with
+// Accept: application/json, as JSON. Links can hide amounts and notes, expire and be revoked.
+function shareStatus(link, now = Date.now()) {
+  if (link.revoked_at) return 'revoked';
+  if (link.expires_at && Date.parse(link.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+app.get('/share/:token', (req, res) => {
+  const link = db.prepare('SELECT * FROM share_links WHERE token = ?').get(req.params.token);
+  const status = link ? shareStatus(link) : 'missing';
+  if (status !== 'active') {
+    const [code, message] = status === 'missing' ? [404, 'This share link does not exist'] : [410, `This share link has been ${status === 'revoked' ? 'turned off' : 'expired'}. Ask the trip's organizers for a new one.`];
+    if (req.accepts(['html', 'json']) === 'html') return res.status(code).type('html').send(shareUnavailablePage(message));
+    throw new ApiError(code, message);
+  }
+  const trip = getTrip(link.trip_id);
+  const people = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(trip.id).map(serializePerson);
+  const tasks = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(trip.id);
+  const photos = db
+    .prepare(`SELECT g.*, p.name as uploader FROM gallery g LEFT JOIN people p ON p.id = g.person_id
+      WHERE g.trip_id = ? ORDER BY g.uploaded_at DESC, g.id DESC`)
+    .all(trip.id);
+  const snapshot = shareSnapshot({ trip, people, tasks, photos, link });
+  // revoking has to take effect right away, and the token shouldn't travel in Referer
+  res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer', 'X-Robots-Tag': 'noindex' });
+  res.format({
+    html: () => res.send(sharePage(snapshot)),
+    json: () => res.json(snapshot),
+  });
+});
+
+// photos are only for the members of their trip and for that trip's share links. <img> can't
+// send a session header, so it comes as ?access_token=, or a share link's token as ?share=.
+// Older uploads kept the file's own extension, e.g. .jpeg or .JPG.
+const UPLOAD_NAME = /^\d+-\d+(-thumb|-medium)?\.(jpe?g|png|webp)$/i;
+
+app.get('/uploads/:file', (req, res, next) => {
+  const { file } = req.params;
+  const photo =
+    UPLOAD_NAME.test(file) &&
+    db.prepare('SELECT trip_id FROM gallery WHERE url LIKE @name OR thumb_url LIKE @name OR medium_url LIKE @name').get({ name: `%/uploads/${file}` });
+  if (!photo) {
+    throw new ApiError(404, 'Photo not found');
+  }
+  if (!memberOf(req.sessionToken, photo.trip_id)) {
+    const link = req.query.share && db.prepare('SELECT * FROM share_links WHERE token = ? AND trip_id = ?').get(req.query.share, photo.trip_id);
+    if (link && shareStatus(link) !== 'active') {
+      throw new ApiError(410, `This share link has been ${shareStatus(link) === 'revoked' ? 'turned off' : 'expired'}`);
+    }
+    if (!link) {
+      throw new ApiError(req.sessionToken ? 403 : 401, req.sessionToken ? "This photo is from a trip you haven't joined" : 'Sign in to see this photo');
+    }
+  }
+  // the name is new for every upload, so the file never changes
+  res.set('Cache-Control', 'private, max-age=31536000, immutable');
+  res.sendFile(path.join(uploadDir, file), (err) => {
+    if (err && !res.headersSent) next(new ApiError(404, 'Photo not found'));
+  });
+});
+
+// everything below is scoped to one trip; unknown trip ids stop here
+const tripRouter = express.Router({ mergeParams: true });
+app.use('/trips/:tripId', tripRouter);
+
+tripRouter.use((req, res, next) => {
+  req.trip = getTrip(req.params.tripId);
+  if (!req.trip) {
+    throw new ApiError(404, 'Trip not found');
+  }
+  req.me = req.sessionToken ? memberOf(req.sessionToken, req.trip.id) : null;
+  if (!req.me) {
+    throw new ApiError(401, 'Join this trip with its invite link first');
+  }
+  next();
+});
+
+function organizerOnly(req, res, next) {
+  if (!isOrganizer(req.me)) {
+    throw new ApiError(403, 'Only organizers can do that');
+  }
+  next();
+}
+
+tripRouter.get('/', (req, res) => {
+  res.json({ ...tripFor(req.me, req.trip), me: serializeMe(req.me) });
+});
+
+tripRouter.patch('/', organizerOnly, (req, res) => {
+  const { columns, error, fields } = tripColumns(req.body);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  const rebase = columns.currency && columns.currency !== req.trip.currency ? currencyChange(req.trip, columns.currency) : null;
+  if (rebase?.error) {
+    throw new ApiError(400, rebase.error);
+  }
+  db.transaction(() => {
+    db.prepare(`UPDATE trips SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), req.trip.id);
+    rebase?.apply();
+  })();
+  const trip = getTrip(req.trip.id);
+  logActivity(req, { action: 'update', entity: 'trip', id: trip.id, label: trip.title, changes: diff(req.trip, trip, keys) });
+  publish(req, 'trip.updated', { trip: tripFor(null, trip) });
+  // rates, the budget, itinerary costs and balances all moved to the new currency
+  if (rebase) publish(req, 'resync', {});
+  res.json(trip);
+});
+
+// switching the trip to another currency. With a rate for the new currency, every rate is
+// re-expressed against it and trip-currency amounts (budget, itinerary costs) are converted.
+// Without one, that only works while no money has been recorded yet.
+function currencyChange(trip, currency) {
+  const { rates } = getRates(trip.id);
+  const rate = rates[currency];
+  if (!rate && currencyUsers(trip.id, trip.currency).length) {
+    return { error: `Add an exchange rate for ${currency} before making it the trip currency` };
+  }
+  const round = (n) => Math.round(n * 100) / 100;
+  return {
+    apply() {
+      if (!rate) {
+        db.prepare('UPDATE people SET currency = ?, version = version + 1 WHERE trip_id = ? AND currency = ?').run(currency, trip.id, trip.currency);
+        return;
+      }
+      const save = db.prepare('INSERT OR REPLACE INTO exchange_rates (trip_id, currency, rate) VALUES (?, ?, ?)');
+      db.prepare('DELETE FROM exchange_rates WHERE trip_id = ?').run(trip.id);
+      save.run(trip.id, trip.currency, 1 / rate);
+      for (const [code, r] of Object.entries(rates)) if (code !== currency) save.run(trip.id, code, r / rate);
+      db.prepare('UPDATE trips SET budget_per_person = ? WHERE id = ?').run(round(trip.budget_per_person * rate), trip.id);
+      db.prepare('UPDATE itinerary SET cost = ROUND(cost * ?, 2) WHERE trip_id = ?').run(rate, trip.id);
+    },
+  };
+}
+
+// copies trip settings, the task list and the roster; payments and progress start fresh.
+// The organizer who duplicates is signed in to the copy as their copied person.
+tripRouter.post('/duplicate', organizerOnly, (req, res) => {
+  const { id: _id, archived: _archived, created_at: _created, invite_token: _invite, calendar_token: _calendar, ...settings } = req.trip;
+  const { title } = parseBody({ title: req.body.title || `${req.trip.title} (copy)` }, { title: TRIP_SCHEMA.title });
+  const newId = db.transaction(() => {
+    const id = createTrip({ ...settings, title }, { defaultTasks: false });
+    db.prepare('INSERT INTO exchange_rates (trip_id, currency, rate) SELECT ?, currency, rate FROM exchange_rates WHERE trip_id = ?').run(id, req.trip.id);
+    const tasks = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(req.trip.id);
+    const copyTask = (task, personId) => createTask(id, { ...task, person_id: personId });
+    for (const task of tasks.filter((t) => t.person_id === null)) copyTask(task, null);
+    for (const person of db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(req.trip.id)) {
+      const personId = createPerson(id, { name: person.name, role: person.role, organizer: person.organizer, transport: person.transport, notes: person.notes });
+      if (person.id === req.me.id) claimPerson(req.sessionToken, getPerson(id, personId));
+      for (const task of tasks.filter((t) => t.person_id === person.id)) copyTask(task, personId);
+    }
+    return id;
+  })();
+  res.status(201).json(getTrip(newId));
+});
+
+// applies a trip file import as the app previews it (planImport in src/App.jsx), all or
+// nothing. People are referred to by their name in the file: task owners, expense payers and
+// participants. Ticks go by task title. Replace also swaps every expense for the file's.
+const IMPORT_STATUSES = ['add', 'update', 'same', 'remove'];
+
+tripRouter.post('/import', organizerOnly, (req, res) => {
+  const { mode, trip: tripFields = {}, people, tasks, expenses } = req.body;
+  if (!['merge', 'replace'].includes(mode) || ![people, tasks, expenses].every(Array.isArray)) {
+    throw new ApiError(400, 'An import needs a mode (merge or replace) and lists of people, tasks and expenses');
+  }
+  const fail = (what, message) => {
+    throw new ApiError(400, `${what}: ${message}. Nothing was imported.`);
+  };
+  // every row's shape first, so the checks below can read them
+  const isName = (value) => typeof value === 'string' && value.trim() !== '';
+  if (!isObject(tripFields)) fail('Trip', 'must be an object of trip fields');
+  people.forEach((p, i) => {
+    if (!isObject(p) || !isName(p.name)) fail(`Person ${i + 1}`, 'needs a name');
+    if (!IMPORT_STATUSES.includes(p.status)) fail(p.name, `status must be one of ${IMPORT_STATUSES.join(', ')}`);
+    if (p.status !== 'add' && !Number.isInteger(p.id)) fail(p.name, 'needs the id of the person it changes');
+    if (![p.fields, p.ticks].every((v) => v === undefined || isObject(v))) fail(p.name, 'fields and ticks must be objects');
+  });
+  tasks.forEach((t, i) => {
+    if (!isObject(t)) fail(`Task ${i + 1}`, 'must be an object with a title');
+    if (t.owner != null && !isName(t.owner)) fail(`Task "${t.title}"`, 'owner must be a name');
+  });
+  expenses.forEach((e, i) => {
+    if (!isObject(e) || !isName(e.payer) || !Array.isArray(e.participants) || !e.participants.every((p) => isObject(p) && isName(p.person))) {
+      fail(`Expense ${i + 1}`, 'needs a payer and a list of participants, each with a person');
+    }
+  });
+  const bumpVersion = db.prepare('UPDATE people SET version = version + 1 WHERE id = ?');
+  db.transaction(() => {
+    const { columns: trip, error: tripError } = tripColumns(tripFields);
+    if (tripError) fail('Trip', tripError);
+    const rebase = trip.currency && trip.currency !== req.trip.currency ? currencyChange(req.trip, trip.currency) : null;
+    if (rebase?.error) fail('Trip', rebase.error);
+    const tripKeys = Object.keys(trip);
+    if (tripKeys.length) db.prepare(`UPDATE trips SET ${tripKeys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...tripKeys.map((k) => trip[k]), req.trip.id);
+    rebase?.apply();
+
+    const currencies = tripCurrencies(req.trip.id);
+    // names of the people the trip keeps, to their ids
+    const ids = new Map();
+    const removed = new Set();
+    for (const p of people) {
+      if (p.status === 'add') {
+        // ticks go by title below; task ids from another trip mean nothing here
+        const { tasks: _, ...fields } = p.fields || {};
+        const body = { ...fields, name: p.name };
+        const { error } = personColumns(body, currencies, { required: ['name'] });
+        if (error) fail(p.name, error);
+        ids.set(p.name, createPerson(req.trip.id, body));
+        continue;
+      }
+      const person = getPerson(req.trip.id, p.id);
+      if (!person) fail(p.name, 'not found in this trip');
+      if (p.status === 'remove') {
+        db.prepare('DELETE FROM people WHERE id = ?').run(person.id);
+        removed.add(p.name);
+        continue;
+      }
+      ids.set(p.name, person.id);
+      if (p.status !== 'update') continue;
+      const { columns, error } = personColumns(p.fields || {}, currencies);
+      if (error) fail(p.name, error);
+      const keys = Object.keys(columns);
+      db.prepare(`UPDATE people SET ${[...keys.map((k) => `${k} = ?`), 'version = version + 1'].join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), person.id);
+    }
+
+    const unknown = (name) => (removed.has(name) ? `${name} is removed by this import` : `${name} is not in the import`);
+    for (const t of tasks) {
+      const { error } = taskColumns(t, { required: ['title'] });
+      if (error) fail(`Task "${t.title}"`, error);
+      if (t.owner && !ids.has(t.owner)) fail(`Task "${t.title}"`, unknown(t.owner));
+      createTask(req.trip.id, { title: t.title, description: t.description, due_date: t.due_date, person_id: t.owner ? ids.get(t.owner) : null });
+    }
+    const ownTasks = db.prepare('SELECT id, title FROM tasks WHERE trip_id = ? AND (person_id IS NULL OR person_id = ?)');
+    for (const p of people.filter((p) => Object.keys(p.ticks || {}).length && (p.status === 'add' || p.status === 'update'))) {
+      const own = ownTasks.all(req.trip.id, ids.get(p.name));
+      const ticks = {};
+      for (const [title, done] of Object.entries(p.ticks)) {
+        const task = own.find((t) => t.title === title);
+        if (task) ticks[task.id] = !!done;
+      }
+      setPersonTasks(ids.get(p.name), ticks);
+      if (p.status === 'update') bumpVersion.run(ids.get(p.name));
+    }
+
+    if (mode === 'replace') db.prepare('DELETE FROM expenses WHERE trip_id = ?').run(req.trip.id);
+    const insertExpense = db.prepare('INSERT INTO expenses (trip_id, payer_id, description, amount, currency, split_mode) VALUES (?, ?, ?, ?, ?, ?)');
+    for (const e of expenses) {
+      const what = `Expense "${e.description || e.amount}"`;
+      const missing = [e.payer, ...e.participants.map((p) => p.person)].find((name) => !ids.has(name));
+      if (missing !== undefined) fail(what, unknown(missing));
+      const { expense, error } = expenseInput(req.trip.id, { ...e, payer_id: ids.get(e.payer), participants: e.participants.map((p) => ({ person_id: ids.get(p.person), share: p.share })) });
+      if (error) fail(what, error);
+      const result = insertExpense.run(req.trip.id, expense.payer_id, expense.description, expense.amount, expense.currency, expense.split_mode);
+      saveExpenseShares(result.lastInsertRowid, expense.participants);
+    }
+
+    // after every removal, like DELETE /people/:id checks before each one
+    if (organizerCount(req.trip.id) === 0) fail('People', 'a trip needs at least one organizer');
+  })();
+  const trip = getTrip(req.trip.id);
+  logActivity(req, { action: 'update', entity: 'trip', id: trip.id, label: trip.title, changes: { import: [null, mode] } });
+  // too many kinds of rows changed for single events; open tabs reload everything
+  publish(req, 'resync', {});
+  res.json(trip);
+});
+
+// a new invite token; the old link stops working, people who already joined stay in.
+// The event carries no token; organizers' other tabs fetch the trip again.
+tripRouter.post('/invite', organizerOnly, (req, res) => {
+  db.prepare('UPDATE trips SET invite_token = ? WHERE id = ?').run(newToken(), req.trip.id);
+  publish(req, 'trip.links', {});
+  res.json(getTrip(req.trip.id));
+});
+
+// a new calendar token; subscriptions using the old feed link stop updating
+tripRouter.post('/calendar-link', organizerOnly, (req, res) => {
+  db.prepare('UPDATE trips SET calendar_token = ? WHERE id = ?').run(newToken(), req.trip.id);
+  publish(req, 'trip.links', {});
+  res.json(getTrip(req.trip.id));
+});
+
+const SHARE_SCHEMA = {
+  hide_amounts: bool({ label: 'Hide amounts' }),
+  hide_notes: bool({ label: 'Hide notes' }),
+  // empty never expires
+  expires_at: instant({ label: 'Expiry' }),
+};
+
+function serializeShare(row) {
+  return { ...row, hide_amounts: !!row.hide_amounts, hide_notes: !!row.hide_notes, path: `/share/${row.token}`, status: shareStatus(row) };
+}
+
+function getShare(tripId, id) {
+  const row = db
+    .prepare(`SELECT s.*, p.name as creator FROM share_links s LEFT JOIN people p ON p.id = s.person_id
+      WHERE s.id = ? AND s.trip_id = ?`)
+    .get(id, tripId);
+  return row ? serializeShare(row) : null;
+}
+
+// what a link hides, for the activity log
+const shareLabel = (link) => [link.hide_amounts && 'amounts', link.hide_notes && 'notes'].filter(Boolean).join(' and ') || 'nothing';
+
+// every member can share the trip read-only (they can already pass on the invite link),
+// but only organizers can make a link that shows everyone's amounts or notes. A link can
+// be revoked by whoever made it and by organizers.
+tripRouter.get('/shares', (req, res) => {
+  const rows = db
+    .prepare(`SELECT s.*, p.name as creator FROM share_links s LEFT JOIN people p ON p.id = s.person_id
+      WHERE s.trip_id = ? ORDER BY s.id DESC`)
+    .all(req.trip.id);
+  res.json(rows.map(serializeShare));
+});
+
+tripRouter.post('/shares', (req, res) => {
+  const columns = { hide_amounts: 1, hide_notes: 1, expires_at: '', ...parseBody(req.body, SHARE_SCHEMA) };
+  if (!isOrganizer(req.me) && !(columns.hide_amounts && columns.hide_notes)) {
+    throw new ApiError(403, 'Only organizers can share amounts and notes');
+  }
+  if (columns.expires_at && !(Date.parse(columns.expires_at) > Date.now())) {
+    throw new ApiError(400, 'The expiry must be in the future', { fields: { expires_at: 'Pick a time in the future' } });
+  }
+  const id = db
+    .prepare('INSERT INTO share_links (trip_id, person_id, token, hide_amounts, hide_notes, expires_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(req.trip.id, req.me.id, newToken(), columns.hide_amounts, columns.hide_notes, columns.expires_at).lastInsertRowid;
+  const link = getShare(req.trip.id, id);
+  logActivity(req, { action: 'create', entity: 'share', id: link.id, label: shareLabel(link) });
+  publish(req, 'share.created', { share: link });
+  res.status(201).json(link);
+});
+
+// the row stays so the link can tell visitors it was turned off
+tripRouter.delete('/shares/:shareId', (req, res) => {
+  const link = getShare(req.trip.id, req.params.shareId);
+  if (!link) {
+    throw new ApiError(404, 'Share link not found');
+  }
+  if (!canManage(req.me, link.person_id)) {
+    throw new ApiError(403, 'Only organizers can turn off links other people made');
+  }
+  if (!link.revoked_at) {
+    db.prepare('UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(link.id);
+    logActivity(req, { action: 'delete', entity: 'share', id: link.id, label: shareLabel(link) });
+    publish(req, 'share.updated', { share: getShare(req.trip.id, link.id) });
+  }
+  res.status(204).end();
+});
+
+// SSE stream of this trip's changes. Reconnecting browsers send Last-Event-ID (or ?since=)
+// and get everything they missed; if that is older than what we keep they are told to resync.
+tripRouter.get('/events', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const since = Number(req.get('Last-Event-ID') || req.query.since);
+  if (since) {
+    const horizon = db.prepare('SELECT pruned_to FROM event_horizons WHERE trip_id = ?').get(req.trip.id);
+    if (horizon && since < horizon.pruned_to) {
+      // the newest id ever handed out, even when the feed is empty now
+      const { latest } = db.prepare("SELECT seq as latest FROM sqlite_sequence WHERE name = 'events'").get();
+      writeEvent(res, { id: latest, type: 'resync', data: {}, origin: null });
+    } else {
+      const missed = db.prepare('SELECT * FROM events WHERE trip_id = ? AND id > ? ORDER BY id').all(req.trip.id, since);
+      for (const e of missed) writeEvent(res, { id: e.id, type: e.type, data: JSON.parse(e.data), origin: e.origin });
+    }
+  }
+
+  if (!subscribers.has(req.trip.id)) subscribers.set(req.trip.id, new Set());
+  subscribers.get(req.trip.id).add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.get(req.trip.id)?.delete(res);
+  });
+});
+
+// newest first. Page with ?before=<id of the last row you have>&limit=; ?person_id= keeps rows
+// that person made or that changed them.
+tripRouter.get('/activity', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  const where = ['trip_id = ?'];
+  const params = [req.trip.id];
+  if (req.query.before) {
+    where.push('id < ?');
+    params.push(Number(req.query.before));
+  }
+  if (req.query.person_id) {
+    where.push("(actor_id = ? OR (entity = 'person' AND entity_id = ?))");
+    params.push(Number(req.query.person_id), Number(req.query.person_id));
+  }
+  const rows = db.prepare(`SELECT * FROM activity WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`).all(...params, limit + 1);
+  res.json({ items: rows.slice(0, limit).map(serializeActivity), has_more: rows.length > limit });
+});
+
+tripRouter.get('/tasks', (req, res) => {
+  const rows = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(req.trip.id);
   res.json(rows);
 });
 
-app.patch('/people/:id', (req, res) => {
+tripRouter.post('/tasks', (req, res) => {
+  const { error, fields } = taskColumns(req.body, { required: ['title'] });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  if (req.body.person_id != null && !getPerson(req.trip.id, req.body.person_id)) {
+    throw new ApiError(400, 'Person not found in this trip', { fields: { person_id: 'Person not found in this trip' } });
+  }
+  if (!canManage(req.me, req.body.person_id)) {
+    throw new ApiError(403, 'Members can only add tasks for themselves');
+  }
+  const id = createTask(req.trip.id, req.body);
+  const task = getTask(req.trip.id, id);
+  logActivity(req, { action: 'create', entity: 'task', id: task.id, label: task.title });
+  publish(req, 'task.created', { task });
+  res.status(201).json(task);
+});
+
+// body: { ids: [taskId, ...] } in the new order; ids not listed keep their relative order after those
+tripRouter.put('/tasks/order', organizerOnly, (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids)) {
+    throw new ApiError(400, 'ids must be an array of task ids', { fields: { ids: 'Must be an array of task ids' } });
+  }
+  const tasks = db.prepare('SELECT id FROM tasks WHERE trip_id = ? ORDER BY position, id').all(req.trip.id).map((t) => t.id);
+  const unknown = unknownTaskId(Object.fromEntries(ids.map((id) => [id, true])), tasks);
+  if (unknown) {
+    throw new ApiError(400, `Task ${unknown} not found`);
+  }
+  const ordered = [...ids.map(Number), ...tasks.filter((id) => !ids.map(Number).includes(id))];
+  const setPosition = db.prepare('UPDATE tasks SET position = ? WHERE id = ?');
+  db.transaction(() => ordered.forEach((id, i) => setPosition.run(i, id)))();
+  logActivity(req, { action: 'update', entity: 'task', label: 'checklist', changes: { order: [tasks, ordered] } });
+  const list = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(req.trip.id);
+  publish(req, 'task.reordered', { tasks: list });
+  res.json(list);
+});
+
+tripRouter.patch('/tasks/:taskId', (req, res) => {
+  const task = getTask(req.trip.id, req.params.taskId);
+  if (!task) {
+    throw new ApiError(404, 'Task not found');
+  }
+  if (!canManage(req.me, task.person_id)) {
+    throw new ApiError(403, 'Only organizers can change shared tasks');
+  }
+  const { columns, error, fields } = taskColumns(req.body);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  db.prepare(`UPDATE tasks SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), task.id);
+  const updated = getTask(req.trip.id, task.id);
+  logActivity(req, { action: 'update', entity: 'task', id: task.id, label: updated.title, changes: diff(task, updated, keys) });
+  publish(req, 'task.updated', { task: updated });
+  res.json(updated);
+});
+
+tripRouter.delete('/tasks/:taskId', (req, res) => {
+  const task = getTask(req.trip.id, req.params.taskId);
+  if (!task) {
+    throw new ApiError(404, 'Task not found');
+  }
+  if (!canManage(req.me, task.person_id)) {
+    throw new ApiError(403, 'Only organizers can change shared tasks');
+  }
+  db.prepare('DELETE FROM tasks WHERE id = ?').run(task.id);
+  logActivity(req, { action: 'delete', entity: 'task', id: task.id, label: task.title });
+  publish(req, 'task.deleted', { id: Number(req.params.taskId) });
+  res.status(204).end();
+});
+
+tripRouter.get('/people', (req, res) => {
+  const rows = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(req.trip.id);
+  res.json(rows.map(serializePerson));
+});
+
+tripRouter.get('/people.csv', (req, res) => {
+  const people = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(req.trip.id).map(serializePerson);
+  const tasks = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(req.trip.id);
+  const filename = `${req.trip.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip'}-people.csv`;
+  res.type('text/csv').attachment(filename).send(rosterCsv(people, tasks));
+});
+
+tripRouter.get('/people/:id', (req, res) => {
+  const person = getPerson(req.trip.id, req.params.id);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  res.set('ETag', personEtag(person)).json(person);
+});
+
+tripRouter.post('/people', organizerOnly, (req, res) => {
+  const { error, fields } = personColumns(req.body, tripCurrencies(req.trip.id), { required: ['name'] });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const unknown = unknownTaskId(req.body.tasks, tripWideTaskIds(req.trip.id));
+  if (unknown) {
+    throw new ApiError(400, `Task ${unknown} not found`, { fields: { tasks: `Task ${unknown} not found` } });
+  }
+  const id = db.transaction(() => createPerson(req.trip.id, req.body))();
+  const created = getPerson(req.trip.id, id);
+  logActivity(req, { action: 'create', entity: 'person', id: created.id, label: created.name });
+  publish(req, 'person.created', { person: created });
+  res.status(201).json(created);
+});
+
+// adds and updates people from a CSV roster. Send { csv, mapping, dry_run } as JSON, or the
+// CSV itself as text/csv (with ?dry_run=1). Without a mapping, columns are matched by header.
+// Nothing is written while any row has a problem.
+tripRouter.post('/people/import', organizerOnly, express.text({ type: 'text/csv', limit: '1mb' }), (req, res) => {
+  const body = typeof req.body === 'string' ? { csv: req.body, dry_run: req.query.dry_run === '1' } : req.body;
+  if (typeof body.csv !== 'string' || !body.csv.trim()) {
+    throw new ApiError(400, 'CSV text is required');
+  }
+  const csv = parseCsv(body.csv);
+  const people = db.prepare('SELECT * FROM people WHERE trip_id = ? ORDER BY id').all(req.trip.id).map(serializePerson);
+  const tasks = db.prepare('SELECT * FROM tasks WHERE trip_id = ? ORDER BY position, id').all(req.trip.id);
+  const mapping = body.mapping ? { ...body.mapping, tasks: body.mapping.tasks || {} } : guessMapping(csv.headers, tasks);
+  const unknown = [...Object.keys(ROSTER_FIELDS).map((f) => mapping[f]), ...Object.values(mapping.tasks)].find((h) => h != null && !csv.headers.includes(h));
+  if (unknown !== undefined) {
+    throw new ApiError(400, `Column "${unknown}" is not in the CSV`);
+  }
+  const unknownTask = unknownTaskId(mapping.tasks, tasks.map((t) => t.id));
+  if (unknownTask) {
+    throw new ApiError(400, `Task ${unknownTask} not found`);
+  }
+  const rows = planRosterImport(csv, mapping, people, tasks, TRANSPORTS);
+  // the same checks a single PATCH gets, e.g. email addresses
+  const currencies = tripCurrencies(req.trip.id);
+  for (const row of rows.filter((r) => r.status !== 'error')) {
+    const { error } = personColumns(row.changes, currencies);
+    if (error) Object.assign(row, { status: 'error', errors: [error] });
+  }
+  const report = { headers: csv.headers, mapping, rows, dry_run: !!body.dry_run };
+  const problems = rows.filter((r) => r.status === 'error').length;
+  if (body.dry_run) return res.json(report);
+  if (problems) {
+    throw new ApiError(400, `${problems} row${problems === 1 ? ' has a problem' : 's have problems'}; nothing was imported`, { details: report });
+  }
+  const written = db.transaction(() =>
+    rows
+      .filter((r) => r.status === 'add' || r.status === 'update')
+      .map((r) => {
+        if (r.status === 'add') return { row: r, id: createPerson(req.trip.id, r.changes) };
+        const { tasks: ticks, ...fields } = r.changes;
+        const { columns } = personColumns(fields);
+        const keys = Object.keys(columns);
+        db.prepare(`UPDATE people SET ${[...keys.map((k) => `${k} = ?`), 'version = version + 1'].join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), r.id);
+        setPersonTasks(r.id, ticks || {});
+        return { row: r, id: r.id };
+      })
+  )();
+  for (const { row, id } of written) {
+    const person = getPerson(req.trip.id, id);
+    if (row.status === 'add') {
+      logActivity(req, { action: 'create', entity: 'person', id: person.id, label: person.name });
+      publish(req, 'person.created', { person });
+      continue;
+    }
+    const before = people.find((p) => p.id === row.id);
+    const { tasks: ticks = {}, ...fields } = row.changes;
+    const taskChanges = Object.keys(ticks).map((taskId) => [`tasks.${taskId}`, [before.tasks[taskId], person.tasks[taskId]]]);
+    logActivity(req, { action: 'update', entity: 'person', id: person.id, label: person.name, changes: { ...diff(before, person, Object.keys(fields)), ...Object.fromEntries(taskChanges) } });
+    publish(req, 'person.updated', { person, changes: row.changes });
+  }
+  res.json(report);
+});
+
+tripRouter.patch('/people/:id', (req, res) => {
   const { id } = req.params;
-  const fields = ['task_status', 'transport_type', 'eta', 'payment_status'];
-  const updates = [];
-  const params = [];
-  for (const field of fields) {
-    if (field in req.body) {
-      updates.push(`${field} = ?`);
-      params.push(req.body[field]);
+  const person = getPerson(req.trip.id, id);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  const forbidden = forbiddenFields(req.me, id, req.body);
+  if (forbidden.length) {
+    throw new ApiError(403, `You can't change ${forbidden.join(', ')} for ${person.name}`);
+  }
+  // a write based on an older version would undo changes its sender never saw; they get
+  // the row as it is now to decide field by field
+  res.set('ETag', personEtag(person));
+  if (!ifMatch(req, personEtag(person))) {
+    throw new ApiError(409, `Someone else changed ${person.name} in the meantime`, { details: { person } });
+  }
+  const { columns, error, fields } = personColumns(req.body, tripCurrencies(req.trip.id));
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const unknown = unknownTaskId(req.body.tasks, Object.keys(person.tasks));
+  if (unknown) {
+    throw new ApiError(400, `Task ${unknown} does not apply to ${person.name}`, { fields: { tasks: `Task ${unknown} does not apply to ${person.name}` } });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0 && !req.body.tasks) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  if (columns.organizer === 0 && person.organizer && organizerCount(req.trip.id) === 1) {
+    throw new ApiError(400, 'A trip needs at least one organizer', { fields: { organizer: 'A trip needs at least one organizer' } });
+  }
+  db.transaction(() => {
+    db.prepare(`UPDATE people SET ${[...keys.map((k) => `${k} = ?`), 'version = version + 1'].join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), id);
+    // tasks is a partial map: only the tasks sent change
+    setPersonTasks(id, req.body.tasks || {});
+  })();
+  // only people coming by car can drive
+  const stoppedDriving = columns.transport && columns.transport !== 'Car' && db.prepare('DELETE FROM drivers WHERE person_id = ?').run(id).changes > 0;
+  const updated = getPerson(req.trip.id, id);
+  // task ticks are logged as tasks.<taskId> so the feed can say which one
+  const taskChanges = Object.keys(req.body.tasks || {}).map((taskId) => [`tasks.${taskId}`, [person.tasks[taskId], updated.tasks[taskId]]]);
+  logActivity(req, {
+    action: 'update',
+    entity: 'person',
+    id: person.id,
+    label: updated.name,
+    changes: { ...diff(person, updated, keys), ...Object.fromEntries(taskChanges) },
+  });
+  publish(req, 'person.updated', { person: updated, changes: { ...columns, ...(req.body.tasks ? { tasks: req.body.tasks } : {}) } });
+  if (stoppedDriving) publish(req, 'logistics.updated', getLogistics(req.trip.id));
+  res.set('ETag', personEtag(updated)).json(updated);
+});
+
+tripRouter.delete('/people/:id', organizerOnly, (req, res) => {
+  const person = getPerson(req.trip.id, req.params.id);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  if (person.organizer && organizerCount(req.trip.id) === 1) {
+    throw new ApiError(400, 'A trip needs at least one organizer');
+  }
+  db.prepare('DELETE FROM people WHERE id = ?').run(person.id);
+  logActivity(req, { action: 'delete', entity: 'person', id: person.id, label: person.name });
+  // their expenses, car, ride and gear claims go with them, so those lists change too
+  publish(req, 'person.deleted', {
+    id: Number(req.params.id),
+    expenses: listExpenses(req.trip.id),
+    ledger: tripBalances(req.trip.id),
+    logistics: getLogistics(req.trip.id),
+    gear: listGear(req.trip.id),
+    rooms: getRooms(req.trip.id),
+    polls: listPolls(req.trip.id),
+  });
+  res.status(204).end();
+});
+
+// signs everyone out of a person row so it can be claimed again, e.g. from a new phone
+tripRouter.delete('/people/:id/sessions', organizerOnly, (req, res) => {
+  const person = getPerson(req.trip.id, req.params.id);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  db.prepare('DELETE FROM session_people WHERE person_id = ?').run(person.id);
+  logActivity(req, { action: 'update', entity: 'person', id: person.id, label: person.name, changes: { claimed: [true, false] } });
+  publish(req, 'person.updated', { person: getPerson(req.trip.id, person.id), changes: { claimed: false } });
+  res.status(204).end();
+});
+
+// queues a notification to one person, sent through every notifier like a reminder
+tripRouter.post('/people/:id/nudge', organizerOnly, (req, res) => {
+  const person = getPerson(req.trip.id, req.params.id);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  const recent = db
+    .prepare("SELECT 1 FROM notifications WHERE person_id = ? AND kind = 'nudge' AND created_at > datetime('now', '-10 minutes')")
+    .get(person.id);
+  if (recent) {
+    throw new ApiError(429, `${person.name} was nudged a few minutes ago`);
+  }
+  const { message = '' } = parseBody(req.body, { message: text({ label: 'Message', max: 1000 }) });
+  const notification = queueNotification(req.trip, person, {
+    kind: 'nudge',
+    subject: `${req.me.name} nudged you about ${req.trip.title}`,
+    body: message || `Hi ${person.name}, ${req.me.name} is checking in about ${req.trip.title}. Take a look at your tasks, payment and arrival time.`,
+    sender: req.me,
+  });
+  logActivity(req, { action: 'create', entity: 'nudge', id: person.id, label: person.name });
+  res.status(201).json(serializeNotification(notification));
+});
+
+// the signed-in person's inbox, newest first
+tripRouter.get('/notifications', (req, res) => {
+  const rows = db.prepare('SELECT * FROM notifications WHERE trip_id = ? AND person_id = ? ORDER BY id DESC LIMIT 50').all(req.trip.id, req.me.id);
+  res.json({ items: rows, unread: rows.filter((n) => !n.read_at).length });
+});
+
+// marks the given ids (or everything) in the signed-in person's inbox as read
+tripRouter.post('/notifications/read', (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : null;
+  const mark = db.prepare("UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE trip_id = ? AND person_id = ? AND read_at IS NULL AND (? IS NULL OR id = ?)");
+  db.transaction(() => {
+    for (const id of ids ?? [null]) mark.run(req.trip.id, req.me.id, id, id);
+  })();
+  res.status(204).end();
+});
+
+// rule settings plus the record of everything sent in this trip
+tripRouter.get('/reminders', organizerOnly, (req, res) => {
+  const rows = db.prepare('SELECT * FROM notifications WHERE trip_id = ? ORDER BY id DESC LIMIT 100').all(req.trip.id);
+  res.json({ rules: tripRuleSettings(req.trip.id), notifiers: notifiers.map((n) => n.channel), sent: rows.map(serializeNotification) });
+});
+
+// { [rule]: { enabled, amount } } for any of the rules
+tripRouter.patch('/reminders/rules', organizerOnly, (req, res) => {
+  const current = tripRuleSettings(req.trip.id);
+  const unknown = Object.keys(req.body).find((rule) => !REMINDER_RULES[rule]);
+  if (unknown) {
+    throw new ApiError(400, `Unknown reminder rule ${unknown}`, { fields: { [unknown]: 'Unknown reminder rule' } });
+  }
+  const updates = Object.entries(req.body).map(([rule, v]) => {
+    const { label } = REMINDER_RULES[rule];
+    return [rule, parseBody(v, { enabled: bool({ label: `${label}: on` }), amount: number({ label: `${label}: how long before`, min: 1, max: 365 }) })];
+  });
+  const save = db.prepare('INSERT OR REPLACE INTO reminder_rules (trip_id, rule, enabled, amount) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    for (const [rule, v] of updates) {
+      save.run(req.trip.id, rule, ('enabled' in v ? v.enabled : current[rule].enabled) ? 1 : 0, v.amount ?? current[rule].amount);
+    }
+  })();
+  const rules = tripRuleSettings(req.trip.id);
+  logActivity(req, {
+    action: 'update',
+    entity: 'trip',
+    id: req.trip.id,
+    label: req.trip.title,
+    changes: Object.fromEntries(updates.map(([rule]) => [`reminders.${rule}`, [current[rule], rules[rule]].map(({ enabled, amount }) => ({ enabled, amount }))])),
+  });
+  res.json(rules);
+});
+
+// checks the rules now instead of waiting for the next scheduled run
+tripRouter.post('/reminders/run', organizerOnly, (req, res) => {
+  res.json(runReminders(req.trip).map(serializeNotification));
+});
+
+// drivers, seats and who rides with whom; warnings and schedules are worked out in the app
+tripRouter.get('/logistics', (req, res) => {
+  res.json(getLogistics(req.trip.id));
+});
+
+// offer (or update) a car; people can do this for themselves, organizers for anyone
+tripRouter.put('/drivers/:personId', (req, res) => {
+  const person = getPerson(req.trip.id, req.params.personId);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  if (!canManage(req.me, person.id)) {
+    throw new ApiError(403, `You can't change ${person.name}'s car`);
+  }
+  if (person.transport !== 'Car') {
+    throw new ApiError(400, `${person.name} isn't coming by car`);
+  }
+  const before = db.prepare('SELECT * FROM drivers WHERE person_id = ?').get(person.id);
+  const { columns, error, fields } = driverColumns(req.body, { required: before ? [] : ['seats'] });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  db.transaction(() => {
+    // a driver can't also be someone else's rider
+    db.prepare('DELETE FROM rides WHERE rider_id = ?').run(person.id);
+    if (before) {
+      const keys = Object.keys(columns);
+      if (keys.length) db.prepare(`UPDATE drivers SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE person_id = ?`).run(...keys.map((k) => columns[k]), person.id);
+    } else {
+      db.prepare('INSERT INTO drivers (person_id, trip_id, seats, departs_from, departs_at) VALUES (?, ?, ?, ?, ?)').run(
+        person.id,
+        req.trip.id,
+        columns.seats,
+        columns.departs_from ?? '',
+        columns.departs_at ?? ''
+      );
+    }
+  })();
+  const after = db.prepare('SELECT * FROM drivers WHERE person_id = ?').get(person.id);
+  logActivity(req, before ? { action: 'update', entity: 'driver', id: person.id, label: person.name, changes: diff(before, after, DRIVER_FIELDS) } : { action: 'create', entity: 'driver', id: person.id, label: person.name });
+  const logistics = getLogistics(req.trip.id);
+  publish(req, 'logistics.updated', logistics);
+  res.json(logistics);
+});
+
+tripRouter.delete('/drivers/:personId', (req, res) => {
+  const driver = db.prepare('SELECT * FROM drivers WHERE person_id = ? AND trip_id = ?').get(req.params.personId, req.trip.id);
+  if (!driver) {
+    throw new ApiError(404, 'Driver not found');
+  }
+  if (!canManage(req.me, driver.person_id)) {
+    throw new ApiError(403, 'Only the driver or an organizer can do that');
+  }
+  const person = getPerson(req.trip.id, driver.person_id);
+  db.prepare('DELETE FROM drivers WHERE person_id = ?').run(driver.person_id);
+  logActivity(req, { action: 'delete', entity: 'driver', id: person.id, label: person.name });
+  const logistics = getLogistics(req.trip.id);
+  publish(req, 'logistics.updated', logistics);
+  res.json(logistics);
+});
+
+// puts a rider in a driver's car, replacing any earlier ride. Organizers assign anyone;
+// drivers can take riders and riders can pick a driver. Full cars are allowed but flagged in the app.
+tripRouter.put('/rides/:riderId', (req, res) => {
+  const rider = getPerson(req.trip.id, req.params.riderId);
+  const driver = db.prepare('SELECT * FROM drivers WHERE person_id = ? AND trip_id = ?').get(req.body.driver_id, req.trip.id);
+  if (!rider) {
+    throw new ApiError(404, 'Person not found');
+  }
+  if (!driver) {
+    throw new ApiError(400, 'Driver not found', { fields: { driver_id: 'Pick someone who is driving' } });
+  }
+  if (!isOrganizer(req.me) && req.me.id !== rider.id && req.me.id !== driver.person_id) {
+    throw new ApiError(403, `You can't change ${rider.name}'s ride`);
+  }
+  if (rider.id === driver.person_id || db.prepare('SELECT 1 FROM drivers WHERE person_id = ?').get(rider.id)) {
+    throw new ApiError(400, `${rider.name} is driving`);
+  }
+  const before = db.prepare('SELECT driver_id FROM rides WHERE rider_id = ?').get(rider.id);
+  db.prepare('INSERT OR REPLACE INTO rides (rider_id, driver_id, trip_id) VALUES (?, ?, ?)').run(rider.id, driver.person_id, req.trip.id);
+  const names = (id) => getPerson(req.trip.id, id)?.name ?? null;
+  logActivity(req, {
+    action: before ? 'update' : 'create',
+    entity: 'ride',
+    id: rider.id,
+    label: rider.name,
+    changes: { driver: [before ? names(before.driver_id) : null, names(driver.person_id)] },
+  });
+  const logistics = getLogistics(req.trip.id);
+  publish(req, 'logistics.updated', logistics);
+  res.json(logistics);
+});
+
+tripRouter.delete('/rides/:riderId', (req, res) => {
+  const ride = db.prepare('SELECT * FROM rides WHERE rider_id = ? AND trip_id = ?').get(req.params.riderId, req.trip.id);
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+  if (!isOrganizer(req.me) && req.me.id !== ride.rider_id && req.me.id !== ride.driver_id) {
+    throw new ApiError(403, 'Only the rider, the driver or an organizer can do that');
+  }
+  db.prepare('DELETE FROM rides WHERE rider_id = ?').run(ride.rider_id);
+  logActivity(req, { action: 'delete', entity: 'ride', id: ride.rider_id, label: getPerson(req.trip.id, ride.rider_id).name });
+  const logistics = getLogistics(req.trip.id);
+  publish(req, 'logistics.updated', logistics);
+  res.json(logistics);
+});
+
+tripRouter.get('/itinerary', (req, res) => {
+  res.json(listItinerary(req.trip.id));
+});
+
+// anyone in the trip can add to the plan
+tripRouter.post('/itinerary', (req, res) => {
+  const { columns, error, fields } = eventColumns(req.body, {}, { required: ['title', 'starts_at'] });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  Object.assign(columns, { trip_id: req.trip.id, created_by: req.me.id });
+  const keys = Object.keys(columns);
+  const result = db
+    .prepare(`INSERT INTO itinerary (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+    .run(...keys.map((k) => columns[k]));
+  const event = getEvent(req.trip.id, result.lastInsertRowid);
+  logActivity(req, { action: 'create', entity: 'event', id: event.id, label: event.title });
+  publish(req, 'itinerary.created', { event });
+  res.status(201).json(event);
+});
+
+tripRouter.patch('/itinerary/:eventId', (req, res) => {
+  const event = getEvent(req.trip.id, req.params.eventId);
+  if (!event) {
+    throw new ApiError(404, 'Event not found');
+  }
+  if (!canManage(req.me, event.created_by)) {
+    throw new ApiError(403, 'Members can only change events they added');
+  }
+  const { columns, error, fields } = eventColumns(req.body, event);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  db.prepare(`UPDATE itinerary SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), event.id);
+  const updated = getEvent(req.trip.id, event.id);
+  logActivity(req, { action: 'update', entity: 'event', id: event.id, label: updated.title, changes: diff(event, updated, keys) });
+  publish(req, 'itinerary.updated', { event: updated });
+  res.json(updated);
+});
+
+tripRouter.delete('/itinerary/:eventId', (req, res) => {
+  const event = getEvent(req.trip.id, req.params.eventId);
+  if (!event) {
+    throw new ApiError(404, 'Event not found');
+  }
+  if (!canManage(req.me, event.created_by)) {
+    throw new ApiError(403, 'Members can only change events they added');
+  }
+  db.prepare('DELETE FROM itinerary WHERE id = ?').run(event.id);
+  logActivity(req, { action: 'delete', entity: 'event', id: event.id, label: event.title });
+  publish(req, 'itinerary.deleted', { id: event.id });
+  res.status(204).end();
+});
+
+// body: { status: 'going' | 'maybe' | 'no' | null }; null takes the answer back.
+// People answer for themselves; organizers can answer for anyone.
+tripRouter.put('/itinerary/:eventId/rsvps/:personId', (req, res) => {
+  const event = getEvent(req.trip.id, req.params.eventId);
+  const person = getPerson(req.trip.id, req.params.personId);
+  if (!event || !person) {
+    throw new ApiError(404, event ? 'Person not found' : 'Event not found');
+  }
+  if (!canManage(req.me, person.id)) {
+    throw new ApiError(403, `You can't answer for ${person.name}`);
+  }
+  const status = parseBody({ status: null, ...req.body }, { status: oneOf(['', ...RSVP_STATUSES], { label: 'Status' }) }).status || null;
+  if (status) db.prepare('INSERT OR REPLACE INTO rsvps (event_id, person_id, status) VALUES (?, ?, ?)').run(event.id, person.id, status);
+  else db.prepare('DELETE FROM rsvps WHERE event_id = ? AND person_id = ?').run(event.id, person.id);
+  const updated = getEvent(req.trip.id, event.id);
+  logActivity(req, { action: 'update', entity: 'event', id: event.id, label: event.title, changes: { [`rsvp.${person.name}`]: [event.rsvps[person.id] ?? null, status] } });
+  publish(req, 'itinerary.updated', { event: updated });
+  res.json(updated);
+});
+
+tripRouter.get('/rates', (req, res) => {
+  res.json(getRates(req.trip.id));
+});
+
+// replaces the rate table with { rates: { EUR: 0.92, ... } }, each the units of that currency
+// one unit of the trip currency buys. Currencies still in use can't be dropped.
+tripRouter.put('/rates', organizerOnly, (req, res) => {
+  const rates = req.body.rates;
+  if (typeof rates !== 'object' || rates === null || Array.isArray(rates)) {
+    throw new ApiError(400, 'Rates must be an object of currency codes to numbers', { fields: { rates: 'Must be an object of currency codes to numbers' } });
+  }
+  // each code is a field of its own, so the app can point at the bad row
+  const next = {};
+  const fields = {};
+  for (const [code, value] of Object.entries(rates)) {
+    const rate = Number(value);
+    if (!isCurrencyCode(code)) fields[code] = `"${code}" is not a currency code`;
+    else if (!Number.isFinite(rate) || rate <= 0) fields[code] = `The rate for ${code.toUpperCase()} must be a positive number`;
+    else if (code.toUpperCase() !== req.trip.currency) next[code.toUpperCase()] = rate;
+  }
+  const { error } = withErrors(next, fields);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const before = getRates(req.trip.id).rates;
+  for (const code of Object.keys(before).filter((c) => !(c in next))) {
+    const users = currencyUsers(req.trip.id, code);
+    if (users.length) {
+      throw new ApiError(400, `${code} is still used by ${users.slice(0, 3).join(', ')}${users.length > 3 ? ` and ${users.length - 3} more` : ''}`);
+    }
+  }
+  db.transaction(() => {
+    for (const code of Object.keys(before).filter((c) => !(c in next))) {
+      db.prepare('DELETE FROM exchange_rates WHERE trip_id = ? AND currency = ?').run(req.trip.id, code);
     }
+    // unchanged rates keep their updated_at
+    const save = db.prepare(`INSERT INTO exchange_rates (trip_id, currency, rate) VALUES (?, ?, ?)
+      ON CONFLICT (trip_id, currency) DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP WHERE rate != excluded.rate`);
+    for (const [code, rate] of Object.entries(next)) save.run(req.trip.id, code, rate);
+  })();
+  const changes = Object.fromEntries([...new Set([...Object.keys(before), ...Object.keys(next)])].map((c) => [`rates.${c}`, [before[c] ?? null, next[c] ?? null]]));
+  logActivity(req, { action: 'update', entity: 'trip', id: req.trip.id, label: req.trip.title, changes });
+  const saved = getRates(req.trip.id);
+  publish(req, 'rates.updated', { rates: saved, ledger: tripBalances(req.trip.id) });
+  res.json(saved);
+});
+
+tripRouter.get('/gear', (req, res) => {
+  res.json(listGear(req.trip.id));
+});
+
+// anyone in the trip can add shared gear
+tripRouter.post('/gear', (req, res) => {
+  const { columns, error, fields } = gearColumns(req.body, { required: ['name'] });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  Object.assign(columns, { trip_id: req.trip.id, created_by: req.me.id });
+  const keys = Object.keys(columns);
+  const result = db
+    .prepare(`INSERT INTO gear (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+    .run(...keys.map((k) => columns[k]));
+  const item = getGear(req.trip.id, result.lastInsertRowid);
+  logActivity(req, { action: 'create', entity: 'item', id: item.id, label: item.name });
+  publish(req, 'gear.created', { item });
+  res.status(201).json(item);
+});
+
+tripRouter.patch('/gear/:itemId', (req, res) => {
+  const item = getGear(req.trip.id, req.params.itemId);
+  if (!item) {
+    throw new ApiError(404, 'Item not found');
   }
-  if (updates.length === 0) {
-    return res.status(400).json({ message: 'No valid fields provided' });
+  if (!canManage(req.me, item.created_by)) {
+    throw new ApiError(403, 'Members can only change items they added');
   }
-  params.push(id);
-  const stmt = db.prepare(`UPDATE people SET ${updates.join(', ')} WHERE id = ?`);
-  stmt.run(...params);
-  const person = db.prepare('SELECT * FROM people WHERE id = ?').get(id);
-  res.json(person);
+  const { columns, error, fields } = gearColumns(req.body);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  db.prepare(`UPDATE gear SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), item.id);
+  const updated = getGear(req.trip.id, item.id);
+  logActivity(req, { action: 'update', entity: 'item', id: item.id, label: updated.name, changes: diff(item, updated, keys) });
+  publish(req, 'gear.updated', { item: updated });
+  res.json(updated);
 });
 
-app.get('/gallery', (req, res) => {
-  const rows = db.prepare('SELECT * FROM gallery ORDER BY uploaded_at DESC').all();
+tripRouter.delete('/gear/:itemId', (req, res) => {
+  const item = getGear(req.trip.id, req.params.itemId);
+  if (!item) {
+    throw new ApiError(404, 'Item not found');
+  }
+  if (!canManage(req.me, item.created_by)) {
+    throw new ApiError(403, 'Members can only change items they added');
+  }
+  db.prepare('DELETE FROM gear WHERE id = ?').run(item.id);
+  logActivity(req, { action: 'delete', entity: 'item', id: item.id, label: item.name });
+  publish(req, 'gear.deleted', { id: item.id });
+  res.status(204).end();
+});
+
+// claims (part of) an item or updates a claim: { quantity, packed }, both optional.
+// A new claim is for one unless told otherwise. People claim for themselves; organizers for anyone.
+tripRouter.put('/gear/:itemId/claims/:personId', (req, res) => {
+  const item = getGear(req.trip.id, req.params.itemId);
+  const person = getPerson(req.trip.id, req.params.personId);
+  if (!item || !person) {
+    throw new ApiError(404, item ? 'Person not found' : 'Item not found');
+  }
+  if (!canManage(req.me, person.id)) {
+    throw new ApiError(403, `You can't change what ${person.name} brings`);
+  }
+  const fields = parseBody(req.body, CLAIM_SCHEMA);
+  const before = item.claims.find((c) => c.person_id === person.id) || null;
+  const claim = {
+    quantity: fields.quantity ?? before?.quantity ?? 1,
+    packed: 'packed' in fields ? !!fields.packed : before?.packed ?? false,
+  };
+  // an upsert rather than a replace, so claims keep their order
+  db.prepare(`INSERT INTO gear_claims (item_id, person_id, quantity, packed) VALUES (?, ?, ?, ?)
+    ON CONFLICT (item_id, person_id) DO UPDATE SET quantity = excluded.quantity, packed = excluded.packed`).run(
+    item.id,
+    person.id,
+    claim.quantity,
+    claim.packed ? 1 : 0
+  );
+  const updated = getGear(req.trip.id, item.id);
+  const old = before && { quantity: before.quantity, packed: before.packed };
+  logActivity(req, { action: 'update', entity: 'item', id: item.id, label: item.name, changes: { [`claim.${person.name}`]: [old, claim] } });
+  publish(req, 'gear.updated', { item: updated });
+  res.json(updated);
+});
+
+tripRouter.delete('/gear/:itemId/claims/:personId', (req, res) => {
+  const item = getGear(req.trip.id, req.params.itemId);
+  const person = getPerson(req.trip.id, req.params.personId);
+  const claim = item?.claims.find((c) => c.person_id === person?.id);
+  if (!claim) {
+    throw new ApiError(404, 'Claim not found');
+  }
+  if (!canManage(req.me, person.id)) {
+    throw new ApiError(403, `You can't change what ${person.name} brings`);
+  }
+  db.prepare('DELETE FROM gear_claims WHERE item_id = ? AND person_id = ?').run(item.id, person.id);
+  const updated = getGear(req.trip.id, item.id);
+  logActivity(req, {
+    action: 'update',
+    entity: 'item',
+    id: item.id,
+    label: item.name,
+    changes: { [`claim.${person.name}`]: [{ quantity: claim.quantity, packed: claim.packed }, null] },
+  });
+  publish(req, 'gear.updated', { item: updated });
+  res.json(updated);
+});
+
+// rooms, beds and who sleeps where; organizers plan, everyone can see the plan
+tripRouter.get('/rooms', (req, res) => {
+  res.json(getRooms(req.trip.id));
+});
+
+// a room can come with its beds: { name, beds: [{ label, capacity }] }
+tripRouter.post('/rooms', organizerOnly, (req, res) => {
+  const { name } = parseBody(req.body, ROOM_SCHEMA, { required: ['name'] });
+  const beds = Array.isArray(req.body.beds) ? req.body.beds : [];
+  const bedRows = [];
+  for (const [i, bed] of beds.entries()) {
+    const { columns, error, fields } = bedColumns({ label: `Bed ${i + 1}`, capacity: 1, ...bed });
+    if (error) {
+      throw new ApiError(400, error, { fields: Object.fromEntries(Object.entries(fields).map(([f, m]) => [`beds.${i}.${f}`, m])) });
+    }
+    bedRows.push(columns);
+  }
+  const id = db.transaction(() => {
+    const roomId = db.prepare('INSERT INTO rooms (trip_id, name) VALUES (?, ?)').run(req.trip.id, name).lastInsertRowid;
+    for (const bed of bedRows) db.prepare('INSERT INTO beds (room_id, label, capacity) VALUES (?, ?, ?)').run(roomId, bed.label, bed.capacity);
+    return roomId;
+  })();
+  logActivity(req, { action: 'create', entity: 'room', id, label: name });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.status(201).json(rooms);
+});
+
+tripRouter.patch('/rooms/:roomId', organizerOnly, (req, res) => {
+  const room = getRoom(req.trip.id, req.params.roomId);
+  if (!room) {
+    throw new ApiError(404, 'Room not found');
+  }
+  const { name } = parseBody(req.body, ROOM_SCHEMA, { required: ['name'] });
+  db.prepare('UPDATE rooms SET name = ? WHERE id = ?').run(name, room.id);
+  logActivity(req, { action: 'update', entity: 'room', id: room.id, label: name, changes: { name: [room.name, name] } });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+// removing a room or a bed unassigns whoever slept there
+tripRouter.delete('/rooms/:roomId', organizerOnly, (req, res) => {
+  const room = getRoom(req.trip.id, req.params.roomId);
+  if (!room) {
+    throw new ApiError(404, 'Room not found');
+  }
+  db.prepare('DELETE FROM rooms WHERE id = ?').run(room.id);
+  logActivity(req, { action: 'delete', entity: 'room', id: room.id, label: room.name });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+tripRouter.post('/rooms/:roomId/beds', organizerOnly, (req, res) => {
+  const room = getRoom(req.trip.id, req.params.roomId);
+  if (!room) {
+    throw new ApiError(404, 'Room not found');
+  }
+  const count = db.prepare('SELECT COUNT(*) AS n FROM beds WHERE room_id = ?').get(room.id).n;
+  const { columns, error, fields } = bedColumns({ label: `Bed ${count + 1}`, capacity: 1, ...req.body });
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const id = db.prepare('INSERT INTO beds (room_id, label, capacity) VALUES (?, ?, ?)').run(room.id, columns.label, columns.capacity).lastInsertRowid;
+  logActivity(req, { action: 'create', entity: 'bed', id, label: `${room.name}, ${columns.label}` });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.status(201).json(rooms);
+});
+
+tripRouter.patch('/beds/:bedId', organizerOnly, (req, res) => {
+  const bed = getBed(req.trip.id, req.params.bedId);
+  if (!bed) {
+    throw new ApiError(404, 'Bed not found');
+  }
+  const { columns, error, fields } = bedColumns(req.body);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  const sleeping = db.prepare('SELECT COUNT(*) AS n FROM sleepers WHERE bed_id = ?').get(bed.id).n;
+  if (columns.capacity < sleeping) {
+    throw new ApiError(400, `${sleeping} people already sleep in ${bedName(bed)}`, { fields: { capacity: `${sleeping} people already sleep here` } });
+  }
+  db.prepare(`UPDATE beds SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), bed.id);
+  const after = getBed(req.trip.id, bed.id);
+  logActivity(req, { action: 'update', entity: 'bed', id: bed.id, label: bedName(after), changes: diff(bed, after, keys) });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+tripRouter.delete('/beds/:bedId', organizerOnly, (req, res) => {
+  const bed = getBed(req.trip.id, req.params.bedId);
+  if (!bed) {
+    throw new ApiError(404, 'Bed not found');
+  }
+  db.prepare('DELETE FROM beds WHERE id = ?').run(bed.id);
+  logActivity(req, { action: 'delete', entity: 'bed', id: bed.id, label: bedName(bed) });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+// checks a whole plan, { personId: bedId }, against the trip and bed capacity
+function sleeperPlan(tripId, assignments) {
+  if (!assignments || typeof assignments !== 'object' || Array.isArray(assignments)) return { error: 'Assignments must map person ids to bed ids' };
+  const taken = new Map();
+  const plan = [];
+  for (const [personId, bedId] of Object.entries(assignments)) {
+    if (bedId === null) continue;
+    const person = getPerson(tripId, personId);
+    const bed = getBed(tripId, bedId);
+    if (!person) return { error: `Person ${personId} is not in this trip` };
+    if (!bed) return { error: `Bed ${bedId} is not in this trip` };
+    taken.set(bed.id, (taken.get(bed.id) || 0) + 1);
+    if (taken.get(bed.id) > bed.capacity) return { error: `${bedName(bed)} only sleeps ${bed.capacity}` };
+    plan.push({ person, bed });
+  }
+  return { plan };
+}
+
+// replaces the whole plan, e.g. with the app's suggestion. People left out have no bed.
+tripRouter.put('/sleepers', organizerOnly, (req, res) => {
+  const { plan, error } = sleeperPlan(req.trip.id, req.body.assignments);
+  if (error) {
+    throw new ApiError(400, error, { fields: { assignments: error } });
+  }
+  const before = new Map(db.prepare('SELECT person_id, bed_id FROM sleepers WHERE trip_id = ?').all(req.trip.id).map((s) => [s.person_id, s.bed_id]));
+  db.transaction(() => {
+    db.prepare('DELETE FROM sleepers WHERE trip_id = ?').run(req.trip.id);
+    for (const { person, bed } of plan) db.prepare('INSERT INTO sleepers (person_id, bed_id, trip_id) VALUES (?, ?, ?)').run(person.id, bed.id, req.trip.id);
+  })();
+  const after = new Map(plan.map(({ person, bed }) => [person.id, bed.id]));
+  for (const personId of new Set([...before.keys(), ...after.keys()])) {
+    if (before.get(personId) === after.get(personId)) continue;
+    const from = before.has(personId) ? bedName(getBed(req.trip.id, before.get(personId))) : null;
+    const to = after.has(personId) ? bedName(getBed(req.trip.id, after.get(personId))) : null;
+    logActivity(req, { action: 'update', entity: 'sleeper', id: personId, label: getPerson(req.trip.id, personId).name, changes: { bed: [from, to] } });
+  }
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+// moves one person to a bed with { bed_id }, or out of their bed with null
+tripRouter.put('/sleepers/:personId', organizerOnly, (req, res) => {
+  const person = getPerson(req.trip.id, req.params.personId);
+  if (!person) {
+    throw new ApiError(404, 'Person not found');
+  }
+  const bed = req.body.bed_id == null ? null : getBed(req.trip.id, req.body.bed_id);
+  if (req.body.bed_id != null && !bed) {
+    throw new ApiError(400, 'Bed not found', { fields: { bed_id: 'Bed not found in this trip' } });
+  }
+  const before = db.prepare('SELECT bed_id FROM sleepers WHERE person_id = ?').get(person.id);
+  if (bed && before?.bed_id !== bed.id) {
+    const sleeping = db.prepare('SELECT COUNT(*) AS n FROM sleepers WHERE bed_id = ?').get(bed.id).n;
+    if (sleeping >= bed.capacity) {
+      throw new ApiError(400, `${bedName(bed)} is full`);
+    }
+  }
+  if (bed) db.prepare('INSERT OR REPLACE INTO sleepers (person_id, bed_id, trip_id) VALUES (?, ?, ?)').run(person.id, bed.id, req.trip.id);
+  else db.prepare('DELETE FROM sleepers WHERE person_id = ?').run(person.id);
+  logActivity(req, {
+    action: 'update',
+    entity: 'sleeper',
+    id: person.id,
+    label: person.name,
+    changes: { bed: [before ? bedName(getBed(req.trip.id, before.bed_id)) : null, bedName(bed)] },
+  });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+// { kind: 'together' | 'apart', person_ids: [a, b] }; a pair has at most one rule
+tripRouter.post('/room-rules', organizerOnly, (req, res) => {
+  const { kind } = parseBody(req.body, { kind: oneOf(ROOM_RULE_KINDS, { label: 'Kind' }) }, { required: ['kind'] });
+  const ids = Array.isArray(req.body.person_ids) ? req.body.person_ids : [];
+  const people = ids.map((id) => getPerson(req.trip.id, id));
+  if (ids.length !== 2 || people.some((p) => !p) || people[0].id === people[1].id) {
+    throw new ApiError(400, 'A rule needs two different people from this trip', { fields: { person_ids: 'Pick two different people' } });
+  }
+  const [a, b] = people.map((p) => p.id).sort((x, y) => x - y);
+  const existing = db.prepare('SELECT id FROM room_rules WHERE person_a = ? AND person_b = ?').get(a, b);
+  if (existing) {
+    throw new ApiError(409, `${people[0].name} and ${people[1].name} already have a rule`);
+  }
+  const id = db.prepare('INSERT INTO room_rules (trip_id, kind, person_a, person_b) VALUES (?, ?, ?, ?)').run(req.trip.id, kind, a, b).lastInsertRowid;
+  logActivity(req, { action: 'create', entity: 'room rule', id, label: `${people[0].name} ${kind === 'together' ? 'with' : 'apart from'} ${people[1].name}` });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.status(201).json(rooms);
+});
+
+tripRouter.delete('/room-rules/:ruleId', organizerOnly, (req, res) => {
+  const rule = db.prepare('SELECT * FROM room_rules WHERE id = ? AND trip_id = ?').get(req.params.ruleId, req.trip.id);
+  if (!rule) {
+    throw new ApiError(404, 'Rule not found');
+  }
+  const [a, b] = [rule.person_a, rule.person_b].map((id) => getPerson(req.trip.id, id).name);
+  db.prepare('DELETE FROM room_rules WHERE id = ?').run(rule.id);
+  logActivity(req, { action: 'delete', entity: 'room rule', id: rule.id, label: `${a} ${rule.kind === 'together' ? 'with' : 'apart from'} ${b}` });
+  const rooms = getRooms(req.trip.id);
+  publish(req, 'rooms.updated', rooms);
+  res.json(rooms);
+});
+
+tripRouter.get('/polls', (req, res) => {
+  res.json(listPolls(req.trip.id, req.me));
+});
+
+// anyone in the trip can ask the group something
+tripRouter.post('/polls', (req, res) => {
+  const { columns, options, error, fields } = pollColumns(req.body, true);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  Object.assign(columns, { trip_id: req.trip.id, created_by: req.me.id });
+  const keys = Object.keys(columns);
+  const id = db.transaction(() => {
+    const pollId = db
+      .prepare(`INSERT INTO polls (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+      .run(...keys.map((k) => columns[k])).lastInsertRowid;
+    options.forEach((label, i) => db.prepare('INSERT INTO poll_options (poll_id, label, position) VALUES (?, ?, ?)').run(pollId, label, i));
+    return pollId;
+  })();
+  const poll = getPoll(req.trip.id, id);
+  logActivity(req, { action: 'create', entity: 'poll', id, label: poll.question });
+  publish(req, 'poll.created', { poll: serializePoll(poll) });
+  res.status(201).json(serializePoll(poll, req.me));
+});
+
+// the question, deadline and closed flag; whoever asked (or an organizer) can change them
+tripRouter.patch('/polls/:pollId', (req, res) => {
+  const poll = getPoll(req.trip.id, req.params.pollId);
+  if (!poll) {
+    throw new ApiError(404, 'Poll not found');
+  }
+  if (!canManage(req.me, poll.created_by)) {
+    throw new ApiError(403, 'Members can only change polls they started');
+  }
+  const { columns, error, fields } = pollColumns(req.body, false);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  const keys = Object.keys(columns);
+  if (keys.length === 0) {
+    throw new ApiError(400, 'No valid fields provided');
+  }
+  db.prepare(`UPDATE polls SET ${keys.map((k) => `${k} = ?`).join(', ')} WHERE id = ?`).run(...keys.map((k) => columns[k]), poll.id);
+  const updated = getPoll(req.trip.id, poll.id);
+  logActivity(req, { action: 'update', entity: 'poll', id: poll.id, label: updated.question, changes: diff(poll, updated, keys) });
+  publish(req, 'poll.updated', { poll: serializePoll(updated) });
+  res.json(serializePoll(updated, req.me));
+});
+
+tripRouter.delete('/polls/:pollId', (req, res) => {
+  const poll = getPoll(req.trip.id, req.params.pollId);
+  if (!poll) {
+    throw new ApiError(404, 'Poll not found');
+  }
+  if (!canManage(req.me, poll.created_by)) {
+    throw new ApiError(403, 'Members can only delete polls they started');
+  }
+  db.prepare('DELETE FROM polls WHERE id = ?').run(poll.id);
+  logActivity(req, { action: 'delete', entity: 'poll', id: poll.id, label: poll.question });
+  publish(req, 'poll.deleted', { id: poll.id });
+  res.status(204).end();
+});
+
+// replaces your own votes with { option_ids }; an empty list takes your vote back.
+// Votes in anonymous polls stay out of the activity log.
+tripRouter.put('/polls/:pollId/vote', (req, res) => {
+  const poll = getPoll(req.trip.id, req.params.pollId);
+  if (!poll) {
+    throw new ApiError(404, 'Poll not found');
+  }
+  if (pollClosed(poll)) {
+    throw new ApiError(400, 'This poll is closed');
+  }
+  const options = selectPollOptions.all(poll.id);
+  const ids = Array.isArray(req.body.option_ids) ? [...new Set(req.body.option_ids.map(Number))] : null;
+  if (!ids || ids.some((id) => !options.some((o) => o.id === id))) {
+    throw new ApiError(400, 'option_ids must be options of this poll', { fields: { option_ids: 'Pick options of this poll' } });
+  }
+  if (poll.kind === 'single' && ids.length > 1) {
+    throw new ApiError(400, 'This poll takes one choice', { fields: { option_ids: 'Pick one option' } });
+  }
+  const before = selectPollVotes.all(poll.id).filter((v) => v.person_id === req.me.id).map((v) => v.option_id);
+  db.transaction(() => {
+    db.prepare('DELETE FROM poll_votes WHERE poll_id = ? AND person_id = ?').run(poll.id, req.me.id);
+    for (const id of ids) db.prepare('INSERT INTO poll_votes (poll_id, option_id, person_id) VALUES (?, ?, ?)').run(poll.id, id, req.me.id);
+  })();
+  if (!poll.anonymous) {
+    const labels = (list) => options.filter((o) => list.includes(o.id)).map((o) => o.label);
+    logActivity(req, { action: 'update', entity: 'poll', id: poll.id, label: poll.question, changes: { [`vote.${req.me.name}`]: [labels(before), labels(ids)] } });
+  }
+  publish(req, 'poll.updated', { poll: serializePoll(poll) });
+  res.json(serializePoll(poll, req.me));
+});
+
+// turns a closed poll's chosen option into a trip-wide task (a date poll's date becomes the
+// due date) or a line in the trip notes: { option_id, as: 'task' | 'note' }
+tripRouter.post('/polls/:pollId/adopt', organizerOnly, (req, res) => {
+  const poll = getPoll(req.trip.id, req.params.pollId);
+  if (!poll) {
+    throw new ApiError(404, 'Poll not found');
+  }
+  const option = selectPollOptions.all(poll.id).find((o) => o.id === Number(req.body.option_id));
+  if (!option) {
+    throw new ApiError(400, 'option_id must be an option of this poll', { fields: { option_id: 'Pick an option of this poll' } });
+  }
+  const { as } = parseBody(req.body, { as: oneOf(['task', 'note'], { label: 'as' }) }, { required: ['as'] });
+  if (!pollClosed(poll)) {
+    throw new ApiError(400, 'Close the poll first');
+  }
+  if (poll.adopted_as) {
+    throw new ApiError(409, `This poll's result is already a ${poll.adopted_as}`);
+  }
+  const line = `${poll.question}: ${option.label}`;
+  const taskId = db.transaction(() => {
+    db.prepare('UPDATE polls SET adopted_option_id = ?, adopted_as = ? WHERE id = ?').run(option.id, as, poll.id);
+    if (as === 'note') {
+      db.prepare('UPDATE trips SET notes = ? WHERE id = ?').run(req.trip.notes ? `${req.trip.notes}\n${line}` : line, req.trip.id);
+      return null;
+    }
+    return poll.kind === 'date'
+      ? createTask(req.trip.id, { title: poll.question, due_date: option.label.slice(0, 10), description: `Picked in a poll: ${option.label}` })
+      : createTask(req.trip.id, { title: line, description: 'Picked in a poll' });
+  })();
+  if (taskId) {
+    const task = getTask(req.trip.id, taskId);
+    logActivity(req, { action: 'create', entity: 'task', id: task.id, label: task.title });
+    publish(req, 'task.created', { task });
+  } else {
+    const trip = getTrip(req.trip.id);
+    logActivity(req, { action: 'update', entity: 'trip', id: trip.id, label: trip.title, changes: diff(req.trip, trip, ['notes']) });
+    publish(req, 'trip.updated', { trip: tripFor(null, trip) });
+  }
+  const updated = getPoll(req.trip.id, poll.id);
+  publish(req, 'poll.updated', { poll: serializePoll(updated) });
+  res.json(serializePoll(updated, req.me));
+});
+
+tripRouter.get('/expenses', (req, res) => {
+  res.json(listExpenses(req.trip.id));
+});
+
+tripRouter.post('/expenses', (req, res) => {
+  const { expense, error, fields } = expenseInput(req.trip.id, req.body);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  if (!canManage(req.me, expense.payer_id)) {
+    throw new ApiError(403, 'Members can only log expenses they paid');
+  }
+  const id = db.transaction(() => {
+    const result = db
+      .prepare('INSERT INTO expenses (trip_id, payer_id, description, amount, currency, split_mode) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(req.trip.id, expense.payer_id, expense.description, expense.amount, expense.currency, expense.split_mode);
+    saveExpenseShares(result.lastInsertRowid, expense.participants);
+    return result.lastInsertRowid;
+  })();
+  const created = getExpense(req.trip.id, id);
+  logActivity(req, { action: 'create', entity: 'expense', id: created.id, label: created.description, changes: { amount: [null, created.amount] } });
+  publish(req, 'expense.created', { expense: created, ledger: tripBalances(req.trip.id) });
+  res.status(201).json(created);
+});
+
+// replaces the whole expense; partial updates would make split validation ambiguous
+tripRouter.put('/expenses/:expenseId', (req, res) => {
+  const existing = getExpense(req.trip.id, req.params.expenseId);
+  if (!existing) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  const { expense, error, fields } = expenseInput(req.trip.id, req.body);
+  if (error) {
+    throw new ApiError(400, error, { fields });
+  }
+  if (!canManage(req.me, existing.payer_id) || !canManage(req.me, expense.payer_id)) {
+    throw new ApiError(403, 'Members can only change expenses they paid');
+  }
+  db.transaction(() => {
+    db.prepare('UPDATE expenses SET payer_id = ?, description = ?, amount = ?, currency = ?, split_mode = ? WHERE id = ?')
+      .run(expense.payer_id, expense.description, expense.amount, expense.currency, expense.split_mode, existing.id);
+    saveExpenseShares(existing.id, expense.participants);
+  })();
+  const updated = getExpense(req.trip.id, existing.id);
+  logActivity(req, {
+    action: 'update',
+    entity: 'expense',
+    id: existing.id,
+    label: updated.description,
+    changes: diff(existing, updated, ['description', 'amount', 'currency', 'payer_id', 'split_mode', 'participants']),
+  });
+  publish(req, 'expense.updated', { expense: updated, ledger: tripBalances(req.trip.id) });
+  res.json(updated);
+});
+
+tripRouter.delete('/expenses/:expenseId', (req, res) => {
+  const expense = getExpense(req.trip.id, req.params.expenseId);
+  if (!expense) {
+    throw new ApiError(404, 'Expense not found');
+  }
+  if (!canManage(req.me, expense.payer_id)) {
+    throw new ApiError(403, 'Members can only change expenses they paid');
+  }
+  db.prepare('DELETE FROM expenses WHERE id = ?').run(expense.id);
+  logActivity(req, { action: 'delete', entity: 'expense', id: expense.id, label: expense.description, changes: { amount: [expense.amount, null] } });
+  publish(req, 'expense.deleted', { id: Number(req.params.expenseId), ledger: tripBalances(req.trip.id) });
+  res.status(204).end();
+});
+
+tripRouter.get('/balances', (req, res) => {
+  res.json(tripBalances(req.trip.id));
+});
+
+tripRouter.get('/gallery', (req, res) => {
+  const rows = db
+    .prepare(`SELECT g.*, p.name as uploader FROM gallery g LEFT JOIN people p ON p.id = g.person_id
+      WHERE g.trip_id = ? ORDER BY g.uploaded_at DESC, g.id DESC`)
+    .all(req.trip.id);
   res.json(rows);
 });
 
-app.post('/gallery/upload', upload.single('photo'), (req, res) => {
+// multipart fields: photo (the file), optional caption and person_id of the uploader
+// (organizers only; otherwise the uploader is whoever is signed in).
+// The stored original is auto-oriented and stripped of metadata; thumb and medium are webp.
+tripRouter.post('/gallery/upload', upload.single('photo'), asyncRoute(async (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ message: 'No file uploaded' });
+    throw new ApiError(400, 'No file uploaded', { fields: { photo: 'Pick a photo to upload' } });
+  }
+  const personId = req.body.person_id ? Number(req.body.person_id) : req.me.id;
+  if (!getPerson(req.trip.id, personId)) {
+    throw new ApiError(400, 'Uploader not found in this trip', { fields: { person_id: 'Uploader not found in this trip' } });
+  }
+  if (!canManage(req.me, personId)) {
+    throw new ApiError(403, 'Members can only upload as themselves');
+  }
+  const type = sniffImageType(req.file.buffer);
+  if (!type) {
+    throw new ApiError(400, 'File is not a JPEG or PNG image', { fields: { photo: 'Photos must be JPEG or PNG images' } });
+  }
+  const hash = contentHash(req.file.buffer);
+  const existing = db.prepare('SELECT id FROM gallery WHERE trip_id = ? AND content_hash = ?').get(req.trip.id, hash);
+  if (existing) {
+    throw new ApiError(409, 'This photo is already in the gallery', { details: { photo: getPhoto(req.trip.id, existing.id) } });
+  }
+
+  let image;
+  try {
+    image = await processImage(req.file.buffer, type);
+  } catch {
+    throw new ApiError(400, 'Could not read image', { fields: { photo: 'Could not read this image' } });
+  }
+  const base = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+  const names = { original: `${base}.${type === 'png' ? 'png' : 'jpg'}`, thumb: `${base}-thumb.webp`, medium: `${base}-medium.webp` };
+  await Promise.all([
+    fs.promises.writeFile(path.join(uploadDir, names.original), image.original),
+    fs.promises.writeFile(path.join(uploadDir, names.thumb), image.variants.thumb),
+    fs.promises.writeFile(path.join(uploadDir, names.medium), image.variants.medium),
+  ]);
+
+  const urlFor = (name) => `${req.protocol}://${req.get('host')}/uploads/${name}`;
+  const stmt = db.prepare(`INSERT INTO gallery (trip_id, filename, url, thumb_url, medium_url, width, height, taken_at, content_hash, person_id, caption)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const result = stmt.run(
+    req.trip.id,
+    req.file.originalname,
+    urlFor(names.original),
+    urlFor(names.thumb),
+    urlFor(names.medium),
+    image.width,
+    image.height,
+    image.takenAt,
+    hash,
+    personId,
+    String(req.body.caption || '').trim()
+  );
+  const photo = getPhoto(req.trip.id, result.lastInsertRowid);
+  logActivity(req, { action: 'create', entity: 'photo', id: photo.id, label: photo.caption || photo.filename });
+  publish(req, 'photo.created', { photo });
+  res.status(201).json(photo);
+}));
+
+tripRouter.patch('/gallery/:photoId', (req, res) => {
+  const photo = getPhoto(req.trip.id, req.params.photoId);
+  if (!photo) {
+    throw new ApiError(404, 'Photo not found');
+  }
+  if (!canManage(req.me, photo.person_id)) {
+    throw new ApiError(403, 'Only the uploader or an organizer can change this photo');
   }
-  const url = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`;
-  const stmt = db.prepare('INSERT INTO gallery (filename, url) VALUES (?, ?)');
-  const result = stmt.run(req.file.originalname, url);
-  res.json({ id: result.lastInsertRowid, url });
+  const { caption } = parseBody(req.body, { caption: text({ label: 'Caption', max: 500 }) }, { required: ['caption'] });
+  db.prepare('UPDATE gallery SET caption = ? WHERE id = ?').run(caption, photo.id);
+  const updated = getPhoto(req.trip.id, photo.id);
+  logActivity(req, { action: 'update', entity: 'photo', id: photo.id, label: photo.filename, changes: diff(photo, updated, ['caption']) });
+  publish(req, 'photo.updated', { photo: updated });
+  res.json(updated);
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+tripRouter.delete('/gallery/:photoId', (req, res) => {
+  const photo = getPhoto(req.trip.id, req.params.photoId);
+  if (!photo) {
+    throw new ApiError(404, 'Photo not found');
+  }
+  if (!canManage(req.me, photo.person_id)) {
+    throw new ApiError(403, 'Only the uploader or an organizer can change this photo');
+  }
+  db.prepare('DELETE FROM gallery WHERE id = ?').run(photo.id);
+  logActivity(req, { action: 'delete', entity: 'photo', id: photo.id, label: photo.caption || photo.filename });
+  for (const url of [photo.url, photo.thumb_url, photo.medium_url].filter(Boolean)) {
+    fs.unlink(path.join(uploadDir, path.basename(new URL(url).pathname)), () => {});
+  }
+  publish(req, 'photo.deleted', { id: photo.id });
+  res.status(204).end();
+});
+
+app.use((req, res) => {
+  throw new ApiError(404, `${req.method} ${req.path} is not a route`);
+});
+
+// every failure ends here and answers { error: { code, message, fields } }. Routes throw
+// ApiError; upload limits and unreadable JSON bodies are turned into one here, and
+// anything else is a bug, logged and reported as a 500 without its details.
+app.use((err, req, res, next) => {
+  let error = err;
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    const message = tooLarge ? 'Photos can be at most 5 MB' : err.message;
+    error = new ApiError(tooLarge ? 413 : 400, message, { code: tooLarge ? 'payload_too_large' : undefined, fields: err.field ? { [err.field]: message } : null });
+  } else if (err.type === 'entity.parse.failed') {
+    error = new ApiError(400, 'The request body is not valid JSON', { code: 'invalid_json' });
+  } else if (err.type === 'entity.too.large') {
+    error = new ApiError(413, 'The request body is too large');
+  } else if (!(err instanceof ApiError)) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+    error = new ApiError(500, 'Something went wrong on the server');
+  }
+  if (res.headersSent) return res.end();
+  res.status(error.status).json(error);
 });
 
+export { app, db, pruneEvents };
+
+if (isMain) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    // trips from before invites (and seeded ones) have nobody to hand out links yet
+    const unclaimed = db.prepare('SELECT * FROM trips WHERE NOT EXISTS (SELECT 1 FROM people WHERE trip_id = trips.id AND organizer = 1)').all();
+    for (const trip of unclaimed) {
+      console.log(`"${trip.title}" has no organizer yet. The first person to join becomes one: ${APP_URL}/?invite=${trip.invite_token}`);
+    }
+  });
+
+  // reminder scheduler. Notifications still queued from before a restart go out first.
+  for (const notification of db.prepare("SELECT * FROM notifications WHERE status = 'queued'").all()) {
+    deliver(notification).catch((err) => console.error(`Notification ${notification.id} failed:`, err));
+  }
+  function checkReminders() {
+    for (const trip of db.prepare('SELECT * FROM trips WHERE archived = 0').all()) {
+      try {
+        runReminders(trip);
+      } catch (err) {
+        console.error(`Reminders for trip ${trip.id} failed:`, err);
+      }
+    }
+  }
+  checkReminders();
+  setInterval(checkReminders, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+}
@@ -0,0 +1,151 @@
+// Expense splitting and settle-up math. Works in whole cents internally so
+// rounding never leaves a balance a cent off.
+
+export const SPLIT_MODES = ['equal', 'shares', 'exact'];
+
+const toCents = (n) => Math.round(Number(n) * 100);
+const fromCents = (c) => c / 100;
+
+// returns { [personId]: cents owed } for one expense; leftover cents from
+// equal/share splits go to the participants with the largest remainders
+export function splitExpense(expense) {
+  const total = toCents(expense.amount);
+  const parts = expense.participants;
+  if (expense.split_mode === 'exact') {
+    return Object.fromEntries(parts.map((p) => [p.person_id, toCents(p.share)]));
+  }
+  const weights = parts.map((p) => (expense.split_mode === 'shares' ? Number(p.share) : 1));
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const raw = weights.map((w) => (total * w) / sum);
+  const owed = raw.map(Math.floor);
+  const left = total - owed.reduce((a, b) => a + b, 0);
+  const order = raw.map((r, i) => [r - owed[i], i]).sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (let k = 0; k < left; k++) owed[order[k % order.length][1]] += 1;
+  return Object.fromEntries(parts.map((p, i) => [p.person_id, owed[i]]));
+}
+
+// checks participants/shares for a split mode; returns an error message or null
+export function validateSplit({ amount, split_mode, participants }) {
+  if (!SPLIT_MODES.includes(split_mode)) return `Split mode must be one of ${SPLIT_MODES.join(', ')}`;
+  if (!Array.isArray(participants) || participants.length === 0) return 'At least one participant is required';
+  const ids = participants.map((p) => Number(p.person_id));
+  if (new Set(ids).size !== ids.length) return 'Each participant can only appear once';
+  if (split_mode === 'shares' && participants.some((p) => !(Number(p.share) > 0))) return 'Shares must be positive numbers';
+  if (split_mode === 'exact') {
+    if (participants.some((p) => !Number.isFinite(Number(p.share)) || Number(p.share) < 0)) return 'Exact amounts must be zero or more';
+    const sum = participants.reduce((s, p) => s + toCents(p.share), 0);
+    if (sum !== toCents(amount)) return `Exact amounts add up to ${fromCents(sum)}, not ${amount}`;
+  }
+  return null;
+}
+
+// an expense in another currency, re-expressed in the trip currency. `rate` is how many units
+// of the expense's currency one unit of the trip currency buys. Exact shares are scaled too,
+// with the rounding cents put on the largest share so they still add up to the amount.
+export function convertExpense(expense, rate) {
+  const amount = Math.round(toCents(expense.amount) / rate);
+  if (expense.split_mode !== 'exact') return { ...expense, amount: fromCents(amount) };
+  const shares = expense.participants.map((p) => Math.round(toCents(p.share) / rate));
+  const largest = shares.indexOf(Math.max(...shares));
+  shares[largest] += amount - shares.reduce((a, b) => a + b, 0);
+  return {
+    ...expense,
+    amount: fromCents(amount),
+    participants: expense.participants.map((p, i) => ({ ...p, share: fromCents(shares[i]) })),
+  };
+}
+
+// per-person totals: what they paid, what their share of everything is, and the difference
+export function computeBalances(people, expenses) {
+  const paid = new Map(people.map((p) => [p.id, 0]));
+  const owed = new Map(people.map((p) => [p.id, 0]));
+  for (const expense of expenses) {
+    if (paid.has(expense.payer_id)) paid.set(expense.payer_id, paid.get(expense.payer_id) + toCents(expense.amount));
+    for (const [personId, cents] of Object.entries(splitExpense(expense))) {
+      const id = Number(personId);
+      if (owed.has(id)) owed.set(id, owed.get(id) + cents);
+    }
+  }
+  return people.map((p) => ({
+    person_id: p.id,
+    paid: fromCents(paid.get(p.id)),
+    owed: fromCents(owed.get(p.id)),
+    net: fromCents(paid.get(p.id) - owed.get(p.id)),
+  }));
+}
+
+// the most people with a balance that are settled with the fewest transfers; past this the
+// subsets are too many to search, and everyone is settled as one group
+const MAX_EXACT = 18;
+
+// turns balances into the fewest "who pays whom" transfers. A group of people whose
+// balances add up to zero settles among itself with one transfer fewer than its size, so
+// the fewest transfers come from splitting everyone into as many such groups as possible.
+export function settle(balances) {
+  const people = [];
+  for (const b of balances) {
+    const cents = toCents(b.net);
+    if (cents) people.push({ id: b.person_id, cents });
+  }
+  const groups = people.length <= MAX_EXACT ? zeroSumGroups(people) : [people];
+  return groups.flatMap(settleGroup);
+}
+
+// best[mask] is the most zero-sum groups the people in `mask` split into, counting a
+// leftover that doesn't add up to zero as none. Walking back from everyone, a group ends
+// wherever the people still left add up to zero.
+function zeroSumGroups(people) {
+  const full = (1 << people.length) - 1;
+  const sum = new Float64Array(full + 1);
+  const best = new Uint8Array(full + 1);
+  const without = (mask, fn) => {
+    for (let i = 0; i < people.length; i++) if (mask & (1 << i)) fn(i, mask ^ (1 << i));
+  };
+  for (let mask = 1; mask <= full; mask++) {
+    const low = 31 - Math.clz32(mask & -mask);
+    sum[mask] = sum[mask ^ (1 << low)] + people[low].cents;
+    let most = 0;
+    without(mask, (i, rest) => (most = Math.max(most, best[rest])));
+    best[mask] = most + (sum[mask] === 0 ? 1 : 0);
+  }
+  const groups = [];
+  let group = [];
+  for (let mask = full; mask; ) {
+    const target = best[mask] - (sum[mask] === 0 ? 1 : 0);
+    let next = -1;
+    without(mask, (i, rest) => {
+      if (next < 0 && best[rest] === target) next = i;
+    });
+    group.push(people[next]);
+    mask ^= 1 << next;
+    if (sum[mask] === 0) {
+      groups.push(group);
+      group = [];
+    }
+  }
+  return groups;
+}
+
+// settles one group: exact matches are paired first, then the largest debtor pays the
+// largest creditor. That needs at most one transfer fewer than the group's size.
+function settleGroup(people) {
+  const debtors = people.filter((p) => p.cents < 0).map((p) => ({ id: p.id, cents: -p.cents }));
+  const creditors = people.filter((p) => p.cents > 0).map((p) => ({ ...p }));
+  const transfers = [];
+  const pay = (d, c, cents) => {
+    transfers.push({ from: d.id, to: c.id, amount: fromCents(cents) });
+    d.cents -= cents;
+    c.cents -= cents;
+  };
+  for (const d of debtors) {
+    const c = creditors.find((x) => x.cents === d.cents);
+    if (c) pay(d, c, d.cents);
+  }
+  for (;;) {
+    const d = debtors.filter((x) => x.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+    const c = creditors.filter((x) => x.cents > 0).sort((a, b) => b.cents - a.cents)[0];
+    if (!d || !c) break;
+    pay(d, c, Math.min(d.cents, c.cents));
+  }
+  return transfers;
+}
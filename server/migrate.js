@@ -0,0 +1,114 @@
+// Versioned schema migrations. Each file in migrations/ is named NNN_description.js
+// and exports up(db); they run in order, once each, and schema_version records which
+// ones a database has had. The server applies pending ones at boot; the CLI shows the
+// status or tries them without keeping the changes:
+//
+//   node migrate.js             apply pending migrations
+//   node migrate.js status      list applied and pending migrations
+//   node migrate.js --dry-run   apply pending migrations, then roll them back
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const migrationsDir = path.join(__dirname, 'migrations');
+
+export async function loadMigrations(dir = migrationsDir) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => /^\d+_[\w-]+\.js$/.test(f))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  const migrations = [];
+  for (const file of files) {
+    const version = parseInt(file, 10);
+    if (migrations.some((m) => m.version === version)) throw new Error(`Migration ${version} is defined twice (${file})`);
+    const { up } = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof up !== 'function') throw new Error(`${file} does not export up(db)`);
+    migrations.push({ version, name: file.replace(/^\d+_|\.js$/g, ''), up });
+  }
+  return migrations;
+}
+
+function ensureVersionTable(db) {
+  db.prepare(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+}
+
+// { applied: [{ version, name, applied_at }], pending: [{ version, name }] }
+export async function migrationStatus(db, migrations) {
+  migrations ??= await loadMigrations();
+  ensureVersionTable(db);
+  const applied = db.prepare('SELECT * FROM schema_version ORDER BY version').all();
+  const done = new Set(applied.map((m) => m.version));
+  const pending = migrations.filter((m) => !done.has(m.version)).map(({ version, name }) => ({ version, name }));
+  return { applied, pending };
+}
+
+// Applies pending migrations, each in its own transaction together with its
+// schema_version row, so a failing one leaves the database at the previous version.
+// Foreign keys are off while a migration runs (SQLite ignores the pragma inside a
+// transaction, and rebuilding a table needs them off); any rows it leaves dangling
+// fail the migration instead. With dryRun everything is rolled back at the end.
+// Returns the migrations that ran.
+export async function migrate(db, { dryRun = false, log = () => {} } = {}) {
+  const migrations = await loadMigrations();
+  const { pending } = await migrationStatus(db, migrations);
+  if (!pending.length) return [];
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    const apply = (m) => {
+      migrations.find((x) => x.version === m.version).up(db);
+      const broken = db.pragma('foreign_key_check');
+      if (broken.length) {
+        throw new Error(`Migration ${m.version} leaves ${broken.length} row(s) pointing at missing rows, e.g. ${broken[0].table} row ${broken[0].rowid}`);
+      }
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(m.version, m.name);
+      log(`${dryRun ? 'Would apply' : 'Applied'} ${m.version} ${m.name}`);
+    };
+    if (dryRun) {
+      db.prepare('BEGIN').run();
+      try {
+        pending.forEach(apply);
+      } finally {
+        db.prepare('ROLLBACK').run();
+      }
+    } else {
+      for (const m of pending) db.transaction(apply)(m);
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+  return pending;
+}
+
+export function openDatabase() {
+  return new Database(process.env.DB_FILE || path.join(__dirname, 'data.db'));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const db = openDatabase();
+  try {
+    if (args.includes('status')) {
+      const { applied, pending } = await migrationStatus(db);
+      for (const m of applied) console.log(`applied  ${m.version} ${m.name} (${m.applied_at})`);
+      for (const m of pending) console.log(`pending  ${m.version} ${m.name}`);
+      if (!pending.length) console.log('Database is up to date.');
+    } else {
+      const dryRun = args.includes('--dry-run');
+      const ran = await migrate(db, { dryRun, log: console.log });
+      if (!ran.length) console.log('Database is up to date.');
+      else if (dryRun) console.log('Dry run: nothing was changed.');
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
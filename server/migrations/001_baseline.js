@@ -0,0 +1,420 @@
+// The schema as it was before versioned migrations. Until then every start ran
+// CREATE TABLE IF NOT EXISTS and added missing columns, so databases from any older
+// version can be anywhere along the way; every step here checks before it changes
+// anything. It also converts the pre-trips layout (a single `trip` row, loose people
+// columns and per-person task flags). New databases get the same tables, empty.
+import crypto from 'crypto';
+
+const TRANSPORTS = ['Car', 'Plane', 'Train', 'Bus', 'Ship'];
+const DEFAULT_TASKS = { packing: 'Packing', id: 'ID/License', toiletries: 'Toiletries' };
+const newToken = () => crypto.randomBytes(18).toString('base64url');
+
+export function up(db) {
+  // before tasks could be edited, each person carried fixed { key: done } flags;
+  // they are collected here and turned into trip task rows further down
+  const legacyTaskFlags = [];
+  const hasColumn = (table, column) => db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+  if (hasColumn('tasks', 'key')) {
+    legacyTaskFlags.push(...db.prepare('SELECT person_id, key, done FROM tasks').all());
+    db.prepare('DROP TABLE tasks').run();
+  }
+
+  // databases created before the people table matched the client model keep
+  // loose text columns; rebuild them into the typed layout below
+  const legacyPeople = hasColumn('people', 'payment_status');
+  if (legacyPeople) {
+    db.prepare('ALTER TABLE people RENAME TO people_legacy').run();
+  }
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS trips (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    location TEXT NOT NULL DEFAULT '',
+    trip_date TEXT NOT NULL DEFAULT '',
+    budget_per_person REAL NOT NULL DEFAULT 0,
+    gallery_query TEXT NOT NULL DEFAULT '',
+    archived INTEGER NOT NULL DEFAULT 0 CHECK (archived IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER REFERENCES trips(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'boy',
+    paid INTEGER NOT NULL DEFAULT 0 CHECK (paid IN (0, 1)),
+    amount REAL NOT NULL DEFAULT 0,
+    transport TEXT NOT NULL DEFAULT 'Car' CHECK (transport IN ('Car', 'Plane', 'Train', 'Bus', 'Ship')),
+    eta TEXT NOT NULL DEFAULT '',
+    notes TEXT NOT NULL DEFAULT ''
+  )`).run();
+
+  // person_id is set for tasks that only apply to one person
+  db.prepare(`CREATE TABLE IF NOT EXISTS tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    person_id INTEGER REFERENCES people(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    due_date TEXT NOT NULL DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS task_completions (
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, person_id)
+  )`).run();
+
+  // share is a weight in 'shares' mode, an amount in 'exact' mode and 1 in 'equal' mode
+  db.prepare(`CREATE TABLE IF NOT EXISTS expenses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    payer_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    description TEXT NOT NULL DEFAULT '',
+    amount REAL NOT NULL CHECK (amount > 0),
+    split_mode TEXT NOT NULL DEFAULT 'equal' CHECK (split_mode IN ('equal', 'shares', 'exact')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS expense_shares (
+    expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    share REAL NOT NULL DEFAULT 1,
+    PRIMARY KEY (expense_id, person_id)
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS gallery (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER REFERENCES trips(id) ON DELETE CASCADE,
+    filename TEXT,
+    url TEXT,
+    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+
+  // change feed for live updates; clients catch up from the last id they saw
+  db.prepare(`CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    data TEXT NOT NULL,
+    origin TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+
+  // a session is one browser; it is linked to the person row it claimed in each trip it joined
+  db.prepare(`CREATE TABLE IF NOT EXISTS sessions (
+    token TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS session_people (
+    token TEXT NOT NULL REFERENCES sessions(token) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (token, person_id)
+  )`).run();
+
+  // who changed what: one row per changed field. Actors are stored by id and name rather than
+  // as foreign keys so rows survive people being removed; triggers keep the table append-only.
+  db.prepare(`CREATE TABLE IF NOT EXISTS activity (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL,
+    actor_id INTEGER,
+    actor_name TEXT NOT NULL DEFAULT '',
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'join')),
+    entity TEXT NOT NULL,
+    entity_id INTEGER,
+    entity_label TEXT NOT NULL DEFAULT '',
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+  db.prepare('CREATE INDEX IF NOT EXISTS activity_trip ON activity (trip_id, id)').run();
+
+  // reminders and nudges. Like activity, the person is kept by id and name so the record of
+  // what was sent outlives them. A rule fires once per person and key (the trip date or ETA).
+  db.prepare(`CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL,
+    person_name TEXT NOT NULL DEFAULT '',
+    sender_name TEXT,
+    kind TEXT NOT NULL CHECK (kind IN ('reminder', 'nudge')),
+    rule TEXT,
+    rule_key TEXT,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    read_at DATETIME
+  )`).run();
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS notifications_rule_once ON notifications (person_id, rule, rule_key)
+    WHERE rule IS NOT NULL`).run();
+
+  // one row per channel a notification went out on
+  db.prepare(`CREATE TABLE IF NOT EXISTS notification_deliveries (
+    notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'skipped', 'failed')),
+    detail TEXT NOT NULL DEFAULT '',
+    delivered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (notification_id, channel)
+  )`).run();
+
+  // carpools: people driving declare seats and where/when they leave; each rider is in at most
+  // one car. Removing a driver (or either person) removes the rides that depended on them.
+  db.prepare(`CREATE TABLE IF NOT EXISTS drivers (
+    person_id INTEGER PRIMARY KEY REFERENCES people(id) ON DELETE CASCADE,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    seats INTEGER NOT NULL CHECK (seats >= 0),
+    departs_from TEXT NOT NULL DEFAULT '',
+    departs_at TEXT NOT NULL DEFAULT ''
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS rides (
+    rider_id INTEGER PRIMARY KEY REFERENCES people(id) ON DELETE CASCADE,
+    driver_id INTEGER NOT NULL REFERENCES drivers(person_id) ON DELETE CASCADE,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE
+  )`).run();
+
+  // the day-by-day plan. Times are wall-clock like trip_date; cost is per person.
+  // created_by lets members change the events they added.
+  db.prepare(`CREATE TABLE IF NOT EXISTS itinerary (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES people(id) ON DELETE SET NULL,
+    title TEXT NOT NULL,
+    starts_at TEXT NOT NULL,
+    ends_at TEXT NOT NULL DEFAULT '',
+    place TEXT NOT NULL DEFAULT '',
+    notes TEXT NOT NULL DEFAULT '',
+    cost REAL NOT NULL DEFAULT 0 CHECK (cost >= 0)
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS rsvps (
+    event_id INTEGER NOT NULL REFERENCES itinerary(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    status TEXT NOT NULL CHECK (status IN ('going', 'maybe', 'no')),
+    PRIMARY KEY (event_id, person_id)
+  )`).run();
+
+  // shared gear the group brings once (grill, speaker, cooler). Several people can each claim
+  // part of an item's quantity, so claims can add up to less or more than what is needed.
+  db.prepare(`CREATE TABLE IF NOT EXISTS gear (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES people(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT '',
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1)
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS gear_claims (
+    item_id INTEGER NOT NULL REFERENCES gear(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    packed INTEGER NOT NULL DEFAULT 0 CHECK (packed IN (0, 1)),
+    PRIMARY KEY (item_id, person_id)
+  )`).run();
+
+  // how many units of each currency one unit of the trip's currency buys, e.g. EUR 0.92 on
+  // a USD trip. Amounts in the trip currency itself need no row.
+  db.prepare(`CREATE TABLE IF NOT EXISTS exchange_rates (
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    currency TEXT NOT NULL,
+    rate REAL NOT NULL CHECK (rate > 0),
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (trip_id, currency)
+  )`).run();
+
+  // where everyone sleeps: rooms hold beds, a bed sleeps `capacity` people (2 for a double)
+  // and each person has at most one bed
+  db.prepare(`CREATE TABLE IF NOT EXISTS rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    name TEXT NOT NULL
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS beds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    label TEXT NOT NULL,
+    capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1)
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS sleepers (
+    person_id INTEGER PRIMARY KEY REFERENCES people(id) ON DELETE CASCADE,
+    bed_id INTEGER NOT NULL REFERENCES beds(id) ON DELETE CASCADE,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE
+  )`).run();
+
+  // pairs who should share a room (together) or not (apart). The app warns about plans that
+  // break them; only bed capacity is enforced here.
+  db.prepare(`CREATE TABLE IF NOT EXISTS room_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('together', 'apart')),
+    person_a INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    person_b INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    UNIQUE (person_a, person_b)
+  )`).run();
+
+  // group decisions. Options are fixed once a poll exists. Votes always record who voted so
+  // nobody votes twice, but anonymous polls only ever show counts. closes_at is wall-clock like
+  // trip_date; adopted_as records whether the winner became a task or a trip note.
+  db.prepare(`CREATE TABLE IF NOT EXISTS polls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES people(id) ON DELETE SET NULL,
+    question TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('single', 'multi', 'date')),
+    anonymous INTEGER NOT NULL DEFAULT 0 CHECK (anonymous IN (0, 1)),
+    closes_at TEXT NOT NULL DEFAULT '',
+    closed INTEGER NOT NULL DEFAULT 0 CHECK (closed IN (0, 1)),
+    adopted_option_id INTEGER,
+    adopted_as TEXT NOT NULL DEFAULT '' CHECK (adopted_as IN ('', 'task', 'note')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS poll_options (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    poll_id INTEGER NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    label TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0
+  )`).run();
+
+  db.prepare(`CREATE TABLE IF NOT EXISTS poll_votes (
+    poll_id INTEGER NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    option_id INTEGER NOT NULL REFERENCES poll_options(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE CASCADE,
+    PRIMARY KEY (option_id, person_id)
+  )`).run();
+
+  // per-trip overrides of REMINDER_RULES; rules without a row use their defaults
+  db.prepare(`CREATE TABLE IF NOT EXISTS reminder_rules (
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    rule TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1 CHECK (enabled IN (0, 1)),
+    amount REAL NOT NULL,
+    PRIMARY KEY (trip_id, rule)
+  )`).run();
+  db.prepare(`CREATE TRIGGER IF NOT EXISTS activity_no_update BEFORE UPDATE ON activity
+    BEGIN SELECT RAISE(ABORT, 'activity is append-only'); END`).run();
+  db.prepare(`CREATE TRIGGER IF NOT EXISTS activity_no_delete BEFORE DELETE ON activity
+    BEGIN SELECT RAISE(ABORT, 'activity is append-only'); END`).run();
+
+  // add columns to tables created by older versions
+  function ensureColumn(table, column, type) {
+    if (!hasColumn(table, column)) {
+      db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`).run();
+    }
+  }
+  ensureColumn('people', 'trip_id', 'INTEGER REFERENCES trips(id) ON DELETE CASCADE');
+  ensureColumn('gallery', 'trip_id', 'INTEGER REFERENCES trips(id) ON DELETE CASCADE');
+  ensureColumn('gallery', 'person_id', 'INTEGER REFERENCES people(id) ON DELETE SET NULL');
+  ensureColumn('gallery', 'caption', "TEXT NOT NULL DEFAULT ''");
+  ensureColumn('gallery', 'thumb_url', 'TEXT');
+  ensureColumn('gallery', 'medium_url', 'TEXT');
+  ensureColumn('gallery', 'width', 'INTEGER');
+  ensureColumn('gallery', 'height', 'INTEGER');
+  ensureColumn('gallery', 'taken_at', 'TEXT');
+  ensureColumn('gallery', 'content_hash', 'TEXT');
+  ensureColumn('people', 'organizer', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn('people', 'email', "TEXT NOT NULL DEFAULT ''");
+  ensureColumn('trips', 'invite_token', 'TEXT');
+  ensureColumn('trips', 'calendar_token', 'TEXT');
+  ensureColumn('trips', 'currency', "TEXT NOT NULL DEFAULT 'USD'");
+  ensureColumn('people', 'currency', "TEXT NOT NULL DEFAULT ''");
+  ensureColumn('expenses', 'currency', "TEXT NOT NULL DEFAULT ''");
+  ensureColumn('trips', 'room_grouping', "TEXT NOT NULL DEFAULT ''");
+  ensureColumn('trips', 'notes', "TEXT NOT NULL DEFAULT ''");
+  db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS gallery_trip_hash ON gallery (trip_id, content_hash)
+    WHERE content_hash IS NOT NULL`).run();
+
+  if (legacyPeople) {
+    const cols = db.prepare('PRAGMA table_info(people_legacy)').all().map((c) => c.name);
+    const rows = db.prepare('SELECT * FROM people_legacy').all();
+    const insert = db.prepare('INSERT INTO people (id, name, role, paid, amount, transport, eta, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+    db.transaction(() => {
+      for (const row of rows) {
+        const t = row.transport_type ? row.transport_type.charAt(0).toUpperCase() + row.transport_type.slice(1) : 'Car';
+        insert.run(
+          row.id,
+          row.name || '',
+          (cols.includes('role') && row.role) || 'boy',
+          row.payment_status === 'paid' ? 1 : 0,
+          (cols.includes('amount') && row.amount) || 0,
+          TRANSPORTS.includes(t) ? t : 'Car',
+          row.eta || '',
+          (cols.includes('notes') && row.notes) || ''
+        );
+        let tasks = {};
+        try {
+          if (cols.includes('tasks') && row.tasks) tasks = JSON.parse(row.tasks);
+        } catch {}
+        for (const key of Object.keys(DEFAULT_TASKS)) legacyTaskFlags.push({ person_id: row.id, key, done: tasks[key] ? 1 : 0 });
+      }
+      db.prepare('DROP TABLE people_legacy').run();
+    })();
+  }
+
+  // older versions had a single `trip` row; it becomes the first entry in `trips`, and rows
+  // from before trips existed belong to it. A new database starts without trips (see seed.js).
+  const tableExists = (name) => !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+  const { c: tripCount } = db.prepare('SELECT COUNT(*) as c FROM trips').get();
+  const orphans = ['people', 'gallery'].some((table) => db.prepare(`SELECT 1 FROM ${table} WHERE trip_id IS NULL`).get());
+  if (tripCount === 0 && (tableExists('trip') || orphans)) {
+    const legacy = tableExists('trip') ? db.prepare('SELECT * FROM trip WHERE id = 1').get() : null;
+    db.prepare('INSERT INTO trips (title, location, trip_date, budget_per_person, gallery_query) VALUES (?, ?, ?, ?, ?)').run(
+      legacy?.title || 'Beach House Getaway',
+      legacy?.location ?? 'Outer Banks, NC',
+      legacy?.trip_date ?? '2025-08-12T20:00',
+      legacy?.budget_per_person ?? 150,
+      'beach roadtrip friends'
+    );
+  }
+  if (tableExists('trip')) db.prepare('DROP TABLE trip').run();
+
+  if (orphans) {
+    const { id: firstTripId } = db.prepare('SELECT id FROM trips ORDER BY id LIMIT 1').get();
+    db.prepare('UPDATE people SET trip_id = ? WHERE trip_id IS NULL').run(firstTripId);
+    db.prepare('UPDATE gallery SET trip_id = ? WHERE trip_id IS NULL').run(firstTripId);
+  }
+
+  // amounts from before currencies existed are in their trip's currency
+  for (const table of ['people', 'expenses']) {
+    db.prepare(`UPDATE ${table} SET currency = (SELECT currency FROM trips WHERE id = ${table}.trip_id) WHERE currency = ''`).run();
+  }
+
+  // every trip needs an invite token and a calendar feed token; older trips get them now
+  for (const column of ['invite_token', 'calendar_token']) {
+    for (const { id } of db.prepare(`SELECT id FROM trips WHERE ${column} IS NULL`).all()) {
+      db.prepare(`UPDATE trips SET ${column} = ? WHERE id = ?`).run(newToken(), id);
+    }
+    db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS trips_${column} ON trips (${column})`).run();
+  }
+
+  // turn legacy per-person flags into one trip-wide task per key
+  if (legacyTaskFlags.length) {
+    const tripOf = db.prepare('SELECT trip_id FROM people WHERE id = ?');
+    const insertTask = db.prepare('INSERT INTO tasks (trip_id, title, position) VALUES (?, ?, ?)');
+    const insertDone = db.prepare('INSERT OR IGNORE INTO task_completions (task_id, person_id) VALUES (?, ?)');
+    db.transaction(() => {
+      const taskIds = new Map();
+      for (const flag of legacyTaskFlags) {
+        const person = tripOf.get(flag.person_id);
+        if (!person) continue;
+        const mapKey = `${person.trip_id}:${flag.key}`;
+        if (!taskIds.has(mapKey)) {
+          const position = [...taskIds.keys()].filter((k) => k.startsWith(`${person.trip_id}:`)).length;
+          const title = DEFAULT_TASKS[flag.key] || flag.key.charAt(0).toUpperCase() + flag.key.slice(1);
+          taskIds.set(mapKey, insertTask.run(person.trip_id, title, position).lastInsertRowid);
+        }
+        if (flag.done) insertDone.run(taskIds.get(mapKey), flag.person_id);
+      }
+    })();
+  }
+}
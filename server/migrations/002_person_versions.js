@@ -0,0 +1,6 @@
+// People get a version that goes up with every change to the row, including task ticks.
+// It is the person's ETag, so a PATCH sent with If-Match can't overwrite an edit it
+// hasn't seen.
+export function up(db) {
+  db.prepare('ALTER TABLE people ADD COLUMN version INTEGER NOT NULL DEFAULT 1').run();
+}
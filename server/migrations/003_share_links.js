@@ -0,0 +1,17 @@
+// Share links: read-only snapshots of a trip at /share/:token for people who aren't in it.
+// Each link can hide amounts and notes, can expire, and stays in the table once revoked so
+// the link can say so.
+export function up(db) {
+  db.prepare(`CREATE TABLE share_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trip_id INTEGER NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    person_id INTEGER REFERENCES people(id) ON DELETE SET NULL,
+    token TEXT NOT NULL UNIQUE,
+    hide_amounts INTEGER NOT NULL DEFAULT 1 CHECK (hide_amounts IN (0, 1)),
+    hide_notes INTEGER NOT NULL DEFAULT 1 CHECK (hide_notes IN (0, 1)),
+    expires_at TEXT NOT NULL DEFAULT '',
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`).run();
+  db.prepare('CREATE INDEX share_links_trip ON share_links (trip_id)').run();
+}
@@ -0,0 +1,12 @@
+// The change feed is pruned after 7 days. Each trip records the last event id pruned from
+// it, so a client whose last event is older can be told to resync even when the trip has
+// had no events since. Trips start from what the feed still holds.
+export function up(db) {
+  db.prepare(`CREATE TABLE event_horizons (
+    trip_id INTEGER PRIMARY KEY REFERENCES trips(id) ON DELETE CASCADE,
+    pruned_to INTEGER NOT NULL
+  )`).run();
+  db.prepare(`INSERT INTO event_horizons (trip_id, pruned_to)
+    SELECT t.id, COALESCE((SELECT MIN(id) - 1 FROM events WHERE trip_id = t.id), (SELECT seq FROM sqlite_sequence WHERE name = 'events'), 0)
+    FROM trips t`).run();
+}
@@ -0,0 +1,54 @@
+// Notifiers deliver a stored notification over one channel. Each is
+// { channel, send(notification, person, trip) }: send resolves with a short detail
+// when delivered, resolves with { skipped } when the channel doesn't apply to the
+// person (e.g. no email address) and rejects when delivery failed.
+import nodemailer from 'nodemailer';
+
+// the in-app inbox is the notifications table itself; delivering means telling the
+// person's open browsers, through the same live update stream as everything else
+export function inboxNotifier(push) {
+  return {
+    channel: 'inbox',
+    async send(notification) {
+      push(notification);
+      return {};
+    },
+  };
+}
+
+export function smtpNotifier({ host, port = 587, secure = false, user, pass, from, appUrl }) {
+  const transport = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+  return {
+    channel: 'email',
+    async send(notification, person, trip) {
+      if (!person.email) return { skipped: 'no email address' };
+      const info = await transport.sendMail({
+        from,
+        to: `"${person.name.replace(/"/g, '')}" <${person.email}>`,
+        subject: notification.subject,
+        text: `${notification.body}\n\nOpen ${trip.title}: ${appUrl}`,
+      });
+      return { detail: info.messageId };
+    },
+  };
+}
+
+// SMTP is used when SMTP_HOST is set. For local testing, point it at a sink such as
+// MailHog or smtp4dev: SMTP_HOST=localhost SMTP_PORT=1025
+export function notifiersFromEnv(env, { push, appUrl }) {
+  const notifiers = [inboxNotifier(push)];
+  if (env.SMTP_HOST) {
+    notifiers.push(
+      smtpNotifier({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.SMTP_FROM || 'Trip Prep <trips@localhost>',
+        appUrl,
+      })
+    );
+  }
+  return notifiers;
+}
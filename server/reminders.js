@@ -0,0 +1,74 @@
+// Reminder rules: which people should hear about what, and when. Each rule fires once
+// per person for a given trip date or ETA (its `key`), so moving the trip re-arms it.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// `amount` is how long before the trip (or the person's arrival) the rule starts firing
+export const REMINDER_RULES = {
+  unpaid: { label: 'Not paid yet', unit: 'days', before: 'trip', amount: 7 },
+  tasks_incomplete: { label: 'Tasks not done', unit: 'hours', before: 'arrival', amount: 48 },
+  eta_missing: { label: 'No arrival time', unit: 'days', before: 'trip', amount: 14 },
+};
+
+// fills in defaults for rules a trip hasn't configured
+export function ruleSettings(rows) {
+  return Object.fromEntries(
+    Object.entries(REMINDER_RULES).map(([rule, def]) => {
+      const row = rows.find((r) => r.rule === rule);
+      return [rule, { ...def, enabled: row ? !!row.enabled : true, amount: row ? row.amount : def.amount }];
+    })
+  );
+}
+
+// trip dates and ETAs are wall-clock times without a zone; read them in the server's zone
+function parseTime(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+// between `amount` before the moment and the moment itself
+function inWindow(now, at, amount, unit) {
+  return at !== null && now >= at - amount * (unit === 'hours' ? HOUR : DAY) && now < at;
+}
+
+// returns the reminders due right now as { rule, person_id, key, subject, body }.
+// `people` carry their { [taskId]: done } map, as serializePerson returns them.
+export function dueReminders({ trip, people, tasks, settings, now = Date.now() }) {
+  const tripAt = parseTime(trip.trip_date);
+  const when = tripAt === null ? '' : new Date(tripAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  const due = [];
+  for (const p of people) {
+    const { unpaid, tasks_incomplete: incomplete, eta_missing: noEta } = settings;
+    if (unpaid.enabled && !p.paid && inWindow(now, tripAt, unpaid.amount, unpaid.unit)) {
+      due.push({
+        rule: 'unpaid',
+        person_id: p.id,
+        key: trip.trip_date,
+        subject: `${trip.title}: you haven't paid yet`,
+        body: `Hi ${p.name}, ${trip.title} starts ${when} and you're still marked as unpaid. Please settle up with the organizer.`,
+      });
+    }
+    const open = tasks.filter((t) => (!t.person_id || t.person_id === p.id) && !p.tasks?.[t.id]);
+    if (incomplete.enabled && open.length && inWindow(now, parseTime(p.eta), incomplete.amount, incomplete.unit)) {
+      due.push({
+        rule: 'tasks_incomplete',
+        person_id: p.id,
+        key: p.eta,
+        subject: `${trip.title}: ${open.length} task${open.length === 1 ? '' : 's'} left before you arrive`,
+        body: `Hi ${p.name}, before you arrive you still need to: ${open.map((t) => t.title).join(', ')}.`,
+      });
+    }
+    if (noEta.enabled && !p.eta && inWindow(now, tripAt, noEta.amount, noEta.unit)) {
+      due.push({
+        rule: 'eta_missing',
+        person_id: p.id,
+        key: trip.trip_date,
+        subject: `${trip.title}: when do you arrive?`,
+        body: `Hi ${p.name}, ${trip.title} starts ${when}. Add your arrival time so everyone can plan pickups.`,
+      });
+    }
+  }
+  return due;
+}
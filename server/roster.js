@@ -0,0 +1,187 @@
+// CSV roster import and export. Parsing and row matching live here; the routes
+// in index.js validate the resulting person fields and write them.
+
+// person fields a CSV column can map to, with the header used on export
+export const ROSTER_FIELDS = {
+  name: 'Name',
+  role: 'Role',
+  transport: 'Transport',
+  eta: 'ETA',
+  amount: 'Amount',
+  currency: 'Currency',
+  paid: 'Paid',
+  notes: 'Notes',
+  email: 'Email',
+};
+
+const YES = ['yes', 'y', 'true', '1', 'x', 'done', 'paid'];
+const NO = ['no', 'n', 'false', '0', 'unpaid'];
+
+// RFC 4180 parsing: quoted cells may hold commas, quotes ("") and line breaks.
+// Spreadsheets in some locales write ; or tabs instead of commas, so the
+// delimiter is whichever of the three the header line uses most.
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best));
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) rows.push([...row, cell]);
+  const nonEmpty = rows.map((cells, i) => ({ line: i + 1, cells })).filter((r) => r.cells.some((c) => c.trim()));
+  const [header, ...body] = nonEmpty;
+  return { headers: header ? header.cells.map((h) => h.trim()) : [], rows: body };
+}
+
+// quotes cells that need it, and defuses cells a spreadsheet would run as a formula
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(s) && !/^-?\d/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  return rows.map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// one row per person: the roster fields, then a yes/no column per task
+// (blank when the task isn't on that person's list)
+export function rosterCsv(people, tasks) {
+  const header = [...Object.values(ROSTER_FIELDS), ...tasks.map((t) => t.title)];
+  const rows = people.map((p) => [
+    ...Object.keys(ROSTER_FIELDS).map((f) => (f === 'paid' ? (p.paid ? 'yes' : 'no') : p[f])),
+    ...tasks.map((t) => (t.id in p.tasks ? (p.tasks[t.id] ? 'yes' : 'no') : '')),
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+const norm = (s) => String(s).trim().toLowerCase();
+
+// maps fields and task ids to headers by matching field names, export labels and task titles.
+// A field with no exact match takes a header that contains its name, e.g. "Full name".
+export function guessMapping(headers, tasks) {
+  const find = (...names) => headers.find((h) => names.map(norm).includes(norm(h))) ?? null;
+  const mapping = { tasks: {} };
+  for (const [field, label] of Object.entries(ROSTER_FIELDS)) {
+    mapping[field] = find(field, label) ?? headers.find((h) => norm(h).split(/\W+/).includes(field)) ?? null;
+  }
+  for (const t of tasks) {
+    const header = find(t.title);
+    if (header) mapping.tasks[t.id] = header;
+  }
+  return mapping;
+}
+
+// Amounts as spreadsheets write them: "$1,234.50", "1.234,50 €", "12,50", "1 234". The last
+// separator before one or two digits is the decimal point, and separators between groups of
+// three digits are thousands. A single one before exactly three digits ("1,234") could be
+// either, so it is an error instead of a guess. Returns { amount } or { error }.
+export function parseAmount(value) {
+  const [, sign, body] = /^(-?)(.*)$/.exec(value.replace(/[^\d.,-]/g, ''));
+  const invalid = { error: `Amount "${value}" is not a number` };
+  if (!/^\d[\d.,]*$/.test(body) || /[.,]$/.test(body) || /[.,]{2}/.test(body)) return invalid;
+  const seps = body.match(/[.,]/g) || [];
+  const groups = body.split(/[.,]/);
+  const thousands = (parts) => /^\d{1,3}$/.test(parts[0]) && parts.slice(1).every((g) => g.length === 3);
+  const number = (whole, decimals = '') => ({ amount: Number(`${sign}${whole.join('')}${decimals && `.${decimals}`}`) });
+  if (!seps.length) return number(groups);
+  const point = seps[seps.length - 1];
+  if (seps.slice(0, -1).some((s) => s !== point)) {
+    // both kinds: the last one is the decimal point
+    const whole = groups.slice(0, -1);
+    return seps.slice(0, -1).every((s) => s !== point) && thousands(whole) ? number(whole, groups[groups.length - 1]) : invalid;
+  }
+  if (seps.length > 1) return thousands(groups) ? number(groups) : invalid;
+  if (groups[1].length === 3 && groups[0] !== '0') {
+    return { error: `Amount "${value}" could be read two ways; write ${groups.join('')} or ${groups.join('.')}` };
+  }
+  return number([groups[0]], groups[1]);
+}
+
+function yesNo(value) {
+  if (YES.includes(norm(value))) return true;
+  if (NO.includes(norm(value))) return false;
+  return undefined;
+}
+
+// turns one CSV row into person fields using the mapping. Blank cells are left out,
+// so they never overwrite what the roster already has.
+function rowFields(cells, headers, mapping, transports) {
+  const cell = (header) => (header == null ? '' : (cells[headers.indexOf(header)] ?? '').trim());
+  const fields = {};
+  const errors = [];
+  for (const field of Object.keys(ROSTER_FIELDS)) {
+    const value = cell(mapping[field]);
+    if (!value) continue;
+    if (field === 'amount') {
+      const { amount, error } = parseAmount(value);
+      if (error) errors.push(error);
+      else fields.amount = amount;
+    } else if (field === 'paid') {
+      const paid = yesNo(value);
+      if (paid === undefined) errors.push(`Paid "${value}" should be yes or no`);
+      else fields.paid = paid;
+    } else if (field === 'currency') {
+      fields.currency = value.toUpperCase();
+    } else if (field === 'transport') {
+      const transport = transports.find((t) => norm(t) === norm(value));
+      if (!transport) errors.push(`Transport "${value}" should be one of ${transports.join(', ')}`);
+      else fields.transport = transport;
+    } else fields[field] = value;
+  }
+  const tasks = {};
+  for (const [taskId, header] of Object.entries(mapping.tasks || {})) {
+    const value = cell(header);
+    if (!value) continue;
+    const done = yesNo(value);
+    if (done === undefined) errors.push(`${header} "${value}" should be yes or no`);
+    else tasks[taskId] = done;
+  }
+  return { fields, tasks, errors };
+}
+
+// works out what importing `csv` would do. People are matched by name, ignoring case.
+// Each row comes back as add, update, same or error, with only the fields that change.
+export function planRosterImport({ headers, rows }, mapping, people, tasks, transports) {
+  const byName = new Map(people.map((p) => [norm(p.name), p]));
+  const seen = new Map();
+  return rows.map(({ line, cells }) => {
+    const { fields, tasks: ticks, errors } = rowFields(cells, headers, mapping, transports);
+    const name = fields.name || '';
+    if (!name) errors.unshift('Name is missing');
+    else if (seen.has(norm(name))) errors.push(`${name} is already on line ${seen.get(norm(name))}`);
+    else seen.set(norm(name), line);
+    const person = byName.get(norm(name)) || null;
+    const ownTasks = person ? Object.keys(person.tasks) : tasks.filter((t) => t.person_id === null).map((t) => String(t.id));
+    for (const taskId of Object.keys(ticks)) {
+      if (!ownTasks.includes(taskId)) errors.push(`${tasks.find((t) => String(t.id) === taskId)?.title ?? `Task ${taskId}`} is not on ${name}'s list`);
+    }
+    // a matched name that only differs in case isn't a rename
+    const changes = Object.fromEntries(Object.entries(fields).filter(([f, v]) => !person || (f !== 'name' && person[f] !== v)));
+    const taskChanges = Object.fromEntries(Object.entries(ticks).filter(([id, done]) => !person || person.tasks[id] !== done));
+    if (Object.keys(taskChanges).length) changes.tasks = taskChanges;
+    const status = errors.length ? 'error' : !person ? 'add' : Object.keys(changes).length ? 'update' : 'same';
+    return { line, status, id: person?.id ?? null, name, changes, errors };
+  });
+}
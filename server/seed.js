@@ -0,0 +1,56 @@
+// Sample data for trying the app out: a beach trip with the default checklist and
+// two people. Nothing runs this automatically; `npm run seed` fills a database that
+// has no trips yet, after bringing its schema up to date.
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { migrate, openDatabase } from './migrate.js';
+
+const SAMPLE_TRIP = {
+  title: 'Beach House Getaway',
+  location: 'Outer Banks, NC',
+  trip_date: '2025-08-12T20:00',
+  budget_per_person: 150,
+  gallery_query: 'beach roadtrip friends',
+};
+const SAMPLE_TASKS = ['Packing', 'ID/License', 'Toiletries'];
+const SAMPLE_PEOPLE = [
+  { name: 'Alice', transport: 'Car' },
+  { name: 'Bob', transport: 'Plane' },
+];
+
+const newToken = () => crypto.randomBytes(18).toString('base64url');
+
+// returns the new trip's id, or null when the database already has trips
+export function seed(db) {
+  const { c } = db.prepare('SELECT COUNT(*) as c FROM trips').get();
+  if (c > 0) return null;
+  return db.transaction(() => {
+    const keys = Object.keys(SAMPLE_TRIP);
+    const tripId = db
+      .prepare(`INSERT INTO trips (${keys.join(', ')}, invite_token, calendar_token) VALUES (${keys.map(() => '?').join(', ')}, ?, ?)`)
+      .run(...Object.values(SAMPLE_TRIP), newToken(), newToken()).lastInsertRowid;
+    const { currency } = db.prepare('SELECT currency FROM trips WHERE id = ?').get(tripId);
+    SAMPLE_TASKS.forEach((title, position) => {
+      db.prepare('INSERT INTO tasks (trip_id, title, position) VALUES (?, ?, ?)').run(tripId, title, position);
+    });
+    for (const p of SAMPLE_PEOPLE) {
+      db.prepare('INSERT INTO people (trip_id, name, transport, currency) VALUES (?, ?, ?, ?)').run(tripId, p.name, p.transport, currency);
+    }
+    return tripId;
+  })();
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const db = openDatabase();
+  try {
+    db.pragma('foreign_keys = ON');
+    await migrate(db, { log: console.log });
+    const tripId = seed(db);
+    console.log(tripId ? `Added "${SAMPLE_TRIP.title}" (trip ${tripId}) with ${SAMPLE_PEOPLE.map((p) => p.name).join(' and ')}.` : 'The database already has trips; nothing was added.');
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,406 @@
+// Self-tests for the server, the counterpart of the app's Dev tab: the helpers with plain
+// inputs, then the routes against a throwaway database and uploads folder on a local port.
+// `npm test`; a failing check sets the exit code.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tripCalendar } from './calendar.js';
+import { computeBalances, settle, splitExpense } from './ledger.js';
+import { contentHash, sniffImageType } from './images.js';
+import { dueReminders, ruleSettings } from './reminders.js';
+import { guessMapping, parseAmount, parseCsv, planRosterImport, rosterCsv } from './roster.js';
+import { shareSnapshot } from './share.js';
+import { instant } from './validation.js';
+
+const out = [];
+const push = (name, ok, info = '') => out.push({ name, ok: !!ok, info });
+
+// Test: share snapshots
+const trip = {
+  id: 1,
+  title: 'Beach',
+  location: 'Coast',
+  trip_date: '2025-08-12T20:00',
+  budget_per_person: 150,
+  currency: 'USD',
+  notes: 'gate code 4411',
+  invite_token: 'invite-secret',
+  calendar_token: 'calendar-secret',
+};
+const people = [
+  { id: 1, name: 'Ann', email: 'ann@example.com', transport: 'Car', eta: '2025-08-12T18:00', paid: true, amount: 150, currency: 'USD', notes: 'vegan', version: 3, claimed: true, tasks: { 1: true, 2: false } },
+  { id: 2, name: 'Bo', email: 'bo@example.com', transport: 'Plane', eta: '', paid: false, amount: 0, currency: 'USD', notes: '', version: 1, claimed: false, tasks: { 1: false } },
+];
+const tasks = [
+  { id: 1, title: 'Packing', person_id: null, due_date: '' },
+  { id: 2, title: 'Passport renewal', person_id: 1, due_date: '' },
+];
+const photos = [{ id: 5, url: '/uploads/a.jpg', thumb_url: '/uploads/a-thumb.webp', medium_url: null, caption: 'Dunes', uploader: 'Ann', person_id: 1, content_hash: 'hash-secret', taken_at: null, uploaded_at: '2025-08-13 10:00:00' }];
+const snapshot = (link) => shareSnapshot({ trip, people, tasks, photos, link: { token: 'link-token', ...link }, now: new Date('2025-08-01T00:00:00Z') });
+
+const hidden = snapshot({ hide_amounts: 1, hide_notes: 1, expires_at: '' });
+const hiddenJson = JSON.stringify(hidden);
+push(
+  'share snapshots leave out amounts when hidden',
+  !('budget_per_person' in hidden.trip) && !('currency' in hidden.trip) && hidden.arrivals.every((p) => !('paid' in p) && !('amount' in p) && !('currency' in p)),
+  hiddenJson
+);
+push('share snapshots leave out notes when hidden', !('notes' in hidden.trip) && hidden.arrivals.every((p) => !('notes' in p)) && !hiddenJson.includes('gate code') && !hiddenJson.includes('vegan'));
+push(
+  'share snapshots never carry tokens, emails, ids or hashes',
+  !/secret|@example|"email"|"id"|"version"|"person_id"/.test(hiddenJson) && !/secret|@example/.test(JSON.stringify(snapshot({ hide_amounts: 0, hide_notes: 0 }))),
+  hiddenJson
+);
+const shown = snapshot({ hide_amounts: 0, hide_notes: 0, expires_at: '2025-09-01T00:00:00.000Z' });
+push(
+  'share snapshots show amounts and notes when allowed',
+  shown.trip.budget_per_person === 150 && shown.trip.notes === 'gate code 4411' && shown.arrivals[0].amount === 150 && shown.arrivals[0].notes === 'vegan' && shown.share.expires_at === '2025-09-01T00:00:00.000Z'
+);
+push(
+  'share snapshots list shared tasks and count everyone\'s ticks',
+  hidden.checklist.tasks.length === 1 && hidden.checklist.tasks[0].done === 1 && hidden.checklist.done === 1 && hidden.checklist.total === 3 && hidden.arrivals[0].name === 'Ann',
+  JSON.stringify(hidden.checklist)
+);
+push(
+  "share snapshots link photos through the share link's token",
+  hidden.photos[0].url === '/uploads/a.jpg?share=link-token' && hidden.photos[0].thumb_url === '/uploads/a-thumb.webp?share=link-token' && hidden.photos[0].medium_url === null,
+  JSON.stringify(hidden.photos)
+);
+
+// Test: expense splits
+const expense = (split_mode, amount, shares) => ({ amount, split_mode, participants: shares.map((share, i) => ({ person_id: i + 1, share })) });
+const thirds = splitExpense(expense('equal', 100, [1, 1, 1]));
+push('equal splits give the leftover cent to one person', thirds[1] + thirds[2] + thirds[3] === 10000 && Object.values(thirds).sort().join() === '3333,3333,3334', JSON.stringify(thirds));
+const weighted = splitExpense(expense('shares', 10, [2, 1]));
+push('share splits follow the weights and still add up', weighted[1] === 667 && weighted[2] === 333, JSON.stringify(weighted));
+const exact = splitExpense(expense('exact', 12.5, [10.25, 2.25]));
+push('exact splits are taken as given, in cents', exact[1] === 1025 && exact[2] === 225, JSON.stringify(exact));
+const cents = splitExpense(expense('shares', 0.1, [1, 1, 1]));
+push('tiny amounts split into whole cents', Object.values(cents).every(Number.isInteger) && cents[1] + cents[2] + cents[3] === 10, JSON.stringify(cents));
+
+// Test: settling up
+const nets = (list) => list.map((net, i) => ({ person_id: i + 1, net }));
+const settles = (list, transfers) => {
+  const left = new Map(list.map((net, i) => [i + 1, Math.round(net * 100)]));
+  for (const t of transfers) {
+    left.set(t.from, left.get(t.from) + Math.round(t.amount * 100));
+    left.set(t.to, left.get(t.to) - Math.round(t.amount * 100));
+  }
+  return [...left.values()].every((c) => c === 0) && transfers.every((t) => t.amount > 0);
+};
+const tricky = [2, -4, -4, -3, 2, 7];
+const trickyTransfers = settle(nets(tricky));
+push('settling up finds the fewest transfers', settles(tricky, trickyTransfers) && trickyTransfers.length === 4, JSON.stringify(trickyTransfers));
+const pairs = [10.5, -10.5, 3, -1, -2];
+push('settling up pays exact matches directly', settles(pairs, settle(nets(pairs))) && settle(nets(pairs)).length === 3 && settle(nets(pairs)).some((t) => t.from === 2 && t.to === 1 && t.amount === 10.5));
+push('settled balances need no transfers', settle(nets([0, 0, 0])).length === 0);
+const many = Array.from({ length: 30 }, (_, i) => (i % 3 === 2 ? -2.5 : 1.25));
+push('large groups still settle everyone', settles(many, settle(nets(many))) && settle(nets(many)).length <= 29);
+const balances = computeBalances([{ id: 1 }, { id: 2 }, { id: 3 }], [{ ...expense('equal', 90, [1, 1, 1]), payer_id: 1 }, { ...expense('equal', 30, [1, 1]), payer_id: 2 }]);
+const ledger = settle(balances);
+push(
+  'balances and transfers match who paid what',
+  balances.map((b) => b.net).join() === '45,-15,-30' && settles([45, -15, -30], ledger) && ledger.length === 2,
+  JSON.stringify({ balances, ledger })
+);
+
+// Test: roster CSV
+const quoted = parseCsv('\uFEFFName,Notes\r\n"Lee, Sam","said ""hi""\nthen left"\r\n\r\nAnn,\r\n');
+push(
+  'CSV parsing handles quotes, doubled quotes, line breaks in cells and blank lines',
+  quoted.headers.join('|') === 'Name|Notes' && quoted.rows.length === 2 && quoted.rows[0].cells[0] === 'Lee, Sam' && quoted.rows[0].cells[1] === 'said "hi"\nthen left' && quoted.rows[1].line === 4,
+  JSON.stringify(quoted)
+);
+const semicolons = parseCsv('Name;Amount\nAnn;12,50\n');
+const tabs = parseCsv('Name\tNotes, more\tEmail\nAnn\tx, y\t\n');
+push(
+  'CSV parsing picks the delimiter the header uses most',
+  semicolons.rows[0].cells.join('|') === 'Ann|12,50' && tabs.headers.join('|') === 'Name|Notes, more|Email' && tabs.rows[0].cells[1] === 'x, y',
+  JSON.stringify([semicolons, tabs])
+);
+const rosterTasks = [
+  { id: 1, title: 'Packing', person_id: null },
+  { id: 2, title: 'Visa', person_id: 7 },
+];
+const mapping = guessMapping(['Full name', 'ETA', 'Paid?', 'Betrag', 'packing'], rosterTasks);
+push(
+  'columns are matched to fields by name, label or a word in the header, and tasks by title',
+  mapping.name === 'Full name' && mapping.eta === 'ETA' && mapping.amount === null && mapping.tasks[1] === 'packing' && !(2 in mapping.tasks),
+  JSON.stringify(mapping)
+);
+push(
+  'amounts read decimal commas and thousands separators, and refuse to guess',
+  parseAmount('1.234,56 €').amount === 1234.56 && parseAmount('12,50').amount === 12.5 && parseAmount('$1,234.50').amount === 1234.5 && parseAmount('1,234').error && parseAmount('ten').error
+);
+const rosterPeople = [{ id: 7, name: 'Ann', transport: 'Car', amount: 0, paid: false, tasks: { 1: false, 2: false } }];
+const plan = planRosterImport(
+  parseCsv('Name;Betrag;Paid;Packing;Transport\nann;1.234,50;yes;x;car\nBo;12,50;;;\nCy;1,234;maybe;;Boat\nBo;;;;\n'),
+  { ...guessMapping(['Name', 'Paid', 'Packing', 'Transport'], rosterTasks), amount: 'Betrag' },
+  rosterPeople,
+  rosterTasks,
+  ['Car', 'Plane']
+);
+push(
+  'roster imports match people by name and report each row',
+  plan.map((r) => r.status).join() === 'update,add,error,error' &&
+    plan[0].id === 7 && plan[0].changes.amount === 1234.5 && plan[0].changes.paid === true && !('transport' in plan[0].changes) && plan[0].changes.tasks[1] === true && !('name' in plan[0].changes) &&
+    plan[1].changes.amount === 12.5 && plan[2].errors.length === 3 && /line 3/.test(plan[3].errors[0]),
+  JSON.stringify(plan)
+);
+const exported = rosterCsv([{ name: '=HYPERLINK("x")', role: '', transport: 'Car', eta: '', amount: -5, currency: 'USD', paid: true, notes: '+1 friend, maybe', email: '@me', tasks: { 1: true } }], rosterTasks);
+const [exportHeader, exportRow] = exported.split('\r\n');
+push(
+  'roster exports defuse formulas but keep negative numbers',
+  exportHeader.endsWith(',Packing,Visa') && exportRow.startsWith(`"'=HYPERLINK(""x"")",,Car,,-5,USD,yes,"'+1 friend, maybe",'@me,yes,`) && parseCsv(exported).rows[0].cells[0] === `'=HYPERLINK("x")`,
+  exported
+);
+
+// Test: calendar feed
+const calendarOf = (changes = {}) =>
+  tripCalendar({
+    trip: { id: 3, title: 'Beach; sun, sea', location: 'Coast', trip_date: '2025-08-12T20:00', ...changes.trip },
+    people: [
+      { id: 4, name: 'Ann', transport: 'Car', eta: '2025-08-12T18:30', notes: 'line one\nline two, with \\ and ;' },
+      { id: 5, name: 'Bo', transport: 'Plane', eta: 'soon', notes: '' },
+      ...(changes.people || []),
+    ],
+    tasks: [{ id: 6, title: 'Passport', person_id: 4, due_date: '2025-08-01' }],
+    itinerary: [{ id: 8, title: 'Dinner', starts_at: '2025-08-13T19:00', ends_at: '2025-08-13T18:00', place: '' }],
+    now: new Date('2025-07-01T09:00:00Z'),
+  });
+const ics = calendarOf();
+const unfolded = ics.replace(/\r\n /g, '');
+const uids = (text) => text.match(/^UID:.*$/gm).map((l) => l.trim());
+push(
+  'calendar text escapes commas, semicolons, backslashes and line breaks',
+  unfolded.includes('SUMMARY:Beach\\; sun\\, sea\r\n') && unfolded.includes('DESCRIPTION:line one\\nline two\\, with \\\\ and \\;\r\n'),
+  unfolded
+);
+push(
+  'calendar events get UIDs from row ids, and unparsable times are left out',
+  uids(ics).join() === 'UID:trip-3@trip-prep,UID:trip-3-arrival-4@trip-prep,UID:trip-3-event-8@trip-prep,UID:trip-3-task-6@trip-prep',
+  uids(ics).join()
+);
+const moved = calendarOf({ trip: { title: 'Renamed', trip_date: '2025-09-01T10:00' }, people: [{ id: 9, name: 'Cy', transport: 'Bus', eta: '2025-08-12T09:00', notes: '' }] });
+push(
+  'calendar UIDs stay the same when times and titles change',
+  uids(moved).filter((u) => u !== 'UID:trip-3-arrival-9@trip-prep').join() === uids(ics).join() && moved.includes('DTSTART:20250901T100000'),
+  uids(moved).join()
+);
+const long = calendarOf({ trip: { title: `Trip ${'日本への旅'.repeat(12)} 🏖️🏖️🏖️` } });
+const lines = long.split('\r\n');
+push(
+  'calendar lines fold at 75 octets without splitting characters',
+  lines.every((l) => Buffer.byteLength(l) <= 75) &&
+    lines.some((l) => l.startsWith(' ')) &&
+    !long.includes('\uFFFD') &&
+    long.replace(/\r\n /g, '').includes(`SUMMARY:Trip ${'日本への旅'.repeat(12)} 🏖️🏖️🏖️\r\n`),
+  lines.filter((l) => Buffer.byteLength(l) > 75).join(' | ')
+);
+push(
+  'calendar task due dates are all-day, and events ending before they start last an hour',
+  unfolded.includes('DTSTART;VALUE=DATE:20250801\r\nDTEND;VALUE=DATE:20250802') && unfolded.includes('SUMMARY:Passport due (Ann)') && /DTSTART:20250813T190000\r\nDURATION:PT1H/.test(unfolded) && ics.endsWith('END:VCALENDAR\r\n')
+);
+
+// Test: reminders
+const HOUR = 60 * 60 * 1000;
+const tripAt = new Date(trip.trip_date).getTime();
+const remind = ({ at, settings = [], trip: tripChanges = {} }) =>
+  dueReminders({ trip: { ...trip, ...tripChanges }, people, tasks, settings: ruleSettings(settings), now: at });
+const fired = (due) => due.map((r) => `${r.rule}:${r.person_id}`).sort().join();
+const weekBefore = remind({ at: tripAt - 3 * 24 * HOUR });
+push('unpaid people are reminded in the week before the trip', fired(weekBefore).includes('unpaid:2') && !fired(weekBefore).includes('unpaid:1'), fired(weekBefore));
+push('people without an arrival time are asked for one', fired(weekBefore).includes('eta_missing:2') && !fired(weekBefore).includes('eta_missing:1'), fired(weekBefore));
+const dayBefore = remind({ at: tripAt - 24 * HOUR });
+const taskReminder = dayBefore.find((r) => r.rule === 'tasks_incomplete');
+push(
+  'open tasks are listed in the two days before someone arrives',
+  fired(dayBefore) === 'eta_missing:2,tasks_incomplete:1,unpaid:2' && taskReminder.key === people[0].eta && taskReminder.body.includes('Passport renewal') && !taskReminder.body.includes('Packing'),
+  fired(dayBefore)
+);
+push(
+  'nothing is sent before a rule starts, after the moment or when it is off',
+  remind({ at: tripAt - 20 * 24 * HOUR }).length === 0 && remind({ at: tripAt + HOUR }).length === 0 &&
+    remind({ at: tripAt - 24 * HOUR, settings: ['unpaid', 'tasks_incomplete', 'eta_missing'].map((rule) => ({ rule, enabled: 0, amount: 1 })) }).length === 0,
+  fired(remind({ at: tripAt + HOUR }))
+);
+push('a rule set to a shorter lead time stays quiet until then', fired(remind({ at: tripAt - 3 * 24 * HOUR, settings: [{ rule: 'unpaid', enabled: 1, amount: 2 }] })) === 'eta_missing:2');
+// notifications are unique on (person_id, rule, rule_key), so a repeat run only sends what has a new key
+const sentKeys = (due) => due.map((r) => `${r.person_id}:${r.rule}:${r.key}`);
+const alreadySent = new Set(sentKeys(weekBefore));
+const nextRun = sentKeys(remind({ at: tripAt - 60 * HOUR }));
+const movedRun = sentKeys(remind({ at: tripAt - 60 * HOUR, trip: { trip_date: '2025-08-13T20:00' } }));
+push(
+  'later runs repeat the same keys, so nothing is sent twice; moving the trip re-arms the rules',
+  nextRun.length === alreadySent.size && nextRun.every((k) => alreadySent.has(k)) && movedRun.filter((k) => !alreadySent.has(k)).length === 2,
+  JSON.stringify({ nextRun, movedRun })
+);
+
+// Test: photo uploads
+const jpegBytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+const pngBytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+push('uploads are recognized as JPEG or PNG by their first bytes', sniffImageType(jpegBytes) === 'jpeg' && sniffImageType(pngBytes) === 'png');
+push(
+  'other files are refused whatever they are called',
+  sniffImageType(Buffer.from('GIF89a')) === null && sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')) === null &&
+    sniffImageType(pngBytes.subarray(0, 4)) === null && sniffImageType(Buffer.alloc(0)) === null
+);
+push(
+  'the same photo uploaded twice has the same hash',
+  contentHash(Buffer.from(jpegBytes)) === contentHash(jpegBytes) && /^[0-9a-f]{64}$/.test(contentHash(jpegBytes))
+);
+push('a photo differing by one byte is not a duplicate', contentHash(jpegBytes) !== contentHash(Buffer.from([...jpegBytes.subarray(0, 7), 0x47])));
+
+// Test: validation
+const expiry = instant({ label: 'Expiry' });
+push(
+  'instants need a time and a zone and are stored in UTC',
+  expiry.check('2025-08-01T12:00+02:00').value === '2025-08-01T10:00:00.000Z' && expiry.check('2025-08-01T12:00Z').value === '2025-08-01T12:00:00.000Z' && expiry.check('').value === '' &&
+    expiry.check('2025-08-01').error && expiry.check('2025-08-01T12:00').error
+);
+
+// Test: routes
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'trip-selftest-'));
+process.env.DB_FILE = path.join(tmp, 'data.db');
+process.env.UPLOAD_DIR = path.join(tmp, 'uploads');
+const { app, db, pruneEvents } = await import('./index.js');
+const server = app.listen(0);
+await new Promise((resolve) => server.once('listening', resolve));
+const api = async (method, url, { body, token } = {}) => {
+  const res = await fetch(`http://localhost:${server.address().port}${url}`, {
+    method,
+    headers: { ...(body === undefined ? {} : { 'Content-Type': 'application/json' }), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const type = res.headers.get('Content-Type') || '';
+  return { status: res.status, data: type.includes('json') ? await res.json() : await res.text() };
+};
+
+try {
+  const { data: created } = await api('POST', '/trips', { body: { title: 'Lake', organizer_name: 'Ann' } });
+  const { token, id: tripId } = created;
+  const { data: bo } = await api('POST', `/trips/${tripId}/people`, { token, body: { name: 'Bo' } });
+  const { data: claimed } = await api('POST', `/invites/${created.invite_token}/claim`, { body: { person_id: bo.id } });
+  const member = claimed.token;
+  const { data: event } = await api('POST', `/trips/${tripId}/itinerary`, { token, body: { title: 'Swim', starts_at: '2025-08-12T10:00' } });
+
+  const arrays = [
+    await api('POST', `/trips/${tripId}/people`, { token, body: [1, 2] }),
+    await api('PATCH', `/trips/${tripId}/people/${bo.id}`, { token, body: [] }),
+    await api('POST', `/trips/${tripId}/itinerary`, { token, body: [] }),
+    await api('PATCH', `/trips/${tripId}/itinerary/${event.id}`, { token, body: [] }),
+  ];
+  push(
+    'array bodies are refused with a 400, not a server error',
+    arrays.every((r) => r.status === 400 && r.data.error.message === 'The request body must be a JSON object'),
+    JSON.stringify(arrays.map((r) => r.status))
+  );
+
+  const importing = (changes) => api('POST', `/trips/${tripId}/import`, { token, body: { mode: 'merge', trip: {}, people: [], tasks: [], expenses: [], ...changes } });
+  const malformed = [
+    await importing({ tasks: [null] }),
+    await importing({ people: [{ status: 'add' }] }),
+    await importing({ people: [{ status: 'update', id: 'x', name: 'Bo' }] }),
+    await importing({ expenses: [{ payer: 'Ann', amount: 10, participants: 'Bo' }] }),
+    await importing({ expenses: [{ payer: 'Ann', amount: 10, participants: [null] }] }),
+  ];
+  push(
+    'trip files with malformed rows are refused with the row named',
+    malformed.every((r) => r.status === 400 && r.data.error.message.endsWith('Nothing was imported.')) &&
+      ['Task 1', 'Person 1', 'Bo', 'Expense 1', 'Expense 1'].every((row, i) => malformed[i].data.error.message.startsWith(`${row}: `)),
+    JSON.stringify(malformed.map((r) => r.data.error?.message ?? r.status))
+  );
+  const removeBo = { status: 'remove', id: bo.id, name: 'Bo', fields: {}, ticks: {} };
+  const referenced = [
+    await importing({ people: [removeBo], tasks: [{ title: 'Tent', owner: 'Bo' }] }),
+    await importing({ people: [{ status: 'same', id: created.me.id, name: 'Ann' }, removeBo], expenses: [{ payer: 'Ann', amount: 10, description: 'Gas', participants: [{ person: 'Bo' }] }] }),
+  ];
+  const { data: roster } = await api('GET', `/trips/${tripId}/people`, { token });
+  push(
+    'trip files that remove someone and still refer to them are refused',
+    referenced.every((r) => r.status === 400 && r.data.error.message.includes('Bo is removed by this import')) && roster.some((p) => p.id === bo.id),
+    JSON.stringify(referenced.map((r) => r.data.error?.message ?? r.status))
+  );
+
+  // uploads from before photo processing kept their original extension, in any case
+  const older = ['1700000000000-123456789.JPG', '1700000000001-987654321.jpeg'];
+  fs.mkdirSync(process.env.UPLOAD_DIR, { recursive: true });
+  for (const name of older) {
+    fs.writeFileSync(path.join(process.env.UPLOAD_DIR, name), jpegBytes);
+    db.prepare('INSERT INTO gallery (trip_id, filename, url) VALUES (?, ?, ?)').run(tripId, name, `http://localhost:3001/uploads/${name}`);
+  }
+  const served = await Promise.all(older.map((name) => api('GET', `/uploads/${name}?access_token=${token}`)));
+  const strangers = await Promise.all(older.map((name) => api('GET', `/uploads/${name}`)));
+  push(
+    'photos uploaded under older names are still served to members',
+    served.every((r) => r.status === 200) && strangers.every((r) => r.status === 401),
+    JSON.stringify([...served, ...strangers].map((r) => r.status))
+  );
+
+  // the first things a reconnecting client is sent; the stream stays open, so stop reading after a moment
+  const reconnect = async (id, since) => {
+    const res = await fetch(`http://localhost:${server.address().port}/trips/${id}/events?since=${since}&access_token=${token}`);
+    const reader = res.body.getReader();
+    let sent = '';
+    const timer = setTimeout(() => reader.cancel(), 300);
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) sent += Buffer.from(chunk.value).toString();
+    clearTimeout(timer);
+    return sent.split('\n').filter((l) => l.startsWith('data: ')).map((l) => JSON.parse(l.slice(6)).type);
+  };
+  const lastId = (id) => db.prepare('SELECT MAX(id) as id FROM events WHERE trip_id = ?').get(id).id;
+  const age = (id, upTo) => db.prepare("UPDATE events SET created_at = datetime('now', '-8 days') WHERE trip_id = ? AND id <= ?").run(id, upTo);
+  const { data: quiet } = await api('POST', `/trips/${tripId}/duplicate`, { token, body: { title: 'Quiet lake' } });
+  await api('PATCH', `/trips/${quiet.id}`, { token, body: { notes: 'first' } });
+  const quietSeen = lastId(quiet.id);
+  await api('PATCH', `/trips/${quiet.id}`, { token, body: { notes: 'missed' } });
+  const busySeen = lastId(tripId);
+  await api('PATCH', `/trips/${quiet.id}`, { token, body: { notes: 'elsewhere' } });
+  await api('PATCH', `/trips/${tripId}`, { token, body: { notes: 'new' } });
+  age(quiet.id, Infinity);
+  age(tripId, busySeen);
+  pruneEvents();
+  const quietBack = await reconnect(quiet.id, quietSeen);
+  const busyBack = await reconnect(tripId, busySeen);
+  push(
+    'clients that missed pruned events are told to resync, even when the trip has none left',
+    lastId(quiet.id) === null && quietBack.join() === 'resync',
+    quietBack.join()
+  );
+  push('clients that missed nothing pruned get the rest, whatever other trips pruned', busyBack.join() === 'trip.updated', busyBack.join());
+
+  const memberLinks = [
+    await api('POST', `/trips/${tripId}/shares`, { token: member, body: { hide_amounts: false } }),
+    await api('POST', `/trips/${tripId}/shares`, { token: member, body: { hide_notes: false } }),
+    await api('POST', `/trips/${tripId}/shares`, { token: member, body: {} }),
+    await api('POST', `/trips/${tripId}/shares`, { token, body: { hide_amounts: false, hide_notes: false } }),
+  ];
+  push(
+    'only organizers can make share links that show amounts or notes',
+    memberLinks.map((r) => r.status).join() === '403,403,201,201' && memberLinks[2].data.hide_amounts && memberLinks[2].data.hide_notes && !memberLinks[3].data.hide_amounts,
+    JSON.stringify(memberLinks.map((r) => r.status))
+  );
+
+  const tokens = (trip) => ['invite_token', 'calendar_token'].filter((k) => k in trip);
+  const [asOrganizer, asMember] = [await api('GET', `/trips/${tripId}`, { token }), await api('GET', `/trips/${tripId}`, { token: member })];
+  const memberList = (await api('GET', '/trips', { token: member })).data;
+  push(
+    'only organizers are sent the invite and calendar tokens',
+    tokens(asOrganizer.data).length === 2 && tokens(asMember.data).length === 0 && memberList.length === 1 && tokens(memberList[0]).length === 0
+  );
+  await api('POST', `/trips/${tripId}/invite`, { token });
+  await api('PATCH', `/trips/${tripId}`, { token, body: { notes: 'tokens stay out' } });
+  const feed = db.prepare("SELECT data FROM events WHERE trip_id = ? AND type IN ('trip.updated', 'trip.links')").all(tripId);
+  push('trip events carry no tokens', feed.length >= 2 && feed.every((e) => !/invite_token|calendar_token/.test(e.data)));
+} catch (err) {
+  push('routes answer', false, err.stack);
+} finally {
+  server.closeAllConnections();
+  server.close();
+  db.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
+
+for (const r of out) console.log(`${r.ok ? '✅' : '❌'} ${r.name}${r.ok || !r.info ? '' : `\n   ${r.info}`}`);
+const passed = out.filter((r) => r.ok).length;
+console.log(`${passed}/${out.length} passed`);
+if (passed < out.length) process.exitCode = 1;
@@ -0,0 +1,203 @@
+// Read-only trip snapshots for share links: what a link shows, with its redactions applied,
+// and the HTML page for it. Fields are picked one by one, so tokens, emails and whatever is
+// added to the tables later stay private unless it is added here too.
+
+// `people` are serialized people (with their task ticks), `photos` gallery rows with the
+// uploader's name, `link` the share_links row
+export function shareSnapshot({ trip, people, tasks, photos, link, now = new Date() }) {
+  const hideAmounts = !!link.hide_amounts;
+  const hideNotes = !!link.hide_notes;
+  // uploads are only served to members, or with the link's token
+  const viaLink = (url) => url && `${url}?share=${encodeURIComponent(link.token)}`;
+  // earliest arrival first; people without an ETA go last
+  const byEta = [...people].sort((a, b) => !a.eta - !b.eta || (a.eta || '').localeCompare(b.eta || '') || a.id - b.id);
+  const arrivals = byEta.map((p) => {
+    const ticks = Object.values(p.tasks);
+    return {
+      name: p.name,
+      transport: p.transport,
+      eta: p.eta,
+      tasks_done: ticks.filter(Boolean).length,
+      tasks_total: ticks.length,
+      ...(hideAmounts ? {} : { paid: p.paid, amount: p.amount, currency: p.currency }),
+      ...(hideNotes ? {} : { notes: p.notes }),
+    };
+  });
+  // only tasks for everyone are listed; personal ones count towards their person's progress
+  const shared = tasks
+    .filter((t) => !t.person_id)
+    .map((t) => ({ title: t.title, due_date: t.due_date, done: people.filter((p) => p.tasks[t.id]).length, total: people.length }));
+  return {
+    trip: {
+      title: trip.title,
+      location: trip.location,
+      trip_date: trip.trip_date,
+      ...(hideAmounts ? {} : { budget_per_person: trip.budget_per_person, currency: trip.currency }),
+      ...(hideNotes ? {} : { notes: trip.notes }),
+    },
+    arrivals,
+    checklist: {
+      done: arrivals.reduce((sum, p) => sum + p.tasks_done, 0),
+      total: arrivals.reduce((sum, p) => sum + p.tasks_total, 0),
+      tasks: shared,
+    },
+    photos: photos.map((ph) => ({
+      url: viaLink(ph.url),
+      thumb_url: viaLink(ph.thumb_url),
+      medium_url: viaLink(ph.medium_url),
+      caption: ph.caption,
+      uploader: ph.uploader,
+      taken_at: ph.taken_at,
+      uploaded_at: ph.uploaded_at,
+    })),
+    share: { hide_amounts: hideAmounts, hide_notes: hideNotes, expires_at: link.expires_at || null },
+    generated_at: now.toISOString(),
+  };
+}
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// trip dates and ETAs are wall-clock times without a zone, so they are shown as written
+function wallClock(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(value || '');
+  if (!m) return '';
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0)));
+  const options = { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', ...(m[4] ? { hour: 'numeric', minute: '2-digit' } : {}) };
+  return d.toLocaleString('en-US', options);
+}
+
+function money(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, trailingZeroDisplay: 'stripIfInteger' }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+}
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; min-height: 100vh; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #fff;
+    background: linear-gradient(135deg, #1e1b4b, #0f172a 50%, #701a75); }
+  main { max-width: 60rem; margin: 0 auto; padding: 2rem 1rem 3rem; }
+  .eyebrow { margin: 0; font-size: .75rem; letter-spacing: .08em; text-transform: uppercase; color: rgba(255,255,255,.6); }
+  h1 { margin: .25rem 0; font-size: 2rem; }
+  h2 { margin: 0 0 .75rem; font-size: 1.1rem; }
+  p { margin: .25rem 0; }
+  .muted { color: rgba(255,255,255,.7); }
+  section { margin-top: 1rem; padding: 1rem; border: 1px solid rgba(255,255,255,.1); border-radius: 1rem; background: rgba(255,255,255,.08); }
+  table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+  th { text-align: left; font-weight: 500; color: rgba(255,255,255,.7); }
+  th, td { padding: .4rem .5rem; border-top: 1px solid rgba(255,255,255,.08); vertical-align: top; }
+  .bar { height: .5rem; border-radius: 1rem; background: rgba(255,255,255,.1); overflow: hidden; }
+  .bar span { display: block; height: 100%; background: #34d399; }
+  ul { margin: .75rem 0 0; padding: 0; list-style: none; }
+  li { display: flex; justify-content: space-between; gap: 1rem; padding: .3rem 0; border-top: 1px solid rgba(255,255,255,.08); }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(10rem, 1fr)); gap: .75rem; }
+  figure { margin: 0; }
+  figure img { width: 100%; aspect-ratio: 4 / 3; object-fit: cover; border-radius: .75rem; display: block; }
+  figcaption { margin-top: .25rem; font-size: .8rem; color: rgba(255,255,255,.75); }
+  footer { margin-top: 1.5rem; font-size: .8rem; color: rgba(255,255,255,.6); }
+`;
+
+// counts down in the viewer's own time zone, like the app does
+const COUNTDOWN = `
+  const el = document.getElementById('countdown');
+  const start = new Date(el.dataset.start);
+  const tick = () => {
+    const diff = Math.max(0, start - new Date());
+    const d = Math.floor(diff / 864e5), h = Math.floor((diff / 36e5) % 24), m = Math.floor((diff / 6e4) % 60);
+    el.textContent = diff ? 'Trip starts in ' + d + 'd ' + h + 'h ' + m + 'm' : 'The trip has started';
+  };
+  if (!isNaN(start)) { tick(); setInterval(tick, 30000); }
+`;
+
+function page(title, body, script = '') {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${esc(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+${script && `<script>${script}</script>`}
+</body>
+</html>
+`;
+}
+
+export function sharePage(snapshot) {
+  const { trip, arrivals, checklist, photos, share } = snapshot;
+  const amounts = !share.hide_amounts;
+  const notes = !share.hide_notes;
+  const pct = checklist.total ? Math.round((checklist.done / checklist.total) * 100) : 0;
+  const rows = arrivals
+    .map(
+      (p) => `<tr>
+  <td><strong>${esc(p.name)}</strong></td>
+  <td>${esc(p.transport)}</td>
+  <td>${esc(wallClock(p.eta)) || '—'}</td>
+  <td>${p.tasks_done}/${p.tasks_total}</td>${amounts ? `\n  <td>${p.paid ? `paid ${esc(money(p.amount, p.currency))}` : 'not yet'}</td>` : ''}${notes ? `\n  <td>${esc(p.notes)}</td>` : ''}
+</tr>`
+    )
+    .join('\n');
+  const tasks = checklist.tasks.map((t) => `<li><span>${esc(t.title)}</span><span class="muted">${t.done} of ${t.total} done</span></li>`).join('\n');
+  const gallery = photos
+    .map(
+      (ph) => `<figure>
+  <a href="${esc(ph.medium_url || ph.url)}"><img src="${esc(ph.thumb_url || ph.url)}" alt="${esc(ph.caption || 'Trip photo')}" loading="lazy"></a>
+  ${ph.caption || ph.uploader ? `<figcaption>${esc(ph.caption)}${ph.caption && ph.uploader ? ' · ' : ''}${ph.uploader ? `by ${esc(ph.uploader)}` : ''}</figcaption>` : ''}
+</figure>`
+    )
+    .join('\n');
+  const expires = share.expires_at ? `This link works until ${new Date(share.expires_at).toUTCString()}.` : '';
+  const body = `<header>
+  <p class="eyebrow">Shared trip · read only</p>
+  <h1>${esc(trip.title)}</h1>
+  <p class="muted">${trip.location ? `${esc(trip.location)} • ` : ''}<span id="countdown" data-start="${esc(trip.trip_date)}">${trip.trip_date ? `Starts ${esc(wallClock(trip.trip_date))}` : 'No date yet'}</span></p>
+  ${amounts ? `<p class="muted">Budget ${esc(money(trip.budget_per_person, trip.currency))} per person</p>` : ''}
+  ${notes && trip.notes ? `<p>${esc(trip.notes)}</p>` : ''}
+</header>
+<section>
+  <h2>Arrivals</h2>
+  ${
+    arrivals.length
+      ? `<table>
+<thead><tr><th>Who</th><th>Transport</th><th>Arrives</th><th>Tasks</th>${amounts ? '<th>Paid</th>' : ''}${notes ? '<th>Notes</th>' : ''}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`
+      : '<p class="muted">Nobody on the roster yet.</p>'
+  }
+</section>
+<section>
+  <h2>Checklist</h2>
+  <div class="bar"><span style="width: ${pct}%"></span></div>
+  <p class="muted">${checklist.done} of ${checklist.total} tasks done (${pct}%)</p>
+  ${tasks ? `<ul>\n${tasks}\n</ul>` : ''}
+</section>
+<section>
+  <h2>Gallery</h2>
+  ${gallery ? `<div class="grid">\n${gallery}\n</div>` : '<p class="muted">No photos yet.</p>'}
+</section>
+<footer>A read-only snapshot from ${new Date(snapshot.generated_at).toUTCString()}. ${expires}</footer>`;
+  return page(`${trip.title} · Trip Prep`, body, COUNTDOWN);
+}
+
+// for links that are unknown, expired or revoked
+export function shareUnavailablePage(message) {
+  return page('Trip Prep', `<section>\n  <h1>Link unavailable</h1>\n  <p class="muted">${esc(message)}</p>\n</section>`);
+}
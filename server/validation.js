@@ -0,0 +1,200 @@
+// Request validation and the errors routes throw. A schema maps body fields to rules;
+// checkFields validates the fields a body has and turns them into column values.
+// Routes throw ApiError, and the error middleware in index.js answers with
+// { error: { code, message, fields } }, where fields names what was wrong with each field.
+
+const CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal',
+};
+
+// `details` are extra top-level keys for the response, e.g. the rows of a failed import
+export class ApiError extends Error {
+  constructor(status, message, { code, fields = null, details = null } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || (fields ? 'validation_failed' : CODES[status] || 'error');
+    this.fields = fields;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, fields: this.fields }, ...this.details };
+  }
+}
+
+// Rules. Each has a label for messages and check(value), which returns { value } with the
+// column value or { error }. Text, dates and emails may be empty unless `blank: false`.
+
+export function text({ label, blank = true, max = 200 } = {}) {
+  return {
+    label,
+    check(value) {
+      if (value !== null && value !== undefined && typeof value !== 'string' && typeof value !== 'number') return { error: `${label} must be text` };
+      const s = String(value ?? '').trim();
+      if (!blank && !s) return { error: `${label} can't be empty` };
+      if (s.length > max) return { error: `${label} can be at most ${max} characters` };
+      return { value: s };
+    },
+  };
+}
+
+// blank input ('' or null) counts as 0, like an emptied number field
+export function number({ label, min = -Infinity, max = Infinity, integer = false } = {}) {
+  const range = min > -Infinity && max < Infinity ? ` from ${min} to ${max}` : min > -Infinity ? ` of ${min} or more` : '';
+  const kind = integer ? 'a whole number' : 'a number';
+  return {
+    label,
+    check(value) {
+      const n = value === '' || value === null || value === undefined ? 0 : typeof value === 'boolean' ? NaN : Number(value);
+      if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min || n > max) return { error: `${label} must be ${kind}${range}` };
+      return { value: n };
+    },
+  };
+}
+
+// stored as 1 or 0
+export function bool({ label } = {}) {
+  return {
+    label,
+    check(value) {
+      if (![true, false, 1, 0].includes(value)) return { error: `${label} must be true or false` };
+      return { value: value ? 1 : 0 };
+    },
+  };
+}
+
+// '' in `values` means "none" and also accepts null
+export function oneOf(values, { label } = {}) {
+  const names = values.filter(Boolean).join(', ');
+  return {
+    label,
+    check(value) {
+      const v = value === null && values.includes('') ? '' : value;
+      if (!values.includes(v)) return { error: `${label} must be one of ${names}${values.includes('') ? ' or empty' : ''}` };
+      return { value: v };
+    },
+  };
+}
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_TIME = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+function realDate(s) {
+  const m = ISO_DATE.exec(s);
+  if (!m) return false;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+// ISO 8601: 2025-08-12, or with a time (2025-08-12T18:30, seconds and a zone optional)
+export function isIsoDate(value, { time = 'optional' } = {}) {
+  if (typeof value !== 'string') return false;
+  const [day, clock, ...rest] = value.split('T');
+  if (rest.length || !realDate(day)) return false;
+  if (clock === undefined) return time !== 'required';
+  return ISO_TIME.test(clock);
+}
+
+// a day, optionally with a time
+export function date({ label, blank = true } = {}) {
+  return dateRule(label, blank, 'optional', 'a date like 2025-08-12');
+}
+
+// wall-clock times like the datetime-local inputs send
+export function dateTime({ label, blank = true } = {}) {
+  return dateRule(label, blank, 'required', 'a date and time like 2025-08-12T18:30');
+}
+
+// a moment rather than a wall-clock time: needs the time and a zone (Z or an offset),
+// and is stored in UTC like toISOString() writes it
+export function instant({ label, blank = true } = {}) {
+  return {
+    label,
+    check(value) {
+      const s = value === null || value === undefined ? '' : value;
+      if (s === '' && blank) return { value: '' };
+      if (!isIsoDate(s, { time: 'required' }) || !/(Z|[+-]\d{2}:\d{2})$/.test(s)) return { error: `${label} must be a date and time with a zone like 2025-08-12T18:30Z` };
+      return { value: new Date(s).toISOString() };
+    },
+  };
+}
+
+function dateRule(label, blank, time, example) {
+  return {
+    label,
+    check(value) {
+      const s = value === null || value === undefined ? '' : value;
+      if (s === '' && blank) return { value: '' };
+      if (!isIsoDate(s, { time })) return { error: `${label} must be ${example}` };
+      return { value: s };
+    },
+  };
+}
+
+export function email({ label = 'Email' } = {}) {
+  return {
+    label,
+    check(value) {
+      const s = String(value ?? '').trim();
+      if (s && !/^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/.test(s)) return { error: `"${s}" is not an email address` };
+      if (s.length > 254) return { error: `${label} is too long` };
+      return { value: s };
+    },
+  };
+}
+
+export function currency({ label = 'Currency' } = {}) {
+  return {
+    label,
+    check(value) {
+      if (typeof value !== 'string' || !/^[A-Za-z]{3}$/.test(value)) return { error: `${label} must be a three-letter code like USD` };
+      return { value: value.toUpperCase() };
+    },
+  };
+}
+
+// a JSON object, not an array or null
+export const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Validates the schema fields present in `body`, plus the `required` ones, which must be
+// there. Returns { columns } for the valid fields, and on any problem also
+// { error, fields }: the first message and a message per field.
+export function checkFields(body, schema, { required = [] } = {}) {
+  if (!isObject(body)) {
+    return { columns: {}, error: 'The request body must be a JSON object', fields: null };
+  }
+  const columns = {};
+  const fields = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!(field in body)) {
+      if (required.includes(field)) fields[field] = `${rule.label} is required`;
+      continue;
+    }
+    const { value, error } = rule.check(body[field]);
+    if (error) fields[field] = error;
+    else columns[field] = value;
+  }
+  return withErrors(columns, fields);
+}
+
+// { columns } when `fields` is empty, otherwise { columns, error, fields }
+export function withErrors(columns, fields) {
+  const messages = Object.values(fields);
+  return messages.length ? { columns, error: messages[0], fields } : { columns };
+}
+
+// the fields a route takes besides a row's columns, e.g. { status } of an RSVP; throws
+// the same 400 a column check would
+export function parseBody(body, schema, options) {
+  const { columns, error, fields } = checkFields(body, schema, options);
+  if (error) throw new ApiError(400, error, { fields });
+  return columns;
+}
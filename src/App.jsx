@@ -23,12 +23,39 @@ import {
   Moon,
   ShieldAlert,
   Bug,
+  Cloud,
+  CloudOff,
+  RefreshCw,
+  Copy,
+  Archive,
+  ArchiveRestore,
+  ArrowUp,
+  ArrowDown,
+  Trash2,
+  ListChecks,
+  Receipt,
+  ArrowRight,
+  ChevronLeft,
+  ChevronRight,
+  FileSpreadsheet,
+  CalendarDays,
+  Inbox as InboxIcon,
+  Route,
+  MapPin,
+  CalendarClock,
+  Package,
+  BedDouble,
+  Printer,
+  Sparkles,
+  Vote,
+  AlertTriangle,
 } from "lucide-react";
 
 /**
  * Trip Prep Tracker — single-file React app (with guards + self-tests)
  * TailwindCSS recommended. Works without but looks best with it.
- * All data persists to localStorage under key TRIP_PREP_STATE_V3.
+ * Trip data is loaded from and saved to the Express/SQLite server in /server.
+ * localStorage (key TRIP_PREP_STATE_V3) keeps a cached copy for offline use.
  * Sound effects are synthesized in-browser with WebAudio (no external files).
  *
  * NOTE: Some dev environments or browser extensions try to auto-connect
@@ -133,6 +160,13 @@ function safeUUID() {
   });
 }
 
+// offline defaults; once the server answers, task ids are the server's numeric ids
+const defaultTaskList = [
+  { id: "packing", person_id: null, title: "Packing", description: "", due_date: "" },
+  { id: "id", person_id: null, title: "ID/License", description: "", due_date: "" },
+  { id: "toiletries", person_id: null, title: "Toiletries", description: "", due_date: "" },
+];
+
 const defaultPeople = [
   { id: safeUUID(), name: "Bogdan", role: "boy", paid: false, amount: 0, transport: "Car", eta: "2025-08-12T17:30", notes: "", tasks: { packing: false, id: false, toiletries: false } },
   { id: safeUUID(), name: "Rishabh", role: "boy", paid: false, amount: 0, transport: "Plane", eta: "2025-08-12T15:00", notes: "", tasks: { packing: false, id: false, toiletries: false } },
@@ -143,6 +177,9 @@ const defaultPeople = [
   { id: safeUUID(), name: "Memers", role: "boy", paid: false, amount: 0, transport: "Bus", eta: "2025-08-12T20:00", notes: "", tasks: { packing: false, id: false, toiletries: false } },
 ];
 
+const TRANSPORTS = ["Car", "Plane", "Train", "Bus", "Ship"];
+// person fields the room planner can keep rooms uniform by; mirrors ROOM_GROUPINGS in server/index.js
+const ROOM_GROUPINGS = { "": "Anyone can share", role: "Same role", transport: "Same transport" };
 const transportIcons = { Plane, Train, Car, Bus, Ship };
 
 function cx(...classes) {
@@ -201,6 +238,499 @@ function usePersistedState(key, initial) {
   return [state, setState];
 }
 
+// -------------------------- server sync --------------------------
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+// identifies this tab to the server so live updates it caused aren't applied twice
+const CLIENT_ID = safeUUID();
+
+// the session this browser got from an invite link (or from creating a trip); it is
+// kept outside React state because every request needs it, including the first ones
+const SESSION_KEY = "TRIP_SESSION";
+let sessionToken = (() => {
+  try {
+    return localStorage.getItem(SESSION_KEY);
+  } catch {
+    return null;
+  }
+})();
+
+function setSession(token) {
+  sessionToken = token;
+  try {
+    localStorage.setItem(SESSION_KEY, token);
+  } catch {}
+}
+
+function authHeaders() {
+  return sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {};
+}
+
+// photos are only served to the trip's members, and an <img> can't send headers, so the
+// session goes along as ?access_token= like it does for the events stream
+function photoSrc(url) {
+  if (!url || !sessionToken || !url.includes("/uploads/")) return url;
+  const src = new URL(url, API_URL);
+  src.searchParams.set("access_token", sessionToken);
+  return src.href;
+}
+
+// the server answers failures with { error: { code, message, fields } }; fields maps a body
+// field to what was wrong with it, so forms can show it next to the input. `data` is the
+// whole answer, which can carry more, e.g. the current row with a 409.
+function requestError(data, status, fallback) {
+  const err = new Error(data?.error?.message || fallback);
+  err.status = status;
+  err.code = data?.error?.code || null;
+  err.fields = data?.error?.fields || null;
+  err.data = data;
+  return err;
+}
+
+// one row's field errors after saving `sent`: the fields it sent take what the server
+// reported (nothing when the save went through); messages for other fields stay
+function mergeFieldErrors(current = {}, sent, reported = {}) {
+  const kept = Object.fromEntries(Object.entries(current).filter(([field]) => !(field in sent)));
+  return { ...kept, ...reported };
+}
+
+// `text` returns the raw response body, for CSV and other non-JSON responses
+async function api(path, { method = "GET", body, headers = {}, text = false } = {}) {
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: { ...headers, "X-Client-Id": CLIENT_ID, ...authHeaders(), ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) {
+    // the server answered but refused; keep its message and status so callers can tell this apart from being offline
+    const data = await res.json().catch(() => ({}));
+    throw requestError(data, res.status, `${method} ${path} failed (${res.status})`);
+  }
+  if (res.status === 204) return null;
+  return text ? res.text() : res.json();
+}
+
+// multipart upload through XHR, since fetch can't report upload progress
+function uploadFile(path, field, file, fields = {}, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `${API_URL}${path}`);
+    xhr.setRequestHeader("X-Client-Id", CLIENT_ID);
+    for (const [k, v] of Object.entries(authHeaders())) xhr.setRequestHeader(k, v);
+    xhr.upload.onprogress = (e) => e.lengthComputable && onProgress(e.loaded / e.total);
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {}
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(data);
+      reject(requestError(data, xhr.status, `Upload failed (${xhr.status})`));
+    };
+    xhr.onerror = () => reject(new Error("Upload failed"));
+    const form = new FormData();
+    // text fields go first so the server sees them before the file
+    for (const [k, v] of Object.entries(fields)) if (v !== undefined && v !== null && v !== "") form.append(k, v);
+    form.append(field, file);
+    xhr.send(form);
+  });
+}
+
+// -------------------------- offline outbox --------------------------
+// Changes made without a connection wait in IndexedDB and go out in the order they were
+// made once the server answers again. public/sw.js reads the same store, so Background
+// Sync can send them after the tab is closed. An entry is
+// { id, trip_id, key, method, path, body, upload, url, headers, status, error, created_at }:
+// `key` names the row it changes ("person:12", or "photo" for uploads), `upload` is
+// { field, file, fields } for a multipart upload, and `url` and `headers` are what the
+// service worker sends. status is "queued", or "failed" once the server refused it.
+const OUTBOX_DB = "TRIP_PREP_OUTBOX";
+const OUTBOX_STORE = "outbox";
+
+let outboxDb = null;
+function openOutbox() {
+  outboxDb ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return outboxDb;
+}
+
+// resolves with the request's result once its transaction has committed
+async function outboxRequest(mode, makeRequest) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const req = makeRequest(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ids only grow, so all() lists changes in the order they were made
+const outbox = {
+  all: () => outboxRequest("readonly", (store) => store.getAll()),
+  put: (entry) => outboxRequest("readwrite", (store) => store.put(entry)),
+  remove: (id) => outboxRequest("readwrite", (store) => store.delete(id)),
+};
+
+// sends an outbox entry the way it would have gone out directly; `headers` are extras such
+// as If-Match, and the session is always the current one
+function sendQueued(entry, onProgress) {
+  if (entry.upload) return uploadFile(entry.path, entry.upload.field, entry.upload.file, entry.upload.fields, onProgress);
+  return api(entry.path, { method: entry.method, body: entry.body, headers: entry.headers });
+}
+
+// a PATCH queued while another to the same row waits is folded into it; nested objects
+// such as `tasks` merge key by key
+function mergePatch(a = {}, b = {}) {
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+  const out = { ...a };
+  for (const [k, v] of Object.entries(b)) out[k] = isObject(v) && isObject(a[k]) ? { ...a[k], ...v } : v;
+  return out;
+}
+
+// { [key]: { status, error, ids } } for rows with changes in the outbox; a refused change
+// outranks queued ones, since that is what the row needs someone to look at
+function outboxStatus(entries) {
+  const out = {};
+  for (const e of entries) {
+    const row = (out[e.key] ??= { status: "queued", error: "", ids: [] });
+    row.ids.push(e.id);
+    if (e.status === "failed" && row.status !== "failed") Object.assign(row, { status: "failed", error: e.error });
+  }
+  return out;
+}
+
+// the fields of a refused save that differ from the row as the server has it now, one entry
+// per task tick: [{ field, taskId, mine, theirs }]
+function conflictFields(mine, theirs) {
+  const out = [];
+  for (const [field, value] of Object.entries(mine)) {
+    if (field !== "tasks") {
+      if (value !== theirs[field]) out.push({ field, taskId: null, mine: value, theirs: theirs[field] });
+      continue;
+    }
+    for (const [taskId, done] of Object.entries(value)) {
+      if (!!done !== !!theirs.tasks?.[taskId]) out.push({ field, taskId, mine: !!done, theirs: !!theirs.tasks?.[taskId] });
+    }
+  }
+  return out;
+}
+
+// lets the service worker send the outbox when the connection is back, even if this tab is
+// gone by then; browsers without Background Sync rely on the open tab
+function requestBackgroundSync() {
+  navigator.serviceWorker?.ready.then((reg) => reg.sync?.register("outbox")).catch(() => {});
+}
+
+// the trip row keeps snake_case column names; map them to and from the client shape
+const tripFieldNames = {
+  title: "title",
+  location: "location",
+  tripDate: "trip_date",
+  budgetPerPerson: "budget_per_person",
+  galleryQuery: "gallery_query",
+  currency: "currency",
+  roomGrouping: "room_grouping",
+  notes: "notes",
+};
+
+function fromServerTrip(row) {
+  const out = {};
+  for (const [k, col] of Object.entries(tripFieldNames)) out[k] = row[col];
+  return out;
+}
+
+function toServerTrip(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) if (tripFieldNames[k]) out[tripFieldNames[k]] = v;
+  return out;
+}
+
+// tracks in-flight requests; once one can't reach the server we stay "offline" until the next
+// full reload succeeds. Requests the server rejected (err.status set) don't count as offline.
+function useSyncStatus() {
+  const [status, setStatus] = useState("loading");
+  const pendingRef = useRef(0);
+  const failedRef = useRef(false);
+  const track = (promise) => {
+    pendingRef.current += 1;
+    if (!failedRef.current) setStatus((s) => (s === "loading" ? s : "saving"));
+    return promise.then(
+      (v) => {
+        pendingRef.current -= 1;
+        if (!pendingRef.current && !failedRef.current) setStatus("synced");
+        return v;
+      },
+      (e) => {
+        pendingRef.current -= 1;
+        if (e.status) {
+          if (!pendingRef.current && !failedRef.current) setStatus("synced");
+          throw e;
+        }
+        failedRef.current = true;
+        console.warn("[TripPrep] Sync failed:", e);
+        setStatus("offline");
+        throw e;
+      }
+    );
+  };
+  const reset = () => {
+    failedRef.current = false;
+    setStatus("loading");
+  };
+  return { status, track, reset };
+}
+
+// per-key debounce so typing in an input sends one request instead of one per keystroke
+function useDebounced(delay = 400) {
+  const timers = useRef({});
+  return (key, fn) => {
+    clearTimeout(timers.current[key]);
+    timers.current[key] = setTimeout(fn, delay);
+  };
+}
+
+// follows the trip's change feed. EventSource gives up on some errors, so reconnects are done by
+// hand with a growing delay, asking for everything after the last event seen.
+function useLiveUpdates(tripId, onEvent) {
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+  useEffect(() => {
+    if (!tripId || typeof EventSource === "undefined") return;
+    let source = null;
+    let timer = null;
+    let lastId = null;
+    let attempts = 0;
+    const connect = () => {
+      // EventSource can't send headers, so the session goes in the query string
+      const params = new URLSearchParams({ ...(sessionToken ? { access_token: sessionToken } : {}), ...(lastId ? { since: lastId } : {}) });
+      source = new EventSource(`${API_URL}/trips/${tripId}/events?${params}`);
+      source.onopen = () => {
+        attempts = 0;
+      };
+      source.onmessage = (e) => {
+        lastId = e.lastEventId || lastId;
+        try {
+          handlerRef.current(JSON.parse(e.data));
+        } catch (err) {
+          console.warn("[TripPrep] Bad live update:", err);
+        }
+      };
+      source.onerror = () => {
+        source.close();
+        attempts += 1;
+        timer = setTimeout(connect, Math.min(30000, 1000 * 2 ** attempts));
+      };
+    };
+    connect();
+    return () => {
+      clearTimeout(timer);
+      source?.close();
+    };
+  }, [tripId]);
+}
+
+// -------------------------- trip files --------------------------
+// Exported files carry a version. Older files are migrated one step at a time up to
+// TRIP_FILE_VERSION, then checked against TRIP_FILE_SCHEMA before anything is imported.
+const TRIP_FILE_VERSION = 4;
+
+const tripFileMigrations = {
+  // files without a version are the raw TRIP_PREP_STATE_V3 app state; very old ones have
+  // no task list because every person had the fixed packing/id/toiletries flags
+  3: (state) => ({
+    version: 4,
+    trip: Object.fromEntries(Object.keys(tripFieldNames).filter((k) => k in state).map((k) => [k, state[k]])),
+    tasks: state.tasks || defaultTaskList,
+    people: state.people,
+    expenses: state.expenses || [],
+  }),
+};
+
+const stringField = { type: "string" };
+const idField = { type: ["string", "number"] };
+const TRIP_FILE_SCHEMA = {
+  type: "object",
+  fields: {
+    version: { type: "number", required: true },
+    trip: {
+      type: "object",
+      required: true,
+      fields: { title: { ...stringField, required: true, nonEmpty: true }, location: stringField, tripDate: stringField, budgetPerPerson: { type: "number" }, galleryQuery: stringField, currency: stringField, roomGrouping: { ...stringField, oneOf: Object.keys(ROOM_GROUPINGS) }, notes: stringField },
+    },
+    tasks: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: { id: { ...idField, required: true }, person_id: { type: ["string", "number", "null"] }, title: { ...stringField, required: true, nonEmpty: true }, description: stringField, due_date: stringField },
+      },
+    },
+    people: {
+      type: "array",
+      required: true,
+      items: {
+        type: "object",
+        fields: {
+          id: idField,
+          name: { ...stringField, required: true, nonEmpty: true },
+          role: stringField,
+          paid: { type: "boolean" },
+          amount: { type: "number" },
+          currency: stringField,
+          transport: { ...stringField, oneOf: TRANSPORTS },
+          eta: stringField,
+          notes: stringField,
+          email: stringField,
+          tasks: { type: "object", values: { type: "boolean" } },
+        },
+      },
+    },
+    expenses: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          payer_id: { ...idField, required: true },
+          description: stringField,
+          amount: { type: "number", required: true },
+          currency: stringField,
+          split_mode: { ...stringField, oneOf: ["equal", "shares", "exact"] },
+          participants: { type: "array", required: true, items: { type: "object", fields: { person_id: { ...idField, required: true }, share: { type: "number" } } } },
+        },
+      },
+    },
+  },
+};
+
+// collects { path, message } for everything in value that doesn't fit the schema
+function checkSchema(value, schema, path = "", errors = []) {
+  const at = path || "file";
+  const actual = value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+  const types = [].concat(schema.type);
+  if (!types.includes(actual)) {
+    errors.push({ path: at, message: `should be ${types.join(" or ")}, not ${actual}` });
+    return errors;
+  }
+  if (actual === "number" && !Number.isFinite(value)) errors.push({ path: at, message: "should be a finite number" });
+  if (schema.nonEmpty && !value.trim()) errors.push({ path: at, message: "can't be empty" });
+  if (schema.oneOf && !schema.oneOf.includes(value)) errors.push({ path: at, message: `should be one of ${schema.oneOf.join(", ")}` });
+  for (const [key, field] of Object.entries(schema.fields || {})) {
+    const p = path ? `${path}.${key}` : key;
+    if (value[key] == null) {
+      if (field.required) errors.push({ path: p, message: "is required" });
+    } else checkSchema(value[key], field, p, errors);
+  }
+  if (schema.items) value.forEach((v, i) => checkSchema(v, schema.items, `${at}[${i}]`, errors));
+  if (schema.values) for (const [key, v] of Object.entries(value)) checkSchema(v, schema.values, `${at}.${key}`, errors);
+  return errors;
+}
+
+// migrates then validates the text of an import; returns { file } or { errors }
+function readTripFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { errors: [{ path: "file", message: `isn't valid JSON (${e.message})` }] };
+  }
+  if (file && typeof file === "object" && !Array.isArray(file) && !("version" in file)) file = { ...file, version: 3 };
+  while (file?.version < TRIP_FILE_VERSION) {
+    const migrate = tripFileMigrations[file.version];
+    if (!migrate) return { errors: [{ path: "version", message: `files from version ${file.version} can't be imported` }] };
+    file = migrate(file);
+  }
+  if (file?.version > TRIP_FILE_VERSION) return { errors: [{ path: "version", message: `this file is from a newer version (${file.version}) of the app` }] };
+  const errors = checkSchema(file, TRIP_FILE_SCHEMA);
+  const seen = new Set();
+  (Array.isArray(file?.people) ? file.people : []).forEach((p, i) => {
+    const name = typeof p?.name === "string" ? p.name.trim().toLowerCase() : "";
+    if (name && seen.has(name)) errors.push({ path: `people[${i}].name`, message: `"${p.name}" appears more than once` });
+    seen.add(name);
+  });
+  // expenses name their payer and participants by person id, so those have to be in the file
+  const ids = new Set((Array.isArray(file?.people) ? file.people : []).map((p) => String(p?.id)));
+  (Array.isArray(file?.expenses) ? file.expenses : []).forEach((e, i) => {
+    const refs = [[`expenses[${i}].payer_id`, e?.payer_id], ...(Array.isArray(e?.participants) ? e.participants : []).map((p, j) => [`expenses[${i}].participants[${j}].person_id`, p?.person_id])];
+    for (const [path, id] of refs) if (id != null && !ids.has(String(id))) errors.push({ path, message: `isn't the id of anyone in the file` });
+  });
+  return errors.length ? { errors } : { file };
+}
+
+function buildTripFile(state, tasks) {
+  return {
+    version: TRIP_FILE_VERSION,
+    exported_at: new Date().toISOString(),
+    trip: Object.fromEntries(Object.keys(tripFieldNames).map((k) => [k, state[k]])),
+    tasks: tasks.map(({ id, person_id, title, description, due_date }) => ({ id, person_id, title, description, due_date })),
+    people: state.people.map(({ id, name, role, paid, amount, currency, transport, eta, notes, email, tasks }) => ({ id, name, role, paid, amount, currency, transport, eta, notes, email, tasks })),
+    expenses: (state.expenses || []).map(({ id, payer_id, description, amount, currency, split_mode, participants }) => ({ id, payer_id, description, amount, currency, split_mode, participants })),
+  };
+}
+
+const IMPORT_PERSON_FIELDS = ["role", "paid", "amount", "currency", "transport", "eta", "notes", "email"];
+
+// works out what an import would change. People are matched by id, then by name (ignoring case).
+// Merge adds and updates people; replace also applies the trip settings and removes people not in the file.
+// Task ticks are carried by task title, and expense payers and participants by name, since ids
+// differ between trips and servers. Merge adds the expenses the trip doesn't have yet; replace
+// swaps all of them for the file's.
+function planImport(current, file, mode) {
+  const key = (name) => name.trim().toLowerCase();
+  const ticksByTitle = (person, tasks) => {
+    const out = {};
+    for (const [taskId, done] of Object.entries(person.tasks || {})) {
+      const task = tasks.find((t) => String(t.id) === String(taskId));
+      if (task) out[task.title] = !!done;
+    }
+    return out;
+  };
+  const used = new Set();
+  const matchedId = {};
+  const people = file.people.map((fp) => {
+    const free = current.people.filter((p) => !used.has(p.id));
+    const match = free.find((p) => fp.id != null && String(p.id) === String(fp.id)) || free.find((p) => key(p.name) === key(fp.name));
+    if (match) used.add(match.id);
+    matchedId[fp.id] = match?.id ?? null;
+    const fields = {};
+    for (const f of match ? ["name", ...IMPORT_PERSON_FIELDS] : IMPORT_PERSON_FIELDS) {
+      if (fp[f] != null && fp[f] !== match?.[f]) fields[f] = fp[f];
+    }
+    const have = match ? ticksByTitle(match, current.tasks) : {};
+    const ticks = Object.fromEntries(Object.entries(ticksByTitle(fp, file.tasks)).filter(([title, done]) => (have[title] ?? false) !== done));
+    const status = !match ? "add" : Object.keys(fields).length || Object.keys(ticks).length ? "update" : "same";
+    return { status, id: match?.id ?? null, name: fp.name, fields, ticks };
+  });
+  const removed = mode === "replace" ? current.people.filter((p) => !used.has(p.id)).map((p) => ({ status: "remove", id: p.id, name: p.name, fields: {}, ticks: {} })) : [];
+  const trip = mode === "replace" ? Object.fromEntries(Object.entries(file.trip).filter(([k, v]) => current.trip[k] !== v)) : {};
+  const tasks = file.tasks
+    .map((t) => ({ ...t, owner: t.person_id == null ? null : file.people.find((p) => String(p.id) === String(t.person_id))?.name }))
+    .filter((t) => t.owner !== undefined)
+    .filter((t) => {
+      const ownerId = t.owner && matchedId[file.people.find((p) => p.name === t.owner).id];
+      return !current.tasks.some((c) => c.title === t.title && (t.owner ? ownerId != null && c.person_id === ownerId : !c.person_id));
+    })
+    .map(({ title, description, due_date, owner }) => ({ title, description: description ?? "", due_date: due_date ?? "", owner }));
+  const nameOf = (id) => file.people.find((p) => String(p.id) === String(id)).name;
+  const known = (e) =>
+    (current.expenses || []).some((c) => c.payer_id === matchedId[e.payer_id] && c.description === (e.description ?? "") && c.amount === e.amount && (e.currency == null || c.currency === e.currency));
+  const expenses = (file.expenses || [])
+    .filter((e) => mode === "replace" || !known(e))
+    .map((e) => ({
+      payer: nameOf(e.payer_id),
+      description: e.description ?? "",
+      amount: e.amount,
+      currency: e.currency,
+      split_mode: e.split_mode ?? "equal",
+      participants: e.participants.map((p) => ({ person: nameOf(p.person_id), share: p.share ?? 1 })),
+    }));
+  const removedExpenses = mode === "replace" ? (current.expenses || []).length : 0;
+  return { mode, trip, people: [...people, ...removed], tasks, expenses, removedExpenses };
+}
+
 // -------------------------- App wrapper --------------------------
 export default function App() {
   installGlobalGuards();
@@ -221,22 +751,409 @@ function TripPrepApp() {
     tripDate: "2025-08-12T20:00",
     budgetPerPerson: 150,
     galleryQuery: "beach roadtrip friends",
+    currency: "USD",
+    roomGrouping: "",
+    notes: "",
     people: defaultPeople,
+    tasks: defaultTaskList,
+    expenses: [],
+    ledger: { balances: [], transfers: [] },
+    photos: [],
   });
+  const tasks = state.tasks || defaultTaskList;
+  const [tripId, setTripId] = usePersistedState("TRIP_ID", null);
+  const [trips, setTrips] = usePersistedState("TRIPS", []);
 
   useEffect(() => {
     document.documentElement.classList.toggle("dark", !!dark);
   }, [dark]);
 
   const { play, toggle } = useBeep();
+  const sync = useSyncStatus();
+  const debounce = useDebounced();
+
+  // what the offline outbox holds, for the queued/failed marks on rows
+  const [outboxItems, setOutboxItems] = useState([]);
+  const outboxRef = useRef(outboxItems);
+  outboxRef.current = outboxItems;
+  const refreshOutbox = () => outbox.all().then(setOutboxItems, () => {});
+
+  // keeps a change for later; a PATCH to a row that already has one waiting joins it and
+  // keeps its If-Match, the version the first of those edits was made on
+  const queueChange = async (change) => {
+    const headers = { ...change.headers, "X-Client-Id": CLIENT_ID, ...authHeaders(), ...(change.upload ? {} : { "Content-Type": "application/json" }) };
+    const waiting = change.method === "PATCH" && (await outbox.all()).find((e) => e.status === "queued" && e.method === "PATCH" && e.path === change.path);
+    const { "If-Match": _newer, ...rest } = headers;
+    await outbox.put(
+      waiting
+        ? { ...waiting, body: mergePatch(waiting.body, change.body), headers: { ...rest, ...(waiting.headers["If-Match"] ? { "If-Match": waiting.headers["If-Match"] } : {}) } }
+        : { ...change, trip_id: tripId, url: `${API_URL}${change.path}`, headers, status: "queued", error: "", created_at: new Date().toISOString() }
+    );
+    requestBackgroundSync();
+    return refreshOutbox();
+  };
+
+  // sends a change now, or queues it when the server can't be reached. While anything is
+  // queued, new changes queue behind it so the server gets them in order. Resolves with the
+  // server's answer, or null once the change is queued.
+  const sendOrQueue = (change, onProgress) => {
+    const waiting = outboxRef.current.some((e) => e.status === "queued") || navigator.onLine === false;
+    const attempt = waiting ? Promise.reject(new Error("Offline")) : sync.track(sendQueued(change, onProgress));
+    return attempt.catch((e) => {
+      if (e.status) throw e;
+      return queueChange(change).then(
+        () => null,
+        () => {
+          throw e;
+        }
+      );
+    });
+  };
+
+  // people saves that met someone else's change, { id, mine, theirs }: the fields this tab
+  // sent and the row as the server has it. PersonConflictDialog asks which to keep.
+  const [conflicts, setConflicts] = useState([]);
+  // when their row already says what mine did, theirs is simply taken
+  const addConflict = (id, mine, theirs) => {
+    if (!conflictFields(mine, theirs).length) return setPeople((prev) => prev.map((p) => (p.id === id ? theirs : p)));
+    setConflicts((prev) => {
+      const earlier = prev.find((c) => c.id === id);
+      return [...prev.filter((c) => c.id !== id), { id, mine: mergePatch(earlier?.mine, mine), theirs }];
+    });
+  };
+
+  // sends the outbox oldest first and stops at the first change that can't reach the server.
+  // One the server refuses stays in the outbox as failed, with its message; a person changed
+  // by someone else meanwhile goes to the conflict dialog instead.
+  const flushingRef = useRef(null);
+  const flushOutbox = () => {
+    flushingRef.current ??= (async () => {
+      for (const entry of await outbox.all()) {
+        if (entry.status !== "queued") continue;
+        try {
+          await sendQueued(entry);
+          await outbox.remove(entry.id);
+        } catch (e) {
+          if (!e.status) break;
+          if (e.status === 409 && e.data?.person && entry.key.startsWith("person:")) {
+            await outbox.remove(entry.id);
+            addConflict(e.data.person.id, entry.body, e.data.person);
+            continue;
+          }
+          await outbox.put({ ...entry, status: "failed", error: e.message });
+        }
+      }
+    })()
+      .catch(() => {})
+      .finally(() => {
+        flushingRef.current = null;
+        refreshOutbox();
+      });
+    return flushingRef.current;
+  };
+
+  // sends anything queued offline, then loads the trip list plus the given trip (falling
+  // back to the first active one)
+  const loadFromServer = (id = tripId) => {
+    sync.reset();
+    return sync
+      .track(
+        flushOutbox().then(() => api("/trips")).then(async (list) => {
+          const trip = list.find((t) => t.id === id) || list.find((t) => !t.archived) || list[0];
+          if (!trip) return [list, null, null];
+          const [people, tasks, expenses, ledger, photos, logistics, itinerary, gear, rates, rooms, polls, shares] = await Promise.all(
+            ["people", "tasks", "expenses", "balances", "gallery", "logistics", "itinerary", "gear", "rates", "rooms", "polls", "shares"].map((p) => api(`/trips/${trip.id}/${p}`))
+          );
+          return [list, trip, { people, tasks, expenses, ledger, photos, logistics, itinerary, gear, rates, rooms, polls, shares }];
+        })
+      )
+      .then(([list, trip, data]) => {
+        setTrips(list);
+        setTripId(trip?.id ?? null);
+        if (!trip) return;
+        setState((s) => ({ ...s, ...fromServerTrip(trip), ...data }));
+      })
+      .catch(() => {});
+  };
+
+  // an ?invite= link asks who you are in that trip before loading anything
+  const [invite, setInvite] = useState(null);
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.search).get("invite");
+    if (!token) return void loadFromServer();
+    api(`/invites/${token}`).then(
+      (data) => setInvite({ token, ...data }),
+      (e) => {
+        alert(e.status ? e.message : "Could not reach the server to open this invite.");
+        loadFromServer();
+      }
+    );
+  }, []);
+
+  const closeInvite = () => {
+    window.history.replaceState(null, "", window.location.pathname);
+    setInvite(null);
+  };
+
+  const joinTrip = (personId) =>
+    api(`/invites/${invite.token}/claim`, { method: "POST", body: { person_id: personId } }).then((res) => {
+      setSession(res.token);
+      closeInvite();
+      play("ok");
+      return loadFromServer(res.trip_id);
+    });
+
+  const tripPath = (path = "") => `/trips/${tripId}${path}`;
+  const currentTrip = trips.find((t) => t.id === tripId);
+  const me = currentTrip?.me || null;
+  const organizer = canOrganize(me);
+  const needsJoin = sync.status === "synced" && trips.length === 0;
+
+  const [toasts, setToasts] = useState([]);
+  const notify = (text) => {
+    const id = safeUUID();
+    setToasts((prev) => [...prev.slice(-2), { id, text }]);
+    setTimeout(() => setToasts((prev) => prev.filter((t) => t.id !== id)), 4000);
+  };
+
+  // changes made in other browsers; our own come back too and are skipped.
+  // Every event (ours included) means new activity rows, so the feed refetches.
+  const [activityVersion, setActivityVersion] = useState(0);
+  useLiveUpdates(tripId, (event) => {
+    setActivityVersion((v) => v + 1);
+    // only says who got a notification; ours are fetched from the inbox
+    if (event.type === "notification.created") {
+      if (me && event.data.person_id === me.id) loadInbox().then((box) => box?.items.length && notify(box.items[0].subject));
+      return;
+    }
+    if (event.origin === CLIENT_ID) return;
+    if (event.type === "resync") return loadFromServer(tripId);
+    const text = describeEvent(event, state);
+    setState((s) => applyEvent(s, event));
+    if (event.type === "trip.updated") setTrips((prev) => prev.map((t) => (t.id === event.data.trip.id ? { ...t, ...event.data.trip } : t)));
+    // a new invite or calendar link; only organizers get the tokens
+    if (event.type === "trip.links" && canOrganize(me)) {
+      api(tripPath())
+        .then((trip) => setTrips((prev) => prev.map((t) => (t.id === trip.id ? { ...t, ...trip } : t))))
+        .catch(() => {});
+    }
+    if (text) notify(text);
+  });
+
+  // reminders and nudges sent to the signed-in person in this trip
+  const [inbox, setInbox] = useState({ items: [], unread: 0 });
+  const loadInbox = () =>
+    api(tripPath("/notifications"))
+      .then((box) => {
+        setInbox(box);
+        return box;
+      })
+      .catch(() => null);
+  useEffect(() => {
+    setInbox({ items: [], unread: 0 });
+    if (tripId && me) loadInbox();
+  }, [tripId, me?.id]);
+  const markInboxRead = () => {
+    if (!inbox.unread) return;
+    setInbox((box) => ({ unread: 0, items: box.items.map((n) => ({ ...n, read_at: n.read_at || new Date().toISOString() })) }));
+    sync.track(api(tripPath("/notifications/read"), { method: "POST", body: {} })).catch(() => {});
+  };
+
+  // a refused change can be sent again (e.g. after fixing the session) or dropped, which
+  // puts the row back to what the server has
+  const retryQueued = (ids) =>
+    Promise.all(outboxItems.filter((e) => ids.includes(e.id)).map((e) => outbox.put({ ...e, status: "queued", error: "" }))).then(() => loadFromServer());
+  const discardQueued = (ids) => {
+    if (!confirm("Discard this change? It won't be sent, and the trip reloads from the server.")) return;
+    Promise.all(ids.map(outbox.remove)).then(() => loadFromServer());
+  };
+
+  // the connection coming back, or the service worker's background sync, sends the outbox;
+  // while changes wait, the server is tried again every 30s since `online` often lies
+  const queuedCount = outboxItems.filter((e) => e.status === "queued").length;
+  const tripOutbox = outboxItems.filter((e) => e.trip_id === tripId);
+  useEffect(() => {
+    refreshOutbox();
+    const reconnect = () => loadFromServer();
+    const onMessage = (e) => e.data?.type === "outbox:flush" && reconnect();
+    window.addEventListener("online", reconnect);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", reconnect);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, [tripId]);
+  useEffect(() => {
+    if (!queuedCount) return;
+    const timer = setInterval(() => loadFromServer(), 30000);
+    return () => clearInterval(timer);
+  }, [queuedCount, tripId]);
+
+  // what the server said was wrong with people's fields, { [personId]: { [field]: message } },
+  // shown next to those inputs in PeopleTab. A save that goes through clears the fields it sent.
+  // Offline, the change waits in the outbox and its row shows it as queued.
+  const [personErrors, setPersonErrors] = useState({});
+
+  // `version` is the row's version when the edit was made; it goes out as If-Match so an edit
+  // can't overwrite one it never saw. Saves to one person go out one after another, and a
+  // version this tab moved on itself is followed to the one its save made, so quick edits
+  // to a row don't conflict with each other.
+  const personSavesRef = useRef({});
+  const ownVersionsRef = useRef({});
+  const savePerson = (id, fields, version) => {
+    const save = (personSavesRef.current[id] || Promise.resolve()).then(() => {
+      const own = ownVersionsRef.current[id] || {};
+      let base = version;
+      while (own[base]) base = own[base];
+      return sendOrQueue({ key: `person:${id}`, method: "PATCH", path: tripPath(`/people/${id}`), body: fields, headers: base ? { "If-Match": `"${base}"` } : {} })
+        .then((row) => {
+          if (!row) return;
+          if (base) ownVersionsRef.current[id] = { ...own, [base]: row.version };
+          setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, version: Math.max(p.version || 0, row.version) } : p)));
+          setPersonErrors((prev) => ({ ...prev, [id]: mergeFieldErrors(prev[id], fields) }));
+        })
+        .catch((e) => {
+          if (!e.status) return;
+          if (e.status === 409 && e.data?.person) addConflict(id, fields, e.data.person);
+          else if (e.fields) setPersonErrors((prev) => ({ ...prev, [id]: mergeFieldErrors(prev[id], fields, e.fields) }));
+          else notify(e.message);
+        });
+    });
+    personSavesRef.current[id] = save;
+    return save;
+  };
+
+  // `keep` is the part of mine to save over theirs; the rest of the row becomes theirs
+  const resolveConflict = (conflict, keep) => {
+    setConflicts((prev) => prev.filter((c) => c !== conflict));
+    setPeople((prev) => prev.map((p) => (p.id === conflict.id ? mergePatch(conflict.theirs, keep) : p)));
+    if (Object.keys(keep).length) savePerson(conflict.id, keep, conflict.theirs.version);
+  };
+
+  const updateTrip = (field, value) => {
+    setState((s) => ({ ...s, [field]: value }));
+    if (field === "title") setTrips((prev) => prev.map((t) => (t.id === tripId ? { ...t, title: value } : t)));
+    debounce(`trip:${tripId}:${field}`, () => sync.track(api(tripPath(), { method: "PATCH", body: toServerTrip({ [field]: value }) })).catch(() => {}));
+  };
+
+  // the server converts the budget, rates and itinerary costs, so everything is reloaded after
+  const changeCurrency = (code) =>
+    sync
+      .track(api(tripPath(), { method: "PATCH", body: { currency: code } }))
+      .then(() => loadFromServer(tripId))
+      .catch((e) => e.status && alert(e.message));
+
+  const saveRates = (next) =>
+    sync.track(api(tripPath("/rates"), { method: "PUT", body: { rates: next } })).then((saved) => {
+      setState((s) => ({ ...s, rates: saved }));
+      refreshLedger();
+      play("ok");
+      return saved;
+    });
+
+  const createTrip = () => {
+    const title = prompt("New trip name?");
+    if (!title) return;
+    // whoever creates a trip organizes it; the server reuses the name from your other trips
+    const name = me?.name || (trips.length ? undefined : prompt("Your name?"));
+    if (name === null) return;
+    sync
+      .track(api("/trips", { method: "POST", body: { title, budget_per_person: state.budgetPerPerson, organizer_name: name } }))
+      .then((trip) => {
+        setSession(trip.token);
+        return loadFromServer(trip.id);
+      })
+      .then(() => play("ok"))
+      .catch(() => {});
+  };
+
+  const duplicateTrip = () => {
+    sync
+      .track(api(tripPath("/duplicate"), { method: "POST", body: {} }))
+      .then((trip) => loadFromServer(trip.id))
+      .then(() => play("ok"))
+      .catch(() => {});
+  };
+
+  const toggleArchiveTrip = () => {
+    const current = trips.find((t) => t.id === tripId);
+    if (!current) return;
+    if (!current.archived && !confirm(`Archive "${current.title}"? It stays available under Archived.`)) return;
+    sync
+      .track(api(tripPath(), { method: "PATCH", body: { archived: !current.archived } }))
+      .then((trip) => setTrips((prev) => prev.map((t) => (t.id === trip.id ? { ...t, ...trip } : t))))
+      .catch(() => {});
+  };
+
+  const inviteLink = currentTrip?.invite_token ? `${window.location.origin}${window.location.pathname}?invite=${currentTrip.invite_token}` : window.location.href;
+
+  const rotateInvite = () => {
+    if (!confirm("Make a new invite link? The current one stops working. People who already joined stay in.")) return;
+    sync
+      .track(api(tripPath("/invite"), { method: "POST" }))
+      .then((trip) => setTrips((prev) => prev.map((t) => (t.id === trip.id ? { ...t, ...trip } : t))))
+      .catch(() => {});
+  };
 
+  // read-only feed for calendar apps, which can't sign in; the key only opens the calendar
+  const calendarLink = currentTrip?.calendar_token ? `${API_URL}${tripPath("/calendar.ics")}?key=${currentTrip.calendar_token}` : "";
+
+  const rotateCalendarLink = () => {
+    if (!confirm("Make a new calendar link? Calendars subscribed to the current one stop updating.")) return;
+    sync
+      .track(api(tripPath("/calendar-link"), { method: "POST" }))
+      .then((trip) => setTrips((prev) => prev.map((t) => (t.id === trip.id ? { ...t, ...trip } : t))))
+      .catch(() => {});
+  };
+
+  // read-only pages for people outside the trip; see "Share links" in the README
+  const shareUrl = (link) => `${API_URL}${link.path}`;
+
+  const createShareLink = (options) =>
+    sync.track(api(tripPath("/shares"), { method: "POST", body: options })).then((link) => {
+      setState((s) => ({ ...s, shares: upsert(s.shares, link, true) }));
+      return link;
+    });
+
+  const revokeShareLink = (link) => {
+    if (!confirm("Turn off this share link? Anyone opening it sees that it was turned off.")) return;
+    sync
+      .track(api(tripPath(`/shares/${link.id}`), { method: "DELETE" }))
+      .then(() => setState((s) => ({ ...s, shares: upsert(s.shares, { ...link, revoked_at: new Date().toISOString(), status: "revoked" }) })))
+      .catch((e) => alert(e.message));
+  };
+
+  // the header button reuses my newest working link that hides amounts and notes, or makes one for 30 days
+  const shareTrip = () => {
+    if (!me) return navigator.clipboard.writeText(inviteLink).then(() => play("ok"));
+    const existing = (state.shares || []).find((l) => l.person_id === me.id && l.hide_amounts && l.hide_notes && shareLinkStatus(l) === "active");
+    const link = existing ? Promise.resolve(existing) : createShareLink({ hide_amounts: true, hide_notes: true, expires_at: new Date(Date.now() + 30 * 864e5).toISOString() });
+    link
+      .then((l) => navigator.clipboard.writeText(shareUrl(l)).then(() => l))
+      .then((l) => {
+        play("ok");
+        notify(`Copied a read-only link${l.expires_at ? ` (works until ${new Date(l.expires_at).toLocaleDateString()})` : ""}`);
+      })
+      .catch((e) => alert(e.message));
+  };
+
+  const exportCalendar = () =>
+    sync
+      .track(api(tripPath("/calendar.ics"), { text: true }))
+      .then((ics) => downloadFile(`${slugify(state.title)}.ics`, ics, "text/calendar"))
+      .catch((e) => alert(e.message));
+
+  // money is entered in any currency the trip has a rate for; totals are in the trip currency
+  const currency = state.currency || "USD";
+  const rates = state.rates?.rates || {};
+  const currencies = [currency, ...Object.keys(rates)];
   const totals = useMemo(() => {
     const count = state.people.length;
     const paidCount = state.people.filter((p) => p.paid).length;
-    const paidSum = state.people.reduce((s, p) => s + (p.amount || 0), 0);
+    const paidSum = state.people.reduce((s, p) => s + (toTripCurrency(p.amount || 0, p.currency, currency, rates) ?? 0), 0);
     const expected = state.budgetPerPerson * count;
-    return { count, paidCount, paidSum, expected };
-  }, [state.people, state.budgetPerPerson]);
+    return { count, paidCount, paidSum, expected, currency };
+  }, [state.people, state.budgetPerPerson, currency, rates]);
 
   const timeLeft = useMemo(() => {
     const target = new Date(state.tripDate);
@@ -253,274 +1170,2356 @@ function TripPrepApp() {
   const addPerson = () => {
     const name = prompt("New person name?");
     if (!name) return;
-    setPeople((prev) => [
-      ...prev,
-      {
-        id: safeUUID(),
-        name,
-        role: "boy",
-        paid: false,
-        amount: 0,
-        transport: "Car",
-        eta: state.tripDate,
-        notes: "",
-        tasks: { packing: false, id: false, toiletries: false },
-      },
-    ]);
+    const person = {
+      id: safeUUID(),
+      name,
+      role: "boy",
+      paid: false,
+      amount: 0,
+      transport: "Car",
+      eta: state.tripDate,
+      notes: "",
+      email: "",
+      tasks: Object.fromEntries(tasks.filter((t) => !t.person_id).map((t) => [t.id, false])),
+    };
+    setPeople((prev) => [...prev, person]);
     play("ok");
+    // swap the temporary id for the server's once the row exists
+    sync
+      .track(api(tripPath("/people"), { method: "POST", body: { ...person, id: undefined, tasks: undefined } }))
+      .then((row) => setPeople((prev) => prev.map((p) => (p.id === person.id ? { ...p, id: row.id } : p))))
+      .catch((e) => {
+        // refused rather than offline: the row was never added
+        if (!e.status) return;
+        setPeople((prev) => prev.filter((p) => p.id !== person.id));
+        notify(e.message);
+      });
   };
 
   const removePerson = (id) => {
     if (!confirm("Remove this person?")) return;
     setPeople((prev) => prev.filter((p) => p.id !== id));
+    setState((s) => ({
+      ...s,
+      gear: (s.gear || []).map((g) => ({ ...g, claims: g.claims.filter((c) => c.person_id !== id) })),
+      rooms: s.rooms && {
+        ...s.rooms,
+        sleepers: s.rooms.sleepers.filter((r) => r.person_id !== id),
+        rules: s.rooms.rules.filter((r) => !r.person_ids.includes(id)),
+      },
+    }));
     play("warn");
+    sync.track(api(tripPath(`/people/${id}`), { method: "DELETE" })).catch(() => {});
+  };
+
+  const resetSignIn = (id) => {
+    const person = state.people.find((p) => p.id === id);
+    if (!person || !confirm(`Sign ${person.name} out everywhere? They can join again with the invite link.`)) return;
+    setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, claimed: false } : p)));
+    sync.track(api(tripPath(`/people/${id}/sessions`), { method: "DELETE" })).catch(() => {});
   };
 
+  const nudge = (id) => {
+    const person = state.people.find((p) => p.id === id);
+    if (!person) return;
+    const message = prompt(`Message for ${person.name}? Leave empty for a general check-in.`, "");
+    if (message === null) return;
+    sync
+      .track(api(tripPath(`/people/${id}/nudge`), { method: "POST", body: { message } }))
+      .then(() => {
+        play("ok");
+        notify(`Nudged ${person.name}`);
+      })
+      .catch((e) => e.status && notify(e.message));
+  };
+
+  // reminder rules and the record of what was sent; organizers only
+  const loadReminders = () => api(tripPath("/reminders"));
+  const saveReminderRule = (rule, fields) => sync.track(api(tripPath("/reminders/rules"), { method: "PATCH", body: { [rule]: fields } }));
+  const runReminders = () => sync.track(api(tripPath("/reminders/run"), { method: "POST" }));
+
   const markPaid = (id) => {
-    setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, paid: !p.paid, amount: !p.paid ? state.budgetPerPerson : 0 } : p)));
+    const person = state.people.find((p) => p.id === id);
+    if (!person) return;
+    const fields = !person.paid ? { paid: true, amount: state.budgetPerPerson, currency } : { paid: false, amount: 0 };
+    setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, ...fields } : p)));
     play("ok");
+    savePerson(id, fields, person.version);
   };
 
   const updateField = (id, field, value) => {
+    const version = state.people.find((p) => p.id === id)?.version;
     setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, [field]: value } : p)));
+    debounce(`person:${id}:${field}`, () => savePerson(id, { [field]: value }, version));
   };
 
   const toggleTask = (id, key) => {
-    setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, tasks: { ...p.tasks, [key]: !p.tasks[key] } } : p)));
+    const person = state.people.find((p) => p.id === id);
+    if (!person) return;
+    const done = !person.tasks[key];
+    setPeople((prev) => prev.map((p) => (p.id === id ? { ...p, tasks: { ...p.tasks, [key]: done } } : p)));
     play("ok");
+    savePerson(id, { tasks: { [key]: done } }, person.version);
   };
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "trip_prep_state.json";
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+  const setTasks = (updater) => setState((s) => ({ ...s, tasks: updater(s.tasks || defaultTaskList) }));
 
-  const importJSON = (file) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        setState(JSON.parse(reader.result));
+  // personId limits the task to one person; without it every person gets it
+  const addTask = (personId = null) => {
+    const person = state.people.find((p) => p.id === personId);
+    const title = prompt(person ? `New task for ${person.name}?` : "New task for everyone?");
+    if (!title) return;
+    sync
+      .track(api(tripPath("/tasks"), { method: "POST", body: { title, person_id: personId } }))
+      .then((task) => {
+        setTasks((prev) => [...prev, task]);
+        setPeople((prev) => prev.map((p) => (!personId || p.id === personId ? { ...p, tasks: { ...p.tasks, [task.id]: false } } : p)));
         play("ok");
-      } catch {
-        alert("Invalid file");
-      }
-    };
-    reader.readAsText(file);
+      })
+      .catch(() => {});
   };
 
-  // -------------------------- UI --------------------------
-  return (
-    <div className={cx(
-      "min-h-screen w-full",
-      "bg-gradient-to-br from-indigo-950 via-slate-900 to-fuchsia-900 dark:from-zinc-950 dark:via-slate-900 dark:to-indigo-950",
-      "text-white"
-    )}>
-      {/* floating glow */}
-      <div className="pointer-events-none fixed inset-0 opacity-40 blur-3xl" aria-hidden>
-        <div className="absolute -top-24 -left-24 h-72 w-72 rounded-full bg-fuchsia-500/30 animate-pulse" />
-        <div className="absolute -bottom-24 -right-24 h-72 w-72 rounded-full bg-indigo-500/30 animate-pulse [animation-delay:300ms]" />
-      </div>
+  const updateTask = (id, field, value) => {
+    setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, [field]: value } : t)));
+    debounce(`task:${id}:${field}`, () => sync.track(api(tripPath(`/tasks/${id}`), { method: "PATCH", body: { [field]: value } })).catch(() => {}));
+  };
 
-      <div className="mx-auto max-w-7xl px-4 py-6">
-        {/* header */}
-        <div className="flex flex-wrap items-center justify-between gap-4">
-          <div>
-            <h1 className="text-3xl font-bold tracking-tight drop-shadow-sm">{state.title}</h1>
-            <p className="text-sm text-white/80">
-              {state.location} • Trip starts in <span className="font-semibold text-white">{timeLeft}</span>
-            </p>
-          </div>
-          <div className="flex items-center gap-2">
-            <button
-              onClick={() => setDark((d) => !d)}
-              className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2"
-            >
-              {dark ? <Sun className="h-4 w-4" /> : <Moon className="h-4 w-4" />} <span className="text-sm">Theme</span>
-            </button>
-            <label className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 cursor-pointer flex items-center gap-2">
-              <Upload className="h-4 w-4" />
-              <span className="text-sm">Import</span>
-              <input type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files && importJSON(e.target.files[0])} />
-            </label>
-            <button onClick={exportJSON} className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2">
-              <Download className="h-4 w-4" /> <span className="text-sm">Export</span>
-            </button>
-            <button
-              onClick={() => {
-                navigator.clipboard.writeText(window.location.href).then(() => play("ok"));
-              }}
-              className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2"
-            >
-              <Share2 className="h-4 w-4" /> <span className="text-sm">Share</span>
-            </button>
-            <button
-              onClick={() => {
-                toggle();
-              }}
-              title="Toggle sounds"
-              className="rounded-xl border border-emerald-400/20 bg-emerald-500/10 px-3 py-2 backdrop-blur transition hover:bg-emerald-500/20 flex items-center gap-2"
-            >
-              <Music4 className="h-4 w-4" /> <span className="text-sm">SFX</span>
-            </button>
-          </div>
-        </div>
+  const moveTask = (id, delta) => {
+    const ids = tasks.map((t) => t.id);
+    const from = ids.indexOf(id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= ids.length) return;
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    setTasks((prev) => ids.map((tid) => prev.find((t) => t.id === tid)));
+    sync.track(api(tripPath("/tasks/order"), { method: "PUT", body: { ids } })).catch(() => {});
+  };
 
-        {/* controls */}
-        <div className="mt-4 grid grid-cols-1 gap-3 md:grid-cols-3">
-          <div className="rounded-2xl border border-white/10 bg-white/10 p-4 backdrop-blur">
-            <label className="text-xs uppercase tracking-wide text-white/70">Trip title</label>
-            <input
-              value={state.title}
-              onChange={(e) => setState((s) => ({ ...s, title: e.target.value }))}
-              className="mt-1 w-full rounded-xl border border-white/10 bg-black/20 px-3 py-2 outline-none focus:ring-2 focus:ring-fuchsia-400"
-            />
-          </div>
-          <div className="rounded-2xl border border-white/10 bg-white/10 p-4 backdrop-blur">
-            <label className="text-xs uppercase tracking-wide text-white/70">Location</label>
-            <input
-              value={state.location}
-              onChange={(e) => setState((s) => ({ ...s, location: e.target.value }))}
-              className="mt-1 w-full rounded-xl border border-white/10 bg-black/20 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-400"
-            />
-          </div>
-          <div className="rounded-2xl border border-white/10 bg-white/10 p-4 backdrop-blur">
-            <label className="text-xs uppercase tracking-wide text-white/70">Trip date & time</label>
-            <input
-              type="datetime-local"
-              value={state.tripDate}
-              onChange={(e) => setState((s) => ({ ...s, tripDate: e.target.value }))}
-              className="mt-1 w-full rounded-xl border border-white/10 bg-black/20 px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-400"
-            />
-          </div>
-        </div>
+  const removeTask = (id) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task || !confirm(`Delete "${task.title}"${task.person_id ? "" : " for everyone"}?`)) return;
+    setTasks((prev) => prev.filter((t) => t.id !== id));
+    setPeople((prev) =>
+      prev.map((p) => {
+        const { [id]: _removed, ...rest } = p.tasks;
+        return { ...p, tasks: rest };
+      })
+    );
+    play("warn");
+    sync.track(api(tripPath(`/tasks/${id}`), { method: "DELETE" })).catch(() => {});
+  };
 
-        {/* high-contrast tabs */}
-        <div className="mt-6">
-          <div role="tablist" className="flex flex-wrap gap-2">
-            {[
-              { k: "Overview", i: Users },
-              { k: "People", i: Wallet },
-              { k: "Gallery", i: ImageIcon },
-              { k: "Checklist", i: Bell },
-              { k: "Dev", i: Bug },
-              { k: "Settings", i: Settings },
-            ].map(({ k, i: Icon }) => (
-              <button
-                key={k}
-                role="tab"
-                aria-selected={tab === k}
-                onClick={() => setTab(k)}
-                className={cx(
-                  "group relative flex items-center gap-2 rounded-2xl px-4 py-2 text-sm font-semibold transition",
-                  tab === k
-                    ? "bg-gradient-to-r from-fuchsia-500 to-indigo-500 shadow-lg ring-2 ring-white/30"
-                    : "bg-white/10 hover:bg-white/20 text-white/80 border border-white/10"
-                )}
-              >
-                <Icon className="h-4 w-4" /> {k}
-              </button>
+  // shared gear: claims answer with the whole item, which replaces the optimistic copy
+  const gear = state.gear || [];
+  const setGearItem = (item) => setState((s) => ({ ...s, gear: upsert(s.gear, item) }));
+  const updateGearItem = (id, fn) => setState((s) => ({ ...s, gear: (s.gear || []).map((g) => (g.id === id ? fn(g) : g)) }));
+  const reportGearError = (e) => {
+    if (!e.status) return;
+    notify(e.message);
+    loadFromServer(tripId);
+  };
+
+  const addGear = (fields) =>
+    sync.track(api(tripPath("/gear"), { method: "POST", body: fields })).then((item) => {
+      setGearItem(item);
+      play("ok");
+      return item;
+    });
+
+  const updateGear = (id, field, value) => {
+    updateGearItem(id, (g) => ({ ...g, [field]: value }));
+    debounce(`gear:${id}:${field}`, () => sync.track(api(tripPath(`/gear/${id}`), { method: "PATCH", body: { [field]: value } })).catch(reportGearError));
+  };
+
+  const removeGear = (id) => {
+    const item = gear.find((g) => g.id === id);
+    if (!item || !confirm(`Remove "${item.name}" from the shared list?`)) return;
+    setState((s) => ({ ...s, gear: (s.gear || []).filter((g) => g.id !== id) }));
+    play("warn");
+    sync.track(api(tripPath(`/gear/${id}`), { method: "DELETE" })).catch(() => {});
+  };
+
+  // fields is { quantity, packed } (either one), or null to drop the claim
+  const claimGear = (id, personId, fields) => {
+    updateGearItem(id, (g) => {
+      const current = g.claims.find((c) => c.person_id === personId);
+      const others = g.claims.filter((c) => c !== current);
+      return { ...g, claims: fields ? [...others, { person_id: personId, quantity: 1, packed: false, ...current, ...fields }] : others };
+    });
+    play("ok");
+    const path = tripPath(`/gear/${id}/claims/${personId}`);
+    sync
+      .track(fields ? api(path, { method: "PUT", body: fields }) : api(path, { method: "DELETE" }))
+      .then(setGearItem)
+      .catch(reportGearError);
+  };
+
+  const loadActivity = (params) => sync.track(api(tripPath(`/activity?${new URLSearchParams(params)}`)));
+
+  const refreshLedger = () =>
+    sync
+      .track(api(tripPath("/balances")))
+      .then((ledger) => setState((s) => ({ ...s, ledger })))
+      .catch(() => {});
+
+  // expenses wait for the server: balances are computed there and a rejected split should not show up locally
+  const saveExpense = (expense) => {
+    const { id, ...body } = expense;
+    return sync
+      .track(api(tripPath(id ? `/expenses/${id}` : "/expenses"), { method: id ? "PUT" : "POST", body }))
+      .then((saved) => {
+        setState((s) => ({
+          ...s,
+          expenses: id ? (s.expenses || []).map((e) => (e.id === id ? saved : e)) : [saved, ...(s.expenses || [])],
+        }));
+        play("ok");
+        refreshLedger();
+        return saved;
+      });
+  };
+
+  const removeExpense = (id) => {
+    if (!confirm("Delete this expense?")) return;
+    setState((s) => ({ ...s, expenses: (s.expenses || []).filter((e) => e.id !== id) }));
+    play("warn");
+    sync
+      .track(api(tripPath(`/expenses/${id}`), { method: "DELETE" }))
+      .then(refreshLedger)
+      .catch(() => {});
+  };
+
+  // carpools: every change answers with the whole { drivers, rides } picture
+  const logistics = state.logistics || { drivers: [], rides: [] };
+  const setLogistics = (next) => setState((s) => ({ ...s, logistics: next }));
+  const sendLogistics = (path, method, body) =>
+    sync
+      .track(api(tripPath(path), { method, body }))
+      .then(setLogistics)
+      .catch((e) => {
+        if (!e.status) return;
+        notify(e.message);
+        loadFromServer(tripId);
+      });
+
+  const saveDriver = (personId, fields) => {
+    const current = logistics.drivers.find((d) => d.person_id === personId);
+    const next = { person_id: personId, seats: 3, departs_from: "", departs_at: "", ...current, ...fields };
+    // a new driver stops riding with someone else
+    setLogistics({
+      drivers: current ? logistics.drivers.map((d) => (d === current ? next : d)) : [...logistics.drivers, next],
+      rides: logistics.rides.filter((r) => r.rider_id !== personId),
+    });
+    const { seats, departs_from, departs_at } = next;
+    debounce(`driver:${personId}`, () => sendLogistics(`/drivers/${personId}`, "PUT", { seats, departs_from, departs_at }));
+  };
+
+  const removeDriver = (personId) => {
+    const riders = logistics.rides.filter((r) => r.driver_id === personId).length;
+    if (riders && !confirm(`Withdraw this car? Its ${riders} rider${riders === 1 ? "" : "s"} will need another ride.`)) return;
+    play("warn");
+    sendLogistics(`/drivers/${personId}`, "DELETE");
+  };
+
+  const assignRide = (riderId, driverId) => {
+    const rides = logistics.rides.filter((r) => r.rider_id !== riderId);
+    setLogistics({ ...logistics, rides: driverId ? [...rides, { rider_id: riderId, driver_id: driverId }] : rides });
+    play("ok");
+    sendLogistics(`/rides/${riderId}`, driverId ? "PUT" : "DELETE", driverId ? { driver_id: driverId } : undefined);
+  };
+
+  // rooms: like carpools, every change answers with the whole { rooms, sleepers, rules } plan
+  const roomPlan = state.rooms || { rooms: [], sleepers: [], rules: [] };
+  const setRoomPlan = (next) => setState((s) => ({ ...s, rooms: next }));
+  const sendRooms = (path, method, body) =>
+    sync
+      .track(api(tripPath(path), { method, body }))
+      .then(setRoomPlan)
+      .catch((e) => {
+        if (!e.status) return;
+        notify(e.message);
+        loadFromServer(tripId);
+      });
+
+  const addRoom = (name, beds) => sendRooms("/rooms", "POST", { name, beds });
+
+  const renameRoom = (roomId, name) => {
+    setRoomPlan({ ...roomPlan, rooms: roomPlan.rooms.map((r) => (r.id === roomId ? { ...r, name } : r)) });
+    if (name.trim()) debounce(`room:${roomId}`, () => sendRooms(`/rooms/${roomId}`, "PATCH", { name }));
+  };
+
+  const removeRoom = (room) => {
+    const bedIds = room.beds.map((b) => b.id);
+    const sleeping = roomPlan.sleepers.filter((s) => bedIds.includes(s.bed_id)).length;
+    if (!confirm(sleeping ? `Remove ${room.name}? ${sleeping} ${sleeping === 1 ? "person loses their" : "people lose their"} bed.` : `Remove ${room.name}?`)) return;
+    play("warn");
+    sendRooms(`/rooms/${room.id}`, "DELETE");
+  };
+
+  const addBed = (roomId, bed) => sendRooms(`/rooms/${roomId}/beds`, "POST", bed);
+
+  const updateBed = (bedId, fields) => {
+    setRoomPlan({ ...roomPlan, rooms: roomPlan.rooms.map((r) => ({ ...r, beds: r.beds.map((b) => (b.id === bedId ? { ...b, ...fields } : b)) })) });
+    debounce(`bed:${bedId}:${Object.keys(fields).join()}`, () => sendRooms(`/beds/${bedId}`, "PATCH", fields));
+  };
+
+  const removeBed = (bedId) => {
+    play("warn");
+    sendRooms(`/beds/${bedId}`, "DELETE");
+  };
+
+  const assignBed = (personId, bedId) => {
+    const sleepers = roomPlan.sleepers.filter((s) => s.person_id !== personId);
+    setRoomPlan({ ...roomPlan, sleepers: bedId ? [...sleepers, { person_id: personId, bed_id: bedId }] : sleepers });
+    play("ok");
+    sendRooms(`/sleepers/${personId}`, "PUT", { bed_id: bedId });
+  };
+
+  const applyRoomPlan = (assignments) => {
+    play("ok");
+    return sendRooms("/sleepers", "PUT", { assignments });
+  };
+
+  const addRoomRule = (kind, personIds) => sendRooms("/room-rules", "POST", { kind, person_ids: personIds });
+  const removeRoomRule = (ruleId) => sendRooms(`/room-rules/${ruleId}`, "DELETE");
+
+  // polls wait for the server; its answers carry `mine` (your own votes), live updates don't
+  const polls = state.polls || [];
+  const setPoll = (poll) => setState((s) => ({ ...s, polls: upsert(s.polls, poll, true) }));
+  const reportPollError = (e) => {
+    if (!e.status) return;
+    notify(e.message);
+    loadFromServer(tripId);
+  };
+
+  const createPoll = (poll) =>
+    sync.track(api(tripPath("/polls"), { method: "POST", body: poll })).then((saved) => {
+      setPoll(saved);
+      play("ok");
+      return saved;
+    });
+
+  const updatePoll = (id, fields) => sync.track(api(tripPath(`/polls/${id}`), { method: "PATCH", body: fields })).then(setPoll).catch(reportPollError);
+
+  const removePoll = (poll) => {
+    if (!confirm(`Delete the poll "${poll.question}" and its votes?`)) return;
+    setState((s) => ({ ...s, polls: s.polls.filter((p) => p.id !== poll.id) }));
+    play("warn");
+    sync.track(api(tripPath(`/polls/${poll.id}`), { method: "DELETE" })).catch(reportPollError);
+  };
+
+  const vote = (pollId, optionIds) => {
+    play("ok");
+    sync.track(api(tripPath(`/polls/${pollId}/vote`), { method: "PUT", body: { option_ids: optionIds } })).then(setPoll).catch(reportPollError);
+  };
+
+  // the new task or note comes back through a reload, since our own live events are skipped
+  const adoptPollResult = (pollId, optionId, as) =>
+    sync
+      .track(api(tripPath(`/polls/${pollId}/adopt`), { method: "POST", body: { option_id: optionId, as } }))
+      .then(() => {
+        notify(as === "task" ? "Added to the checklist" : "Added to the trip notes");
+        loadFromServer(tripId);
+      })
+      .catch(reportPollError);
+
+  // itinerary events wait for the server like expenses, so a rejected time range never shows up
+  const itinerary = state.itinerary || [];
+  const saveEvent = (event) => {
+    const { id, ...body } = event;
+    return sync
+      .track(api(tripPath(id ? `/itinerary/${id}` : "/itinerary"), { method: id ? "PATCH" : "POST", body }))
+      .then((saved) => {
+        setState((s) => ({ ...s, itinerary: upsert(s.itinerary, saved) }));
+        play("ok");
+        return saved;
+      });
+  };
+
+  const removeEvent = (id) => {
+    const event = itinerary.find((e) => e.id === id);
+    if (!event || !confirm(`Delete "${event.title}" from the itinerary?`)) return;
+    setState((s) => ({ ...s, itinerary: (s.itinerary || []).filter((e) => e.id !== id) }));
+    play("warn");
+    sync.track(api(tripPath(`/itinerary/${id}`), { method: "DELETE" })).catch(() => {});
+  };
+
+  // status is "going", "maybe", "no" or null to take the answer back
+  const rsvp = (eventId, personId, status) => {
+    setState((s) => ({
+      ...s,
+      itinerary: (s.itinerary || []).map((e) => {
+        if (e.id !== eventId) return e;
+        const { [personId]: _old, ...rsvps } = e.rsvps;
+        return { ...e, rsvps: status ? { ...rsvps, [personId]: status } : rsvps };
+      }),
+    }));
+    play("ok");
+    sync
+      .track(api(tripPath(`/itinerary/${eventId}/rsvps/${personId}`), { method: "PUT", body: { status } }))
+      .then((saved) => setState((s) => ({ ...s, itinerary: upsert(s.itinerary, saved) })))
+      .catch((e) => e.status && notify(e.message));
+  };
+
+  // resolves with null when the upload was queued for later
+  const uploadPhoto = (file, fields, onProgress) =>
+    sendOrQueue({ key: "photo", method: "POST", path: tripPath("/gallery/upload"), upload: { field: "photo", file, fields } }, onProgress).then((photo) => {
+      if (!photo) return null;
+      setState((s) => ({ ...s, photos: [photo, ...(s.photos || [])] }));
+      play("ok");
+      return photo;
+    });
+
+  const updateCaption = (id, caption) => {
+    setState((s) => ({ ...s, photos: (s.photos || []).map((ph) => (ph.id === id ? { ...ph, caption } : ph)) }));
+    debounce(`photo:${id}`, () => sync.track(api(tripPath(`/gallery/${id}`), { method: "PATCH", body: { caption } })).catch(() => {}));
+  };
+
+  const removePhoto = (id) => {
+    if (!confirm("Delete this photo for everyone?")) return false;
+    setState((s) => ({ ...s, photos: (s.photos || []).filter((ph) => ph.id !== id) }));
+    play("warn");
+    sync.track(api(tripPath(`/gallery/${id}`), { method: "DELETE" })).catch(() => {});
+    return true;
+  };
+
+  const exportJSON = () => {
+    downloadFile(`${slugify(state.title)}.trip.json`, JSON.stringify(buildTripFile(state, tasks), null, 2), "application/json");
+  };
+
+  // roster CSV: the server builds the file and previews/applies imports, so scripts get the same behavior
+  const exportCsv = () =>
+    sync
+      .track(api(tripPath("/people.csv"), { text: true }))
+      .then((csv) => downloadFile(`${slugify(state.title)}-people.csv`, csv, "text/csv"))
+      .catch((e) => alert(e.message));
+  const previewCsv = (csv, mapping) => api(tripPath("/people/import"), { method: "POST", body: { csv, mapping, dry_run: true } });
+  const importCsv = async (csv, mapping) => {
+    const report = await sync.track(api(tripPath("/people/import"), { method: "POST", body: { csv, mapping } }));
+    await loadFromServer(tripId);
+    play("ok");
+    return report;
+  };
+
+  // the file is read, migrated and validated first; nothing changes until the preview is confirmed
+  const [importing, setImporting] = useState(null);
+  const importJSON = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => setImporting({ name: file.name, ...readTripFile(reader.result) });
+    reader.readAsText(file);
+  };
+
+  // applies a planImport() result in one request; the server writes all of it or nothing
+  const applyImport = async (plan) => {
+    const { removedExpenses: _removed, ...body } = plan;
+    await sync.track(api(tripPath("/import"), { method: "POST", body: { ...body, trip: toServerTrip(plan.trip) } }));
+    await loadFromServer(tripId);
+    play("ok");
+  };
+
+  // -------------------------- UI --------------------------
+  return (
+    <div className={cx(
+      "min-h-screen w-full",
+      "bg-gradient-to-br from-indigo-950 via-slate-900 to-fuchsia-900 dark:from-zinc-950 dark:via-slate-900 dark:to-indigo-950",
+      "text-white"
+    )}>
+      {/* floating glow */}
+      <div className="pointer-events-none fixed inset-0 opacity-40 blur-3xl" aria-hidden>
+        <div className="absolute -top-24 -left-24 h-72 w-72 rounded-full bg-fuchsia-500/30 animate-pulse" />
+        <div className="absolute -bottom-24 -right-24 h-72 w-72 rounded-full bg-indigo-500/30 animate-pulse [animation-delay:300ms]" />
+      </div>
+
+      <div className="mx-auto max-w-7xl px-4 py-6">
+        {/* header */}
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <div className="flex flex-wrap items-center gap-3">
+              <h1 className="text-3xl font-bold tracking-tight drop-shadow-sm">{state.title}</h1>
+              {!needsJoin && (
+                <TripPicker
+                  trips={trips}
+                  currentId={tripId}
+                  onSwitch={(id) => loadFromServer(id)}
+                  onCreate={createTrip}
+                  onDuplicate={organizer ? duplicateTrip : null}
+                  onToggleArchive={organizer ? toggleArchiveTrip : null}
+                />
+              )}
+            </div>
+            <p className="text-sm text-white/80">
+              {state.location} • Trip starts in <span className="font-semibold text-white">{timeLeft}</span>
+              {me && (
+                <>
+                  {" "}
+                  • You're <span className="font-semibold text-white">{me.name}</span>
+                  {me.organizer && " (organizer)"}
+                </>
+              )}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <SyncBadge status={sync.status} queued={queuedCount} onRetry={() => loadFromServer()} />
+            {me && <Inbox inbox={inbox} onOpen={markInboxRead} />}
+            <button
+              onClick={() => setDark((d) => !d)}
+              className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2"
+            >
+              {dark ? <Sun className="h-4 w-4" /> : <Moon className="h-4 w-4" />} <span className="text-sm">Theme</span>
+            </button>
+            {organizer && tripId && (
+              <label className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 cursor-pointer flex items-center gap-2">
+                <Upload className="h-4 w-4" />
+                <span className="text-sm">Import</span>
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e) => {
+                    if (e.target.files?.length) importJSON(e.target.files[0]);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            )}
+            <button onClick={exportJSON} className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2">
+              <Download className="h-4 w-4" /> <span className="text-sm">Export</span>
+            </button>
+            {tripId && (
+              <button
+                onClick={exportCalendar}
+                title="Download the trip start, arrivals and task due dates as an .ics file"
+                className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2"
+              >
+                <CalendarDays className="h-4 w-4" /> <span className="text-sm">Calendar</span>
+              </button>
+            )}
+            <button
+              onClick={shareTrip}
+              title={me ? "Copy a read-only link to this trip, without amounts or notes" : "Copy the invite link for this trip"}
+              className="rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2"
+            >
+              <Share2 className="h-4 w-4" /> <span className="text-sm">Share</span>
+            </button>
+            <button
+              onClick={() => {
+                toggle();
+              }}
+              title="Toggle sounds"
+              className="rounded-xl border border-emerald-400/20 bg-emerald-500/10 px-3 py-2 backdrop-blur transition hover:bg-emerald-500/20 flex items-center gap-2"
+            >
+              <Music4 className="h-4 w-4" /> <span className="text-sm">SFX</span>
+            </button>
+          </div>
+        </div>
+
+        {needsJoin ? (
+          <Welcome onCreate={createTrip} />
+        ) : (
+          <>
+            {/* controls */}
+            <div className="mt-4 grid grid-cols-1 gap-3 md:grid-cols-3">
+              <div className="rounded-2xl border border-white/10 bg-white/10 p-4 backdrop-blur">
+                <label className="text-xs uppercase tracking-wide text-white/70">Trip title</label>
+                <input
+                  value={state.title}
+                  onChange={(e) => updateTrip("title", e.target.value)}
+                  disabled={!organizer}
+                  className="mt-1 w-full rounded-xl border border-white/10 bg-black/20 px-3 py-2 outline-none focus:ring-2 focus:ring-fuchsia-400 disabled:opacity-60"
+                />
+              </div>
+              <div className="rounded-2xl border border-white/10 bg-white/10 p-4 backdrop-blur">
+                <label className="text-xs uppercase tracking-wide text-white/70">Location</label>
+                <input
+                  value={state.location}
+                  onChange={(e) => updateTrip("location", e.target.value)}
+                  disabled={!organizer}
+                  className="mt-1 w-full rounded-xl border border-white/10 bg-black/20 px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-60"
+                />
+              </div>
+              <div className="rounded-2xl border border-white/10 bg-white/10 p-4 backdrop-blur">
+                <label className="text-xs uppercase tracking-wide text-white/70">Trip date & time</label>
+                <input
+                  type="datetime-local"
+                  value={state.tripDate}
+                  onChange={(e) => updateTrip("tripDate", e.target.value)}
+                  disabled={!organizer}
+                  className="mt-1 w-full rounded-xl border border-white/10 bg-black/20 px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-400 disabled:opacity-60"
+                />
+              </div>
+            </div>
+
+            {/* high-contrast tabs */}
+            <div className="mt-6">
+              <div role="tablist" className="flex flex-wrap gap-2">
+                {[
+                  { k: "Overview", i: Users },
+                  { k: "People", i: Wallet },
+                  { k: "Expenses", i: Receipt },
+                  { k: "Itinerary", i: CalendarClock },
+                  { k: "Logistics", i: Route },
+                  { k: "Rooms", i: BedDouble },
+                  { k: "Polls", i: Vote },
+                  { k: "Gallery", i: ImageIcon },
+                  { k: "Checklist", i: Bell },
+                  { k: "Dev", i: Bug },
+                  { k: "Settings", i: Settings },
+                ].map(({ k, i: Icon }) => (
+                  <button
+                    key={k}
+                    role="tab"
+                    aria-selected={tab === k}
+                    onClick={() => setTab(k)}
+                    className={cx(
+                      "group relative flex items-center gap-2 rounded-2xl px-4 py-2 text-sm font-semibold transition",
+                      tab === k
+                        ? "bg-gradient-to-r from-fuchsia-500 to-indigo-500 shadow-lg ring-2 ring-white/30"
+                        : "bg-white/10 hover:bg-white/20 text-white/80 border border-white/10"
+                    )}
+                  >
+                    <Icon className="h-4 w-4" /> {k}
+                  </button>
+                ))}
+              </div>
+
+              <div className="mt-4 rounded-2xl border border-white/10 bg-black/20 p-4 backdrop-blur">
+                {tab === "Overview" && (
+                  <Overview
+                    totals={totals}
+                    rates={rates}
+                    people={state.people}
+                    tasks={tasks}
+                    expenses={state.expenses || []}
+                    ledger={state.ledger || { balances: [], transfers: [] }}
+                    me={me}
+                    itinerary={itinerary}
+                    notes={state.notes}
+                    onRsvp={rsvp}
+                    loadActivity={loadActivity}
+                    activityVersion={activityVersion}
+                  />
+                )}
+                {tab === "People" && (
+                  <PeopleTab
+                    me={me}
+                    people={state.people}
+                    errors={personErrors}
+                    pending={outboxStatus(tripOutbox)}
+                    tasks={tasks}
+                    budget={state.budgetPerPerson}
+                    currency={currency}
+                    currencies={currencies}
+                    onAdd={addPerson}
+                    onRemove={removePerson}
+                    onResetSignIn={resetSignIn}
+                    onNudge={nudge}
+                    onTogglePaid={markPaid}
+                    onUpdate={updateField}
+                    onToggleTask={toggleTask}
+                    onRetryQueued={retryQueued}
+                    onDiscardQueued={discardQueued}
+                    onExportCsv={exportCsv}
+                    onPreviewCsv={previewCsv}
+                    onImportCsv={importCsv}
+                    play={play}
+                  />
+                )}
+                {tab === "Expenses" && (
+                  <ExpensesTab
+                    me={me}
+                    people={state.people}
+                    currency={currency}
+                    currencies={currencies}
+                    expenses={state.expenses || []}
+                    ledger={state.ledger || { balances: [], transfers: [] }}
+                    onSave={saveExpense}
+                    onRemove={removeExpense}
+                  />
+                )}
+                {tab === "Itinerary" && (
+                  <ItineraryTab
+                    me={me}
+                    people={state.people}
+                    itinerary={itinerary}
+                    tripDate={state.tripDate}
+                    currency={currency}
+                    onSave={saveEvent}
+                    onRemove={removeEvent}
+                    onRsvp={rsvp}
+                  />
+                )}
+                {tab === "Logistics" && (
+                  <LogisticsTab
+                    me={me}
+                    people={state.people}
+                    logistics={logistics}
+                    location={state.location}
+                    onSaveDriver={saveDriver}
+                    onRemoveDriver={removeDriver}
+                    onAssign={assignRide}
+                  />
+                )}
+                {tab === "Rooms" && (
+                  <RoomsTab
+                    me={me}
+                    people={state.people}
+                    plan={roomPlan}
+                    title={state.title}
+                    grouping={state.roomGrouping || ""}
+                    onGrouping={(value) => updateTrip("roomGrouping", value)}
+                    onAddRoom={addRoom}
+                    onRenameRoom={renameRoom}
+                    onRemoveRoom={removeRoom}
+                    onAddBed={addBed}
+                    onUpdateBed={updateBed}
+                    onRemoveBed={removeBed}
+                    onAssign={assignBed}
+                    onApplyPlan={applyRoomPlan}
+                    onAddRule={addRoomRule}
+                    onRemoveRule={removeRoomRule}
+                  />
+                )}
+                {tab === "Polls" && (
+                  <PollsTab
+                    me={me}
+                    people={state.people}
+                    polls={polls}
+                    onCreate={createPoll}
+                    onUpdate={updatePoll}
+                    onRemove={removePoll}
+                    onVote={vote}
+                    onAdopt={adoptPollResult}
+                  />
+                )}
+                {tab === "Gallery" && (
+                  <Gallery
+                    key={tripId}
+                    me={me}
+                    photos={state.photos || []}
+                    people={state.people}
+                    onUpload={uploadPhoto}
+                    queued={tripOutbox.filter((e) => e.key === "photo")}
+                    onRetryQueued={retryQueued}
+                    onDiscardQueued={discardQueued}
+                    onCaption={updateCaption}
+                    onRemove={removePhoto}
+                    query={state.galleryQuery}
+                    onQuery={organizer ? (q) => updateTrip("galleryQuery", q) : null}
+                  />
+                )}
+                {tab === "Checklist" && (
+                  <Checklist
+                    me={me}
+                    people={state.people}
+                    tasks={tasks}
+                    gear={gear}
+                    onAddGear={addGear}
+                    onUpdateGear={updateGear}
+                    onRemoveGear={removeGear}
+                    onClaimGear={claimGear}
+                    toggleTask={toggleTask}
+                    onAddTask={addTask}
+                    onUpdateTask={updateTask}
+                    onMoveTask={moveTask}
+                    onRemoveTask={removeTask}
+                  />
+                )}
+                {tab === "Dev" && <DevTab />}
+                {tab === "Settings" && (
+                  <SettingsTab
+                    state={state}
+                    onUpdateTrip={updateTrip}
+                    onChangeCurrency={changeCurrency}
+                    onSaveRates={saveRates}
+                    organizer={organizer}
+                    inviteLink={inviteLink}
+                    onRotateInvite={rotateInvite}
+                    calendarLink={calendarLink}
+                    onRotateCalendarLink={rotateCalendarLink}
+                    shareLinks={me ? { links: state.shares || [], me, url: shareUrl, onCreate: createShareLink, onRevoke: revokeShareLink } : null}
+                    reminders={me && organizer ? { load: loadReminders, save: saveReminderRule, run: runReminders, version: activityVersion } : null}
+                  />
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      {importing && (
+        <ImportDialog
+          importing={importing}
+          current={{ trip: state, people: state.people, tasks, expenses: state.expenses }}
+          onApply={applyImport}
+          onClose={() => setImporting(null)}
+        />
+      )}
+
+      {conflicts.length > 0 && <PersonConflictDialog key={conflicts[0].id} conflict={conflicts[0]} tasks={tasks} onResolve={resolveConflict} />}
+
+      {invite && (
+        <JoinDialog
+          invite={invite}
+          onJoin={joinTrip}
+          onClose={() => {
+            closeInvite();
+            loadFromServer();
+          }}
+        />
+      )}
+
+      <Toasts toasts={toasts} onDismiss={(id) => setToasts((prev) => prev.filter((t) => t.id !== id))} />
+    </div>
+  );
+}
+
+// -------------------------- sections --------------------------
+// `queued` counts changes waiting in the offline outbox
+function SyncBadge({ status, queued = 0, onRetry }) {
+  const offline = status === "offline";
+  const busy = status === "loading" || status === "saving";
+  const Icon = offline ? CloudOff : busy ? RefreshCw : Cloud;
+  const label = offline ? "Offline (cached)" : busy ? "Syncing…" : "In sync";
+  const waiting = queued ? ` ${queued} change${queued === 1 ? "" : "s"} will be sent when the connection is back.` : "";
+  return (
+    <button
+      onClick={onRetry}
+      title={(offline ? "Server unreachable — showing cached data. Click to retry." : "Reload from server") + waiting}
+      className={cx(
+        "rounded-xl border px-3 py-2 backdrop-blur transition flex items-center gap-2",
+        offline ? "border-amber-400/30 bg-amber-500/10 hover:bg-amber-500/20" : "border-white/20 bg-white/10 hover:bg-white/20"
+      )}
+    >
+      <Icon className={cx("h-4 w-4", busy && "animate-spin")} /> <span className="text-sm">{label}</span>
+      {queued > 0 && <span className="rounded-full bg-amber-400/30 px-2 text-xs font-semibold">{queued} queued</span>}
+    </button>
+  );
+}
+
+// a row's changes in the offline outbox: queued until the server can be reached, or
+// refused by it, with a way to send them again or drop them
+function QueueBadge({ state, onRetry, onDiscard }) {
+  if (!state) return null;
+  if (state.status === "queued") {
+    return (
+      <div className="mt-1 flex items-center gap-1 text-xs font-normal text-amber-200" title="Saved on this device; sent when the connection is back">
+        <CloudOff className="h-3 w-3" /> queued
+      </div>
+    );
+  }
+  return (
+    <div className="mt-1 max-w-[16rem] text-xs font-normal text-rose-300">
+      <div className="flex items-center gap-1">
+        <AlertTriangle className="h-3 w-3" /> not saved
+        <button onClick={() => onRetry(state.ids)} className="ml-1 underline hover:text-white">
+          retry
+        </button>
+        <button onClick={() => onDiscard(state.ids)} className="underline hover:text-white">
+          discard
+        </button>
+      </div>
+      {state.error && <div>{state.error}</div>}
+    </div>
+  );
+}
+
+// header button with the unread count; opening it marks everything read
+function Inbox({ inbox, onOpen }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative">
+      <button
+        onClick={() => {
+          setOpen((o) => !o);
+          if (!open) onOpen();
+        }}
+        title="Reminders and nudges sent to you"
+        className="relative rounded-xl border border-white/20 bg-white/10 px-3 py-2 backdrop-blur transition hover:bg-white/20 flex items-center gap-2"
+      >
+        <InboxIcon className="h-4 w-4" /> <span className="text-sm">Inbox</span>
+        {inbox.unread > 0 && <span className="absolute -right-1.5 -top-1.5 rounded-full bg-fuchsia-500 px-1.5 text-xs font-semibold">{inbox.unread}</span>}
+      </button>
+      {open && (
+        <div className="absolute right-0 z-40 mt-2 max-h-96 w-80 overflow-y-auto rounded-2xl border border-white/10 bg-slate-900/95 p-3 shadow-xl backdrop-blur">
+          {inbox.items.length === 0 && <p className="text-sm text-white/70">No reminders yet.</p>}
+          <ul className="space-y-2">
+            {inbox.items.map((n) => (
+              <li key={n.id} className={cx("rounded-xl px-3 py-2 text-sm", n.read_at ? "bg-black/20" : "bg-fuchsia-500/15 ring-1 ring-fuchsia-400/30")}>
+                <p className="font-semibold">{n.subject}</p>
+                <p className="mt-0.5 text-white/80">{n.body}</p>
+                <p className="mt-1 text-xs text-white/50">
+                  {n.sender_name ? `From ${n.sender_name}` : "Automatic reminder"} • {parseServerTime(n.created_at).toLocaleString()}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Toasts({ toasts, onDismiss }) {
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex w-72 flex-col gap-2" aria-live="polite">
+      {toasts.map((t) => (
+        <motion.div
+          key={t.id}
+          initial={{ opacity: 0, y: 12 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex items-start gap-2 rounded-xl border border-white/20 bg-slate-900/90 px-3 py-2 text-sm shadow-lg backdrop-blur"
+        >
+          <Bell className="mt-0.5 h-4 w-4 shrink-0 text-fuchsia-300" />
+          <span className="flex-1">{t.text}</span>
+          <button onClick={() => onDismiss(t.id)} className="text-white/60 hover:text-white" aria-label="Dismiss">
+            <X className="h-4 w-4" />
+          </button>
+        </motion.div>
+      ))}
+    </div>
+  );
+}
+
+function Overview({ totals, rates, people, tasks, expenses, ledger, me, itinerary, notes, onRsvp, loadActivity, activityVersion }) {
+  const { currency } = totals;
+  const spent = expenses.reduce((s, e) => s + (toTripCurrency(e.amount, e.currency, currency, rates) ?? 0), 0);
+  const paidBadge = `${totals.paidCount}/${totals.count} paid`;
+  const next = nextEvent(itinerary);
+  return (
+    <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+      {next && (
+        <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="min-w-0">
+              <p className="text-white/70 text-sm">Next up • {eventWhen(next)}</p>
+              <div className="truncate text-xl font-bold">{next.title}</div>
+              <div className="text-xs text-white/70">
+                {next.place && `${next.place} • `}
+                {rsvpSummary(next, people).going.length} going
+                {next.cost > 0 && ` • ${formatCurrency(next.cost, currency)} each`}
+              </div>
+            </div>
+            {me && <RsvpButtons value={next.rsvps[me.id] ?? null} onChange={(status) => onRsvp(next.id, me.id, status)} />}
+          </div>
+        </div>
+      )}
+      {notes && (
+        <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-3">
+          <p className="text-white/70 text-sm">Trip notes</p>
+          <p className="mt-1 whitespace-pre-line text-sm">{notes}</p>
+        </div>
+      )}
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <p className="text-white/70 text-sm">Settle up</p>
+        <div className="mt-2 flex items-end justify-between">
+          <div className="text-4xl font-bold">{formatCurrency(spent, currency)}</div>
+          <div className="text-right text-xs text-white/80">
+            spent across {expenses.length} expense{expenses.length === 1 ? "" : "s"}
+          </div>
+        </div>
+        <ul className="mt-3 space-y-2">
+          {ledger.transfers.map((t, i) => (
+            <li key={i} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-2 text-sm">
+              <span className="flex items-center gap-1 truncate">
+                {nameOf(people, t.from)} <ArrowRight className="h-3 w-3" /> {nameOf(people, t.to)}
+              </span>
+              <b>{formatCurrency(t.amount, currency)}</b>
+            </li>
+          ))}
+          {ledger.transfers.length === 0 && <li className="text-sm text-white/70">{expenses.length ? "Everyone is square." : "No expenses yet."}</li>}
+        </ul>
+        <div className="mt-3 text-xs text-white/70">
+          Budget pot: {formatCurrency(totals.paidSum, currency)} of {formatCurrency(totals.expected, currency)} • {paidBadge}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <p className="text-white/70 text-sm">Arrivals</p>
+        <ul className="mt-2 space-y-2">
+          {people.map((p) => (
+            <li key={p.id} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-2">
+              <span className="truncate">{p.name}</span>
+              <span className="text-white/80 text-sm">{new Date(p.eta).toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <p className="text-white/70 text-sm">Transport mix</p>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {groupBy(people, (p) => p.transport).map(([k, arr]) => (
+            <span key={k} className="inline-flex items-center gap-2 rounded-xl bg-black/20 px-3 py-2 text-sm">
+              {React.createElement(transportIcons[k] || Car, { className: "h-4 w-4" })}
+              {k}: <b>{arr.length}</b>
+            </span>
+          ))}
+        </div>
+        <p className="mt-3 text-xs text-white/70">Tip: hover a name in People to see their notes.</p>
+      </div>
+
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <p className="text-white/70 text-sm">Checklist</p>
+        <div className="mt-2 text-4xl font-bold">{tripCompletion(people, tasks).pct}%</div>
+        <ul className="mt-3 space-y-2">
+          {tasks.map((t) => {
+            const c = taskCompletion(t, people);
+            return (
+              <li key={t.id} className="text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="truncate">{t.title}</span>
+                  <span className="text-white/70">
+                    {c.done}/{c.total}
+                  </span>
+                </div>
+                <div className="mt-1 h-1.5 w-full rounded-full bg-white/10">
+                  <div className="h-1.5 rounded-full bg-gradient-to-r from-fuchsia-400 to-indigo-400" style={{ width: `${c.pct}%` }} />
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      <ActivityFeed people={people} tasks={tasks} load={loadActivity} version={activityVersion} />
+    </div>
+  );
+}
+
+// who changed what, newest first; the server pages it with ?before=<last id>
+function ActivityFeed({ people, tasks, load, version }) {
+  const [personId, setPersonId] = useState("");
+  const [items, setItems] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchPage = (before) =>
+    load({ limit: 15, ...(personId ? { person_id: personId } : {}), ...(before ? { before } : {}) })
+      .then((page) => {
+        setItems((prev) => (before ? [...prev, ...page.items] : page.items));
+        setHasMore(page.has_more);
+        setError("");
+      })
+      .catch((e) => setError(e.status ? e.message : "The activity feed needs a connection to the server."));
+
+  useEffect(() => {
+    fetchPage();
+  }, [personId, version]);
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-white/70 text-sm">Activity</p>
+        <select value={personId} onChange={(e) => setPersonId(e.target.value)} className="rounded-lg bg-black/30 px-2 py-1 text-sm">
+          <option value="">everyone</option>
+          {people.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ul className="mt-2 space-y-1">
+        {items.map((a) => (
+          <li key={a.id} className="flex items-center justify-between gap-2 rounded-xl bg-black/20 px-3 py-2 text-sm">
+            <span className="min-w-0">{describeActivity(a, tasks)}</span>
+            <span className="shrink-0 text-xs text-white/60">{parseServerTime(a.created_at).toLocaleString()}</span>
+          </li>
+        ))}
+        {items.length === 0 && !error && <li className="text-sm text-white/70">Nothing has happened yet.</li>}
+      </ul>
+      {error && <p className="mt-2 text-sm text-amber-300">{error}</p>}
+      {hasMore && (
+        <button onClick={() => fetchPage(items[items.length - 1].id)} className="mt-2 text-sm text-white/70 underline hover:text-white">
+          Load older
+        </button>
+      )}
+    </div>
+  );
+}
+
+const RSVP_LABELS = { going: "Going", maybe: "Maybe", no: "Can't" };
+const RSVP_STYLES = { going: "bg-emerald-500/30 ring-emerald-400/40", maybe: "bg-amber-500/30 ring-amber-400/40", no: "bg-rose-500/30 ring-rose-400/40" };
+
+// picking the current answer again takes it back
+function RsvpButtons({ value, onChange }) {
+  return (
+    <div className="flex gap-1">
+      {Object.entries(RSVP_LABELS).map(([status, label]) => (
+        <button
+          key={status}
+          onClick={() => onChange(value === status ? null : status)}
+          className={cx("rounded-lg px-2 py-1 text-xs ring-1", value === status ? RSVP_STYLES[status] : "bg-white/10 ring-white/20 text-white/80")}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function ItineraryTab({ me, people, itinerary, tripDate, currency, onSave, onRemove, onRsvp }) {
+  const organizer = canOrganize(me);
+  // new events start on the first trip day
+  const firstDay = /^\d{4}-\d{2}-\d{2}/.exec(tripDate || "")?.[0];
+  const blank = { id: null, title: "", starts_at: firstDay ? `${firstDay}T10:00` : "", ends_at: "", place: "", cost: "", notes: "" };
+  const [form, setForm] = useState(blank);
+  const [error, setError] = useState("");
+  const set = (fields) => setForm((f) => ({ ...f, ...fields }));
+  const overlaps = overlappingEvents(itinerary);
+  const clashesWith = (id) => overlaps.filter((pair) => pair.some((e) => e.id === id)).map((pair) => pair.find((e) => e.id !== id));
+  const clock = (t) => new Date(t).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  const perPerson = itinerary.reduce((s, e) => s + (e.cost || 0), 0);
+  const cycle = [null, "going", "maybe", "no"];
+
+  const edit = (e) => {
+    setError("");
+    setForm({ id: e.id, title: e.title, starts_at: e.starts_at, ends_at: e.ends_at, place: e.place, cost: e.cost || "", notes: e.notes });
+  };
+
+  const submit = () => {
+    setError("");
+    onSave({ ...form, cost: Number(form.cost || 0) })
+      .then(() => setForm(blank))
+      .catch((e) => setError(e.status ? e.message : "Could not reach the server. The itinerary needs a connection."));
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+      <div className="h-fit rounded-2xl border border-white/10 bg-white/10 p-4">
+        <h3 className="mb-2 text-lg font-semibold">{form.id ? "Edit event" : "Add event"}</h3>
+        <div className="grid grid-cols-2 gap-2 text-sm text-white/80">
+          <input value={form.title} onChange={(e) => set({ title: e.target.value })} placeholder="what? (kayaking, dinner…)" className="col-span-2 rounded-lg bg-black/30 px-2 py-1 text-white" />
+          <label className="col-span-2">
+            Starts
+            <input type="datetime-local" value={form.starts_at} onChange={(e) => set({ starts_at: e.target.value })} className="mt-1 w-full rounded-lg bg-black/30 px-2 py-1 text-white" />
+          </label>
+          <label className="col-span-2">
+            Ends (optional)
+            <input type="datetime-local" value={form.ends_at} onChange={(e) => set({ ends_at: e.target.value })} className="mt-1 w-full rounded-lg bg-black/30 px-2 py-1 text-white" />
+          </label>
+          <label>
+            Where
+            <input value={form.place} onChange={(e) => set({ place: e.target.value })} className="mt-1 w-full rounded-lg bg-black/30 px-2 py-1 text-white" />
+          </label>
+          <label>
+            Cost each ({currency})
+            <input type="number" min="0" step="0.01" value={form.cost} onChange={(e) => set({ cost: e.target.value })} className="mt-1 w-full rounded-lg bg-black/30 px-2 py-1 text-white" />
+          </label>
+          <textarea value={form.notes} onChange={(e) => set({ notes: e.target.value })} placeholder="notes (booking ref, what to bring…)" rows={2} className="col-span-2 rounded-lg bg-black/30 px-2 py-1 text-white" />
+        </div>
+        {error && <p className="mt-2 text-sm text-rose-300">{error}</p>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={submit} className="rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold ring-2 ring-white/20">
+            {form.id ? "Save" : "Add"}
+          </button>
+          {form.id && (
+            <button onClick={() => setForm(blank)} className="rounded-2xl bg-white/10 px-4 py-2 ring-1 ring-white/20">
+              Cancel
+            </button>
+          )}
+        </div>
+        {perPerson > 0 && <p className="mt-3 text-xs text-white/70">Everything on the plan costs {formatCurrency(perPerson, currency)} per person.</p>}
+      </div>
+
+      <div className="space-y-4 md:col-span-2">
+        {itinerary.length === 0 && <p className="text-sm text-white/70">Nothing planned yet. Add the first thing you'll do together.</p>}
+        {itineraryDays(itinerary, tripDate).map(({ date, day, events }) => (
+          <div key={date}>
+            <h3 className="mb-2 text-lg font-semibold">
+              {day === null ? "" : day < 1 ? "Before the trip • " : `Day ${day} • `}
+              {new Date(`${date}T00:00`).toLocaleDateString([], { weekday: "long", month: "short", day: "numeric" })}
+            </h3>
+            <ul className="space-y-2">
+              {events.map((e) => {
+                const { start, end } = eventSpan(e);
+                const clashes = clashesWith(e.id);
+                return (
+                  <li key={e.id} className="rounded-2xl border border-white/10 bg-white/10 p-3">
+                    <div className="flex flex-wrap items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="text-xs text-white/70">
+                          {clock(start)}
+                          {e.ends_at && ` – ${clock(end)}`}
+                        </div>
+                        <div className="font-semibold">{e.title}</div>
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-white/70">
+                          {e.place && (
+                            <span className="flex items-center gap-1">
+                              <MapPin className="h-3 w-3" /> {e.place}
+                            </span>
+                          )}
+                          {e.cost > 0 && <span>{formatCurrency(e.cost, currency)} each</span>}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {me && <RsvpButtons value={e.rsvps[me.id] ?? null} onChange={(status) => onRsvp(e.id, me.id, status)} />}
+                        {canManage(me, e.created_by) && (
+                          <>
+                            <button onClick={() => edit(e)} className="rounded-lg bg-indigo-500/30 px-2 py-1 text-xs ring-1 ring-indigo-400/40">
+                              Edit
+                            </button>
+                            <button onClick={() => onRemove(e.id)} title="Delete event" className="rounded-lg p-1 text-white/60 hover:text-rose-300">
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                    {e.notes && <p className="mt-1 whitespace-pre-line text-sm text-white/80">{e.notes}</p>}
+                    {clashes.length > 0 && (
+                      <p className="mt-1 flex items-center gap-1 text-xs text-amber-300">
+                        <ShieldAlert className="h-3 w-3" /> Overlaps {clashes.map((c) => c.title).join(", ")}
+                      </p>
+                    )}
+                    {/* organizers can answer for anyone by clicking through the states */}
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {people.map((p) => {
+                        const status = e.rsvps[p.id] ?? null;
+                        const editable = organizer && p.id !== me?.id;
+                        return (
+                          <button
+                            key={p.id}
+                            onClick={() => onRsvp(e.id, p.id, cycle[(cycle.indexOf(status) + 1) % cycle.length])}
+                            disabled={!editable}
+                            title={status ? RSVP_LABELS[status] : "No answer yet"}
+                            className={cx("rounded-full px-2 py-0.5 text-xs ring-1", status ? RSVP_STYLES[status] : "bg-black/20 ring-white/10 text-white/60")}
+                          >
+                            {p.name}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function LogisticsTab({ me, people, logistics, location, onSaveDriver, onRemoveDriver, onAssign }) {
+  const organizer = canOrganize(me);
+  const cars = carpools(people, logistics);
+  const { windows, unscheduled } = pickupWindows(people);
+  const warnings = logisticsWarnings(people, logistics);
+  const driverIds = new Set(cars.map((c) => c.person_id));
+  const rideOf = (id) => logistics.rides.find((r) => r.rider_id === id)?.driver_id ?? "";
+  const when = (t) => new Date(t).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" });
+  // organizers assign anyone; everyone else picks their own car
+  const canRide = (p) => organizer || p.id === me?.id;
+
+  const rideSelect = (p) => (
+    <select
+      value={rideOf(p.id)}
+      onChange={(e) => onAssign(p.id, e.target.value ? Number(e.target.value) : null)}
+      disabled={!canRide(p) || cars.length === 0}
+      className="rounded-lg bg-black/30 px-2 py-1 text-sm disabled:opacity-60"
+    >
+      <option value="">{PICKUP_TRANSPORTS.includes(p.transport) ? "needs a pickup" : "no ride"}</option>
+      {cars.map((c) => (
+        <option key={c.person_id} value={c.person_id}>
+          with {c.person.name} ({c.riders.length}/{c.seats})
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-4">
+      {warnings.length > 0 && (
+        <ul className="space-y-1 rounded-2xl border border-amber-400/30 bg-amber-500/10 p-3 text-sm">
+          {warnings.map((w, i) => (
+            <li key={i} className="flex items-start gap-2">
+              <ShieldAlert className="mt-0.5 h-4 w-4 shrink-0 text-amber-300" /> {w.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div>
+        <h2 className="mb-2 text-lg font-semibold">Pickups</h2>
+        {windows.length === 0 && unscheduled.length === 0 && <p className="text-sm text-white/70">Everyone is coming by car.</p>}
+        <div className="grid gap-3 md:grid-cols-2">
+          {windows.map((w) => (
+            <div key={`${w.transport}-${w.start}`} className="rounded-2xl border border-white/10 bg-white/10 p-3">
+              <div className="mb-2 flex items-center gap-2 text-sm font-semibold">
+                {React.createElement(transportIcons[w.transport], { className: "h-4 w-4" })}
+                {w.transport} • {when(w.start)}
+                {w.end !== w.start && ` – ${new Date(w.end).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}`}
+              </div>
+              <ul className="space-y-1">
+                {w.people.map((p) => (
+                  <li key={p.id} className="flex items-center justify-between gap-2 text-sm">
+                    <span>{p.name}</span>
+                    {rideSelect(p)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          {unscheduled.length > 0 && (
+            <div className="rounded-2xl border border-white/10 bg-white/10 p-3">
+              <div className="mb-2 text-sm font-semibold">No ETA yet</div>
+              <ul className="space-y-1">
+                {unscheduled.map((p) => (
+                  <li key={p.id} className="flex items-center justify-between gap-2 text-sm">
+                    <span>
+                      {p.name} <span className="text-white/60">({p.transport})</span>
+                    </span>
+                    {rideSelect(p)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h2 className="mb-2 text-lg font-semibold">Drivers</h2>
+        <div className="grid gap-3 md:grid-cols-2">
+          {cars.map((c) => {
+            const editable = canManage(me, c.person_id);
+            const full = c.riders.length > c.seats;
+            return (
+              <div key={c.person_id} className="rounded-2xl border border-white/10 bg-white/10 p-3">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="flex items-center gap-2 font-semibold">
+                    <Car className="h-4 w-4" /> {c.person.name}
+                  </span>
+                  <span className={cx("rounded px-2 py-0.5 text-xs", full ? "bg-rose-500/30" : "bg-white/10")}>
+                    {c.riders.length}/{c.seats} seats
+                  </span>
+                </div>
+                <div className="mt-2 grid grid-cols-[auto_1fr] items-center gap-2 text-sm">
+                  <label className="text-white/70">Seats</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={c.seats}
+                    onChange={(e) => onSaveDriver(c.person_id, { seats: Math.max(0, Math.round(Number(e.target.value) || 0)) })}
+                    disabled={!editable}
+                    className="w-20 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60"
+                  />
+                  <label className="text-white/70">Leaves from</label>
+                  <input
+                    value={c.departs_from}
+                    onChange={(e) => onSaveDriver(c.person_id, { departs_from: e.target.value })}
+                    disabled={!editable}
+                    placeholder="e.g. Boston"
+                    className="rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60"
+                  />
+                  <label className="text-white/70">Leaves at</label>
+                  <input
+                    type="datetime-local"
+                    value={c.departs_at}
+                    onChange={(e) => onSaveDriver(c.person_id, { departs_at: e.target.value })}
+                    disabled={!editable}
+                    className="rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60"
+                  />
+                </div>
+                <ol className="mt-3 space-y-1 border-l border-white/20 pl-3 text-sm">
+                  {driverSchedule(c, location).map((stop, i) => (
+                    <li key={i}>
+                      <span className="text-white/60">{stop.at === null ? "time not set" : when(stop.at)}</span> • {stop.text}
+                    </li>
+                  ))}
+                </ol>
+                {editable && (
+                  <button onClick={() => onRemoveDriver(c.person_id)} className="mt-3 text-xs text-white/60 underline hover:text-white">
+                    Withdraw car
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        {cars.length === 0 && <p className="text-sm text-white/70">Nobody has offered seats yet.</p>}
+      </div>
+
+      <div>
+        <h2 className="mb-2 text-lg font-semibold">Coming by car</h2>
+        <ul className="space-y-1">
+          {people
+            .filter((p) => p.transport === "Car" && !driverIds.has(p.id))
+            .map((p) => (
+              <li key={p.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl bg-white/10 px-3 py-2 text-sm">
+                <span className="flex items-center gap-2">
+                  <MapPin className="h-4 w-4 text-white/60" /> {p.name}
+                </span>
+                <span className="flex items-center gap-2">
+                  {rideSelect(p)}
+                  {canManage(me, p.id) && (
+                    <button onClick={() => onSaveDriver(p.id, {})} className="rounded-lg bg-emerald-500/30 px-3 py-1 ring-1 ring-emerald-400/40">
+                      Offer seats
+                    </button>
+                  )}
+                </span>
+              </li>
+            ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const POLL_KINDS = { single: "One choice", multi: "Several choices", date: "Dates" };
+
+// decisions the group makes together. Anyone can ask; whoever asked (or an organizer) can close,
+// reopen or delete a poll, and organizers can turn a closed poll's winner into a task or a trip note.
+function PollsTab({ me, people, polls, onCreate, onUpdate, onRemove, onVote, onAdopt }) {
+  const blank = { question: "", kind: "single", options: ["", ""], closes_at: "", anonymous: false };
+  const [form, setForm] = useState(blank);
+  const [error, setError] = useState("");
+  const set = (fields) => setForm((f) => ({ ...f, ...fields }));
+  const setOption = (i, value) => set({ options: form.options.map((o, j) => (j === i ? value : o)) });
+  const now = Date.now();
+  const open = polls.filter((p) => !pollIsClosed(p, now));
+  const closed = polls.filter((p) => pollIsClosed(p, now));
+
+  const submit = () => {
+    setError("");
+    onCreate({ ...form, options: form.options.filter((o) => o.trim()) })
+      .then(() => setForm(blank))
+      .catch((e) => setError(e.status ? e.message : "Could not reach the server. Polls need a connection."));
+  };
+
+  const card = (poll) => <PollCard key={poll.id} me={me} people={people} poll={poll} closed={pollIsClosed(poll, now)} onUpdate={onUpdate} onRemove={onRemove} onVote={onVote} onAdopt={onAdopt} />;
+
+  return (
+    <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <h3 className="mb-2 text-lg font-semibold">Ask the group</h3>
+        <div className="space-y-2 text-sm">
+          <input value={form.question} onChange={(e) => set({ question: e.target.value })} placeholder="Which night is the bonfire?" className="w-full rounded-lg bg-black/30 px-2 py-1" />
+          <div className="flex flex-wrap gap-1">
+            {Object.entries(POLL_KINDS).map(([kind, label]) => (
+              <button
+                key={kind}
+                onClick={() => set({ kind, options: kind === "date" || form.kind === "date" ? ["", ""] : form.options })}
+                className={cx("rounded-lg px-2 py-1 ring-1", form.kind === kind ? "bg-fuchsia-500/40 ring-fuchsia-300/60" : "bg-white/10 ring-white/20")}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {form.options.map((o, i) => (
+            <div key={i} className="flex items-center gap-1">
+              <input
+                type={form.kind === "date" ? "date" : "text"}
+                value={o}
+                onChange={(e) => setOption(i, e.target.value)}
+                placeholder={`Option ${i + 1}`}
+                className="min-w-0 flex-1 rounded-lg bg-black/30 px-2 py-1"
+              />
+              {form.options.length > 2 && (
+                <button onClick={() => set({ options: form.options.filter((_, j) => j !== i) })} title="Remove option" className="text-white/60 hover:text-rose-300">
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          ))}
+          <button onClick={() => set({ options: [...form.options, ""] })} disabled={form.options.length >= 20} className="inline-flex items-center gap-1 text-xs text-white/70 underline hover:text-white disabled:opacity-40">
+            <Plus className="h-3 w-3" /> Add an option
+          </button>
+          <label className="block text-white/80">
+            Deadline (optional)
+            <input type="datetime-local" value={form.closes_at} onChange={(e) => set({ closes_at: e.target.value })} className="mt-1 block w-full rounded-lg bg-black/30 px-2 py-1" />
+          </label>
+          <label className="flex items-center gap-2 text-white/80">
+            <input type="checkbox" checked={form.anonymous} onChange={(e) => set({ anonymous: e.target.checked })} />
+            Anonymous: show counts, not who voted
+          </label>
+          <button onClick={submit} disabled={!me || !form.question.trim()} className="rounded-xl bg-emerald-500/30 px-3 py-1 ring-1 ring-emerald-400/40 disabled:opacity-40">
+            Start poll
+          </button>
+          {error && <p className="text-rose-300">{error}</p>}
+        </div>
+      </div>
+      <div className="space-y-3 md:col-span-2">
+        {open.map(card)}
+        {polls.length === 0 && <p className="text-sm text-white/70">No polls yet. Ask the group about dates, restaurants or activities.</p>}
+        {closed.length > 0 && <h3 className="pt-2 text-sm font-semibold uppercase tracking-wide text-white/70">Closed</h3>}
+        {closed.map(card)}
+      </div>
+    </div>
+  );
+}
+
+function PollCard({ me, people, poll, closed, onUpdate, onRemove, onVote, onAdopt }) {
+  const { options, winners } = pollResults(poll);
+  const mine = myVotes(poll, me);
+  const manage = canManage(me, poll.created_by);
+  const deadline = localTime(poll.closes_at);
+  const choose = (id) => {
+    if (poll.kind === "single") onVote(poll.id, mine.includes(id) ? [] : [id]);
+    else onVote(poll.id, mine.includes(id) ? mine.filter((m) => m !== id) : [...mine, id]);
+  };
+  // reopening a poll whose deadline has passed also drops the deadline
+  const reopen = () => onUpdate(poll.id, { closed: false, ...(deadline !== null && deadline <= Date.now() && { closes_at: "" }) });
+
+  return (
+    <div className={cx("rounded-2xl border border-white/10 p-4", closed ? "bg-white/5" : "bg-white/10")}>
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="font-semibold">{poll.question}</div>
+          <div className="text-xs text-white/70">
+            {POLL_KINDS[poll.kind]}
+            {poll.anonymous && " • anonymous"}
+            {poll.created_by && ` • asked by ${nameOf(people, poll.created_by)}`}
+            {" • "}
+            {closed ? "closed" : deadline !== null ? `closes ${new Date(deadline).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" })}` : "open"}
+          </div>
+        </div>
+        <span className="rounded bg-white/10 px-2 py-0.5 text-xs">
+          {poll.voters}/{people.length} voted
+        </span>
+      </div>
+      <ul className="mt-3 space-y-2">
+        {options.map((o) => (
+          <li key={o.id}>
+            <label className={cx("flex items-center gap-2 text-sm", !closed && me && "cursor-pointer")}>
+              <input type={poll.kind === "single" ? "radio" : "checkbox"} checked={mine.includes(o.id)} onChange={() => choose(o.id)} disabled={closed || !me} />
+              <span className={cx("flex-1", closed && o.leading && "font-semibold text-emerald-300")}>{pollOptionLabel(poll, o.label)}</span>
+              <span className="text-xs text-white/70">{o.votes}</span>
+            </label>
+            <div className="mt-1 h-1.5 rounded bg-black/30">
+              <div className={cx("h-1.5 rounded", o.leading ? "bg-emerald-400/80" : "bg-white/40")} style={{ width: `${Math.round(o.share * 100)}%` }} />
+            </div>
+            {o.voter_ids?.length > 0 && <div className="mt-0.5 text-xs text-white/60">{o.voter_ids.map((id) => nameOf(people, id)).join(", ")}</div>}
+          </li>
+        ))}
+      </ul>
+      {closed && (
+        <div className="mt-3 rounded-xl bg-black/20 p-2 text-sm">
+          {winners.length === 0 && "Nobody voted."}
+          {winners.length === 1 && `Winner: ${pollOptionLabel(poll, winners[0].label)}`}
+          {winners.length > 1 && `Tie between ${winners.map((w) => pollOptionLabel(poll, w.label)).join(" and ")}`}
+          {poll.adopted_as && (
+            <span className="text-white/70">
+              {" "}
+              • {pollOptionLabel(poll, poll.options.find((o) => o.id === poll.adopted_option_id)?.label ?? "")} was added {poll.adopted_as === "task" ? "to the checklist" : "to the trip notes"}
+            </span>
+          )}
+          {!poll.adopted_as && canOrganize(me) && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {winners.map((w) => (
+                <React.Fragment key={w.id}>
+                  <button onClick={() => onAdopt(poll.id, w.id, "task")} className="inline-flex items-center gap-1 rounded-lg bg-white/10 px-2 py-1 text-xs ring-1 ring-white/20">
+                    <ListChecks className="h-3 w-3" /> {winners.length > 1 ? `${pollOptionLabel(poll, w.label)} as a task` : "Add as a task"}
+                  </button>
+                  <button onClick={() => onAdopt(poll.id, w.id, "note")} className="inline-flex items-center gap-1 rounded-lg bg-white/10 px-2 py-1 text-xs ring-1 ring-white/20">
+                    <Plus className="h-3 w-3" /> {winners.length > 1 ? `${pollOptionLabel(poll, w.label)} to the notes` : "Add to trip notes"}
+                  </button>
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      {manage && (
+        <div className="mt-3 flex gap-3 text-xs">
+          {closed ? (
+            <button onClick={reopen} className="text-white/60 underline hover:text-white">
+              Reopen
+            </button>
+          ) : (
+            <button onClick={() => onUpdate(poll.id, { closed: true })} className="text-white/60 underline hover:text-white">
+              Close now
+            </button>
+          )}
+          <button onClick={() => onRemove(poll)} className="text-white/60 underline hover:text-rose-300">
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const RULE_LABELS = { together: "share a room", apart: "sleep apart" };
+
+// rooms and beds with who sleeps where. Organizers plan by dragging people onto beds or by
+// asking for a suggestion, which is shown as a draft until they apply it; everyone else sees the plan.
+function RoomsTab({ me, people, plan, title, grouping, onGrouping, onAddRoom, onRenameRoom, onRemoveRoom, onAddBed, onUpdateBed, onRemoveBed, onAssign, onApplyPlan, onAddRule, onRemoveRule }) {
+  const organizer = canOrganize(me);
+  const [draft, setDraft] = useState(null);
+  const [over, setOver] = useState(null);
+  const [room, setRoom] = useState({ name: "", doubles: 0, singles: 2 });
+  const [rule, setRule] = useState({ kind: "together", a: "", b: "" });
+  const shown = draft ? { ...plan, sleepers: Object.entries(draft).map(([personId, bedId]) => ({ person_id: Number(personId), bed_id: bedId })) } : plan;
+  const occupancy = roomOccupancy(people, shown);
+  const warnings = roomWarnings(people, shown, grouping);
+  const hasBeds = plan.rooms.some((r) => r.beds.length);
+  const bedOf = (personId) => shown.sleepers.find((s) => s.person_id === personId)?.bed_id;
+  const editable = organizer && !draft;
+
+  const dragProps = (p) =>
+    editable && {
+      draggable: true,
+      onDragStart: (e) => e.dataTransfer.setData("text/plain", String(p.id)),
+      onDragEnd: () => setOver(null),
+    };
+  // a full bed doesn't accept drops, so the browser shows it can't go there
+  const dropProps = (key, accepts, onDropPerson) =>
+    editable && {
+      onDragOver: (e) => {
+        if (!accepts) return;
+        e.preventDefault();
+        setOver(key);
+      },
+      onDragLeave: () => setOver(null),
+      onDrop: (e) => {
+        e.preventDefault();
+        setOver(null);
+        const id = Number(e.dataTransfer.getData("text/plain"));
+        if (id) onDropPerson(id);
+      },
+    };
+
+  const chip = (p, bedId = null) => (
+    <span
+      key={p.id}
+      {...dragProps(p)}
+      className={cx("inline-flex items-center gap-1 rounded-lg bg-white/15 px-2 py-0.5 text-sm", editable && "cursor-grab", p.id === me?.id && "ring-1 ring-fuchsia-300")}
+    >
+      {p.name}
+      {grouping && <span className="text-xs text-white/60">{p[grouping]}</span>}
+      {editable && bedId && (
+        <button onClick={() => onAssign(p.id, null)} title={`Take ${p.name} out of this bed`} className="text-white/60 hover:text-rose-300">
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </span>
+  );
+
+  const addRoom = () => {
+    const doubles = Array.from({ length: Number(room.doubles) || 0 }, (_, i) => ({ label: `Double ${i + 1}`, capacity: 2 }));
+    const singles = Array.from({ length: Number(room.singles) || 0 }, (_, i) => ({ label: `Single ${i + 1}`, capacity: 1 }));
+    onAddRoom(room.name.trim() || `Room ${plan.rooms.length + 1}`, [...doubles, ...singles]);
+    setRoom({ name: "", doubles: 0, singles: 2 });
+  };
+
+  const addRule = () => {
+    if (!rule.a || !rule.b || rule.a === rule.b) return;
+    onAddRule(rule.kind, [Number(rule.a), Number(rule.b)]);
+    setRule({ ...rule, a: "", b: "" });
+  };
+
+  const printList = () => {
+    const w = window.open("", "_blank");
+    if (!w) return;
+    w.document.write(roomListHtml(title, roomOccupancy(people, plan)));
+    w.document.close();
+    w.focus();
+    w.print();
+  };
+
+  const personSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="rounded-lg bg-black/30 px-2 py-1 text-sm">
+      <option value="">who?</option>
+      {people.map((p) => (
+        <option key={p.id} value={p.id}>
+          {p.name}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm text-white/80">
+          Rooms
+          <select value={grouping} onChange={(e) => onGrouping(e.target.value)} disabled={!organizer} className="ml-2 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60">
+            {Object.entries(ROOM_GROUPINGS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {organizer && !draft && (
+          <>
+            <button onClick={() => setDraft(suggestRooms(people, plan, grouping))} disabled={!hasBeds} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-1 text-sm ring-1 ring-white/20 disabled:opacity-40">
+              <Sparkles className="h-4 w-4" /> Fill empty beds
+            </button>
+            <button onClick={() => setDraft(suggestRooms(people, plan, grouping, false))} disabled={!hasBeds} className="rounded-xl bg-white/10 px-3 py-1 text-sm ring-1 ring-white/20 disabled:opacity-40">
+              Re-plan everyone
+            </button>
+          </>
+        )}
+        <button onClick={printList} disabled={!hasBeds} className="ml-auto inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-1 text-sm ring-1 ring-white/20 disabled:opacity-40">
+          <Printer className="h-4 w-4" /> Print room list
+        </button>
+      </div>
+
+      {draft && (
+        <div className="flex flex-wrap items-center gap-2 rounded-2xl border border-fuchsia-400/30 bg-fuchsia-500/10 p-3 text-sm">
+          <span>
+            Suggested plan: {people.length - occupancy.unassigned.length} of {people.length} have a bed
+            {warnings.length ? `, ${warnings.length} warning${warnings.length === 1 ? "" : "s"}` : ""}.
+          </span>
+          <button
+            onClick={() => onApplyPlan(draft).then(() => setDraft(null))}
+            className="ml-auto rounded-xl bg-emerald-500/30 px-3 py-1 ring-1 ring-emerald-400/40"
+          >
+            Apply
+          </button>
+          <button onClick={() => setDraft(null)} className="rounded-xl bg-white/10 px-3 py-1 ring-1 ring-white/20">
+            Discard
+          </button>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="space-y-1 rounded-2xl border border-amber-400/30 bg-amber-500/10 p-3 text-sm">
+          {warnings.map((w, i) => (
+            <li key={i} className="flex items-start gap-2">
+              <ShieldAlert className="mt-0.5 h-4 w-4 shrink-0 text-amber-300" /> {w.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div
+        {...dropProps("unassigned", true, (id) => onAssign(id, null))}
+        className={cx("rounded-2xl border border-dashed p-3", over === "unassigned" ? "border-fuchsia-400 bg-fuchsia-500/10" : "border-white/20")}
+      >
+        <div className="mb-2 text-sm font-semibold">No bed yet ({occupancy.unassigned.length})</div>
+        <div className="flex flex-wrap gap-2">
+          {occupancy.unassigned.map((p) => chip(p))}
+          {occupancy.unassigned.length === 0 && <span className="text-sm text-white/70">Everyone has a bed.</span>}
+        </div>
+      </div>
+
+      <div className="grid gap-3 md:grid-cols-2">
+        {occupancy.rooms.map((r) => (
+          <div key={r.id} className="rounded-2xl border border-white/10 bg-white/10 p-4">
+            <div className="mb-2 flex items-center gap-2">
+              <BedDouble className="h-4 w-4 shrink-0" />
+              <input value={r.name} onChange={(e) => onRenameRoom(r.id, e.target.value)} disabled={!editable} className="min-w-0 flex-1 rounded-lg bg-black/30 px-2 py-1 font-semibold disabled:bg-transparent" />
+              <span className={cx("rounded px-2 py-0.5 text-xs", r.sleepers.length >= r.capacity ? "bg-emerald-500/30" : "bg-white/10")}>
+                {r.sleepers.length}/{r.capacity}
+              </span>
+              {editable && (
+                <button onClick={() => onRemoveRoom(r)} title={`Remove ${r.name}`} className="text-white/60 hover:text-rose-300">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+            <ul className="space-y-2">
+              {r.beds.map((b) => (
+                <li
+                  key={b.id}
+                  {...dropProps(b.id, b.sleepers.length < b.capacity, (id) => bedOf(id) !== b.id && onAssign(id, b.id))}
+                  className={cx("rounded-xl bg-black/20 p-2", over === b.id && "ring-2 ring-fuchsia-400")}
+                >
+                  <div className="flex items-center gap-2 text-sm">
+                    <input value={b.label} onChange={(e) => onUpdateBed(b.id, { label: e.target.value })} disabled={!editable} className="min-w-0 flex-1 rounded-lg bg-black/30 px-2 py-0.5 disabled:bg-transparent" />
+                    <label className="text-xs text-white/70">
+                      sleeps
+                      <input
+                        type="number"
+                        min={Math.max(1, b.sleepers.length)}
+                        max="10"
+                        value={b.capacity}
+                        onChange={(e) => onUpdateBed(b.id, { capacity: Math.max(1, Math.round(Number(e.target.value) || 1)) })}
+                        disabled={!editable}
+                        className="ml-1 w-12 rounded-lg bg-black/30 px-1 py-0.5 disabled:bg-transparent"
+                      />
+                    </label>
+                    {editable && (
+                      <button onClick={() => onRemoveBed(b.id)} title={`Remove ${b.label}`} className="text-white/60 hover:text-rose-300">
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                  <div className="mt-1 flex min-h-[1.75rem] flex-wrap gap-1">
+                    {b.sleepers.map((p) => chip(p, b.id))}
+                    {b.sleepers.length === 0 && <span className="text-xs text-white/50">{editable ? "drag someone here" : "free"}</span>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {editable && (
+              <button onClick={() => onAddBed(r.id, {})} className="mt-2 inline-flex items-center gap-1 text-xs text-white/70 underline hover:text-white">
+                <Plus className="h-3 w-3" /> Add a bed
+              </button>
+            )}
+          </div>
+        ))}
+        {organizer && (
+          <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+            <h3 className="mb-2 font-semibold">Add a room</h3>
+            <div className="grid grid-cols-[auto_1fr] items-center gap-2 text-sm">
+              <label className="text-white/70">Name</label>
+              <input value={room.name} onChange={(e) => setRoom({ ...room, name: e.target.value })} placeholder={`Room ${plan.rooms.length + 1}`} className="rounded-lg bg-black/30 px-2 py-1" />
+              <label className="text-white/70">Double beds</label>
+              <input type="number" min="0" max="10" value={room.doubles} onChange={(e) => setRoom({ ...room, doubles: e.target.value })} className="w-20 rounded-lg bg-black/30 px-2 py-1" />
+              <label className="text-white/70">Single beds</label>
+              <input type="number" min="0" max="10" value={room.singles} onChange={(e) => setRoom({ ...room, singles: e.target.value })} className="w-20 rounded-lg bg-black/30 px-2 py-1" />
+            </div>
+            <button onClick={addRoom} className="mt-3 inline-flex items-center gap-1 rounded-xl bg-emerald-500/30 px-3 py-1 text-sm ring-1 ring-emerald-400/40">
+              <Plus className="h-4 w-4" /> Add room
+            </button>
+          </div>
+        )}
+      </div>
+      {plan.rooms.length === 0 && !organizer && <p className="text-sm text-white/70">The organizers haven't planned the rooms yet.</p>}
+
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <h3 className="mb-2 font-semibold">Who sleeps near whom</h3>
+        <ul className="space-y-1 text-sm">
+          {plan.rules.map((r) => (
+            <li key={r.id} className="flex items-center gap-2">
+              {r.person_ids.map((id) => nameOf(people, id)).join(" and ")} {RULE_LABELS[r.kind]}
+              {organizer && (
+                <button onClick={() => onRemoveRule(r.id)} title="Remove rule" className="text-white/60 hover:text-rose-300">
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          ))}
+          {plan.rules.length === 0 && <li className="text-white/70">No rules yet. Suggestions only look at bed space{grouping ? " and grouping" : ""}.</li>}
+        </ul>
+        {organizer && (
+          <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+            {personSelect(rule.a, (a) => setRule({ ...rule, a }))}
+            <span>and</span>
+            {personSelect(rule.b, (b) => setRule({ ...rule, b }))}
+            <select value={rule.kind} onChange={(e) => setRule({ ...rule, kind: e.target.value })} className="rounded-lg bg-black/30 px-2 py-1">
+              {Object.entries(RULE_LABELS).map(([kind, label]) => (
+                <option key={kind} value={kind}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button onClick={addRule} disabled={!rule.a || !rule.b || rule.a === rule.b} className="rounded-lg bg-white/10 px-2 py-1 ring-1 ring-white/20 disabled:opacity-40">
+              Add rule
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ExpensesTab({ me, people, currency, currencies, expenses, ledger, onSave, onRemove }) {
+  // members log what they paid themselves; organizers can log for anyone
+  const organizer = canOrganize(me);
+  const blank = { id: null, description: "", amount: "", currency, payer_id: me?.id ?? people[0]?.id ?? "", split_mode: "equal", shares: {} };
+  const [form, setForm] = useState(blank);
+  const [error, setError] = useState("");
+  const set = (fields) => setForm((f) => ({ ...f, ...fields }));
+  const included = people.filter((p) => p.id in form.shares);
+  const exactSum = included.reduce((s, p) => s + (Number(form.shares[p.id]) || 0), 0);
+
+  const toggleParticipant = (id) => {
+    const { [id]: current, ...rest } = form.shares;
+    set({ shares: current === undefined ? { ...form.shares, [id]: form.split_mode === "exact" ? "" : 1 } : rest });
+  };
+
+  const edit = (e) => {
+    setError("");
+    setForm({
+      id: e.id,
+      description: e.description,
+      amount: e.amount,
+      currency: e.currency || currency,
+      payer_id: e.payer_id,
+      split_mode: e.split_mode,
+      shares: Object.fromEntries(e.participants.map((p) => [p.person_id, p.share])),
+    });
+  };
+
+  const submit = () => {
+    setError("");
+    onSave({
+      id: form.id,
+      description: form.description,
+      amount: Number(form.amount),
+      currency: form.currency,
+      payer_id: Number(form.payer_id),
+      split_mode: form.split_mode,
+      participants: included.map((p) => ({ person_id: p.id, share: Number(form.shares[p.id]) })),
+    })
+      .then(() => setForm(blank))
+      .catch((e) => setError(e.status ? e.message : "Could not reach the server. Expenses need a connection."));
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <h3 className="mb-2 text-lg font-semibold">{form.id ? "Edit expense" : "Add expense"}</h3>
+        <div className="grid grid-cols-2 gap-2">
+          <input value={form.description} onChange={(e) => set({ description: e.target.value })} placeholder="what for? (house, groceries…)" className="col-span-2 rounded-lg bg-black/30 px-2 py-1" />
+          <label className="text-sm text-white/80">
+            Amount
+            <span className="mt-1 flex gap-1">
+              <input type="number" min="0" step="0.01" value={form.amount} onChange={(e) => set({ amount: e.target.value })} className="w-full min-w-0 rounded-lg bg-black/30 px-2 py-1" />
+              <CurrencySelect value={form.currency} currencies={currencies} onChange={(code) => set({ currency: code })} />
+            </span>
+          </label>
+          <label className="text-sm text-white/80">
+            Paid by
+            <select value={form.payer_id} onChange={(e) => set({ payer_id: e.target.value })} disabled={!organizer} className="mt-1 w-full rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60">
+              {people.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="col-span-2 text-sm text-white/80">
+            Split
+            <select value={form.split_mode} onChange={(e) => set({ split_mode: e.target.value })} className="ml-2 rounded-lg bg-black/30 px-2 py-1">
+              <option value="equal">equally</option>
+              <option value="shares">by shares</option>
+              <option value="exact">exact amounts</option>
+            </select>
+          </label>
+        </div>
+        <div className="mt-3 flex items-center justify-between text-sm text-white/80">
+          <span>Split between</span>
+          <button onClick={() => set({ shares: Object.fromEntries(people.map((p) => [p.id, form.split_mode === "exact" ? "" : 1])) })} className="text-xs underline">
+            everyone
+          </button>
+        </div>
+        <ul className="mt-1 space-y-1">
+          {people.map((p) => (
+            <li key={p.id} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-1">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={p.id in form.shares} onChange={() => toggleParticipant(p.id)} /> {p.name}
+              </label>
+              {form.split_mode !== "equal" && p.id in form.shares && (
+                <input
+                  type="number"
+                  min="0"
+                  step={form.split_mode === "exact" ? "0.01" : "1"}
+                  value={form.shares[p.id]}
+                  onChange={(e) => set({ shares: { ...form.shares, [p.id]: e.target.value } })}
+                  placeholder={form.split_mode === "exact" ? form.currency : "shares"}
+                  className="w-24 rounded-lg bg-black/30 px-2 py-1 text-sm"
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+        {form.split_mode === "exact" && (
+          <p className={cx("mt-2 text-xs", Math.abs(exactSum - Number(form.amount || 0)) < 0.005 ? "text-emerald-300" : "text-amber-300")}>
+            {formatCurrency(exactSum, form.currency)} of {formatCurrency(Number(form.amount || 0), form.currency)} assigned
+          </p>
+        )}
+        {error && <p className="mt-2 text-sm text-rose-300">{error}</p>}
+        <div className="mt-3 flex gap-2">
+          <button onClick={submit} className="rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold ring-2 ring-white/20">
+            {form.id ? "Save" : "Add"}
+          </button>
+          {form.id && (
+            <button onClick={() => setForm(blank)} className="rounded-2xl bg-white/10 px-4 py-2 ring-1 ring-white/20">
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+          <h3 className="mb-2 text-lg font-semibold">Balances</h3>
+          <ul className="space-y-1">
+            {ledger.balances.map((b) => (
+              <li key={b.person_id} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-1 text-sm">
+                <span>{nameOf(people, b.person_id)}</span>
+                <span className="text-white/70">
+                  paid {formatCurrency(b.paid, currency)} • share {formatCurrency(b.owed, currency)} •{" "}
+                  <b className={b.net < 0 ? "text-rose-300" : b.net > 0 ? "text-emerald-300" : ""}>
+                    {b.net > 0 ? "+" : ""}
+                    {formatCurrency(b.net, currency)}
+                  </b>
+                </span>
+              </li>
             ))}
-          </div>
+          </ul>
+          <h4 className="mt-3 mb-1 text-sm font-semibold text-white/80">To settle up</h4>
+          <ul className="space-y-1">
+            {ledger.transfers.map((t, i) => (
+              <li key={i} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-1 text-sm">
+                <span className="flex items-center gap-1">
+                  {nameOf(people, t.from)} <ArrowRight className="h-3 w-3" /> {nameOf(people, t.to)}
+                </span>
+                <b>{formatCurrency(t.amount, currency)}</b>
+              </li>
+            ))}
+            {ledger.transfers.length === 0 && <li className="text-sm text-white/70">Nothing to settle.</li>}
+          </ul>
+        </div>
 
-          <div className="mt-4 rounded-2xl border border-white/10 bg-black/20 p-4 backdrop-blur">
-            {tab === "Overview" && <Overview totals={totals} people={state.people} budget={state.budgetPerPerson} />}
-            {tab === "People" && (
-              <PeopleTab
-                people={state.people}
-                budget={state.budgetPerPerson}
-                onAdd={addPerson}
-                onRemove={removePerson}
-                onTogglePaid={markPaid}
-                onUpdate={updateField}
-                onToggleTask={toggleTask}
-                play={play}
-              />
-            )}
-            {tab === "Gallery" && <Gallery query={state.galleryQuery} onQuery={(q) => setState((s) => ({ ...s, galleryQuery: q }))} />}
-            {tab === "Checklist" && <Checklist people={state.people} toggleTask={toggleTask} />}
-            {tab === "Dev" && <DevTab />}
-            {tab === "Settings" && <SettingsTab state={state} setState={setState} />}
-          </div>
+        <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+          <h3 className="mb-2 text-lg font-semibold">Expenses</h3>
+          <ul className="space-y-2">
+            {expenses.map((e) => (
+              <li key={e.id} className="flex items-center justify-between gap-2 rounded-xl bg-black/20 px-3 py-2">
+                <div className="min-w-0">
+                  <div className="truncate font-semibold">{e.description || "Expense"}</div>
+                  <div className="text-xs text-white/70">
+                    {nameOf(people, e.payer_id)} paid • split {e.split_mode} between {e.participants.length}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <b>{formatCurrency(e.amount, e.currency || currency)}</b>
+                  {canManage(me, e.payer_id) && (
+                    <>
+                      <button onClick={() => edit(e)} className="rounded-lg bg-indigo-500/30 px-2 py-1 text-xs ring-1 ring-indigo-400/40">
+                        Edit
+                      </button>
+                      <button onClick={() => onRemove(e.id)} title="Delete expense" className="rounded-lg p-1 text-white/60 hover:text-rose-300">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+            {expenses.length === 0 && <li className="text-sm text-white/70">Log who paid for the house, groceries, gas…</li>}
+          </ul>
         </div>
       </div>
     </div>
   );
 }
 
-// -------------------------- sections --------------------------
-function Overview({ totals, people, budget }) {
-  const ratio = totals.expected ? Math.min(1, totals.paidSum / totals.expected) : 0;
-  const pct = Math.round(ratio * 100);
-  const paidBadge = `${totals.paidCount}/${totals.count} paid`;
+function ImportDialog({ importing, current, onApply, onClose }) {
+  const [mode, setMode] = useState("merge");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const plan = importing.file ? planImport(current, importing.file, mode) : null;
+  const changes = plan ? plan.people.filter((p) => p.status !== "same").length + plan.tasks.length + Object.keys(plan.trip).length + plan.expenses.length + plan.removedExpenses : 0;
+  const badge = { add: "bg-emerald-500/30", update: "bg-indigo-500/30", remove: "bg-rose-500/30", same: "bg-white/10" };
+
+  const apply = () => {
+    setBusy(true);
+    setError("");
+    onApply(plan)
+      .then(onClose)
+      .catch((e) => {
+        setError(e.status ? e.message : "Could not reach the server. Nothing was imported.");
+        setBusy(false);
+      });
+  };
+
   return (
-    <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
-      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
-        <p className="text-white/70 text-sm">Payment progress</p>
-        <div className="mt-2 flex items-end justify-between">
-          <div className="text-4xl font-bold">{pct}%</div>
-          <div className="text-right text-white/80">
-            <div className="text-2xl font-semibold">${totals.paidSum}</div>
-            <div className="text-xs">of ${totals.expected} expected</div>
-          </div>
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="flex max-h-full w-full max-w-lg flex-col rounded-2xl border border-white/10 bg-slate-900 p-5">
+        <h2 className="text-xl font-semibold">Import {importing.name}</h2>
+        {importing.errors ? (
+          <>
+            <p className="mt-1 text-sm text-white/70">This file can't be imported:</p>
+            <ul className="mt-2 space-y-1 overflow-y-auto text-sm">
+              {importing.errors.map((e, i) => (
+                <li key={i} className="rounded-lg bg-rose-500/20 px-3 py-1">
+                  <code className="text-rose-200">{e.path}</code> {e.message}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <>
+            <div className="mt-2 flex gap-2 text-sm">
+              {[
+                ["merge", "Merge: add and update people"],
+                ["replace", "Replace: also trip settings, remove others"],
+              ].map(([k, label]) => (
+                <button
+                  key={k}
+                  onClick={() => setMode(k)}
+                  className={cx("rounded-xl px-3 py-1", mode === k ? "bg-white/20 ring-1 ring-white/30" : "text-white/70 hover:bg-white/10")}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <ul className="mt-3 space-y-1 overflow-y-auto text-sm">
+              {Object.entries(plan.trip).map(([k, v]) => (
+                <li key={k} className="rounded-lg bg-black/30 px-3 py-1">
+                  Trip {k}: <b>{String(v)}</b>
+                </li>
+              ))}
+              {plan.people.map((p) => (
+                <li key={`${p.status}:${p.name}`} className="flex items-center justify-between gap-2 rounded-lg bg-black/30 px-3 py-1">
+                  <span className="min-w-0 truncate">
+                    {p.name}
+                    {p.status === "update" && <span className="text-white/60"> • {[...Object.keys(p.fields), ...Object.keys(p.ticks)].join(", ")}</span>}
+                  </span>
+                  <span className={cx("rounded px-1.5 py-0.5 text-[10px] uppercase", badge[p.status])}>{p.status}</span>
+                </li>
+              ))}
+              {plan.tasks.map((t) => (
+                <li key={`${t.owner}:${t.title}`} className="rounded-lg bg-black/30 px-3 py-1">
+                  New task <b>{t.title}</b>
+                  {t.owner && ` just for ${t.owner}`}
+                </li>
+              ))}
+              {plan.removedExpenses > 0 && (
+                <li className="flex items-center justify-between gap-2 rounded-lg bg-black/30 px-3 py-1">
+                  {plan.removedExpenses} current expense{plan.removedExpenses === 1 ? "" : "s"}
+                  <span className={cx("rounded px-1.5 py-0.5 text-[10px] uppercase", badge.remove)}>remove</span>
+                </li>
+              )}
+              {plan.expenses.map((e, i) => (
+                <li key={`expense:${i}`} className="flex items-center justify-between gap-2 rounded-lg bg-black/30 px-3 py-1">
+                  <span className="min-w-0 truncate">
+                    Expense <b>{e.description || "untitled"}</b>
+                    <span className="text-white/60">
+                      {" "}
+                      • {e.amount} {e.currency ?? ""} paid by {e.payer}
+                    </span>
+                  </span>
+                  <span className={cx("rounded px-1.5 py-0.5 text-[10px] uppercase", badge.add)}>add</span>
+                </li>
+              ))}
+            </ul>
+            <p className="mt-2 text-xs text-white/60">Photos are not part of trip files.</p>
+          </>
+        )}
+        {error && <p className="mt-2 text-sm text-rose-300">{error}</p>}
+        <div className="mt-4 flex gap-2">
+          {plan && (
+            <button
+              onClick={apply}
+              disabled={busy || changes === 0}
+              className="rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold ring-2 ring-white/20 disabled:opacity-50"
+            >
+              {busy ? "Importing…" : changes ? `Apply ${changes} change${changes === 1 ? "" : "s"}` : "Nothing to change"}
+            </button>
+          )}
+          <button onClick={onClose} className="rounded-2xl bg-white/10 px-4 py-2 ring-1 ring-white/20">
+            {plan ? "Cancel" : "Close"}
+          </button>
         </div>
-        <div className="mt-3 h-3 w-full rounded-full bg-white/10">
-          <div className="h-3 rounded-full bg-gradient-to-r from-emerald-400 to-cyan-400" style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+function Welcome({ onCreate }) {
+  return (
+    <div className="mt-6 rounded-2xl border border-white/10 bg-black/20 p-6 text-center backdrop-blur">
+      <h2 className="text-xl font-semibold">You're not in any trip yet</h2>
+      <p className="mt-2 text-white/80">Open the invite link a friend sent you, or start a trip of your own.</p>
+      <button
+        onClick={onCreate}
+        className="mt-4 inline-flex items-center gap-2 rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold shadow-lg ring-2 ring-white/20"
+      >
+        <Plus className="h-4 w-4" /> Create a trip
+      </button>
+    </div>
+  );
+}
+
+// a save met someone else's change to the same person; for each field that differs, keep
+// mine or theirs. Mine is picked to start with, since that is what was just typed.
+function PersonConflictDialog({ conflict, tasks, onResolve }) {
+  const rows = conflictFields(conflict.mine, conflict.theirs);
+  const [picks, setPicks] = useState({});
+  const keyOf = (r) => (r.taskId ? `tasks.${r.taskId}` : r.field);
+  const label = (r) => (r.taskId ? tasks.find((t) => String(t.id) === r.taskId)?.title || "Task" : CSV_FIELDS[r.field] || r.field);
+  const show = (r, v) => {
+    if (r.taskId) return v ? "done" : "not done";
+    if (typeof v === "boolean") return v ? "yes" : "no";
+    return v === "" || v == null ? "—" : String(v);
+  };
+  const resolve = (all) => {
+    const keep = {};
+    for (const r of rows) {
+      if ((all || picks[keyOf(r)] || "mine") !== "mine") continue;
+      if (r.taskId) keep.tasks = { ...keep.tasks, [r.taskId]: r.mine };
+      else keep[r.field] = r.mine;
+    }
+    onResolve(conflict, keep);
+  };
+  const choice = (r, side) => {
+    const picked = (picks[keyOf(r)] || "mine") === side;
+    return (
+      <button
+        onClick={() => setPicks((prev) => ({ ...prev, [keyOf(r)]: side }))}
+        className={cx("w-full rounded-lg px-2 py-1 text-left ring-1", picked ? "bg-emerald-500/20 ring-emerald-400/60" : "bg-white/5 ring-white/10 hover:bg-white/10")}
+      >
+        {show(r, r[side])}
+      </button>
+    );
+  };
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-lg rounded-2xl border border-white/10 bg-slate-900 p-5">
+        <h2 className="text-xl font-semibold">{conflict.theirs.name} was changed by someone else</h2>
+        <p className="mt-1 text-sm text-white/70">Your changes crossed with theirs. Pick which value to keep for each field.</p>
+        <table className="mt-3 w-full border-separate border-spacing-y-1 text-sm">
+          <thead>
+            <tr className="text-left text-white/70">
+              <th className="pr-2 font-normal">Field</th>
+              <th className="pr-2 font-normal">Mine</th>
+              <th className="font-normal">Theirs</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={keyOf(r)}>
+                <td className="pr-2 font-semibold">{label(r)}</td>
+                <td className="pr-2">{choice(r, "mine")}</td>
+                <td>{choice(r, "theirs")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-4 flex flex-wrap justify-end gap-2">
+          <button onClick={() => resolve("theirs")} className="rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20 hover:bg-white/20">
+            Keep all theirs
+          </button>
+          <button onClick={() => resolve()} className="rounded-xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-3 py-2 text-sm font-semibold ring-2 ring-white/20">
+            Save my picks
+          </button>
         </div>
-        <div className="mt-2 text-xs text-white/70">{paidBadge}</div>
       </div>
+    </div>
+  );
+}
 
-      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
-        <p className="text-white/70 text-sm">Arrivals</p>
-        <ul className="mt-2 space-y-2">
-          {people.map((p) => (
-            <li key={p.id} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-2">
-              <span className="truncate">{p.name}</span>
-              <span className="text-white/80 text-sm">{new Date(p.eta).toLocaleString()}</span>
+// shown for ?invite= links: pick which person on the roster you are
+function JoinDialog({ invite, onJoin, onClose }) {
+  const [error, setError] = useState("");
+  const join = (id) => {
+    setError("");
+    onJoin(id).catch((e) => setError(e.status ? e.message : "Could not reach the server."));
+  };
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="w-full max-w-md rounded-2xl border border-white/10 bg-slate-900 p-5">
+        <h2 className="text-xl font-semibold">Join {invite.trip.title}</h2>
+        <p className="mt-1 text-sm text-white/70">
+          {invite.trip.location} • Who are you? If your name is missing, ask the organizer to add you.
+        </p>
+        <ul className="mt-3 space-y-2">
+          {invite.people.map((p) => (
+            <li key={p.id}>
+              <button
+                onClick={() => join(p.id)}
+                disabled={p.claimed}
+                className="flex w-full items-center justify-between rounded-xl bg-white/10 px-3 py-2 text-left ring-1 ring-white/20 hover:bg-white/20 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                <span className="font-semibold">{p.name}</span>
+                <span className="text-xs text-white/70">{p.claimed ? "already joined" : "that's me"}</span>
+              </button>
             </li>
           ))}
         </ul>
+        {error && <p className="mt-2 text-sm text-rose-300">{error}</p>}
+        <button onClick={onClose} className="mt-4 text-sm text-white/70 underline">
+          Not now
+        </button>
       </div>
+    </div>
+  );
+}
 
-      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
-        <p className="text-white/70 text-sm">Transport mix</p>
-        <div className="mt-2 flex flex-wrap gap-2">
-          {groupBy(people, (p) => p.transport).map(([k, arr]) => (
-            <span key={k} className="inline-flex items-center gap-2 rounded-xl bg-black/20 px-3 py-2 text-sm">
-              {React.createElement(transportIcons[k] || Car, { className: "h-4 w-4" })}
-              {k}: <b>{arr.length}</b>
-            </span>
-          ))}
-        </div>
-        <p className="mt-3 text-xs text-white/70">Tip: hover a name in People to see their notes.</p>
-      </div>
+function TripPicker({ trips, currentId, onSwitch, onCreate, onDuplicate, onToggleArchive }) {
+  const active = trips.filter((t) => !t.archived);
+  const archived = trips.filter((t) => t.archived);
+  const current = trips.find((t) => t.id === currentId);
+  const btn = "rounded-lg border border-white/20 bg-white/10 p-2 transition hover:bg-white/20";
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={currentId ?? ""}
+        onChange={(e) => onSwitch(Number(e.target.value))}
+        className="max-w-[14rem] rounded-lg bg-black/30 px-2 py-1 text-sm"
+        title="Switch trip"
+      >
+        {active.map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.title}
+          </option>
+        ))}
+        {archived.length > 0 && (
+          <optgroup label="Archived">
+            {archived.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.title}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button onClick={onCreate} title="New trip" className={btn}>
+        <Plus className="h-4 w-4" />
+      </button>
+      {onDuplicate && (
+        <button onClick={onDuplicate} title="Duplicate trip (roster and tasks, no payments)" className={btn}>
+          <Copy className="h-4 w-4" />
+        </button>
+      )}
+      {onToggleArchive && (
+        <button onClick={onToggleArchive} title={current?.archived ? "Restore trip" : "Archive trip"} className={btn}>
+          {current?.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+        </button>
+      )}
     </div>
   );
 }
 
-function PeopleTab({ people, budget, onAdd, onRemove, onTogglePaid, onUpdate, onToggleTask, play }) {
+function PeopleTab({ me, people, errors = {}, pending = {}, tasks, budget, currency, currencies, onAdd, onRemove, onResetSignIn, onNudge, onTogglePaid, onUpdate, onToggleTask, onRetryQueued, onDiscardQueued, onExportCsv, onPreviewCsv, onImportCsv, play }) {
+  const organizer = canOrganize(me);
+  const can = (p, field) => canEditPerson(me, p.id, field);
+  const errorOf = (p, field) => errors[p.id]?.[field];
+  const ring = (p, ...fields) => (fields.some((f) => errorOf(p, f)) ? "ring-2 ring-rose-400" : "");
+  const [csvFile, setCsvFile] = useState(null);
+  const pickCsv = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => setCsvFile({ name: file.name, text: reader.result });
+    reader.readAsText(file);
+  };
   return (
     <div>
-      <div className="mb-3 flex items-center justify-between">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
         <h2 className="text-lg font-semibold">People</h2>
-        <motion.button
-          whileTap={{ scale: 0.96 }}
-          onClick={onAdd}
-          className="inline-flex items-center gap-2 rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold shadow-lg ring-2 ring-white/20"
-        >
-          <Plus className="h-4 w-4" /> Add person
-        </motion.button>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={onExportCsv} className="inline-flex items-center gap-2 rounded-2xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20 hover:bg-white/20">
+            <Download className="h-4 w-4" /> Export CSV
+          </button>
+          {organizer && (
+            <label className="inline-flex cursor-pointer items-center gap-2 rounded-2xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20 hover:bg-white/20">
+              <FileSpreadsheet className="h-4 w-4" /> Import CSV
+              <input
+                type="file"
+                accept=".csv,.tsv,text/csv,text/tab-separated-values"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files?.length) pickCsv(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          )}
+          {organizer && (
+            <motion.button
+              whileTap={{ scale: 0.96 }}
+              onClick={onAdd}
+              className="inline-flex items-center gap-2 rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold shadow-lg ring-2 ring-white/20"
+            >
+              <Plus className="h-4 w-4" /> Add person
+            </motion.button>
+          )}
+        </div>
       </div>
+      {csvFile && <CsvImportDialog file={csvFile} tasks={tasks} onPreview={onPreviewCsv} onImport={onImportCsv} onClose={() => setCsvFile(null)} />}
 
       <div className="overflow-x-auto">
         <table className="w-full border-separate border-spacing-y-2">
           <thead>
             <tr className="text-left text-sm text-white/80">
-              {["Name", "Role", "Paid", "Amount", "$ per", "Transport", "ETA", "Tasks", "Notes", "Actions"].map((h) => (
+              {["Name", "Role", "Paid", "Amount", "$ per", "Transport", "ETA", "Tasks", "Notes", "Email", "Actions"].map((h) => (
                 <th key={h} className="px-3">
                   {h}
                 </th>
@@ -532,70 +3531,112 @@ function PeopleTab({ people, budget, onAdd, onRemove, onTogglePaid, onUpdate, on
               <tr key={p.id} className="rounded-xl bg-white/10 backdrop-blur">
                 <td className="px-3 py-2 font-semibold" title={p.notes}>
                   {p.name}
+                  {me && p.id === me.id && <span className="ml-2 rounded bg-fuchsia-500/30 px-1.5 py-0.5 text-[10px] uppercase">you</span>}
+                  {p.organizer && <span className="ml-2 rounded bg-amber-500/30 px-1.5 py-0.5 text-[10px] uppercase">organizer</span>}
+                  {me && !p.claimed && <div className="text-xs font-normal text-white/60">hasn't joined yet</div>}
+                  <QueueBadge state={pending[`person:${p.id}`]} onRetry={onRetryQueued} onDiscard={onDiscardQueued} />
                 </td>
                 <td className="px-3 py-2">
-                  <select value={p.role} onChange={(e) => onUpdate(p.id, "role", e.target.value)} className="rounded-lg bg-black/30 px-2 py-1">
+                  <select value={p.role} onChange={(e) => onUpdate(p.id, "role", e.target.value)} disabled={!can(p, "role")} className={cx("rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60", ring(p, "role"))}>
                     <option>boy</option>
                     <option>lady</option>
                   </select>
+                  <FieldError message={errorOf(p, "role")} />
                 </td>
                 <td className="px-3 py-2">
                   <motion.button
                     whileTap={{ scale: 0.9 }}
                     onClick={() => onTogglePaid(p.id)}
+                    disabled={!can(p, "paid")}
                     className={
                       cx(
-                        "inline-flex items-center gap-2 rounded-lg px-3 py-1 font-semibold",
+                        "inline-flex items-center gap-2 rounded-lg px-3 py-1 font-semibold disabled:cursor-not-allowed",
                         p.paid ? "bg-emerald-500/20 text-emerald-200 ring-1 ring-emerald-400/40" : "bg-rose-500/20 text-rose-200 ring-1 ring-rose-400/40"
                       )
                     }
                   >
                     {p.paid ? <Check className="h-4 w-4" /> : <X className="h-4 w-4" />} {p.paid ? "Paid" : "Unpaid"}
                   </motion.button>
+                  <FieldError message={errorOf(p, "paid")} />
                 </td>
                 <td className="px-3 py-2">
-                  <input type="number" value={p.amount} onChange={(e) => onUpdate(p.id, "amount", Number(e.target.value))} className="w-24 rounded-lg bg-black/30 px-2 py-1" />
+                  <div className="flex gap-1">
+                    <input type="number" value={p.amount} onChange={(e) => onUpdate(p.id, "amount", Number(e.target.value))} disabled={!can(p, "amount")} aria-invalid={!!errorOf(p, "amount")} className={cx("w-24 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60", ring(p, "amount"))} />
+                    <CurrencySelect value={p.currency || currency} currencies={currencies} onChange={(code) => onUpdate(p.id, "currency", code)} disabled={!can(p, "amount")} />
+                  </div>
+                  <FieldError message={errorOf(p, "amount") || errorOf(p, "currency")} />
                 </td>
-                <td className="px-3 py-2 text-white/80">${budget}</td>
+                <td className="px-3 py-2 text-white/80">{formatCurrency(budget, currency)}</td>
                 <td className="px-3 py-2">
-                  <TransportPicker value={p.transport} onChange={(v) => onUpdate(p.id, "transport", v)} />
+                  <TransportPicker value={p.transport} onChange={(v) => onUpdate(p.id, "transport", v)} disabled={!can(p, "transport")} />
+                  <FieldError message={errorOf(p, "transport")} />
                 </td>
                 <td className="px-3 py-2">
-                  <input type="datetime-local" value={p.eta} onChange={(e) => onUpdate(p.id, "eta", e.target.value)} className="rounded-lg bg-black/30 px-2 py-1" />
+                  <input type="datetime-local" value={p.eta} onChange={(e) => onUpdate(p.id, "eta", e.target.value)} disabled={!can(p, "eta")} aria-invalid={!!errorOf(p, "eta")} className={cx("rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60", ring(p, "eta"))} />
+                  <FieldError message={errorOf(p, "eta")} />
                 </td>
                 <td className="px-3 py-2">
                   <div className="flex items-center gap-2">
-                    {Object.entries(p.tasks).map(([k, val]) => (
+                    <span className="text-xs font-semibold text-white/80">{personCompletion(p, tasks).pct}%</span>
+                    {tasksFor(p, tasks).map((t) => (
                       <label
-                        key={k}
+                        key={t.id}
+                        title={t.description}
                         className={cx(
-                          "inline-flex items-center gap-1 rounded-md px-2 py-1 text-xs ring-1",
-                          val ? "bg-emerald-500/20 ring-emerald-400/40" : "bg-white/10 ring-white/20"
+                          "inline-flex items-center gap-1 whitespace-nowrap rounded-md px-2 py-1 text-xs ring-1",
+                          p.tasks[t.id] ? "bg-emerald-500/20 ring-emerald-400/40" : "bg-white/10 ring-white/20"
                         )}
                       >
-                        <input type="checkbox" checked={!!val} onChange={() => onToggleTask(p.id, k)} /> {labelizeTask(k)}
+                        <input type="checkbox" checked={!!p.tasks[t.id]} onChange={() => onToggleTask(p.id, t.id)} disabled={!can(p, "tasks")} /> {t.title}
                       </label>
                     ))}
                   </div>
+                  <FieldError message={errorOf(p, "tasks")} />
+                </td>
+                <td className="px-3 py-2">
+                  <input value={p.notes} onChange={(e) => onUpdate(p.id, "notes", e.target.value)} disabled={!can(p, "notes")} aria-invalid={!!errorOf(p, "notes")} className={cx("w-64 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60", ring(p, "notes"))} placeholder="notes" />
+                  <FieldError message={errorOf(p, "notes")} />
                 </td>
                 <td className="px-3 py-2">
-                  <input value={p.notes} onChange={(e) => onUpdate(p.id, "notes", e.target.value)} className="w-64 rounded-lg bg-black/30 px-2 py-1" placeholder="notes" />
+                  <input
+                    type="email"
+                    value={p.email || ""}
+                    onChange={(e) => onUpdate(p.id, "email", e.target.value)}
+                    disabled={!can(p, "email")}
+                    title="Reminders and nudges are also emailed here"
+                    aria-invalid={!!errorOf(p, "email")}
+                    className={cx("w-52 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60", ring(p, "email"))}
+                    placeholder="for reminders"
+                  />
+                  <FieldError message={errorOf(p, "email")} />
                 </td>
                 <td className="px-3 py-2">
                   <div className="flex items-center gap-2">
-                    <motion.button
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => {
-                        play("ok");
-                        alert(`Heads up, ${p.name}! \nSee you at ${new Date(p.eta).toLocaleString()}`);
-                      }}
-                      className="rounded-lg bg-indigo-500/30 px-3 py-1 ring-1 ring-indigo-400/40"
-                    >
-                      Nudge
-                    </motion.button>
-                    <motion.button whileTap={{ scale: 0.9 }} onClick={() => onRemove(p.id)} className="rounded-lg bg-rose-500/30 px-3 py-1 ring-1 ring-rose-400/40">
-                      Remove
-                    </motion.button>
+                    {organizer && me && p.id !== me.id && (
+                      <motion.button
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => onNudge(p.id)}
+                        title={`Send ${p.name} a reminder in the app${p.email ? " and by email" : ""}`}
+                        className="rounded-lg bg-indigo-500/30 px-3 py-1 ring-1 ring-indigo-400/40"
+                      >
+                        Nudge
+                      </motion.button>
+                    )}
+                    {organizer && me && p.claimed && (
+                      <motion.button
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => onResetSignIn(p.id)}
+                        title="Sign them out so they can join again, e.g. from a new phone"
+                        className="whitespace-nowrap rounded-lg bg-white/10 px-3 py-1 ring-1 ring-white/20"
+                      >
+                        Reset sign-in
+                      </motion.button>
+                    )}
+                    {organizer && (
+                      <motion.button whileTap={{ scale: 0.9 }} onClick={() => onRemove(p.id)} className="rounded-lg bg-rose-500/30 px-3 py-1 ring-1 ring-rose-400/40">
+                        Remove
+                      </motion.button>
+                    )}
                   </div>
                 </td>
               </tr>
@@ -607,14 +3648,150 @@ function PeopleTab({ people, budget, onAdd, onRemove, onTogglePaid, onUpdate, on
   );
 }
 
-function TransportPicker({ value, onChange }) {
-  const options = ["Car", "Plane", "Train", "Bus", "Ship"];
+// a message from the server about the input just above it
+function FieldError({ message }) {
+  return message ? <div className="mt-1 max-w-[16rem] text-xs text-rose-300">{message}</div> : null;
+}
+
+const CSV_FIELDS = { name: "Name", role: "Role", transport: "Transport", eta: "ETA", amount: "Amount", currency: "Currency", paid: "Paid", notes: "Notes", email: "Email" };
+
+// maps CSV columns to roster fields and previews the import (a server dry run) before applying it
+function CsvImportDialog({ file, tasks, onPreview, onImport, onClose }) {
+  const [mapping, setMapping] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // the first preview lets the server guess the mapping from the headers
+  useEffect(() => {
+    let stale = false;
+    setError("");
+    onPreview(file.text, mapping || undefined)
+      .then((r) => {
+        if (stale) return;
+        setReport(r);
+        if (!mapping) setMapping(r.mapping);
+      })
+      .catch((e) => !stale && setError(e.message));
+    return () => {
+      stale = true;
+    };
+  }, [file, mapping]);
+
+  const rows = report?.rows || [];
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  const changes = count("add") + count("update");
+  const badge = { add: "bg-emerald-500/30", update: "bg-indigo-500/30", same: "bg-white/10", error: "bg-rose-500/30" };
+  const headerSelect = (value, onChange) => (
+    <select value={value ?? ""} onChange={(e) => onChange(e.target.value || null)} className="w-full rounded-lg bg-black/30 px-2 py-1">
+      <option value="">— skip —</option>
+      {report.headers.map((h) => (
+        <option key={h}>{h}</option>
+      ))}
+    </select>
+  );
+  const describe = (r) =>
+    Object.entries(r.changes)
+      .filter(([k]) => r.status !== "add" || k !== "name")
+      .map(([k, v]) => (k === "tasks" ? Object.entries(v).map(([id, done]) => `${tasks.find((t) => String(t.id) === id)?.title ?? id} ${done ? "✓" : "✗"}`).join(", ") : `${CSV_FIELDS[k]}: ${v}`))
+      .join(" • ");
+
+  const apply = () => {
+    setBusy(true);
+    setError("");
+    onImport(file.text, mapping)
+      .then(onClose)
+      .catch((e) => {
+        if (e.status) setError(e.message);
+        else setError("Could not reach the server. Nothing was imported.");
+        setBusy(false);
+      });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-2xl border border-white/10 bg-slate-900 p-5">
+        <h2 className="text-xl font-semibold">Import {file.name}</h2>
+        {!report && !error && <p className="mt-2 text-sm text-white/70">Reading…</p>}
+        {report && mapping && (
+          <div className="mt-3 overflow-y-auto">
+            <div className="grid gap-2 text-sm sm:grid-cols-2 md:grid-cols-4">
+              {Object.entries(CSV_FIELDS).map(([field, label]) => (
+                <label key={field}>
+                  <span className="text-white/70">{label}</span>
+                  {headerSelect(mapping[field], (h) => setMapping({ ...mapping, [field]: h }))}
+                </label>
+              ))}
+              {tasks.map((t) => (
+                <label key={t.id}>
+                  <span className="text-white/70">Task: {t.title}</span>
+                  {headerSelect(mapping.tasks[t.id], (h) => {
+                    const { [t.id]: _old, ...rest } = mapping.tasks;
+                    setMapping({ ...mapping, tasks: h ? { ...rest, [t.id]: h } : rest });
+                  })}
+                </label>
+              ))}
+            </div>
+            <p className="mt-3 text-sm text-white/70">
+              {count("add")} new, {count("update")} updated, {count("same")} unchanged, {count("error")} with problems. Blank cells keep what the roster already has.
+            </p>
+            <ul className="mt-2 space-y-1 text-sm">
+              {rows.map((r) => (
+                <li key={r.line} className="rounded-lg bg-black/30 px-3 py-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="min-w-0 truncate">
+                      <span className="text-white/50">Line {r.line}</span> {r.name || "(no name)"}
+                      {r.status !== "error" && describe(r) && <span className="text-white/60"> • {describe(r)}</span>}
+                    </span>
+                    <span className={cx("rounded px-1.5 py-0.5 text-[10px] uppercase", badge[r.status])}>{r.status}</span>
+                  </div>
+                  {r.errors.map((e) => (
+                    <div key={e} className="text-xs text-rose-300">
+                      {e}
+                    </div>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {error && <p className="mt-2 text-sm text-rose-300">{error}</p>}
+        <div className="mt-4 flex gap-2">
+          <button
+            onClick={apply}
+            disabled={busy || !report || !!error || count("error") > 0 || changes === 0}
+            className="rounded-2xl bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2 font-semibold ring-2 ring-white/20 disabled:opacity-50"
+          >
+            {busy ? "Importing…" : `Import ${changes} ${changes === 1 ? "person" : "people"}`}
+          </button>
+          <button onClick={onClose} className="rounded-2xl bg-white/10 px-4 py-2 ring-1 ring-white/20">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CurrencySelect({ value, currencies, onChange, disabled = false }) {
+  // a code with no rate any more (e.g. from an old import) stays selectable so it isn't silently changed
+  const options = currencies.includes(value) ? currencies : [value, ...currencies];
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className="rounded-lg bg-black/30 px-1 py-1 text-sm disabled:opacity-60">
+      {options.map((c) => (
+        <option key={c}>{c}</option>
+      ))}
+    </select>
+  );
+}
+
+function TransportPicker({ value, onChange, disabled = false }) {
   const Icon = transportIcons[value] || Car;
   return (
     <div className="flex items-center gap-2">
       <Icon className="h-4 w-4" />
-      <select value={value} onChange={(e) => onChange(e.target.value)} className="rounded-lg bg-black/30 px-2 py-1">
-        {options.map((o) => (
+      <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className="rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60">
+        {TRANSPORTS.map((o) => (
           <option key={o}>{o}</option>
         ))}
       </select>
@@ -622,7 +3799,230 @@ function TransportPicker({ value, onChange }) {
   );
 }
 
-function Gallery({ query, onQuery }) {
+// `queued` are uploads waiting in the offline outbox
+function Gallery({ me, photos, people, onUpload, queued = [], onRetryQueued, onDiscardQueued, onCaption, onRemove, query, onQuery }) {
+  const [mode, setMode] = usePersistedState("GALLERY_MODE", "Photos");
+  const [uploaderId, setUploaderId] = usePersistedState("GALLERY_UPLOADER", "");
+  const [caption, setCaption] = useState("");
+  const [uploads, setUploads] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [open, setOpen] = useState(null);
+
+  const patchUpload = (key, fields) => setUploads((prev) => prev.map((u) => (u.key === key ? { ...u, ...fields } : u)));
+
+  // one file at a time keeps progress readable and the server unhurried
+  const uploadAll = async (fileList) => {
+    const files = [...fileList].filter((f) => /\.(jpe?g|png)$/i.test(f.name));
+    if (files.length < fileList.length) alert("Only .jpg, .jpeg and .png files can be uploaded.");
+    const batch = files.map((file) => ({ key: safeUUID(), name: file.name, file, progress: 0, error: "" }));
+    setUploads((prev) => [...prev.filter((u) => !u.done), ...batch]);
+    for (const u of batch) {
+      try {
+        // the server files uploads under whoever is signed in unless an organizer picks someone
+        const photo = await onUpload(u.file, { caption, person_id: canOrganize(me) ? uploaderId : "" }, (progress) => patchUpload(u.key, { progress }));
+        // a queued upload is listed from the outbox instead
+        if (photo) patchUpload(u.key, { progress: 1, done: true });
+        else setUploads((prev) => prev.filter((x) => x.key !== u.key));
+      } catch (e) {
+        patchUpload(u.key, { error: e.message || "Upload failed" });
+      }
+    }
+    setCaption("");
+  };
+
+  const tabBtn = (k) =>
+    cx("rounded-xl px-3 py-1 text-sm font-semibold", mode === k ? "bg-white/20 ring-1 ring-white/30" : "text-white/70 hover:bg-white/10");
+
+  return (
+    <div>
+      <div className="mb-3 flex gap-2">
+        <button onClick={() => setMode("Photos")} className={tabBtn("Photos")}>
+          Trip photos
+        </button>
+        <button onClick={() => setMode("Vibe")} className={tabBtn("Vibe")}>
+          Vibe board
+        </button>
+      </div>
+
+      {mode === "Vibe" ? (
+        <VibeBoard query={query} onQuery={onQuery} />
+      ) : (
+        <div>
+          <div
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={(e) => {
+              e.preventDefault();
+              setDragging(false);
+              uploadAll(e.dataTransfer.files);
+            }}
+            className={cx(
+              "mb-3 rounded-2xl border-2 border-dashed p-4 transition",
+              dragging ? "border-fuchsia-400 bg-fuchsia-500/10" : "border-white/20 bg-white/5"
+            )}
+          >
+            <div className="flex flex-wrap items-end gap-2">
+              <label className="text-xs uppercase tracking-wide text-white/70">
+                Uploading as
+                {canOrganize(me) ? (
+                  <select value={uploaderId} onChange={(e) => setUploaderId(e.target.value)} className="mt-1 block rounded-lg bg-black/30 px-2 py-1 text-sm normal-case">
+                    <option value="">{me ? "me" : "someone"}</option>
+                    {people.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="mt-1 block px-2 py-1 text-sm normal-case text-white">{me.name}</span>
+                )}
+              </label>
+              <label className="flex-1 text-xs uppercase tracking-wide text-white/70">
+                Caption
+                <input
+                  value={caption}
+                  onChange={(e) => setCaption(e.target.value)}
+                  placeholder="optional, applies to this batch"
+                  className="mt-1 block w-full rounded-lg bg-black/30 px-2 py-1 text-sm normal-case"
+                />
+              </label>
+              <label className="cursor-pointer rounded-2xl bg-gradient-to-r from-fuchsia-500 to-indigo-500 px-4 py-2 font-semibold shadow-lg ring-2 ring-white/20">
+                <span className="flex items-center gap-2">
+                  <Upload className="h-4 w-4" /> Choose photos
+                </span>
+                <input
+                  type="file"
+                  accept=".jpg,.jpeg,.png,image/jpeg,image/png"
+                  multiple
+                  className="hidden"
+                  onChange={(e) => {
+                    if (e.target.files?.length) uploadAll(e.target.files);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+            <p className="mt-2 text-xs text-white/60">…or drop .jpg/.png files here (max 5MB each).</p>
+            {uploads.length + queued.length > 0 && (
+              <ul className="mt-3 space-y-1">
+                {queued.map((e) => (
+                  <li key={`queued-${e.id}`} className="flex items-start justify-between gap-2 text-xs">
+                    <span className="truncate">{e.upload.file.name}</span>
+                    <QueueBadge state={outboxStatus([e]).photo} onRetry={onRetryQueued} onDiscard={onDiscardQueued} />
+                  </li>
+                ))}
+                {uploads.map((u) => (
+                  <li key={u.key} className="text-xs">
+                    <div className="flex justify-between">
+                      <span className="truncate">{u.name}</span>
+                      <span className={u.error ? "text-rose-300" : "text-white/70"}>{u.error || (u.done ? "done" : `${Math.round(u.progress * 100)}%`)}</span>
+                    </div>
+                    <div className="mt-0.5 h-1 w-full rounded-full bg-white/10">
+                      <div className={cx("h-1 rounded-full", u.error ? "bg-rose-400" : "bg-emerald-400")} style={{ width: `${Math.round(u.progress * 100)}%` }} />
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+            {photos.map((ph, i) => (
+              <button key={ph.id} onClick={() => setOpen(i)} className="group relative block overflow-hidden rounded-2xl border border-white/10 text-left">
+                <img
+                  src={photoSrc(ph.thumb_url || ph.url)}
+                  alt={ph.caption || ph.filename}
+                  loading="lazy"
+                  className="aspect-[4/3] w-full object-cover transition group-hover:scale-105"
+                />
+                <div className="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/70 to-transparent p-2 text-xs">
+                  {ph.caption && <div className="truncate font-semibold">{ph.caption}</div>}
+                  <div className="text-white/70">
+                    {ph.uploader || "someone"} • {photoTime(ph).toLocaleString()}
+                  </div>
+                </div>
+              </button>
+            ))}
+          </div>
+          {photos.length === 0 && <p className="text-sm text-white/70">No photos yet. Be the first to share one!</p>}
+        </div>
+      )}
+
+      {open !== null && photos[open] && (
+        <Lightbox
+          photos={photos}
+          index={open}
+          onNav={(i) => setOpen((i + photos.length) % photos.length)}
+          onClose={() => setOpen(null)}
+          editable={canManage(me, photos[open].person_id)}
+          onCaption={onCaption}
+          onRemove={(id) => onRemove(id) && setOpen(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function Lightbox({ photos, index, editable, onNav, onClose, onCaption, onRemove }) {
+  const photo = photos[index];
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target.tagName === "INPUT") return;
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowLeft") onNav(index - 1);
+      if (e.key === "ArrowRight") onNav(index + 1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [index, onNav, onClose]);
+  const navBtn = "absolute top-1/2 -translate-y-1/2 rounded-full bg-black/50 p-2 hover:bg-black/70";
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4" onClick={onClose}>
+      <div className="relative flex max-h-full w-full max-w-5xl flex-col items-center" onClick={(e) => e.stopPropagation()}>
+        <img src={photoSrc(photo.medium_url || photo.url)} alt={photo.caption || photo.filename} className="max-h-[75vh] max-w-full rounded-xl object-contain" />
+        {photos.length > 1 && (
+          <>
+            <button onClick={() => onNav(index - 1)} className={cx(navBtn, "left-2")} title="Previous">
+              <ChevronLeft className="h-6 w-6" />
+            </button>
+            <button onClick={() => onNav(index + 1)} className={cx(navBtn, "right-2")} title="Next">
+              <ChevronRight className="h-6 w-6" />
+            </button>
+          </>
+        )}
+        <div className="mt-3 flex w-full flex-wrap items-center gap-2">
+          <input
+            value={photo.caption}
+            onChange={(e) => onCaption(photo.id, e.target.value)}
+            readOnly={!editable}
+            placeholder={editable ? "add a caption" : ""}
+            className="min-w-0 flex-1 rounded-lg bg-white/10 px-3 py-2"
+          />
+          <span className="text-sm text-white/70">
+            {photo.uploader || "someone"} • {photo.taken_at ? "taken" : "uploaded"} {photoTime(photo).toLocaleString()}
+            {photo.width && ` • ${photo.width}×${photo.height}`} • {index + 1}/{photos.length}
+          </span>
+          <a href={photoSrc(photo.url)} target="_blank" rel="noreferrer" className="rounded-lg bg-white/10 p-2 ring-1 ring-white/20" title="Open original">
+            <ExternalLink className="h-4 w-4" />
+          </a>
+          {editable && (
+            <button onClick={() => onRemove(photo.id)} className="inline-flex items-center gap-1 rounded-lg bg-rose-500/30 px-3 py-2 ring-1 ring-rose-400/40">
+              <Trash2 className="h-4 w-4" /> Delete
+            </button>
+          )}
+          <button onClick={onClose} className="rounded-lg bg-white/10 p-2 ring-1 ring-white/20" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function VibeBoard({ query, onQuery }) {
   const [q, setQ] = useState(query);
   const urls = useMemo(() => makeUnsplash(q || "travel friends roadtrip"), [q]);
   return (
@@ -637,9 +4037,11 @@ function Gallery({ query, onQuery }) {
             placeholder="e.g., beach bonfire sunset"
           />
         </div>
-        <button onClick={() => onQuery(q)} className="rounded-2xl bg-gradient-to-r from-fuchsia-500 to-indigo-500 px-4 py-2 font-semibold shadow-lg ring-2 ring-white/20">
-          Save theme
-        </button>
+        {onQuery && (
+          <button onClick={() => onQuery(q)} className="rounded-2xl bg-gradient-to-r from-fuchsia-500 to-indigo-500 px-4 py-2 font-semibold shadow-lg ring-2 ring-white/20">
+            Save theme
+          </button>
+        )}
       </div>
       <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
         {urls.map((u, i) => (
@@ -656,53 +4058,372 @@ function Gallery({ query, onQuery }) {
   );
 }
 
-function Checklist({ people, toggleTask }) {
-  const taskKeys = ["packing", "id", "toiletries"];
+function Checklist({ me, people, tasks, gear, onAddGear, onUpdateGear, onRemoveGear, onClaimGear, toggleTask, onAddTask, onUpdateTask, onMoveTask, onRemoveTask }) {
+  const tripTasks = tasks.filter((t) => !t.person_id);
+  const organizer = canOrganize(me);
   return (
     <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
-      {people.map((p) => (
-        <div key={p.id} className="rounded-2xl border border-white/10 bg-white/10 p-4">
-          <div className="mb-2 flex items-center justify-between">
-            <h3 className="text-lg font-semibold">{p.name}</h3>
-            <span className={cx("rounded-full px-2 py-1 text-xs ring-1", p.paid ? "bg-emerald-500/20 ring-emerald-400/40" : "bg-rose-500/20 ring-rose-400/40")}>
-              {p.paid ? "paid" : "unpaid"}
-            </span>
-          </div>
-          <ul className="space-y-2">
-            {taskKeys.map((k) => (
-              <li key={k} className="flex items-center justify-between rounded-xl bg-black/20 px-3 py-2">
-                <span>{labelizeTask(k)}</span>
-                <button
-                  onClick={() => toggleTask(p.id, k)}
-                  className={cx("rounded-lg px-3 py-1 text-sm", p.tasks[k] ? "bg-emerald-500/30 ring-1 ring-emerald-400/40" : "bg-white/10 ring-1 ring-white/20")}
-                >
-                  {p.tasks[k] ? "Done" : "Todo"}
-                </button>
-              </li>
-            ))}
-          </ul>
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+        <div className="mb-2 flex items-center justify-between">
+          <h3 className="flex items-center gap-2 text-lg font-semibold">
+            <ListChecks className="h-5 w-5" /> Tasks for everyone
+          </h3>
+          {organizer && (
+            <button onClick={() => onAddTask()} className="inline-flex items-center gap-1 rounded-lg bg-emerald-500/30 px-3 py-1 text-sm ring-1 ring-emerald-400/40">
+              <Plus className="h-4 w-4" /> Add task
+            </button>
+          )}
         </div>
-      ))}
+        <ul className="space-y-2">
+          {tripTasks.map((t, i) =>
+            organizer ? (
+              <TaskEditor
+                key={t.id}
+                task={t}
+                onUpdate={onUpdateTask}
+                onRemove={onRemoveTask}
+                onUp={i > 0 ? () => onMoveTask(t.id, tasks.indexOf(tripTasks[i - 1]) - tasks.indexOf(t)) : null}
+                onDown={i < tripTasks.length - 1 ? () => onMoveTask(t.id, tasks.indexOf(tripTasks[i + 1]) - tasks.indexOf(t)) : null}
+              />
+            ) : (
+              <li key={t.id} className="rounded-xl bg-black/20 px-3 py-2">
+                <span className="font-semibold">{t.title}</span>
+                {(t.due_date || t.description) && (
+                  <span className="ml-2 text-xs text-white/70">
+                    {t.due_date && `due ${new Date(t.due_date).toLocaleDateString()}`}
+                    {t.due_date && t.description && " • "}
+                    {t.description}
+                  </span>
+                )}
+              </li>
+            )
+          )}
+          {tripTasks.length === 0 && <li className="text-sm text-white/70">No shared tasks yet.</li>}
+        </ul>
+      </div>
+
+      <SharedGear me={me} people={people} gear={gear} onAdd={onAddGear} onUpdate={onUpdateGear} onRemove={onRemoveGear} onClaim={onClaimGear} />
+
+      {people.map((p) => {
+        const c = personCompletion(p, tasks);
+        return (
+          <div key={p.id} className="rounded-2xl border border-white/10 bg-white/10 p-4">
+            <div className="mb-2 flex items-center justify-between">
+              <h3 className="text-lg font-semibold">{p.name}</h3>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-white/80">
+                  {c.done}/{c.total} • {c.pct}%
+                </span>
+                <span className={cx("rounded-full px-2 py-1 text-xs ring-1", p.paid ? "bg-emerald-500/20 ring-emerald-400/40" : "bg-rose-500/20 ring-rose-400/40")}>
+                  {p.paid ? "paid" : "unpaid"}
+                </span>
+              </div>
+            </div>
+            <ul className="space-y-2">
+              {tasksFor(p, tasks).map((t) => {
+                const done = !!p.tasks[t.id];
+                return (
+                  <li key={t.id} className="rounded-xl bg-black/20 px-3 py-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="truncate">
+                        {t.title}
+                        {t.person_id && <span className="ml-2 rounded bg-indigo-500/30 px-1.5 py-0.5 text-[10px] uppercase">just {p.name}</span>}
+                      </span>
+                      <div className="flex items-center gap-1">
+                        {t.person_id && canManage(me, t.person_id) && (
+                          <button onClick={() => onRemoveTask(t.id)} title="Delete task" className="rounded-lg p-1 text-white/60 hover:text-rose-300">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => toggleTask(p.id, t.id)}
+                          disabled={!canEditPerson(me, p.id, "tasks")}
+                          className={cx("rounded-lg px-3 py-1 text-sm disabled:cursor-not-allowed", done ? "bg-emerald-500/30 ring-1 ring-emerald-400/40" : "bg-white/10 ring-1 ring-white/20")}
+                        >
+                          {done ? "Done" : "Todo"}
+                        </button>
+                      </div>
+                    </div>
+                    {(t.due_date || t.description) && (
+                      <div className="mt-1 text-xs text-white/70">
+                        {t.due_date && (
+                          <span className={cx(isOverdue(t, done) && "font-semibold text-rose-300")}>due {new Date(t.due_date).toLocaleDateString()}</span>
+                        )}
+                        {t.due_date && t.description && " • "}
+                        {t.description}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {claimsFor(p, gear).length > 0 && (
+              <>
+                <h4 className="mt-3 mb-1 text-sm font-semibold text-white/80">Bringing for the group</h4>
+                <ul className="space-y-1">
+                  {claimsFor(p, gear).map(({ item, quantity, packed }) => (
+                    <li key={item.id} className="flex items-center justify-between gap-2 rounded-xl bg-black/20 px-3 py-1 text-sm">
+                      <span className="truncate">
+                        {quantity > 1 && `${quantity} × `}
+                        {item.name}
+                      </span>
+                      <button
+                        onClick={() => onClaimGear(item.id, p.id, { packed: !packed })}
+                        disabled={!canManage(me, p.id)}
+                        className={cx("rounded-lg px-3 py-1 disabled:cursor-not-allowed", packed ? "bg-emerald-500/30 ring-1 ring-emerald-400/40" : "bg-white/10 ring-1 ring-white/20")}
+                      >
+                        {packed ? "Packed" : "To pack"}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            {canManage(me, p.id) && (
+              <button onClick={() => onAddTask(p.id)} className="mt-2 inline-flex items-center gap-1 text-sm text-white/70 hover:text-white">
+                <Plus className="h-4 w-4" /> Task just for {p.name}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const GEAR_CATEGORIES = ["Cooking", "Camping", "Beach", "Games", "Music", "Other"];
+const GEAR_BADGES = {
+  unclaimed: "bg-rose-500/30 ring-rose-400/40",
+  short: "bg-amber-500/30 ring-amber-400/40",
+  over: "bg-fuchsia-500/30 ring-fuchsia-400/40",
+  covered: "bg-emerald-500/20 ring-emerald-400/40",
+};
+
+// things the group brings once; anyone can add items and claim part of one
+function SharedGear({ me, people, gear, onAdd, onUpdate, onRemove, onClaim }) {
+  const blank = { name: "", category: "", quantity: 1 };
+  const [form, setForm] = useState(blank);
+  const [error, setError] = useState("");
+  const problems = gear.filter((g) => gearStatus(g).status !== "covered").length;
+
+  const submit = () => {
+    setError("");
+    onAdd({ ...form, quantity: Number(form.quantity) || 1 })
+      .then(() => setForm(blank))
+      .catch((e) => setError(e.status ? e.message : "Could not reach the server. The shared list needs a connection."));
+  };
+
+  const badge = ({ status, claimed, missing, extra }) =>
+    status === "unclaimed" ? "unclaimed" : status === "short" ? `needs ${missing} more` : status === "over" ? `${extra} too many` : claimed === 1 ? "covered" : `${claimed} coming`;
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+      <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+        <h3 className="flex items-center gap-2 text-lg font-semibold">
+          <Package className="h-5 w-5" /> Shared gear
+        </h3>
+        {gear.length > 0 && <span className="text-sm text-white/70">{problems ? `${problems} item${problems === 1 ? "" : "s"} need attention` : "Everything is covered"}</span>}
+      </div>
+      <div className="mb-3 flex flex-wrap items-center gap-2 text-sm">
+        <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="grill, speaker, cooler…" className="min-w-0 flex-1 rounded-lg bg-black/30 px-2 py-1" />
+        <input type="number" min="1" max="99" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} title="How many" className="w-16 rounded-lg bg-black/30 px-2 py-1" />
+        <input value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} list="gear-categories" placeholder="category" className="w-32 rounded-lg bg-black/30 px-2 py-1" />
+        <datalist id="gear-categories">
+          {GEAR_CATEGORIES.map((c) => (
+            <option key={c} value={c} />
+          ))}
+        </datalist>
+        <button onClick={submit} className="inline-flex items-center gap-1 rounded-lg bg-emerald-500/30 px-3 py-1 ring-1 ring-emerald-400/40">
+          <Plus className="h-4 w-4" /> Add item
+        </button>
+      </div>
+      {error && <p className="mb-2 text-sm text-rose-300">{error}</p>}
+      <div className="grid gap-3 md:grid-cols-2">
+        {groupBy(gear, (g) => g.category || "Other").map(([category, items]) => (
+          <div key={category}>
+            <h4 className="mb-1 text-sm font-semibold text-white/80">{category}</h4>
+            <ul className="space-y-1">
+              {items.map((g) => {
+                const s = gearStatus(g);
+                const mine = me && g.claims.find((c) => c.person_id === me.id);
+                const editable = canManage(me, g.created_by);
+                return (
+                  <li key={g.id} className="rounded-xl bg-black/20 px-3 py-2 text-sm">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <span className="flex min-w-0 items-center gap-2">
+                        {editable ? (
+                          <input value={g.name} onChange={(e) => onUpdate(g.id, "name", e.target.value)} className="w-32 rounded-lg bg-black/30 px-2 py-0.5 font-semibold" />
+                        ) : (
+                          <span className="truncate font-semibold">{g.name}</span>
+                        )}
+                        <span className={cx("shrink-0 rounded-full px-2 py-0.5 text-xs ring-1", GEAR_BADGES[s.status])}>
+                          {s.claimed}/{g.quantity} • {badge(s)}
+                        </span>
+                      </span>
+                      <span className="flex items-center gap-1">
+                        {editable && (
+                          <input
+                            type="number"
+                            min="1"
+                            max="99"
+                            value={g.quantity}
+                            onChange={(e) => onUpdate(g.id, "quantity", Math.max(1, Math.round(Number(e.target.value) || 1)))}
+                            title="How many the group needs"
+                            className="w-14 rounded-lg bg-black/30 px-2 py-0.5"
+                          />
+                        )}
+                        {me &&
+                          (mine ? (
+                            <button onClick={() => onClaim(g.id, me.id, null)} className="rounded-lg bg-white/10 px-2 py-0.5 ring-1 ring-white/20">
+                              Unclaim
+                            </button>
+                          ) : (
+                            <button onClick={() => onClaim(g.id, me.id, { quantity: Math.max(1, s.missing) })} className="rounded-lg bg-indigo-500/30 px-2 py-0.5 ring-1 ring-indigo-400/40">
+                              I'll bring {s.missing > 1 ? s.missing : "it"}
+                            </button>
+                          ))}
+                        {editable && (
+                          <button onClick={() => onRemove(g.id)} title="Remove item" className="rounded-lg p-1 text-white/60 hover:text-rose-300">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    {g.claims.length > 0 && (
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {g.claims.map((c) => (
+                          <span key={c.person_id} className={cx("inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs", c.packed ? "bg-emerald-500/20" : "bg-white/10")}>
+                            {c.packed && <Check className="h-3 w-3" />}
+                            {nameOf(people, c.person_id)}
+                            {c.person_id === me?.id ? (
+                              <input
+                                type="number"
+                                min="1"
+                                max="99"
+                                value={c.quantity}
+                                onChange={(e) => onClaim(g.id, me.id, { quantity: Math.max(1, Math.round(Number(e.target.value) || 1)) })}
+                                title="How many you bring"
+                                className="w-10 rounded bg-black/30 px-1"
+                              />
+                            ) : (
+                              c.quantity > 1 && ` × ${c.quantity}`
+                            )}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+      {gear.length === 0 && <p className="text-sm text-white/70">Add the things only one person needs to bring, then claim them.</p>}
     </div>
   );
 }
 
-function SettingsTab({ state, setState }) {
+function TaskEditor({ task, onUpdate, onRemove, onUp, onDown }) {
+  const iconBtn = "rounded-lg p-1 text-white/70 hover:text-white disabled:opacity-30";
+  return (
+    <li className="flex flex-wrap items-center gap-2 rounded-xl bg-black/20 px-3 py-2">
+      <div className="flex flex-col">
+        <button onClick={onUp} disabled={!onUp} title="Move up" className={iconBtn}>
+          <ArrowUp className="h-3 w-3" />
+        </button>
+        <button onClick={onDown} disabled={!onDown} title="Move down" className={iconBtn}>
+          <ArrowDown className="h-3 w-3" />
+        </button>
+      </div>
+      <input value={task.title} onChange={(e) => onUpdate(task.id, "title", e.target.value)} className="w-40 rounded-lg bg-black/30 px-2 py-1 font-semibold" />
+      <label className="flex items-center gap-1 text-xs text-white/70">
+        Due
+        <input type="date" value={task.due_date} onChange={(e) => onUpdate(task.id, "due_date", e.target.value)} className="rounded-lg bg-black/30 px-2 py-1 text-sm text-white" />
+      </label>
+      <input
+        value={task.description}
+        onChange={(e) => onUpdate(task.id, "description", e.target.value)}
+        placeholder="description (optional)"
+        className="min-w-0 flex-1 rounded-lg bg-black/30 px-2 py-1 text-sm"
+      />
+      <button onClick={() => onRemove(task.id)} title="Delete task" className={cx(iconBtn, "hover:text-rose-300")}>
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </li>
+  );
+}
+
+function SettingsTab({ state, onUpdateTrip, onChangeCurrency, onSaveRates, organizer, inviteLink, onRotateInvite, calendarLink, onRotateCalendarLink, shareLinks, reminders }) {
   return (
     <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+      {organizer && (
+        <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+          <h3 className="mb-2 text-lg font-semibold">Invite link</h3>
+          <p className="text-sm text-white/80">Send this to friends. They pick their name from the roster and can then update their own ETA, transport, tasks and notes.</p>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <input readOnly value={inviteLink} onFocus={(e) => e.target.select()} className="min-w-0 flex-1 rounded-xl bg-black/30 px-3 py-2 text-sm" />
+            <button onClick={() => navigator.clipboard.writeText(inviteLink)} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20">
+              <Copy className="h-4 w-4" /> Copy
+            </button>
+            <button onClick={onRotateInvite} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20">
+              <RefreshCw className="h-4 w-4" /> New link
+            </button>
+          </div>
+        </div>
+      )}
+      {calendarLink && (
+        <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+          <h3 className="mb-2 text-lg font-semibold">Calendar feed</h3>
+          <p className="text-sm text-white/80">
+            Subscribe to this link in Google Calendar, Apple Calendar or Outlook to see the trip start, everyone's arrival and task due dates. Changes show up on the
+            calendar's next refresh. Anyone with the link can see these times.
+          </p>
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <input readOnly value={calendarLink} onFocus={(e) => e.target.select()} className="min-w-0 flex-1 rounded-xl bg-black/30 px-3 py-2 text-sm" />
+            <button onClick={() => navigator.clipboard.writeText(calendarLink)} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20">
+              <Copy className="h-4 w-4" /> Copy
+            </button>
+            <a href={calendarLink.replace(/^https?:/, "webcal:")} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20">
+              <CalendarDays className="h-4 w-4" /> Subscribe
+            </a>
+            {organizer && (
+              <button onClick={onRotateCalendarLink} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20">
+                <RefreshCw className="h-4 w-4" /> New link
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      {shareLinks && <ShareLinksCard {...shareLinks} />}
+      {reminders && <RemindersCard {...reminders} />}
       <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
         <h3 className="mb-2 text-lg font-semibold">Budget</h3>
         <label className="text-sm text-white/80">Budget per person</label>
         <div className="mt-1 flex items-center gap-2">
-          <span>$</span>
           <input
             type="number"
             value={state.budgetPerPerson}
-            onChange={(e) => setState((s) => ({ ...s, budgetPerPerson: Number(e.target.value) }))}
-            className="w-32 rounded-xl bg-black/30 px-3 py-2"
+            onChange={(e) => onUpdateTrip("budgetPerPerson", Number(e.target.value))}
+            disabled={!organizer}
+            className="w-32 rounded-xl bg-black/30 px-3 py-2 disabled:opacity-60"
           />
+          <span>{state.currency || "USD"}</span>
         </div>
       </div>
+      <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+        <h3 className="mb-2 text-lg font-semibold">Trip notes</h3>
+        <textarea
+          value={state.notes || ""}
+          onChange={(e) => onUpdateTrip("notes", e.target.value)}
+          disabled={!organizer}
+          rows={4}
+          placeholder="Door codes, house rules, what the group decided…"
+          className="w-full rounded-xl bg-black/30 px-3 py-2 text-sm disabled:opacity-60"
+        />
+        <p className="mt-1 text-xs text-white/70">Shown on the Overview. Poll results can be added here from the Polls tab.</p>
+      </div>
+      <RatesCard currency={state.currency || "USD"} rates={state.rates || { rates: {}, updated_at: null }} organizer={organizer} onChangeCurrency={onChangeCurrency} onSave={onSaveRates} />
       <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
         <h3 className="mb-2 text-lg font-semibold">Reset</h3>
         <button
@@ -716,8 +4437,303 @@ function SettingsTab({ state, setState }) {
         >
           Reset app
         </button>
-        <p className="mt-2 text-sm text-white/80">This clears saved data and reloads the page.</p>
+        <p className="mt-2 text-sm text-white/80">This clears saved data and reloads the page. You'll need an invite link to get back into your trips.</p>
+      </div>
+    </div>
+  );
+}
+
+const COMMON_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "CHF", "JPY", "MXN"];
+
+// the trip currency and the rate table. Rates are edited as a draft and saved together;
+// a JSON or CSV file refreshes the ones already in the table, so it works without internet.
+function RatesCard({ currency, rates, organizer, onChangeCurrency, onSave }) {
+  const [draft, setDraft] = useState(rates.rates);
+  const [adding, setAdding] = useState({ code: "", rate: "" });
+  const [message, setMessage] = useState("");
+  const fileInput = useRef(null);
+  useEffect(() => setDraft(rates.rates), [rates]);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(rates.rates);
+  const codes = [...new Set([currency, ...COMMON_CURRENCIES, ...Object.keys(rates.rates)])];
+
+  const add = () => {
+    const code = adding.code.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code) || code === currency || !(Number(adding.rate) > 0)) return setMessage("Enter a three-letter code and a rate above 0.");
+    setDraft({ ...draft, [code]: Number(adding.rate) });
+    setAdding({ code: "", rate: "" });
+    setMessage("");
+  };
+
+  const remove = (code) => {
+    const { [code]: _removed, ...rest } = draft;
+    setDraft(rest);
+  };
+
+  const save = () =>
+    onSave(draft)
+      .then(() => setMessage("Rates saved."))
+      .catch((e) => setMessage(e.status ? e.message : "Could not reach the server to save the rates."));
+
+  const importFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseRatesFile(reader.result, currency);
+      if (parsed.error) return setMessage(parsed.error);
+      const known = Object.keys(draft);
+      if (!known.length) return setMessage("Add the currencies you use first, then import a file to refresh their rates.");
+      const found = known.filter((c) => c in parsed.rates);
+      const missing = known.filter((c) => !(c in parsed.rates));
+      setDraft({ ...draft, ...Object.fromEntries(found.map((c) => [c, parsed.rates[c]])) });
+      setMessage(`${found.length ? `Updated ${found.join(", ")} from ${file.name}. Save to keep them.` : `${file.name} has none of these currencies.`}${missing.length ? ` Not in the file: ${missing.join(", ")}.` : ""}`);
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/10 p-4">
+      <h3 className="mb-2 text-lg font-semibold">Currency</h3>
+      <label className="text-sm text-white/80">
+        Trip currency
+        <select value={currency} onChange={(e) => onChangeCurrency(e.target.value)} disabled={!organizer} className="ml-2 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60">
+          {codes.map((c) => (
+            <option key={c}>{c}</option>
+          ))}
+        </select>
+      </label>
+      <p className="mt-1 text-xs text-white/70">Budgets, totals and balances are shown in this currency. Payments and expenses can be in any currency below.</p>
+      <ul className="mt-3 space-y-1">
+        {Object.entries(draft).map(([code, rate]) => (
+          <li key={code} className="flex items-center gap-2 rounded-xl bg-black/20 px-3 py-1 text-sm">
+            <span className="text-white/70">1 {currency} =</span>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={rate}
+              onChange={(e) => setDraft({ ...draft, [code]: e.target.value === "" ? "" : Number(e.target.value) })}
+              disabled={!organizer}
+              className="w-28 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60"
+            />
+            <span className="font-semibold">{code}</span>
+            {organizer && (
+              <button onClick={() => remove(code)} title={`Remove ${code}`} className="ml-auto rounded-lg p-1 text-white/60 hover:text-rose-300">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </li>
+        ))}
+        {Object.keys(draft).length === 0 && <li className="text-sm text-white/70">Everything is in {currency}.</li>}
+      </ul>
+      {organizer && (
+        <>
+          <div className="mt-2 flex items-center gap-2 text-sm">
+            <input value={adding.code} onChange={(e) => setAdding({ ...adding, code: e.target.value })} placeholder="EUR" maxLength={3} className="w-16 rounded-lg bg-black/30 px-2 py-1 uppercase" />
+            <input type="number" min="0" step="any" value={adding.rate} onChange={(e) => setAdding({ ...adding, rate: e.target.value })} placeholder={`per 1 ${currency}`} className="w-28 rounded-lg bg-black/30 px-2 py-1" />
+            <button onClick={add} className="inline-flex items-center gap-1 rounded-lg bg-white/10 px-2 py-1 ring-1 ring-white/20">
+              <Plus className="h-4 w-4" /> Add
+            </button>
+          </div>
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <button onClick={save} disabled={!dirty} className="rounded-xl bg-emerald-500/30 px-3 py-1 text-sm ring-1 ring-emerald-400/40 disabled:opacity-40">
+              Save rates
+            </button>
+            <button onClick={() => fileInput.current?.click()} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-1 text-sm ring-1 ring-white/20">
+              <Upload className="h-4 w-4" /> Refresh from file
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".json,.csv,.txt,application/json,text/csv"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) importFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </div>
+        </>
+      )}
+      {message && <p className="mt-2 text-sm text-white/80">{message}</p>}
+      {rates.updated_at && <p className="mt-2 text-xs text-white/60">Last changed {parseServerTime(rates.updated_at).toLocaleString()}</p>}
+    </div>
+  );
+}
+
+const SHARE_EXPIRY = [
+  ["1", "1 day"],
+  ["7", "1 week"],
+  ["30", "30 days"],
+  ["", "never"],
+];
+
+// read-only links for people outside the trip: what each hides, how long it works, and a way to turn it off
+function ShareLinksCard({ links, me, url, onCreate, onRevoke }) {
+  const [form, setForm] = useState({ hide_amounts: true, hide_notes: true, days: "30" });
+  const [error, setError] = useState("");
+  // members' links always hide amounts and notes
+  const organizer = canOrganize(me);
+  const set = (fields) => setForm((f) => ({ ...f, ...fields }));
+  const create = () => {
+    const { days, ...options } = form;
+    onCreate({ ...options, expires_at: days ? new Date(Date.now() + days * 864e5).toISOString() : "" })
+      .then((link) => navigator.clipboard.writeText(url(link)))
+      .then(() => setError(""))
+      .catch((e) => setError(e.message));
+  };
+  const statusClass = { active: "bg-emerald-500/20 text-emerald-200", expired: "bg-white/10 text-white/60", revoked: "bg-rose-500/20 text-rose-200" };
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+      <h3 className="mb-2 text-lg font-semibold">Share links</h3>
+      <p className="text-sm text-white/80">
+        A read-only page with the trip's date, arrivals, checklist progress and photos, for people who aren't on the roster. Nobody can change anything through it,
+        and it never shows emails or sign-in links.
+      </p>
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2" title={organizer ? undefined : "Only organizers can share amounts and notes"}>
+          <input type="checkbox" checked={form.hide_amounts} disabled={!organizer} onChange={(e) => set({ hide_amounts: e.target.checked })} /> Hide amounts
+        </label>
+        <label className="flex items-center gap-2" title={organizer ? undefined : "Only organizers can share amounts and notes"}>
+          <input type="checkbox" checked={form.hide_notes} disabled={!organizer} onChange={(e) => set({ hide_notes: e.target.checked })} /> Hide notes
+        </label>
+        <label className="flex items-center gap-2">
+          Works for
+          <select value={form.days} onChange={(e) => set({ days: e.target.value })} className="rounded-lg bg-black/30 px-2 py-1">
+            {SHARE_EXPIRY.map(([days, label]) => (
+              <option key={label} value={days}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={create} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 ring-1 ring-white/20">
+          <Share2 className="h-4 w-4" /> Make &amp; copy link
+        </button>
       </div>
+      <ul className="mt-3 max-h-64 space-y-1 overflow-y-auto">
+        {links.map((link) => {
+          const status = shareLinkStatus(link);
+          const hides = [link.hide_amounts && "amounts", link.hide_notes && "notes"].filter(Boolean).join(" and ");
+          return (
+            <li key={link.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl bg-black/20 px-3 py-2 text-sm">
+              <span className="min-w-0">
+                <span className={cx("mr-2 rounded-full px-2 py-0.5 text-xs", statusClass[status])}>{status}</span>
+                {hides ? `hides ${hides}` : "shows everything"} • {link.creator || "someone"}
+                <span className="text-white/60">
+                  {" "}
+                  • {link.expires_at ? `${status === "expired" ? "expired" : "until"} ${new Date(link.expires_at).toLocaleString()}` : "no expiry"}
+                </span>
+              </span>
+              {status === "active" && (
+                <span className="flex gap-2">
+                  <button onClick={() => navigator.clipboard.writeText(url(link))} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-2 py-1 ring-1 ring-white/20">
+                    <Copy className="h-4 w-4" /> Copy
+                  </button>
+                  {canManage(me, link.person_id) && (
+                    <button onClick={() => onRevoke(link)} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-2 py-1 ring-1 ring-white/20">
+                      <X className="h-4 w-4" /> Turn off
+                    </button>
+                  )}
+                </span>
+              )}
+            </li>
+          );
+        })}
+        {links.length === 0 && <li className="text-sm text-white/70">No share links yet.</li>}
+      </ul>
+      {error && <p className="mt-2 text-sm text-amber-300">{error}</p>}
+    </div>
+  );
+}
+
+// rule settings and the record of every reminder and nudge sent in the trip
+function RemindersCard({ load, save, run, version }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const refresh = () =>
+    load()
+      .then((d) => {
+        setData(d);
+        setError("");
+      })
+      .catch((e) => setError(e.status ? e.message : "Reminders need a connection to the server."));
+
+  useEffect(() => {
+    refresh();
+  }, [version]);
+
+  const debounce = useDebounced();
+  const update = (rule, fields) => {
+    const { enabled, amount } = { ...data.rules[rule], ...fields };
+    setData((d) => ({ ...d, rules: { ...d.rules, [rule]: { ...d.rules[rule], enabled, amount } } }));
+    debounce(rule, () =>
+      save(rule, { enabled, amount })
+        .then(() => setError(""))
+        .catch((e) => setError(e.message))
+    );
+  };
+  const checkNow = () =>
+    run()
+      .then((sent) => {
+        setError(sent.length ? "" : "Nothing is due right now.");
+        return refresh();
+      })
+      .catch((e) => setError(e.message));
+  const deliveryText = (d) => `${d.channel} ${d.status}${d.status === "sent" || !d.detail ? "" : ` (${d.detail})`}`;
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/10 p-4 md:col-span-2">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold">Reminders</h3>
+        <button onClick={checkNow} className="inline-flex items-center gap-1 rounded-xl bg-white/10 px-3 py-2 text-sm ring-1 ring-white/20">
+          <Bell className="h-4 w-4" /> Check now
+        </button>
+      </div>
+      <p className="text-sm text-white/80">
+        The server checks these rules every few minutes and sends each reminder once to the person's inbox
+        {data?.notifiers.includes("email") ? " and email" : ""}.
+      </p>
+      {data && (
+        <>
+          <div className="mt-3 space-y-2">
+            {Object.entries(data.rules).map(([rule, r]) => (
+              <label key={rule} className="flex flex-wrap items-center gap-2 text-sm">
+                <input type="checkbox" checked={r.enabled} onChange={(e) => update(rule, { enabled: e.target.checked })} />
+                <span className="w-36 font-semibold">{r.label}</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={r.amount}
+                  onChange={(e) => update(rule, { amount: Number(e.target.value) })}
+                  disabled={!r.enabled}
+                  className="w-20 rounded-lg bg-black/30 px-2 py-1 disabled:opacity-60"
+                />
+                <span className="text-white/70">
+                  {r.unit} before {r.before === "trip" ? "the trip" : "they arrive"}
+                </span>
+              </label>
+            ))}
+          </div>
+          <p className="mt-4 text-sm text-white/70">Sent</p>
+          <ul className="mt-1 max-h-64 space-y-1 overflow-y-auto">
+            {data.sent.map((n) => (
+              <li key={n.id} className="rounded-xl bg-black/20 px-3 py-2 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="min-w-0 truncate">
+                    <span className="font-semibold">{n.person_name}</span> • {n.kind === "nudge" ? `nudge from ${n.sender_name}` : REMINDER_LABELS[n.rule] ?? n.rule}
+                  </span>
+                  <span className="shrink-0 text-xs text-white/60">{parseServerTime(n.created_at).toLocaleString()}</span>
+                </div>
+                <div className={cx("text-xs", n.status === "failed" ? "text-rose-300" : "text-white/60")}>
+                  {n.status === "queued" ? "sending…" : n.deliveries.map(deliveryText).join(" • ")}
+                </div>
+              </li>
+            ))}
+            {data.sent.length === 0 && <li className="text-sm text-white/70">Nothing sent yet.</li>}
+          </ul>
+        </>
+      )}
+      {error && <p className="mt-2 text-sm text-amber-300">{error}</p>}
     </div>
   );
 }
@@ -794,15 +4810,33 @@ function runSelfTests() {
   const groups = Object.fromEntries(gb.map(([k, arr]) => [k, arr.length]));
   push("groupBy groups correctly", groups.Car === 2 && groups.Plane === 2 && groups.Bus === 1, JSON.stringify(groups));
 
-  // Test: labelizeTask
-  push("labelizeTask id -> ID/License", labelizeTask("id") === "ID/License");
-  push("labelizeTask packing -> capitalized", labelizeTask("packing") === "Packing");
+  // Test: task completion
+  const sampleTasks = [
+    { id: 1, person_id: null, title: "Packing", due_date: "" },
+    { id: 2, person_id: null, title: "ID", due_date: "2000-01-01" },
+    { id: 3, person_id: 9, title: "Speaker", due_date: "" },
+  ];
+  const dav = { id: 9, tasks: { 1: true, 3: true } };
+  const cyn = { id: 10, tasks: { 2: true } };
+  push("tasksFor includes personal tasks only for their owner", tasksFor(dav, sampleTasks).length === 3 && tasksFor(cyn, sampleTasks).length === 2);
+  push("personCompletion counts done tasks", personCompletion(dav, sampleTasks).pct === 67, JSON.stringify(personCompletion(dav, sampleTasks)));
+  push("taskCompletion only counts assignees", taskCompletion(sampleTasks[2], [dav, cyn]).total === 1);
+  push("tripCompletion sums every person's tasks", tripCompletion([dav, cyn], sampleTasks).done === 3 && tripCompletion([dav, cyn], sampleTasks).total === 5);
+  push("isOverdue flags past due dates that are not done", isOverdue(sampleTasks[1], false) && !isOverdue(sampleTasks[1], true) && !isOverdue(sampleTasks[0], false));
 
   // Test: makeUnsplash
   const urls = makeUnsplash("unit-test-theme");
   push("makeUnsplash returns 12", urls.length === 12);
   push("makeUnsplash looks like Unsplash URLs", urls.every((u) => u.includes("images.unsplash.com")));
 
+  // Test: money helpers
+  push("formatMoney drops .00 and keeps cents", formatMoney(150) === "150" && formatMoney(46.666) === "46.67", `${formatMoney(150)} / ${formatMoney(46.666)}`);
+  push("nameOf falls back for unknown ids", nameOf([{ id: 1, name: "Dav" }], 1) === "Dav" && nameOf([], 2) === "Someone");
+
+  // Test: parseServerTime
+  push("parseServerTime treats SQLite timestamps as UTC", parseServerTime("2025-08-12 17:30:00").toISOString() === "2025-08-12T17:30:00.000Z");
+  push("parseServerTime keeps explicit zones", parseServerTime("2025-08-12T17:30:00+02:00").toISOString() === "2025-08-12T15:30:00.000Z");
+
   // Test: safeUUID uniqueness
   const u1 = safeUUID();
   const u2 = safeUUID();
@@ -822,10 +4856,233 @@ function runSelfTests() {
   const toggledTasks = { ...tasks, packing: !tasks.packing };
   push("toggleTask flips boolean", toggledTasks.packing === true);
 
+  // Test: server <-> client trip mapping
+  const serverTrip = toServerTrip({ tripDate: "2025-01-01T10:00", galleryQuery: "x", people: [] });
+  push("toServerTrip renames tripDate", serverTrip.trip_date === "2025-01-01T10:00" && serverTrip.gallery_query === "x");
+  push("toServerTrip drops non-trip fields", !("people" in serverTrip), JSON.stringify(serverTrip));
+  push("fromServerTrip round-trips", fromServerTrip(serverTrip).tripDate === "2025-01-01T10:00");
+
+  // Test: live updates
+  const live = { people: [dav, cyn], tasks: sampleTasks, expenses: [], photos: [] };
+  const added = applyEvent(live, { type: "task.created", data: { task: { id: 4, person_id: null, title: "Snacks" } } });
+  push("applyEvent adds trip-wide tasks to everyone", added.tasks.length === 4 && added.people.every((p) => p.tasks[4] === false));
+  const removed = applyEvent(added, { type: "task.deleted", data: { id: 4 } });
+  push("applyEvent removes deleted tasks from people", removed.tasks.length === 3 && removed.people.every((p) => !(4 in p.tasks)));
+  const renamed = applyEvent(live, { type: "person.updated", data: { person: { ...cyn, name: "Cynthia" }, changes: { name: "Cynthia" } } });
+  push("applyEvent replaces updated people", renamed.people[1].name === "Cynthia" && renamed.people[0] === dav);
+  const marked = { type: "person.updated", data: { person: { ...cyn, name: "Cyn", tasks: { 1: true, 2: true } }, changes: { tasks: { 1: true } } } };
+  push("describeEvent names the person and task", describeEvent(marked, live) === "Cyn just marked Packing done", describeEvent(marked, live));
+  push("describeEvent stays quiet for reorders", describeEvent({ type: "task.reordered", data: { tasks: [] } }, live) === null);
+
+  // Test: activity feed
+  const row = { actor_id: 1, actor_name: "Alice", action: "update", entity: "person", entity_id: 10, entity_label: "Cyn" };
+  push("describeActivity reports nudges", describeActivity({ ...row, action: "create", entity: "nudge", field: null }, sampleTasks) === "Alice nudged Cyn");
+  push("describeActivity reports payment flips", describeActivity({ ...row, field: "paid", old_value: true, new_value: false }, sampleTasks) === "Alice marked Cyn unpaid");
+  push(
+    "describeActivity names ticked tasks",
+    describeActivity({ ...row, actor_id: 10, actor_name: "Cyn", field: "tasks.1", old_value: false, new_value: true }, sampleTasks) === "Cyn ticked off Packing"
+  );
+  push(
+    "describeActivity shows old and new values",
+    describeActivity({ ...row, entity: "trip", entity_label: "Beach", field: "budget_per_person", old_value: 150, new_value: 200 }, sampleTasks) ===
+      'Alice changed the budget per person of the trip from "150" to "200"'
+  );
+
+  // Test: trip files
+  const legacyState = { title: "Beach", location: "OBX", tripDate: "2025-08-12T20:00", budgetPerPerson: 150, people: [{ id: "a", name: "Dav", transport: "Car", tasks: { packing: true } }] };
+  const migrated = readTripFile(JSON.stringify(legacyState));
+  push("readTripFile migrates unversioned app state", migrated.file?.version === TRIP_FILE_VERSION && migrated.file.trip.title === "Beach" && migrated.file.tasks.length === 3);
+  const bad = readTripFile(JSON.stringify({ ...legacyState, people: [{ name: "", transport: "Boat" }] }));
+  push(
+    "readTripFile reports field-level errors",
+    bad.errors?.some((e) => e.path === "people[0].name") && bad.errors.some((e) => e.path === "people[0].transport"),
+    JSON.stringify(bad.errors)
+  );
+  push("readTripFile rejects files from newer versions", readTripFile(JSON.stringify({ version: 99 })).errors?.[0].path === "version");
+  const here = { trip: { title: "Beach" }, people: [{ id: 7, name: "dav", transport: "Car", tasks: { 1: false } }], tasks: [{ id: 1, title: "Packing", person_id: null }] };
+  const merge = planImport(here, { ...migrated.file, people: [...migrated.file.people, { name: "Cyn" }] }, "merge");
+  push(
+    "planImport matches by name and carries ticks by title",
+    merge.people[0].status === "update" && merge.people[0].id === 7 && merge.people[0].ticks.Packing === true && merge.people[1].status === "add",
+    JSON.stringify(merge.people)
+  );
+  push("planImport only removes people in replace mode", planImport(here, { ...migrated.file, people: [] }, "replace").people[0]?.status === "remove" && merge.people.length === 2);
+  const withExpenses = {
+    ...migrated.file,
+    people: [...migrated.file.people, { id: "b", name: "Cyn" }],
+    expenses: [
+      { payer_id: "a", description: "Gas", amount: 40, currency: "USD", split_mode: "equal", participants: [{ person_id: "a", share: 1 }, { person_id: "b", share: 1 }] },
+      { payer_id: "b", description: "Snacks", amount: 12, participants: [{ person_id: "b" }] },
+    ],
+  };
+  const hereWithGas = { ...here, expenses: [{ id: 3, payer_id: 7, description: "Gas", amount: 40, currency: "USD", split_mode: "equal", participants: [] }] };
+  const mergedExpenses = planImport(hereWithGas, withExpenses, "merge");
+  const replacedExpenses = planImport(hereWithGas, withExpenses, "replace");
+  push(
+    "planImport names expense payers and participants and skips expenses the trip has",
+    mergedExpenses.expenses.length === 1 && mergedExpenses.expenses[0].payer === "Cyn" && mergedExpenses.expenses[0].participants[0].person === "Cyn" && mergedExpenses.removedExpenses === 0 &&
+      replacedExpenses.expenses.length === 2 && replacedExpenses.expenses[0].participants.map((p) => p.person).join() === "Dav,Cyn" && replacedExpenses.removedExpenses === 1,
+    JSON.stringify([mergedExpenses.expenses, replacedExpenses.expenses])
+  );
+  const stray = readTripFile(JSON.stringify({ ...withExpenses, expenses: [{ payer_id: "z", amount: 5, participants: [{ person_id: "a" }, { person_id: "q" }] }] }));
+  push(
+    "readTripFile rejects expenses for people not in the file",
+    stray.errors?.map((e) => e.path).join() === "expenses[0].payer_id,expenses[0].participants[1].person_id",
+    JSON.stringify(stray.errors)
+  );
+
+  // Test: polls
+  const bonfire = { kind: "date", closed: false, closes_at: "2025-08-13T18:00", voters: 3, options: [{ id: 1, label: "2025-08-13", votes: 3, voter_ids: [1, 2, 3] }, { id: 2, label: "2025-08-14", votes: 3, voter_ids: [1, 2, 4] }, { id: 3, label: "2025-08-15", votes: 1, voter_ids: [4] }] };
+  const results = pollResults(bonfire);
+  push("pollResults finds every leading option on a tie", results.winners.map((w) => w.id).join() === "1,2" && results.options[2].share === 1 / 3 && pollResults({ ...bonfire, voters: 0, options: [{ id: 1, votes: 0 }] }).winners.length === 0);
+  push(
+    "pollIsClosed follows the deadline and the closed flag",
+    !pollIsClosed(bonfire, new Date("2025-08-13T17:59").getTime()) && pollIsClosed(bonfire, new Date("2025-08-13T18:00").getTime()) && pollIsClosed({ ...bonfire, closes_at: "", closed: true })
+  );
+  push("myVotes falls back to voter ids, never for anonymous polls", myVotes(bonfire, { id: 4 }).join() === "2,3" && myVotes({ ...bonfire, anonymous: true }, { id: 4 }).length === 0 && myVotes({ ...bonfire, mine: [1] }, { id: 4 }).join() === "1");
+
+  // Test: rooms
+  const sleepersCrew = [
+    { id: 1, name: "Ann", role: "lady" },
+    { id: 2, name: "Bea", role: "lady" },
+    { id: 3, name: "Cal", role: "boy" },
+    { id: 4, name: "Dan", role: "boy" },
+  ];
+  const house = {
+    rooms: [
+      { id: 1, name: "Loft", beds: [{ id: 10, label: "Double", capacity: 2 }] },
+      { id: 2, name: "Bunk room", beds: [{ id: 20, label: "Top", capacity: 1 }, { id: 21, label: "Bottom", capacity: 1 }] },
+    ],
+    sleepers: [],
+    rules: [
+      { id: 1, kind: "together", person_ids: [1, 2] },
+      { id: 2, kind: "apart", person_ids: [3, 4] },
+    ],
+  };
+  const suggested = suggestRooms(sleepersCrew, house, "role");
+  push(
+    "suggestRooms keeps pairs in one bed and apart pairs in different rooms",
+    suggested[1] === 10 && suggested[2] === 10 && [20, 21].includes(suggested[3]) && !(4 in suggested),
+    JSON.stringify(suggested)
+  );
+  push("suggestRooms leaves kept beds alone", suggestRooms(sleepersCrew, { ...house, sleepers: [{ person_id: 4, bed_id: 20 }] }, "role")[4] === 20);
+  const messy = { ...house, sleepers: [{ person_id: 1, bed_id: 10 }, { person_id: 2, bed_id: 20 }, { person_id: 3, bed_id: 21 }, { person_id: 4, bed_id: 10 }] };
+  const roomWarns = roomWarnings(sleepersCrew, messy, "role").map((w) => w.message);
+  push(
+    "roomWarnings flags broken rules and mixed rooms",
+    roomWarns.length === 3 &&
+      roomWarns.some((m) => m.startsWith("Ann and Bea should share")) &&
+      roomWarns.some((m) => m.startsWith("Loft mixes")) &&
+      roomWarnings(sleepersCrew, { ...house, sleepers: [{ person_id: 3, bed_id: 10 }, { person_id: 4, bed_id: 10 }] })[0]?.message === "Cal and Dan should sleep apart but are both in Loft" &&
+      roomOccupancy(sleepersCrew, house).unassigned.length === 4,
+    JSON.stringify(roomWarns)
+  );
+
+  // Test: logistics
+  const crew = [
+    { id: 1, name: "Dav", transport: "Car", eta: "2025-08-12T18:00" },
+    { id: 2, name: "Cyn", transport: "Plane", eta: "2025-08-12T14:45" },
+    { id: 3, name: "Rishabh", transport: "Plane", eta: "2025-08-12T15:00" },
+    { id: 4, name: "Fafe", transport: "Train", eta: "2025-08-12T19:30" },
+    { id: 5, name: "Memers", transport: "Bus", eta: "" },
+  ];
+  const { windows, unscheduled } = pickupWindows(crew);
+  push(
+    "pickupWindows groups arrivals per transport and hour",
+    windows.length === 2 && windows[0].people.map((p) => p.name).join() === "Cyn,Rishabh" && unscheduled[0]?.name === "Memers",
+    JSON.stringify(windows)
+  );
+  const plan = { drivers: [{ person_id: 1, seats: 1, departs_from: "Boston", departs_at: "2025-08-12T15:00" }], rides: [{ rider_id: 2, driver_id: 1 }, { rider_id: 4, driver_id: 1 }] };
+  const warns = logisticsWarnings(crew, plan).map((w) => w.message);
+  push(
+    "logisticsWarnings flags overflow and pickups outside the drive",
+    warns.some((m) => m.includes("2 riders for 1 seat")) && warns.some((m) => m.startsWith("Cyn arrives") && m.includes("before")) && warns.some((m) => m.startsWith("Fafe") && m.includes("after")),
+    JSON.stringify(warns)
+  );
+  const morning = { drivers: [{ ...plan.drivers[0], departs_at: "2025-08-12T12:00" }], rides: [{ rider_id: 3, driver_id: 1 }, { rider_id: 2, driver_id: 1 }] };
+  const stops = driverSchedule(carpools(crew, morning)[0], "OBX").map((s) => s.text);
+  push("driverSchedule orders leaving, pickups and arriving", stops.join("|") === "Leave Boston|Pick up Cyn (Plane)|Pick up Rishabh (Plane)|Arrive at OBX", JSON.stringify(stops));
+
+  // Test: itinerary
+  const plans = [
+    { id: 1, title: "Dinner", starts_at: "2025-08-13T19:00", ends_at: "2025-08-13T21:00", rsvps: { 2: "going" } },
+    { id: 2, title: "Bonfire", starts_at: "2025-08-13T20:30", ends_at: "", rsvps: {} },
+    { id: 3, title: "Check in", starts_at: "2025-08-12T16:00", ends_at: "2025-08-12T17:00", rsvps: {} },
+    { id: 4, title: "Kayaks", starts_at: "2025-08-12T17:00", ends_at: "", rsvps: {} },
+  ];
+  const days = itineraryDays(plans, "2025-08-12T20:00");
+  push("itineraryDays numbers days from the trip date", days.map((d) => `${d.day}:${d.events.map((e) => e.id).join()}`).join("|") === "1:3,4|2:1,2", JSON.stringify(days));
+  const clashes = overlappingEvents(plans).map((pair) => pair.map((e) => e.id).join("-"));
+  push("overlappingEvents treats events without an end as an hour and back-to-back as fine", clashes.join() === "1-2", JSON.stringify(clashes));
+  push("nextEvent picks the event in progress", nextEvent(plans, new Date("2025-08-13T20:45").getTime())?.id === 1 && nextEvent(plans, new Date("2025-08-14T00:00").getTime()) === null);
+
+  // Test: shared gear
+  const cooler = { id: 1, name: "Cooler", quantity: 2, claims: [{ person_id: 1, quantity: 1, packed: true }] };
+  push("gearStatus counts claimed and packed quantities", gearStatus(cooler).status === "short" && gearStatus(cooler).missing === 1 && gearStatus(cooler).packed === 1);
+  push(
+    "gearStatus tells unclaimed from over-claimed",
+    gearStatus({ ...cooler, claims: [] }).status === "unclaimed" && gearStatus({ ...cooler, claims: [...cooler.claims, { person_id: 2, quantity: 2, packed: false }] }).extra === 1
+  );
+  push("claimsFor lists what a person brings", claimsFor({ id: 1 }, [cooler, { ...cooler, id: 2, claims: [] }]).map((c) => c.item.id).join() === "1");
+
+  // Test: currencies
+  const eurTrip = { GBP: 0.85, USD: 1.08 };
+  push("toTripCurrency converts with the trip's rates", toTripCurrency(108, "USD", "EUR", eurTrip) === 100 && toTripCurrency(5, "EUR", "EUR", eurTrip) === 5 && toTripCurrency(5, "CHF", "EUR", eurTrip) === null);
+  const fromApi = parseRatesFile(JSON.stringify({ base: "USD", rates: { EUR: 0.9, GBP: 0.75 } }), "EUR");
+  push("parseRatesFile rebases a JSON file onto the trip currency", Math.abs(fromApi.rates?.USD - 1 / 0.9) < 1e-9 && Math.abs(fromApi.rates?.GBP - 0.75 / 0.9) < 1e-9 && !("EUR" in fromApi.rates), JSON.stringify(fromApi));
+  push("parseRatesFile reads CSV and skips the header", parseRatesFile("currency,rate\nGBP,0.85\n", "EUR").rates?.GBP === 0.85 && !!parseRatesFile("GBP,0.85", "JPY").rates);
+  push("formatCurrency uses the currency's symbol", formatCurrency(150, "EUR").includes("€") && formatCurrency(150, "EUR").includes("150") && formatCurrency(3, "ZZZ").includes("3"));
+
+  // Test: offline outbox
+  const merged = mergePatch({ eta: "2025-08-12T18:00", tasks: { 1: true } }, { notes: "late", tasks: { 2: false } });
+  push("mergePatch folds a queued change into the one waiting", merged.eta === "2025-08-12T18:00" && merged.notes === "late" && merged.tasks[1] === true && merged.tasks[2] === false, JSON.stringify(merged));
+  const rows = outboxStatus([
+    { id: 1, key: "person:1", status: "queued" },
+    { id: 2, key: "person:1", status: "failed", error: "Person not found" },
+    { id: 3, key: "photo", status: "queued" },
+  ]);
+  push("outboxStatus shows a refused change over queued ones", rows["person:1"].status === "failed" && rows["person:1"].error === "Person not found" && rows["person:1"].ids.join() === "1,2" && rows.photo.status === "queued");
+
+  const crossed = conflictFields({ eta: "2025-08-12T19:00", notes: "same", tasks: { 1: true, 2: false } }, { eta: "2025-08-12T18:00", notes: "same", tasks: { 1: false, 2: false } });
+  push("conflictFields lists only the fields that differ from theirs", crossed.map((r) => r.taskId || r.field).join() === "eta,1" && crossed[1].mine === true && crossed[1].theirs === false, JSON.stringify(crossed));
+
+  // Test: field errors
+  const shown = mergeFieldErrors({ eta: "ETA must be a date", email: "bad" }, { email: "a@b.co" }, { notes: "too long" });
+  push("mergeFieldErrors clears the fields just sent and adds the new ones", shown.eta === "ETA must be a date" && !("email" in shown) && shown.notes === "too long", JSON.stringify(shown));
+
+  // Test: permissions
+  const member = { id: 9, name: "Dav", organizer: false };
+  push("members can edit their own ETA but not their payment", canEditPerson(member, 9, "eta") && !canEditPerson(member, 9, "paid"));
+  push("members can't edit other people", !canEditPerson(member, 10, "eta") && !canManage(member, 10) && canManage(member, 9));
+  push("organizers and offline mode can edit anything", canEditPerson({ id: 1, organizer: true }, 10, "paid") && canEditPerson(null, 10, "paid"));
+
+  // Test: share links
+  const soon = "2025-08-01T12:00:00Z";
+  push(
+    "share links expire and can be turned off",
+    shareLinkStatus({ expires_at: soon }, Date.parse(soon) - 1) === "active" &&
+      shareLinkStatus({ expires_at: soon }, Date.parse(soon)) === "expired" &&
+      shareLinkStatus({ expires_at: "", revoked_at: "2025-07-01 10:00:00" }) === "revoked" &&
+      shareLinkStatus({ expires_at: "" }) === "active"
+  );
+
   return out;
 }
 
 // -------------------------- utils --------------------------
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "trip";
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 function groupBy(arr, keyFn) {
   const map = new Map();
   for (const item of arr) {
@@ -835,8 +5092,617 @@ function groupBy(arr, keyFn) {
   return [...map.entries()];
 }
 
-function labelizeTask(k) {
-  return k === "id" ? "ID/License" : k.charAt(0).toUpperCase() + k.slice(1);
+// tasks that apply to a person: every trip-wide task plus their own
+function tasksFor(person, tasks) {
+  return tasks.filter((t) => !t.person_id || t.person_id === person.id);
+}
+
+function progress(done, total) {
+  return { done, total, pct: total ? Math.round((done / total) * 100) : 0 };
+}
+
+function personCompletion(person, tasks) {
+  const list = tasksFor(person, tasks);
+  return progress(list.filter((t) => person.tasks?.[t.id]).length, list.length);
+}
+
+function taskCompletion(task, people) {
+  const assignees = people.filter((p) => !task.person_id || p.id === task.person_id);
+  return progress(assignees.filter((p) => p.tasks?.[task.id]).length, assignees.length);
+}
+
+function tripCompletion(people, tasks) {
+  const parts = people.map((p) => personCompletion(p, tasks));
+  return progress(
+    parts.reduce((s, c) => s + c.done, 0),
+    parts.reduce((s, c) => s + c.total, 0)
+  );
+}
+
+// arrivals that someone has to collect; car drivers get there on their own
+const PICKUP_TRANSPORTS = ["Plane", "Train", "Bus", "Ship"];
+
+// ETAs and departure times are wall-clock "2025-08-12T17:30"; null when unset or unparsable
+function localTime(value) {
+  const t = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+// groups pickup arrivals per transport; a window runs `minutes` from its first arrival
+function pickupWindows(people, minutes = 60) {
+  const arrivals = people.filter((p) => PICKUP_TRANSPORTS.includes(p.transport));
+  const timed = arrivals.filter((p) => localTime(p.eta) !== null).sort((a, b) => localTime(a.eta) - localTime(b.eta));
+  const windows = [];
+  for (const p of timed) {
+    const at = localTime(p.eta);
+    const open = windows.find((w) => w.transport === p.transport && at - w.start <= minutes * 60000);
+    if (open) {
+      open.people.push(p);
+      open.end = at;
+    } else windows.push({ transport: p.transport, start: at, end: at, people: [p] });
+  }
+  return { windows: windows.sort((a, b) => a.start - b.start), unscheduled: arrivals.filter((p) => localTime(p.eta) === null) };
+}
+
+// each driver with their row, the person and the people riding with them
+function carpools(people, logistics) {
+  const { drivers = [], rides = [] } = logistics || {};
+  return drivers
+    .map((d) => ({
+      ...d,
+      person: people.find((p) => p.id === d.person_id),
+      riders: rides.filter((r) => r.driver_id === d.person_id).map((r) => people.find((p) => p.id === r.rider_id)).filter(Boolean),
+    }))
+    .filter((c) => c.person);
+}
+
+// seat overflows and pickups the driver can't make: before they leave, after they arrive,
+// or spread out so far that someone waits more than two pickup windows
+function logisticsWarnings(people, logistics, minutes = 60) {
+  const warnings = [];
+  const clock = (t) => new Date(t).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  for (const car of carpools(people, logistics)) {
+    const driver = car.person.name;
+    if (car.riders.length > car.seats) {
+      warnings.push({ driver_id: car.person_id, message: `${driver}'s car has ${car.riders.length} riders for ${car.seats} seat${car.seats === 1 ? "" : "s"}` });
+    }
+    const leaves = localTime(car.departs_at);
+    const arrives = localTime(car.person.eta);
+    const pickups = car.riders.filter((r) => PICKUP_TRANSPORTS.includes(r.transport));
+    for (const r of pickups) {
+      const at = localTime(r.eta);
+      if (at === null) warnings.push({ driver_id: car.person_id, rider_id: r.id, message: `${r.name} has no ETA, so ${driver} doesn't know when to pick them up` });
+      else if (leaves !== null && at < leaves) warnings.push({ driver_id: car.person_id, rider_id: r.id, message: `${r.name} arrives at ${clock(at)}, before ${driver} leaves at ${clock(leaves)}` });
+      else if (arrives !== null && at > arrives) warnings.push({ driver_id: car.person_id, rider_id: r.id, message: `${r.name} arrives at ${clock(at)}, after ${driver} gets there at ${clock(arrives)}` });
+    }
+    const times = pickups.map((r) => localTime(r.eta)).filter((t) => t !== null);
+    if (times.length > 1 && Math.max(...times) - Math.min(...times) > 2 * minutes * 60000) {
+      const hours = Math.round((Math.max(...times) - Math.min(...times)) / 360000) / 10;
+      warnings.push({ driver_id: car.person_id, message: `${driver}'s pickups are ${hours} hours apart` });
+    }
+  }
+  return warnings;
+}
+
+// a driver's day in order: leave (with riders who meet there), each pickup, arrive
+function driverSchedule(car, location = "") {
+  const meet = car.riders.filter((r) => !PICKUP_TRANSPORTS.includes(r.transport));
+  const stops = [
+    {
+      at: localTime(car.departs_at),
+      text: `Leave ${car.departs_from || "home"}${meet.length ? ` with ${meet.map((r) => r.name).join(", ")}` : ""}`,
+    },
+    ...groupBy(
+      car.riders.filter((r) => PICKUP_TRANSPORTS.includes(r.transport)),
+      (r) => `${r.eta}|${r.transport}`
+    ).map(([, rs]) => ({ at: localTime(rs[0].eta), text: `Pick up ${rs.map((r) => r.name).join(", ")} (${rs[0].transport})` })),
+    { at: localTime(car.person.eta), text: `Arrive${location ? ` at ${location}` : ""}` },
+  ];
+  // stops without a time keep their place at the start (leaving) or the end
+  const order = (s, i) => s.at ?? (i === 0 ? -Infinity : Infinity);
+  return stops.map((s, i) => ({ ...s, key: order(s, i) })).sort((a, b) => a.key - b.key).map(({ key: _key, ...s }) => s);
+}
+
+// closed by hand or past its deadline. The server checks too; this keeps an open page current.
+function pollIsClosed(poll, now = Date.now()) {
+  const deadline = localTime(poll.closes_at);
+  return !!poll.closed || (deadline !== null && deadline <= now);
+}
+
+// each option's share of the voters, and the leading options (more than one on a tie)
+function pollResults(poll) {
+  const top = Math.max(0, ...poll.options.map((o) => o.votes));
+  return {
+    options: poll.options.map((o) => ({ ...o, share: poll.voters ? o.votes / poll.voters : 0, leading: top > 0 && o.votes === top })),
+    winners: top > 0 ? poll.options.filter((o) => o.votes === top) : [],
+  };
+}
+
+// the options you voted for: `mine` from the server, or the voter ids when a live update left it out
+function myVotes(poll, me) {
+  if (poll.mine) return poll.mine;
+  if (!me || poll.anonymous) return [];
+  return poll.options.filter((o) => o.voter_ids?.includes(me.id)).map((o) => o.id);
+}
+
+// date options are stored as "2025-08-13" (or with a time) and shown as "Wed, Aug 13"
+function pollOptionLabel(poll, label) {
+  if (poll.kind !== "date") return label;
+  const day = localTime(/^\d{4}-\d{2}-\d{2}$/.test(label) ? `${label}T00:00` : label);
+  if (day === null) return label;
+  return new Date(day).toLocaleString([], { weekday: "short", month: "short", day: "numeric", ...(label.includes("T") && { hour: "numeric", minute: "2-digit" }) });
+}
+
+// each room with its beds, who sleeps in them and its total capacity, plus everyone without a bed
+function roomOccupancy(people, plan) {
+  const { rooms = [], sleepers = [] } = plan || {};
+  const bedOf = new Map(sleepers.map((s) => [s.person_id, s.bed_id]));
+  const placed = rooms.map((room) => {
+    const beds = room.beds.map((bed) => ({ ...bed, sleepers: people.filter((p) => bedOf.get(p.id) === bed.id) }));
+    return { ...room, beds, capacity: beds.reduce((s, b) => s + b.capacity, 0), sleepers: beds.flatMap((b) => b.sleepers) };
+  });
+  const bedIds = new Set(rooms.flatMap((r) => r.beds.map((b) => b.id)));
+  return { rooms: placed, unassigned: people.filter((p) => !bedIds.has(bedOf.get(p.id))) };
+}
+
+// overfull beds, broken together/apart rules and rooms that mix the grouping field.
+// A "together" pair only counts as broken once both have a bed.
+function roomWarnings(people, plan, groupBy = "") {
+  const { rooms } = roomOccupancy(people, plan);
+  const roomOf = new Map(rooms.flatMap((r) => r.sleepers.map((p) => [p.id, r])));
+  const warnings = [];
+  for (const room of rooms) {
+    for (const bed of room.beds) {
+      if (bed.sleepers.length > bed.capacity) warnings.push({ room_id: room.id, message: `${room.name}, ${bed.label} has ${bed.sleepers.length} people for ${bed.capacity}` });
+    }
+    const values = [...new Set(room.sleepers.map((p) => p[groupBy]))];
+    if (groupBy && values.length > 1) warnings.push({ room_id: room.id, message: `${room.name} mixes ${values.join(" and ")} (${groupBy})` });
+  }
+  for (const rule of plan?.rules || []) {
+    const [a, b] = rule.person_ids.map((id) => people.find((p) => p.id === id));
+    if (!a || !b) continue;
+    const [inA, inB] = [roomOf.get(a.id), roomOf.get(b.id)];
+    if (rule.kind === "together" && inA && inB && inA !== inB) {
+      warnings.push({ rule_id: rule.id, message: `${a.name} and ${b.name} should share a room but are in ${inA.name} and ${inB.name}` });
+    }
+    if (rule.kind === "apart" && inA && inA === inB) warnings.push({ rule_id: rule.id, message: `${a.name} and ${b.name} should sleep apart but are both in ${inA.name}` });
+  }
+  return warnings;
+}
+
+// a plan as { personId: bedId }. People tied by "together" rules go in as one group, biggest
+// groups first, each into the room with the least space left that still fits them, breaks no
+// "apart" rule and (with groupBy) only holds people with the same value. A group that fits
+// nowhere whole is placed one by one; whoever still doesn't fit gets no bed. With keep,
+// current beds stay as they are and only the empty ones are filled.
+function suggestRooms(people, plan, groupBy = "", keep = true) {
+  const { rooms = [], sleepers = [], rules = [] } = plan || {};
+  const free = new Map(rooms.flatMap((r) => r.beds.map((b) => [b.id, b.capacity])));
+  const roomOfBed = new Map(rooms.flatMap((r) => r.beds.map((b) => [b.id, r.id])));
+  const occupants = new Map(rooms.map((r) => [r.id, []]));
+  const assignments = {};
+  const seat = (person, bedId) => {
+    assignments[person.id] = bedId;
+    free.set(bedId, free.get(bedId) - 1);
+    occupants.get(roomOfBed.get(bedId)).push(person);
+  };
+  if (keep) {
+    for (const s of sleepers) {
+      const person = people.find((p) => p.id === s.person_id);
+      if (person && free.get(s.bed_id) > 0) seat(person, s.bed_id);
+    }
+  }
+
+  const groupOf = new Map(people.map((p) => [p.id, [p]]));
+  for (const rule of rules.filter((r) => r.kind === "together")) {
+    const [a, b] = rule.person_ids.map((id) => groupOf.get(id));
+    if (!a || !b || a === b) continue;
+    a.push(...b);
+    for (const p of b) groupOf.set(p.id, a);
+  }
+  const apart = rules.filter((r) => r.kind === "apart").map((r) => r.person_ids);
+  const clashes = (p, others) => others.some((o) => apart.some(([x, y]) => (x === p.id && y === o.id) || (x === o.id && y === p.id)));
+  const space = (room) => room.beds.reduce((s, b) => s + free.get(b.id), 0);
+  const fits = (group, room) =>
+    space(room) >= group.length &&
+    !group.some((p) => clashes(p, occupants.get(room.id))) &&
+    (!groupBy || [...group, ...occupants.get(room.id)].every((p) => p[groupBy] === group[0][groupBy]));
+  const place = (group) => {
+    const room = rooms.filter((r) => fits(group, r)).sort((a, b) => space(a) - space(b))[0];
+    if (!room) return false;
+    // group members share a bed where they can, so a couple gets the double
+    for (const p of group) {
+      const open = room.beds.filter((b) => free.get(b.id) > 0);
+      seat(p, (open.find((b) => group.some((m) => assignments[m.id] === b.id)) || open[0]).id);
+    }
+    return true;
+  };
+
+  const waiting = [...new Set(groupOf.values())]
+    .map((g) => g.filter((p) => !(p.id in assignments)))
+    .filter((g) => g.length)
+    .sort((a, b) => b.length - a.length);
+  for (const group of waiting) if (!place(group)) group.forEach((p) => place([p]));
+  return assignments;
+}
+
+// a plain page to print or pin up: each room, its beds and who sleeps in them
+function roomListHtml(title, { rooms, unassigned }) {
+  const esc = (v) => String(v).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const names = (list) => list.map((p) => esc(p.name)).join(", ") || "–";
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${esc(title)}: rooms</title>
+<style>body{font-family:system-ui,sans-serif;margin:2rem}h2{margin:1.5rem 0 .25rem}td{padding:.2rem 1.5rem .2rem 0;vertical-align:top}</style>
+</head><body><h1>${esc(title)}: who sleeps where</h1>
+${rooms
+  .map(
+    (r) =>
+      `<h2>${esc(r.name)}</h2><table>${r.beds.map((b) => `<tr><td>${esc(b.label)}${b.capacity > 1 ? ` (sleeps ${b.capacity})` : ""}</td><td>${names(b.sleepers)}</td></tr>`).join("")}</table>`
+  )
+  .join("\n")}
+${unassigned.length ? `<h2>No bed yet</h2><p>${names(unassigned)}</p>` : ""}
+</body></html>`;
+}
+
+// an itinerary event without an end (or with one before its start) is treated as an hour long
+function eventSpan(event) {
+  const start = localTime(event.starts_at);
+  const end = localTime(event.ends_at);
+  return { start, end: end !== null && end > start ? end : start + 60 * 60000 };
+}
+
+function eventWhen(event) {
+  return new Date(eventSpan(event).start).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" });
+}
+
+const byStart = (a, b) => (a.starts_at || "").localeCompare(b.starts_at || "") || a.id - b.id;
+
+// events grouped per calendar day; day is 1 on the trip date, below 1 before it and null without a trip date
+function itineraryDays(events, tripDate) {
+  const first = /^\d{4}-\d{2}-\d{2}/.exec(tripDate || "")?.[0];
+  return groupBy([...events].sort(byStart), (e) => e.starts_at.slice(0, 10)).map(([date, list]) => ({
+    date,
+    day: first ? Math.round((Date.parse(date) - Date.parse(first)) / 86400000) + 1 : null,
+    events: list,
+  }));
+}
+
+// every pair of events whose times overlap, earlier event first
+function overlappingEvents(events) {
+  const timed = events.filter((e) => localTime(e.starts_at) !== null).sort(byStart);
+  const pairs = [];
+  timed.forEach((a, i) => {
+    for (const b of timed.slice(i + 1)) {
+      const x = eventSpan(a);
+      const y = eventSpan(b);
+      if (y.start < x.end && x.start < y.end) pairs.push([a, b]);
+    }
+  });
+  return pairs;
+}
+
+// the event happening now, or else the next one to start
+function nextEvent(events, now = Date.now()) {
+  return [...events].sort(byStart).find((e) => localTime(e.starts_at) !== null && eventSpan(e).end > now) || null;
+}
+
+// names per answer; people who haven't answered are pending
+function rsvpSummary(event, people) {
+  const out = { going: [], maybe: [], no: [], pending: [] };
+  for (const p of people) out[event.rsvps?.[p.id] ?? "pending"].push(p.name);
+  return out;
+}
+
+// how far an item's claims are from its quantity: unclaimed, short, over or covered
+function gearStatus(item) {
+  const claimed = item.claims.reduce((s, c) => s + c.quantity, 0);
+  const status = claimed === 0 ? "unclaimed" : claimed < item.quantity ? "short" : claimed > item.quantity ? "over" : "covered";
+  return {
+    status,
+    claimed,
+    packed: item.claims.filter((c) => c.packed).reduce((s, c) => s + c.quantity, 0),
+    missing: Math.max(0, item.quantity - claimed),
+    extra: Math.max(0, claimed - item.quantity),
+  };
+}
+
+// the shared items a person claimed, with how many and whether they're packed
+function claimsFor(person, gear) {
+  return gear.flatMap((item) => item.claims.filter((c) => c.person_id === person.id).map((c) => ({ item, quantity: c.quantity, packed: c.packed })));
+}
+
+function isOverdue(task, done) {
+  return !done && !!task.due_date && new Date(task.due_date) < new Date();
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone marker ("2025-08-12 17:30:00")
+function parseServerTime(ts) {
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(ts) ? ts : `${ts.replace(" ", "T")}Z`);
+}
+
+// EXIF taken-at is the camera's local time, so it is parsed without a zone
+function photoTime(photo) {
+  return photo.taken_at ? new Date(photo.taken_at) : parseServerTime(photo.uploaded_at);
+}
+
+// mirrors REMINDER_RULES in server/reminders.js
+const REMINDER_LABELS = { unpaid: "Not paid yet", tasks_incomplete: "Tasks not done", eta_missing: "No arrival time" };
+
+const FIELD_LABELS = {
+  budget_per_person: "budget per person",
+  trip_date: "date",
+  gallery_query: "gallery theme",
+  eta: "ETA",
+  due_date: "due date",
+  payer_id: "payer",
+  split_mode: "split",
+  departs_from: "departure point",
+  departs_at: "departure time",
+  currency: "currency",
+  closes_at: "deadline",
+  room_grouping: "room grouping",
+  starts_at: "start",
+  ends_at: "end",
+};
+
+// one sentence for an activity row, e.g. "Alice marked Bob unpaid"
+function describeActivity(a, tasks) {
+  const who = a.actor_name || "Someone";
+  const self = a.entity === "person" && a.actor_id === a.entity_id;
+  const thing = a.entity === "trip" ? "the trip" : a.entity === "person" ? a.entity_label : `${a.entity} "${a.entity_label}"`;
+  if (a.action === "join") return `${who} joined the trip`;
+  if (a.entity === "trip" && a.field === "import") return `${who} imported a trip file (${a.new_value === "replace" ? "replacing" : "merging into"} the trip)`;
+  if (a.entity === "nudge") return `${who} nudged ${a.entity_label}`;
+  if (a.entity === "share") {
+    const hidden = a.entity_label === "nothing" ? "showing everything" : `hiding ${a.entity_label}`;
+    return a.action === "create" ? `${who} made a read-only share link (${hidden})` : `${who} turned off a share link`;
+  }
+  if (a.entity === "driver") {
+    const whose = a.actor_id === a.entity_id ? "their" : `${a.entity_label}'s`;
+    if (a.action === "create") return `${who} offered ${whose} car`;
+    if (a.action === "delete") return `${who} withdrew ${whose} car`;
+  }
+  if (a.entity === "sleeper") {
+    if (!a.new_value) return `${who} took ${a.entity_label} out of ${a.old_value}`;
+    return `${who} put ${a.entity_label} in ${a.new_value}`;
+  }
+  if (a.entity === "ride") {
+    if (a.action === "delete") return `${who} took ${a.entity_label} out of their ride`;
+    return `${who} put ${a.entity_label} in ${a.new_value}'s car`;
+  }
+  if (a.field?.startsWith("rsvp.")) {
+    const name = a.field.slice(5);
+    const answer = { going: "going to", maybe: "maybe going to", no: "not going to" }[a.new_value];
+    if (!answer) return `${who} took back ${name === who ? "their" : `${name}'s`} answer for "${a.entity_label}"`;
+    return name === who ? `${who} is ${answer} "${a.entity_label}"` : `${who} marked ${name} as ${answer} "${a.entity_label}"`;
+  }
+  if (a.field?.startsWith("claim.")) {
+    const name = a.field.slice(6);
+    const whose = name === who ? "" : ` for ${name}`;
+    const [before, after] = [a.old_value, a.new_value];
+    if (!after) return `${who} dropped "${a.entity_label}"${whose}`;
+    if (!before) return `${who} claimed ${after.quantity > 1 ? `${after.quantity} × ` : ""}"${a.entity_label}"${whose}`;
+    if (after.packed !== before.packed) return `${who} ${after.packed ? "packed" : "unpacked"} "${a.entity_label}"${whose}`;
+    return `${who} now brings ${after.quantity} × "${a.entity_label}"${whose}`;
+  }
+  if (a.field?.startsWith("vote.")) {
+    const choices = a.new_value || [];
+    return choices.length ? `${who} voted ${choices.map((c) => `"${c}"`).join(", ")} in "${a.entity_label}"` : `${who} took back their vote in "${a.entity_label}"`;
+  }
+  if (a.entity === "poll" && a.field === "closed") return `${who} ${a.new_value ? "closed" : "reopened"} the poll "${a.entity_label}"`;
+  if (a.field?.startsWith("rates.")) {
+    const code = a.field.slice(6);
+    if (a.new_value === null) return `${who} removed the ${code} exchange rate`;
+    return `${who} set the ${code} exchange rate to ${a.new_value}`;
+  }
+  if (a.field?.startsWith("reminders.")) return `${who} changed the "${REMINDER_LABELS[a.field.slice(10)] ?? a.field.slice(10)}" reminder`;
+  if (a.action === "create") return a.entity === "photo" ? `${who} uploaded a photo` : `${who} added ${thing}`;
+  if (a.action === "delete") return `${who} removed ${thing}`;
+  if (a.field === "order") return `${who} reordered the checklist`;
+  if (a.field === "claimed") return `${who} reset ${a.entity_label}'s sign-in`;
+  if (a.field === "paid") return `${who} marked ${self ? "themselves" : a.entity_label} ${a.new_value ? "paid" : "unpaid"}`;
+  if (a.field?.startsWith("tasks.")) {
+    const title = tasks.find((t) => String(t.id) === a.field.slice(6))?.title ?? "a task";
+    return `${who} ${a.new_value ? "ticked off" : "unticked"} ${title}${self ? "" : ` for ${a.entity_label}`}`;
+  }
+  const field = FIELD_LABELS[a.field] || a.field;
+  const show = (v) => (v === null || v === "" ? "nothing" : `"${v}"`);
+  const change = typeof a.new_value === "object" && a.new_value !== null ? "" : ` from ${show(a.old_value)} to ${show(a.new_value)}`;
+  return self ? `${who} changed their ${field}${change}` : `${who} changed the ${field} of ${thing}${change}`;
+}
+
+// person fields a member may change on their own row; mirrors server/access.js
+const MEMBER_FIELDS = ["eta", "transport", "notes", "email", "tasks"];
+
+// me is null before this browser has joined the trip (e.g. offline demo data); nothing is locked then
+function canOrganize(me) {
+  return !me || !!me.organizer;
+}
+
+// the server's status is from when the list was loaded; expiry is checked again on every render
+function shareLinkStatus(link, now = Date.now()) {
+  if (link.revoked_at) return "revoked";
+  if (link.expires_at && Date.parse(link.expires_at) <= now) return "expired";
+  return "active";
+}
+
+// organizers manage everything; members only what they own (their tasks, expenses, photos)
+function canManage(me, ownerId) {
+  return canOrganize(me) || (ownerId != null && ownerId === me.id);
+}
+
+function canEditPerson(me, personId, field) {
+  return canOrganize(me) || (personId === me.id && MEMBER_FIELDS.includes(field));
+}
+
+// replaces the item with the same id, or adds it if it is new
+function upsert(list = [], item, atStart = false) {
+  if (list.some((x) => x.id === item.id)) return list.map((x) => (x.id === item.id ? item : x));
+  return atStart ? [item, ...list] : [...list, item];
+}
+
+// merges one live-update event from the server into the client state
+function applyEvent(state, { type, data }) {
+  const dropTask = (p, id) => {
+    const { [id]: _removed, ...rest } = p.tasks || {};
+    return { ...p, tasks: rest };
+  };
+  switch (type) {
+    case "trip.updated":
+      return { ...state, ...fromServerTrip(data.trip) };
+    case "person.created":
+    case "person.updated":
+      return { ...state, people: upsert(state.people, data.person) };
+    case "person.deleted":
+      return {
+        ...state,
+        people: state.people.filter((p) => p.id !== data.id),
+        expenses: data.expenses,
+        ledger: data.ledger,
+        logistics: data.logistics,
+        gear: data.gear,
+        rooms: data.rooms,
+        polls: data.polls.map((poll) => ({ ...poll, mine: (state.polls || []).find((p) => p.id === poll.id)?.mine })),
+      };
+    case "task.created":
+      return {
+        ...state,
+        tasks: upsert(state.tasks, data.task),
+        people: state.people.map((p) => (!data.task.person_id || p.id === data.task.person_id ? { ...p, tasks: { ...p.tasks, [data.task.id]: false } } : p)),
+      };
+    case "task.updated":
+      return { ...state, tasks: upsert(state.tasks, data.task) };
+    case "task.reordered":
+      return { ...state, tasks: data.tasks };
+    case "task.deleted":
+      return { ...state, tasks: (state.tasks || []).filter((t) => t.id !== data.id), people: state.people.map((p) => dropTask(p, data.id)) };
+    case "expense.created":
+    case "expense.updated":
+      return { ...state, expenses: upsert(state.expenses, data.expense, true), ledger: data.ledger };
+    case "expense.deleted":
+      return { ...state, expenses: (state.expenses || []).filter((e) => e.id !== data.id), ledger: data.ledger };
+    case "photo.created":
+    case "photo.updated":
+      return { ...state, photos: upsert(state.photos, data.photo, true) };
+    case "photo.deleted":
+      return { ...state, photos: (state.photos || []).filter((ph) => ph.id !== data.id) };
+    case "logistics.updated":
+      return { ...state, logistics: data };
+    case "rooms.updated":
+      return { ...state, rooms: data };
+    case "poll.created":
+    case "poll.updated": {
+      const mine = (state.polls || []).find((p) => p.id === data.poll.id)?.mine;
+      return { ...state, polls: upsert(state.polls, { ...data.poll, mine }, true) };
+    }
+    case "poll.deleted":
+      return { ...state, polls: (state.polls || []).filter((p) => p.id !== data.id) };
+    case "itinerary.created":
+    case "itinerary.updated":
+      return { ...state, itinerary: upsert(state.itinerary, data.event) };
+    case "itinerary.deleted":
+      return { ...state, itinerary: (state.itinerary || []).filter((e) => e.id !== data.id) };
+    case "gear.created":
+    case "gear.updated":
+      return { ...state, gear: upsert(state.gear, data.item) };
+    case "rates.updated":
+      return { ...state, rates: data.rates, ledger: data.ledger };
+    case "gear.deleted":
+      return { ...state, gear: (state.gear || []).filter((g) => g.id !== data.id) };
+    case "share.created":
+      return { ...state, shares: upsert(state.shares, data.share, true) };
+    case "share.updated":
+      return { ...state, shares: upsert(state.shares, data.share) };
+    default:
+      return state;
+  }
+}
+
+// toast text for an event from someone else, or null for the ones not worth a popup
+function describeEvent({ type, data }, state) {
+  const taskTitle = (id) => (state.tasks || []).find((t) => String(t.id) === String(id))?.title ?? "a task";
+  switch (type) {
+    case "person.created":
+      return `${data.person.name} joined the trip`;
+    case "person.updated": {
+      const { name } = data.person;
+      if ("claimed" in data.changes) return data.changes.claimed ? `${name} joined the trip` : null;
+      const [taskId, done] = Object.entries(data.changes.tasks || {})[0] || [];
+      if (taskId) return done ? `${name} just marked ${taskTitle(taskId)} done` : `${name} unchecked ${taskTitle(taskId)}`;
+      if ("paid" in data.changes) return data.changes.paid ? `${name} just paid` : `${name} is marked unpaid`;
+      return null;
+    }
+    case "person.deleted":
+      return `${nameOf(state.people, data.id)} left the trip`;
+    case "task.created":
+      return `New task: ${data.task.title}`;
+    case "expense.created":
+      return `${nameOf(state.people, data.expense.payer_id)} added ${data.expense.description} (${formatCurrency(data.expense.amount, data.expense.currency)})`;
+    case "photo.created":
+      return `${data.photo.uploader || "Someone"} uploaded a photo`;
+    case "gear.created":
+      return `New on the shared list: ${data.item.name}`;
+    case "poll.created":
+      return `New poll: ${data.poll.question}`;
+    case "itinerary.created":
+      return `New on the itinerary: ${data.event.title} (${eventWhen(data.event)})`;
+    default:
+      return null;
+  }
+}
+
+function nameOf(people, id) {
+  return people.find((p) => p.id === id)?.name ?? "Someone";
+}
+
+function formatMoney(n) {
+  return (Math.round(n * 100) / 100).toFixed(2).replace(/\.00$/, "");
+}
+
+// "$150" or "€46.67"; whole amounts drop the cents like formatMoney does
+const currencyFormats = new Map();
+function formatCurrency(amount, currency = "USD") {
+  if (!currencyFormats.has(currency)) {
+    let format = null;
+    try {
+      format = new Intl.NumberFormat(undefined, { style: "currency", currency, trailingZeroDisplay: "stripIfInteger" });
+    } catch {
+      // not a currency Intl knows
+    }
+    currencyFormats.set(currency, format);
+  }
+  const format = currencyFormats.get(currency);
+  return format ? format.format(amount) : `${formatMoney(amount)} ${currency}`;
+}
+
+// an amount in the trip currency. rates[code] is how many of that currency one unit of the
+// trip currency buys; null when there is no rate for it.
+function toTripCurrency(amount, currency, tripCurrency, rates) {
+  if (!currency || currency === tripCurrency) return amount;
+  return rates[currency] ? amount / rates[currency] : null;
+}
+
+// reads a rates file into rates against `base`. JSON in the shape rate APIs publish
+// ({ base: "EUR", rates: { USD: 1.08 } }) may use another base and is converted;
+// CSV lines are "EUR,0.92" and already against `base`.
+function parseRatesFile(text, base) {
+  let fileBase = base;
+  let raw;
+  try {
+    const json = JSON.parse(text);
+    fileBase = String(json.base || json.base_code || base).toUpperCase();
+    raw = json.rates || json.conversion_rates;
+  } catch {
+    raw = Object.fromEntries(text.split(/\r?\n/).map((line) => line.split(/[,;\t]/).map((c) => c.trim())));
+  }
+  if (!raw || typeof raw !== "object") return { error: "This file has no rates in it." };
+  const all = { [fileBase]: 1 };
+  for (const [code, value] of Object.entries(raw)) {
+    if (/^[A-Za-z]{3}$/.test(code) && Number(value) > 0) all[code.toUpperCase()] = Number(value);
+  }
+  if (!all[base]) return { error: `This file has no rate for ${base}.` };
+  const rates = {};
+  for (const [code, rate] of Object.entries(all)) if (code !== base) rates[code] = rate / all[base];
+  return { rates };
 }
 
 function makeUnsplash(q) {